@@ -19,6 +19,18 @@ const dashboardRoutes = require('./routes/dashboard');
 const extractRoutes = require('./routes/extract');
 const contactRoutes = require('./routes/contact');
 const cartRoutes = require('./routes/cart');
+const adminRoutes = require('./routes/admins');
+const dealerUserRoutes = require('./routes/dealerUsers');
+const securityRoutes = require('./routes/security');
+const impersonationRoutes = require('./routes/impersonation');
+const orderOutboxRoutes = require('./routes/orderOutbox');
+const deliveryAddressRoutes = require('./routes/deliveryAddresses');
+const orderRuleRoutes = require('./routes/orderRules');
+const orderChangeRequestRoutes = require('./routes/orderChangeRequests');
+const metricsRoutes = require('./routes/metrics');
+const AdminUser = require('./models/AdminUser');
+const Cart = require('./models/Cart');
+const Product = require('./models/Product');
 
 const app = express();
 const PORT = process.env.PORT || 3300;
@@ -43,7 +55,8 @@ app.use(cors({
   origin: allowedOrigins,
   credentials: true,
   methods: ['GET','POST','PUT','DELETE','OPTIONS'],
-  allowedHeaders: ['Content-Type','Authorization'],
+  allowedHeaders: ['Content-Type','Authorization','Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed','Retry-After'],
   optionsSuccessStatus: 204
 }));
 
@@ -94,6 +107,14 @@ const connectDB = async () => {
     });
     logger.info(`✅ MongoDB connected: ${conn.connection.host}`);
 
+    // Sepet unique index'i kısmi index'e çevrildi; eski { user: 1 } index'i kaldırılır
+    await Cart.syncIndexes().catch(err => logger.error('Cart index sync failed:', { error: err.message }));
+
+    // Hızlı sipariş kod eşleştirmesi stknoKey alanını kullanır; eski ürün kayıtları doldurulur
+    Product.backfillStknoKeys()
+      .then(count => count && logger.info(`Product stknoKey backfilled for ${count} products`))
+      .catch(err => logger.error('Product stknoKey backfill failed:', { error: err.message }));
+
     mongoose.connection.on('error', (err) => logger.error('MongoDB connection error:', err));
     mongoose.connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
   } catch (error) {
@@ -117,6 +138,9 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Prometheus metrics
+app.use('/metrics', metricsRoutes);
+
 // API
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
@@ -126,6 +150,14 @@ app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/extract', extractRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/admins', adminRoutes);
+app.use('/api/dealer-users', dealerUserRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/impersonation', impersonationRoutes);
+app.use('/api/order-outbox', orderOutboxRoutes);
+app.use('/api/delivery-addresses', deliveryAddressRoutes);
+app.use('/api/order-rules', orderRuleRoutes);
+app.use('/api/order-change-requests', orderChangeRequestRoutes);
 
 // 404
 app.use('*', (req, res) => {
@@ -173,6 +205,11 @@ const startServer = async () => {
   try {
     await connectDB();
 
+    const bootstrapAdmin = await AdminUser.ensureBootstrapAdmin();
+    if (bootstrapAdmin) {
+      logger.info(`👤 Bootstrap superadmin created: ${bootstrapAdmin.username}`);
+    }
+
     const server = app.listen(PORT, () => {
       logger.info(`🚀 Crystal Bayi Backend running on port ${PORT}`);
       logger.info(`📝 Environment: ${process.env.NODE_ENV}`);
@@ -180,9 +217,18 @@ const startServer = async () => {
     });
 
     // >>> Cron'ları burada başlat <
-    const { scheduleProductSync, scheduleImageSync } = require('./cron');
+    const {
+      scheduleProductSync,
+      scheduleImageSync,
+      scheduleDealerProfileSync,
+      scheduleOrderReconciliation,
+      scheduleOrderOutbox
+    } = require('./cron');
     scheduleProductSync(); // ENABLE_PRODUCT_CRON=true ise aktif
     scheduleImageSync(); // ENABLE_IMAGE_CRON=true ise aktif
+    scheduleDealerProfileSync(); // ENABLE_PROFILE_CRON=true ise aktif
+    scheduleOrderReconciliation(); // ENABLE_ORDER_RECONCILE_CRON=true ise aktif
+    scheduleOrderOutbox(); // ENABLE_ORDER_OUTBOX_CRON=false değilse aktif
 
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') logger.error(`❌ Port ${PORT} is already in use`);
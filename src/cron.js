@@ -2,6 +2,9 @@ const cron = require('node-cron');
 const logger = require('./utils/logger');
 const { deltaSync } = require('./services/productSyncService');
 const { syncProductImages } = require('./services/imageSyncService');
+const dealerProfileService = require('./services/dealerProfileService');
+const orderReconciliationService = require('./services/orderReconciliationService');
+const orderOutboxService = require('./services/orderOutboxService');
 
 function scheduleProductSync() {
   if (process.env.ENABLE_PRODUCT_CRON !== 'true') {
@@ -55,4 +58,92 @@ function scheduleImageSync() {
   );
 }
 
-module.exports = { scheduleProductSync, scheduleImageSync };
\ No newline at end of file
+function scheduleDealerProfileSync() {
+  if (process.env.ENABLE_PROFILE_CRON !== 'true') {
+    logger.warn('[CRON] Dealer profile sync disabled (ENABLE_PROFILE_CRON !== true)');
+    return;
+  }
+
+  const expr = process.env.PROFILE_CRON_EXPR || '0 */30 * * * *'; // her 30 dakikada
+  const tz = process.env.TZ || 'Europe/Istanbul';
+
+  logger.info(`[CRON] Scheduling dealer profile sync | expr="${expr}" | tz="${tz}"`);
+
+  cron.schedule(
+    expr,
+    async () => {
+      try {
+        logger.info('[CRON] Dealer profile sync started');
+        const res = await dealerProfileService.refreshAll();
+        logger.info('[CRON] Dealer profile sync finished', res);
+      } catch (err) {
+        logger.error('[CRON] Dealer profile sync failed', { error: err.message });
+      }
+    },
+    { timezone: tz }
+  );
+}
+
+function scheduleOrderReconciliation() {
+  if (process.env.ENABLE_ORDER_RECONCILE_CRON !== 'true') {
+    logger.warn('[CRON] Order reconciliation disabled (ENABLE_ORDER_RECONCILE_CRON !== true)');
+    return;
+  }
+
+  const expr = process.env.ORDER_RECONCILE_CRON_EXPR || '0 */15 * * * *'; // her 15 dakikada
+  const tz = process.env.TZ || 'Europe/Istanbul';
+
+  logger.info(`[CRON] Scheduling order reconciliation | expr="${expr}" | tz="${tz}"`);
+
+  cron.schedule(
+    expr,
+    async () => {
+      try {
+        logger.info('[CRON] Order reconciliation started');
+        const res = await orderReconciliationService.reconcileAll();
+        logger.info('[CRON] Order reconciliation finished', res);
+      } catch (err) {
+        logger.error('[CRON] Order reconciliation failed', { error: err.message });
+      }
+    },
+    { timezone: tz }
+  );
+}
+
+// Kuyruğa alınan siparişler bayiye "otomatik gönderilecek" diye bildirildiği için varsayılan açıktır;
+// sadece ENABLE_ORDER_OUTBOX_CRON=false ile kapatılır (kayıtlar atomik alındığından her instance'ta çalışabilir)
+function scheduleOrderOutbox() {
+  if (process.env.ENABLE_ORDER_OUTBOX_CRON === 'false') {
+    logger.warn('[CRON] Order outbox worker disabled (ENABLE_ORDER_OUTBOX_CRON=false); queued orders will not be sent');
+    return;
+  }
+
+  const expr = process.env.ORDER_OUTBOX_CRON_EXPR || '0 * * * * *'; // her dakika
+  const tz = process.env.TZ || 'Europe/Istanbul';
+
+  logger.info(`[CRON] Scheduling order outbox worker | expr="${expr}" | tz="${tz}"`);
+
+  cron.schedule(
+    expr,
+    async () => {
+      try {
+        const res = await orderOutboxService.processQueue();
+        // Boş turlar loglanmaz
+        if (res.processed || res.recovered) {
+          logger.info('[CRON] Order outbox processed', res);
+        }
+      } catch (err) {
+        logger.error('[CRON] Order outbox worker failed', { error: err.message });
+      }
+    },
+    { timezone: tz }
+  );
+}
+
+module.exports = {
+  scheduleProductSync,
+  scheduleImageSync,
+  scheduleDealerProfileSync,
+  scheduleOrderReconciliation,
+  scheduleOrderOutbox
+};
\ No newline at end of file
@@ -1,7 +1,15 @@
 const jwt = require('jsonwebtoken');
 const { AppError, catchAsync } = require('./errorHandler');
+const AdminUser = require('../models/AdminUser');
+const DealerUser = require('../models/DealerUser');
+const ImpersonationAudit = require('../models/ImpersonationAudit');
+const { isSessionActive } = require('../services/tokenService');
+const dealerProfileService = require('../services/dealerProfileService');
+const { PERMISSIONS, hasPermission, hasDealerPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 // JWT token verification middleware
 const authenticateToken = catchAsync(async (req, res, next) => {
   // Get token from header
@@ -21,9 +29,71 @@ const authenticateToken = catchAsync(async (req, res, next) => {
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Oturum iptal edilmişse (logout / token reuse) token geçersizdir
+    if (!(await isSessionActive(decoded.sid))) {
+      logger.warn('Authentication failed: Session revoked or unknown', {
+        userId: decoded.hesap,
+        sessionId: decoded.sid || null,
+        requestId: req.id,
+        ip: req.ip
+      });
+
+      return next(new AppError('Session is no longer valid. Please log in again.', 401));
+    }
     
-    // Add user to request
-    req.user = decoded;
+    // Add user to request (bayilerde bakiye / fiyat listesi önbellekteki profilden gelir)
+    req.user = await dealerProfileService.applyToClaims(decoded);
+
+    // Alt kullanıcılarda yetkiler token'dan değil güncel kayıttan okunur
+    if (decoded.dealerUserId) {
+      const dealerUser = await DealerUser.findById(decoded.dealerUserId).select('isActive permissions').lean();
+
+      if (!dealerUser || !dealerUser.isActive) {
+        return next(new AppError('User account is disabled', 401));
+      }
+
+      req.user.permissions = dealerUser.permissions;
+    }
+
+    // Admin "bayi gibi görüntüle" oturumu: her istek etiketlenir, varsayılan salt okunur
+    if (decoded.impersonation) {
+      // Oturumu açan admin hâlâ aktif ve yetkili olmalı (devre dışı bırakma / rol değişikliği hemen etkili olur)
+      const admin = await AdminUser.findById(decoded.impersonation.adminId).select('isActive role').lean();
+      const allowed = admin && admin.isActive
+        && hasPermission(admin.role, PERMISSIONS.DEALERS_IMPERSONATE)
+        && (decoded.impersonation.readOnly || hasPermission(admin.role, PERMISSIONS.DEALERS_IMPERSONATE_WRITE));
+
+      if (!allowed) {
+        logger.warn('Authentication failed: Impersonating admin disabled or no longer permitted', {
+          impersonatedBy: decoded.impersonation.adminUsername,
+          hesap: decoded.hesap,
+          auditId: decoded.impersonation.auditId,
+          requestId: req.id
+        });
+
+        return next(new AppError('Impersonation session is no longer valid', 401));
+      }
+
+      req.impersonation = decoded.impersonation;
+
+      logger.info('Impersonated request', {
+        impersonatedBy: decoded.impersonation.adminUsername,
+        hesap: decoded.hesap,
+        method: req.method,
+        url: req.originalUrl,
+        readOnly: decoded.impersonation.readOnly,
+        requestId: req.id
+      });
+
+      ImpersonationAudit.recordRequest(decoded.impersonation.auditId).catch(err =>
+        logger.error('Impersonation audit update failed', { error: err.message, requestId: req.id })
+      );
+
+      if (decoded.impersonation.readOnly && !READ_ONLY_METHODS.includes(req.method)) {
+        return next(new AppError('Impersonation session is read-only', 403));
+      }
+    }
     
     logger.auth('User authenticated successfully', decoded.hesap, {
       requestId: req.id,
@@ -55,14 +125,34 @@ const authenticateToken = catchAsync(async (req, res, next) => {
   }
 });
 
+// Load the admin account behind the token and make sure it is still active
+const loadAdmin = async (req) => {
+  if (req.admin) return req.admin;
+
+  if (!req.user || req.user.type !== 'admin' || !req.user.adminId) {
+    return null;
+  }
+
+  const admin = await AdminUser.findById(req.user.adminId).lean();
+  if (!admin || !admin.isActive) {
+    return null;
+  }
+
+  req.admin = admin;
+  return admin;
+};
+
 // Check if user is admin
 const requireAdmin = catchAsync(async (req, res, next) => {
   if (!req.user) {
     return next(new AppError('Authentication required', 401));
   }
 
-  if (req.user.type !== 'admin' && req.user.hesap !== 'admin') {
-    logger.warn('Admin access denied', req.user.hesap, {
+  const admin = await loadAdmin(req);
+
+  if (!admin) {
+    logger.warn('Admin access denied', {
+      userId: req.user.hesap,
       requestId: req.id,
       attemptedUrl: req.originalUrl
     });
@@ -73,6 +163,71 @@ const requireAdmin = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Check that the admin's role grants every given permission
+const requirePermission = (...permissions) => catchAsync(async (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Authentication required', 401));
+  }
+
+  const admin = await loadAdmin(req);
+  const missing = admin
+    ? permissions.filter(permission => !hasPermission(admin.role, permission))
+    : permissions;
+
+  if (missing.length > 0) {
+    logger.warn('Admin permission denied', {
+      userId: req.user.hesap,
+      role: admin?.role || null,
+      missing,
+      requestId: req.id,
+      attemptedUrl: req.originalUrl
+    });
+
+    return next(new AppError(admin ? 'Insufficient permissions' : 'Admin access required', 403));
+  }
+
+  next();
+});
+
+// Check dealer sub-user permissions (account owners always pass)
+const requireDealerPermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Authentication required', 401));
+  }
+
+  const missing = permissions.filter(permission => !hasDealerPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    logger.warn('Dealer permission denied', {
+      userId: req.user.hesap,
+      dealerUserId: req.user.dealerUserId,
+      missing,
+      requestId: req.id,
+      attemptedUrl: req.originalUrl
+    });
+
+    return next(new AppError('You do not have permission for this action', 403));
+  }
+
+  next();
+};
+
+// Hesap güvenliği ile ilgili uçlar impersonation token'ı ile kullanılamaz
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    logger.warn('Blocked impersonated access to account security endpoint', {
+      impersonatedBy: req.impersonation.adminUsername,
+      hesap: req.user?.hesap,
+      url: req.originalUrl,
+      requestId: req.id
+    });
+
+    return next(new AppError('Not available while impersonating a dealer', 403));
+  }
+
+  next();
+};
+
 // Optional authentication (for endpoints that work with or without auth)
 const optionalAuth = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -144,6 +299,9 @@ const extractUser = (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireAdmin,
+  requirePermission,
+  requireDealerPermission,
+  blockImpersonation,
   optionalAuth,
   authLimiter,
   extractUser
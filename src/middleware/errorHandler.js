@@ -12,6 +12,22 @@ class AppError extends Error {
   }
 }
 
+// Dış servis (ERP) geçici olarak kullanılamıyor - istemciye Retry-After ile döner
+class ServiceUnavailableError extends AppError {
+  constructor(message, retryAfter = 5) {
+    super(message, 503);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Sipariş kuralı ihlali (minimum miktar, paket katı, minimum sepet tutarı) - satır bazında detay döner
+class RuleViolationError extends AppError {
+  constructor(message, violations = []) {
+    super(message, 400);
+    this.violations = violations;
+  }
+}
+
 // Handle different types of errors
 const handleCastErrorDB = (err) => {
   const message = `Invalid ${err.path}: ${err.value}`;
@@ -55,6 +71,7 @@ const sendErrorDev = (err, req, res) => {
     success: false,
     error: err,
     message: err.message,
+    ...(err.violations && { violations: err.violations }),
     stack: err.stack,
     requestId: req.id
   });
@@ -77,6 +94,7 @@ const sendErrorProd = (err, req, res) => {
     res.status(err.statusCode).json({
       success: false,
       message: err.message,
+      ...(err.violations && { violations: err.violations }),
       requestId: req.id
     });
   } else {
@@ -111,6 +129,10 @@ const errorHandler = (err, req, res, next) => {
   // SOAP errors
   if (err.message && err.message.includes('SOAP')) error = handleSOAPError(error);
 
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
   // Send error response
   if (process.env.NODE_ENV === 'development') {
     sendErrorDev(error, req, res);
@@ -129,5 +151,7 @@ const catchAsync = (fn) => {
 module.exports = {
   errorHandler,
   AppError,
+  ServiceUnavailableError,
+  RuleViolationError,
   catchAsync
 };
\ No newline at end of file
@@ -0,0 +1,167 @@
+// src/middleware/idempotency.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { sessionOwner } = require('../services/tokenService');
+const { AppError, catchAsync } = require('./errorHandler');
+const logger = require('../utils/logger');
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,128}$/;
+
+// Anahtar sırasından bağımsız JSON (aynı gövde farklı sırayla gelse de aynı özet)
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+/**
+ * "processing" kalmış kayıt bu süreden eskiyse (süreç düştü, cevap kaydedilemedi) yeni istek devralır.
+ * ERP zaman aşımlarından uzun tutulmalı ki hâlâ çalışan bir istekle aynı anda işlenmesin.
+ */
+const PROCESSING_TIMEOUT_MS = parseInt(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_SECONDS || '120', 10) * 1000;
+
+const takeOverStale = (existing) => IdempotencyKey.findOneAndUpdate(
+  {
+    _id: existing._id,
+    status: 'processing',
+    updatedAt: { $lte: new Date(Date.now() - PROCESSING_TIMEOUT_MS) }
+  },
+  { $inc: { attempts: 1 } },
+  { new: true }
+);
+
+const complete = (recordId, responseStatus, responseBody) => IdempotencyKey.updateOne(
+  { _id: recordId },
+  { $set: { status: 'completed', responseStatus, responseBody, completedAt: new Date() } }
+);
+
+const FAILED_MESSAGE = `A previous request with this ${HEADER} did not complete; check your orders before retrying with a new key`;
+
+/**
+ * Idempotency-Key başlığı varsa aynı anahtarla tekrar gelen isteğe ilk cevabı döner.
+ * Başlık yoksa istek normal işlenir.
+ *
+ * 5xx cevaplar da saklanır (sonucu belirsiz bir işlemi tekrarlatmamak için); route işlemin
+ * hiç yapılmadığından eminse res.locals.idempotencyRetryable = true ile kaydı bırakabilir.
+ * İstemci bağlantıyı cevaptan önce keserse route'un ürettiği cevap yine kaydedilir.
+ *
+ * Takılı kalan kayıt devralınınca istek körü körüne tekrar çalıştırılmaz: options.recover(recordId, req)
+ * ilk isteğin sonucunu (ör. açılmış sipariş) bulursa o cevap döner, null dönerse istek çalışır.
+ * recover verilmemişse anahtar failed işaretlenir ve istek hiç tekrar çalıştırılmaz.
+ * İstek içinde kaydın id'si res.locals.idempotencyKeyId ile okunur.
+ */
+const idempotent = ({ recover = null } = {}) => catchAsync(async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (!key) return next();
+
+  if (!KEY_PATTERN.test(key)) {
+    return next(new AppError(`${HEADER} must be 8-128 characters (letters, digits, - _ : .)`, 400));
+  }
+
+  const owner = sessionOwner(req.user);
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req);
+
+  let record = await IdempotencyKey.create({ owner, key, route, requestHash }).catch(error => {
+    if (error.code !== 11000) throw error;
+    return null;
+  });
+
+  if (!record) {
+    const existing = await IdempotencyKey.findOne({ owner, key }).lean();
+    if (!existing) {
+      return next(new AppError('Idempotency key conflict, please retry', 409));
+    }
+
+    if (existing.requestHash !== requestHash || existing.route !== route) {
+      return next(new AppError(`${HEADER} was already used with a different request`, 422));
+    }
+
+    if (existing.status === 'processing') {
+      record = await takeOverStale(existing);
+      if (!record) {
+        res.set('Retry-After', '2');
+        return next(new AppError('A request with this Idempotency-Key is still being processed', 409));
+      }
+
+      // İlk istek işi yapıp cevabı kaydedemeden düşmüş olabilir: tekrar çalıştırmadan önce sonucu aranır
+      const recovered = recover ? await recover(record._id, req) : null;
+      if (recovered) {
+        await complete(record._id, recovered.statusCode, recovered.body);
+        logger.warn('Stale idempotency key completed from recorded result', { owner, key, route, requestId: req.id });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(recovered.statusCode).json(recovered.body);
+      }
+
+      if (!recover) {
+        await IdempotencyKey.updateOne({ _id: record._id }, { $set: { status: 'failed', completedAt: new Date() } });
+        logger.warn('Stale idempotency key marked failed', { owner, key, route, requestId: req.id });
+        return next(new AppError(FAILED_MESSAGE, 409));
+      }
+
+      logger.warn('Stale idempotency key taken over', { owner, key, route, requestId: req.id });
+    } else if (existing.status === 'failed') {
+      return next(new AppError(FAILED_MESSAGE, 409));
+    } else {
+      logger.info('Idempotent request replayed', { owner, key, route, requestId: req.id });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  }
+
+  // Cevap gövdesini yakala; istek bitince (veya bağlantı kesildiyse cevap üretilince) kayda yaz
+  let responseBody;
+  let aborted = false;
+  let settled = false;
+
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+
+    const update = res.statusCode >= 500 && res.locals.idempotencyRetryable
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : complete(record._id, res.statusCode, responseBody ?? null);
+
+    update.catch(error => logger.error('Idempotency record update failed', {
+      owner,
+      key,
+      error: error.message
+    }));
+  };
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    const result = originalJson(body);
+    // Kesilmiş bağlantıda 'finish' gelmez
+    if (aborted) settle();
+    return result;
+  };
+
+  res.on('finish', settle);
+  res.on('close', () => {
+    if (res.writableFinished || settled) return;
+    aborted = true;
+    if (responseBody !== undefined) {
+      settle();
+    } else {
+      logger.warn('Client disconnected before idempotent request completed', { owner, key, route, requestId: req.id });
+    }
+  });
+
+  res.locals.idempotencyKeyId = record._id;
+  next();
+});
+
+module.exports = {
+  idempotent,
+  IDEMPOTENCY_HEADER: HEADER
+};
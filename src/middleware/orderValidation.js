@@ -0,0 +1,64 @@
+// src/middleware/orderValidation.js
+// POST /api/orders, POST /api/cart/checkout ve değişiklik talepleri için ortak sipariş alanı doğrulamaları
+const { body } = require('express-validator');
+const moment = require('moment');
+
+const MAX_DELIVERY_DAYS = parseInt(process.env.ORDER_MAX_DELIVERY_DAYS || '180', 10);
+
+// İstenen teslim tarihi: DD-MM-YYYY, bugünden önce olamaz, en fazla MAX_DELIVERY_DAYS ileri
+const deliveryDate = (field) => body(field)
+  .optional({ values: 'falsy' })
+  .matches(/^\d{2}-\d{2}-\d{4}$/)
+  .withMessage('Delivery date must be in DD-MM-YYYY format')
+  .bail()
+  .custom(value => {
+    const date = moment(value, 'DD-MM-YYYY', true);
+    if (!date.isValid()) {
+      throw new Error('Delivery date is not a valid date');
+    }
+    if (date.isBefore(moment().startOf('day'))) {
+      throw new Error('Delivery date cannot be in the past');
+    }
+    if (date.isAfter(moment().add(MAX_DELIVERY_DAYS, 'days'))) {
+      throw new Error(`Delivery date cannot be more than ${MAX_DELIVERY_DAYS} days ahead`);
+    }
+    return true;
+  });
+
+// Sipariş geneli: PO numarası, not, teslim tarihi ve kayıtlı teslimat adresi
+const validateOrderDetails = [
+  body('poNumber')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('PO number must be at most 30 characters'),
+  body('note')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 250 })
+    .withMessage('Note must be at most 250 characters'),
+  deliveryDate('deliveryDate'),
+  body('deliveryAddressId')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid delivery address')
+];
+
+// Satır bazında not ve teslim tarihi
+const validateLineDetails = [
+  body('products.*.note')
+    .optional({ values: 'falsy' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Line note must be at most 100 characters'),
+  deliveryDate('products.*.deliveryDate')
+];
+
+module.exports = {
+  validateOrderDetails,
+  validateLineDetails,
+  validateDeliveryDate: deliveryDate
+};
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+const AdminUserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: [true, 'Username is required'],
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+
+  displayName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+
+  // scrypt ile "salt:hash" formatında saklanır
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Role is required']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'adminUsers'
+});
+
+AdminUserSchema.index({ role: 1, isActive: 1 });
+
+AdminUserSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await hashPassword(password);
+};
+
+AdminUserSchema.methods.verifyPassword = function(password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+// API'ye dönülecek güvenli görünüm (hash olmadan)
+AdminUserSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    displayName: this.displayName,
+    email: this.email,
+    role: this.role,
+    isActive: this.isActive,
+    lastLoginAt: this.lastLoginAt,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+AdminUserSchema.statics.findForLogin = function(username) {
+  return this.findOne({ username: String(username).toLowerCase().trim() }).select('+passwordHash');
+};
+
+// Hiç admin yoksa ADMIN_BOOTSTRAP_USERNAME / ADMIN_BOOTSTRAP_PASSWORD ile ilk superadmin'i oluşturur
+AdminUserSchema.statics.ensureBootstrapAdmin = async function() {
+  const username = process.env.ADMIN_BOOTSTRAP_USERNAME;
+  const password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+
+  if (!username || !password) return null;
+
+  const existing = await this.countDocuments({});
+  if (existing > 0) return null;
+
+  const admin = new this({
+    username,
+    displayName: 'Bootstrap Admin',
+    role: 'superadmin',
+    createdBy: 'bootstrap'
+  });
+  await admin.setPassword(password);
+  return admin.save();
+};
+
+module.exports = mongoose.model('AdminUser', AdminUserSchema);
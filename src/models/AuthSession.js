@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Her giriş (cihaz) için bir oturum; refresh token'lar bu oturumun "ailesi"dir
+const AuthSessionSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'User is required'],
+    trim: true
+  },
+
+  userType: {
+    type: String,
+    enum: ['customer', 'admin'],
+    default: 'customer'
+  },
+
+  // Access token yeniden imzalanırken kullanılan JWT içeriği
+  claims: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Geçerli refresh token'ın SHA-256 özeti (token'ın kendisi saklanmaz)
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+
+  // Daha önce rotate edilmiş token özetleri - tekrar kullanılırsa aile iptal edilir
+  rotatedTokenHashes: {
+    type: [String],
+    default: []
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'authSessions'
+});
+
+AuthSessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+AuthSessionSchema.index({ rotatedTokenHashes: 1 });
+AuthSessionSchema.index({ user: 1, revokedAt: 1 });
+// Süresi dolan oturumlar Mongo tarafından silinir
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+AuthSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+AuthSessionSchema.methods.toPublic = function(currentSessionId) {
+  return {
+    id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: String(this._id) === String(currentSessionId)
+  };
+};
+
+AuthSessionSchema.statics.revokeSession = function(sessionId, reason) {
+  return this.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+AuthSessionSchema.statics.revokeAllForUser = function(user, reason, { exceptSessionId = null } = {}) {
+  return this.updateMany(
+    { user, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+AuthSessionSchema.statics.getActiveSessions = function(user) {
+  return this.find({ user, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
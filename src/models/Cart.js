@@ -89,18 +89,42 @@ const CartSchema = new mongoose.Schema({
     default: Date.now
   },
   
+  // checkout: sipariş oluşturulurken kilitli (çift checkout'u engeller)
   status: {
     type: String,
-    enum: ['active', 'ordered', 'abandoned'],
+    enum: ['active', 'checkout', 'ordered', 'abandoned'],
     default: 'active'
+  },
+
+  checkoutStartedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Checkout ile oluşan yerel sipariş
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+
+  orderedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
   collection: 'carts'
 });
 
-CartSchema.index({ user: 1 }, { unique: true });
+// Kullanıcı başına tek aktif sepet; sipariş edilmiş sepetler geçmiş olarak kalır
+// (eski { user: 1 } unique index'i Cart.syncIndexes() ile kaldırılır)
+CartSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' }, name: 'user_active_unique' }
+);
 CartSchema.index({ updatedAt: -1 });
+CartSchema.index({ status: 1, checkoutStartedAt: 1 });
 CartSchema.index({ 'items.stkno': 1 });
 
 // NOTLAR:
@@ -145,6 +169,33 @@ CartSchema.statics.addItemToCart = async function(userId, itemData) {
   }
 };
 
+/**
+ * Birden fazla satırı tek kayıtla sepete ekler (tekrar sipariş / hızlı sipariş).
+ * Kurallar ve stok çağıran tarafta kontrol edilmiş olmalıdır.
+ */
+CartSchema.statics.addItemsToCart = async function(userId, items) {
+  let cart = await this.findOne({ user: userId, status: 'active' });
+  if (!cart) {
+    cart = new this({ user: userId, items: [] });
+  }
+
+  const now = new Date();
+  items.forEach(itemData => {
+    const existing = cart.items.find(item => item.stkno === itemData.stkno);
+    if (existing) {
+      existing.adet += itemData.adet;
+      existing.addedAt = now;
+      existing.fiyat = itemData.fiyat;
+      existing.addedPrice = itemData.fiyat;
+    } else {
+      cart.items.push({ ...itemData, addedPrice: itemData.fiyat, addedAt: now });
+    }
+  });
+
+  cart.lastSyncedAt = now;
+  return cart.save();
+};
+
 CartSchema.statics.updateItemQuantity = async function(userId, stkno, newQuantity) {
   if (newQuantity <= 0) {
     return this.removeItemFromCart(userId, stkno);
@@ -237,6 +288,52 @@ CartSchema.statics.mergeCartItems = function(serverItems, localItems) {
   return merged;
 };
 
+/**
+ * Aktif sepeti checkout için kilitler. Sepet okunduktan sonra değiştiyse (updatedAt farklı) null döner.
+ */
+CartSchema.statics.beginCheckout = function(cart) {
+  return this.findOneAndUpdate(
+    { _id: cart._id, status: 'active', updatedAt: cart.updatedAt },
+    { $set: { status: 'checkout', checkoutStartedAt: new Date() } },
+    { new: true, timestamps: false }
+  );
+};
+
+// Sipariş kaydı açıldı: süreç checkout bitmeden düşerse sepet bu siparişle kapatılır
+CartSchema.statics.attachCheckoutOrder = function(cartId, orderId) {
+  return this.updateOne(
+    { _id: cartId, status: 'checkout' },
+    { $set: { order: orderId } },
+    { timestamps: false }
+  );
+};
+
+// Checkout'u verilen tarihten önce başlamış ve hâlâ kilitli sepetler (süreç düşmüş)
+CartSchema.statics.findStaleCheckouts = function(startedBefore, userId = null) {
+  return this.find({
+    status: 'checkout',
+    checkoutStartedAt: { $lte: startedBefore },
+    ...(userId && { user: userId })
+  });
+};
+
+// Sipariş kaydı açılamadıysa sepet tekrar aktif olur
+CartSchema.statics.abortCheckout = function(cartId) {
+  return this.findOneAndUpdate(
+    { _id: cartId, status: 'checkout' },
+    { $set: { status: 'active', checkoutStartedAt: null } },
+    { new: true }
+  );
+};
+
+CartSchema.statics.completeCheckout = function(cartId, orderId) {
+  return this.findOneAndUpdate(
+    { _id: cartId, status: 'checkout' },
+    { $set: { status: 'ordered', order: orderId, orderedAt: new Date(), lastSyncedAt: new Date() } },
+    { new: true }
+  );
+};
+
 CartSchema.statics.markAsOrdered = function(userId) {
   return this.findOneAndUpdate(
     { user: userId, status: 'active' },
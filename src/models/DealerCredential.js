@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+// ERP'nin parola değiştirme metodu olmadığı için bayi parolası yerelde tutulur.
+// Kayıt varsa girişte uuselogin yerine bu parola doğrulanır.
+const DealerCredentialSchema = new mongoose.Schema({
+  hesap: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true,
+    unique: true
+  },
+
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  passwordChangedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'dealerCredentials'
+});
+
+DealerCredentialSchema.methods.verifyPassword = function(password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+DealerCredentialSchema.statics.findForLogin = function(hesap) {
+  return this.findOne({ hesap }).select('+passwordHash');
+};
+
+DealerCredentialSchema.statics.setPassword = async function(hesap, password) {
+  return this.findOneAndUpdate(
+    { hesap },
+    { $set: { passwordHash: await hashPassword(password), passwordChangedAt: new Date() } },
+    { new: true, upsert: true }
+  );
+};
+
+module.exports = mongoose.model('DealerCredential', DealerCredentialSchema);
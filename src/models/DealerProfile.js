@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// ERP'den gelen bayi profilinin önbelleği (uuselogin / slCustlist)
+// JWT içindeki anlık görüntü yerine bakiye ve fiyat listesi buradan okunur
+const DealerProfileSchema = new mongoose.Schema({
+  hesap: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true,
+    unique: true
+  },
+
+  company: { type: String, default: '' },
+
+  // Fiyat listesi numarası (priceList.fiyatN)
+  list: { type: String, default: '1' },
+
+  email: { type: String, default: '' },
+  phone: { type: String, default: '' },
+  phone2: { type: String, default: '' },
+  ulke: { type: String, default: '' },
+  sehir: { type: String, default: '' },
+  ilce: { type: String, default: '' },
+  adres: { type: String, default: '' },
+  vName: { type: String, default: '' },
+  vNo: { type: String, default: '' },
+  vurun: { type: String, default: '' },
+  bakiye: { type: String, default: '0' },
+
+  // Son yenilemenin kaynağı
+  source: {
+    type: String,
+    enum: ['login', 'customer-list'],
+    default: 'login'
+  },
+
+  refreshedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'dealerProfiles'
+});
+
+DealerProfileSchema.index({ refreshedAt: 1 });
+
+// JWT claim'leri ile aynı isimlerdeki alanlar
+const CLAIM_FIELDS = [
+  'company', 'list', 'email', 'phone', 'phone2', 'ulke', 'sehir',
+  'ilce', 'adres', 'vName', 'vNo', 'vurun', 'bakiye'
+];
+
+DealerProfileSchema.statics.CLAIM_FIELDS = CLAIM_FIELDS;
+
+DealerProfileSchema.statics.toClaims = function(profile) {
+  const claims = {};
+  if (!profile) return claims;
+
+  CLAIM_FIELDS.forEach(field => {
+    if (profile[field] !== undefined && profile[field] !== null) {
+      claims[field] = profile[field];
+    }
+  });
+  return claims;
+};
+
+DealerProfileSchema.statics.getByHesap = function(hesap) {
+  return this.findOne({ hesap }).lean();
+};
+
+DealerProfileSchema.statics.upsertProfile = function(hesap, fields, source) {
+  return this.findOneAndUpdate(
+    { hesap },
+    { $set: { ...fields, hesap, source, refreshedAt: new Date() } },
+    { new: true, upsert: true, lean: true }
+  );
+};
+
+module.exports = mongoose.model('DealerProfile', DealerProfileSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { ASSIGNABLE_DEALER_PERMISSIONS } = require('../utils/permissions');
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+// Bir bayi hesabına (ERP hesap kodu) bağlı personel kullanıcıları
+const DealerUserSchema = new mongoose.Schema({
+  hesap: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true
+  },
+
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+
+  displayName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Davetle oluşturulan kullanıcıda aktivasyona kadar boştur
+  passwordHash: {
+    type: String,
+    select: false
+  },
+
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+
+  permissions: {
+    type: [{ type: String, enum: ASSIGNABLE_DEALER_PERMISSIONS }],
+    default: []
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Daveti gönderen hesap sahibi
+  invitedBy: {
+    type: String,
+    default: null
+  },
+
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'dealerUsers'
+});
+
+DealerUserSchema.index({ hesap: 1, isActive: 1 });
+
+DealerUserSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await hashPassword(password);
+  this.passwordChangedAt = new Date();
+};
+
+DealerUserSchema.methods.verifyPassword = function(password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+DealerUserSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    hesap: this.hesap,
+    email: this.email,
+    displayName: this.displayName,
+    permissions: this.permissions,
+    isActive: this.isActive,
+    activated: !!this.passwordChangedAt,
+    invitedBy: this.invitedBy,
+    lastLoginAt: this.lastLoginAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+DealerUserSchema.statics.findForLogin = function(email) {
+  return this.findOne({ email: String(email).toLowerCase().trim() }).select('+passwordHash');
+};
+
+DealerUserSchema.statics.getByHesap = function(hesap) {
+  return this.find({ hesap }).sort({ email: 1 });
+};
+
+module.exports = mongoose.model('DealerUser', DealerUserSchema);
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+const MAX_ADDRESSES_PER_DEALER = parseInt(process.env.MAX_DELIVERY_ADDRESSES || '50', 10);
+
+// Bayinin kayıtlı teslimat adresleri (siparişte seçilir)
+const DeliveryAddressSchema = new mongoose.Schema({
+  hesap: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true
+  },
+
+  // Kısa ad: "Merkez Depo", "Şube 2" ...
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxlength: 60
+  },
+
+  recipient: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 100
+  },
+
+  phone: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 30
+  },
+
+  address: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true,
+    maxlength: 300
+  },
+
+  district: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 60
+  },
+
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    maxlength: 60
+  },
+
+  postalCode: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 10
+  },
+
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'deliveryAddresses'
+});
+
+DeliveryAddressSchema.index({ hesap: 1, label: 1 }, { unique: true });
+
+DeliveryAddressSchema.statics.MAX_PER_DEALER = MAX_ADDRESSES_PER_DEALER;
+
+DeliveryAddressSchema.statics.getByHesap = function(hesap) {
+  return this.find({ hesap }).sort({ isDefault: -1, label: 1 });
+};
+
+DeliveryAddressSchema.statics.findForDealer = function(hesap, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, hesap });
+};
+
+// Yeni varsayılan adres seçildiğinde diğerlerinin işareti kaldırılır
+DeliveryAddressSchema.statics.setDefault = async function(hesap, id) {
+  await this.updateMany({ hesap, _id: { $ne: id } }, { $set: { isDefault: false } });
+  return this.findOneAndUpdate({ _id: id, hesap }, { $set: { isDefault: true } }, { new: true });
+};
+
+// Siparişe kopyalanan adres (sonradan değişse de siparişteki hali korunur)
+DeliveryAddressSchema.methods.toSnapshot = function() {
+  return {
+    addressId: this._id,
+    label: this.label,
+    recipient: this.recipient,
+    phone: this.phone,
+    address: this.address,
+    district: this.district,
+    city: this.city,
+    postalCode: this.postalCode
+  };
+};
+
+DeliveryAddressSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    label: this.label,
+    recipient: this.recipient,
+    phone: this.phone,
+    address: this.address,
+    district: this.district,
+    city: this.city,
+    postalCode: this.postalCode,
+    isDefault: this.isDefault,
+    createdBy: this.createdBy,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('DeliveryAddress', DeliveryAddressSchema);
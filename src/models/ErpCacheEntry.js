@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// ERP cevap önbelleği (ERP_CACHE_STORE=mongo); süresi dolan kayıtları Mongo siler
+const ErpCacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // SOAP cevabı JSON string olarak tutulur (alan adlarındaki nokta/dolar sorun çıkarmasın)
+  payload: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'erpCacheEntries'
+});
+
+ErpCacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ErpCacheEntry', ErpCacheEntrySchema);
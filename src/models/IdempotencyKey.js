@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10);
+
+// Idempotency-Key başlığıyla gelen isteklerin özeti ve ilk cevabı
+const IdempotencyKeySchema = new mongoose.Schema({
+  // Anahtar kullanıcı bazında tekildir (farklı bayiler aynı anahtarı kullanabilir)
+  owner: {
+    type: String,
+    required: true
+  },
+
+  key: {
+    type: String,
+    required: true
+  },
+
+  route: {
+    type: String,
+    required: true
+  },
+
+  requestHash: {
+    type: String,
+    required: true
+  },
+
+  // failed: istek cevap kaydedilemeden düştü ve güvenle tekrar çalıştırılamıyor
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Takılı kalan "processing" kaydı devralındıkça artar
+  attempts: {
+    type: Number,
+    default: 1
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true,
+  collection: 'idempotencyKeys'
+});
+
+IdempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
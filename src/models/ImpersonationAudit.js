@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// "Bayi gibi görüntüle" oturumlarının denetim kaydı: kim, kimi, ne zaman, ne kadar
+const ImpersonationAuditSchema = new mongoose.Schema({
+  adminId: {
+    type: String,
+    required: true
+  },
+
+  adminUsername: {
+    type: String,
+    required: true
+  },
+
+  hesap: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  readOnly: {
+    type: Boolean,
+    default: true
+  },
+
+  sessionId: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  endedBy: {
+    type: String,
+    default: null
+  },
+
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastRequestAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'impersonationAudits'
+});
+
+ImpersonationAuditSchema.index({ adminId: 1, startedAt: -1 });
+ImpersonationAuditSchema.index({ hesap: 1, startedAt: -1 });
+
+ImpersonationAuditSchema.statics.recordRequest = function(auditId) {
+  return this.updateOne(
+    { _id: auditId },
+    { $inc: { requestCount: 1 }, $set: { lastRequestAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('ImpersonationAudit', ImpersonationAuditSchema);
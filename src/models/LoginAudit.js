@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.LOGIN_AUDIT_RETENTION_DAYS || '180', 10);
+
+// Her giriş denemesinin kaydı (başarılı / başarısız)
+const LoginAuditSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+
+  success: {
+    type: Boolean,
+    required: true
+  },
+
+  // admin, customer, dealer-user; başarısız denemelerde bilinmeyebilir
+  userType: {
+    type: String,
+    default: null
+  },
+
+  hesap: {
+    type: String,
+    default: null
+  },
+
+  // invalid_credentials, locked, throttled, error ...
+  reason: {
+    type: String,
+    default: null
+  },
+
+  ip: {
+    type: String,
+    default: ''
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  requestId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'loginAudits'
+});
+
+LoginAuditSchema.index({ username: 1, createdAt: -1 });
+LoginAuditSchema.index({ ip: 1, createdAt: -1 });
+LoginAuditSchema.index({ success: 1, createdAt: -1 });
+LoginAuditSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAudit', LoginAuditSchema);
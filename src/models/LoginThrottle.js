@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Kullanıcı adı bazında başarısız giriş sayacı ve kilit durumu
+const LoginThrottleSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    unique: true
+  },
+
+  // Son başarılı girişten bu yana ardışık hatalı deneme
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Bir sonraki denemeye izin verilen zaman (kademeli bekleme)
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Art arda kilitlenme sayısı - her kilitte süre uzar; başarılı girişte veya uzun aradan sonra sıfırlanır
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+
+  unlockedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'loginThrottles'
+});
+
+LoginThrottleSchema.index({ lockedUntil: 1 });
+
+LoginThrottleSchema.statics.normalize = function(username) {
+  return String(username || '').toLowerCase().trim();
+};
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
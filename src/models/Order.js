@@ -0,0 +1,439 @@
+const mongoose = require('mongoose');
+
+// queued: outbox'ta ERP'ye gönderilmeyi bekliyor, pending: gönderiliyor
+// unverified: sipcrea sonucu belirsiz (zaman aşımı), ERP'de açılıp açılmadığını uzlaştırma bulur
+// dead_letter: deneme hakkı bitti, admin müdahalesi bekliyor
+const ORDER_STATUSES = ['queued', 'pending', 'sent', 'unverified', 'confirmed', 'failed', 'dead_letter', 'cancelled'];
+const FULFILMENT_STATES = ['unknown', 'open', 'partial', 'completed', 'closed'];
+
+const OrderLineSchema = new mongoose.Schema({
+  stkno: {
+    type: String,
+    required: [true, 'Stock number is required'],
+    trim: true
+  },
+
+  stokadi: {
+    type: String,
+    default: ''
+  },
+
+  adet: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: 1
+  },
+
+  // Ürünün orijinal para birimi ve o para birimindeki birim fiyatı
+  cinsi: {
+    type: String,
+    default: 'TRY'
+  },
+
+  fiyat: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+
+  // ERP'ye gönderilen TL birim fiyat ve satır toplamı
+  fiyatTL: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+
+  tutarTL: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+
+  // Sipariş anında stokta olmayan (sonradan gönderilecek) miktar
+  backorderQty: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  note: {
+    type: String,
+    default: ''
+  },
+
+  // DD-MM-YYYY (sipcrea wtermin); boşsa sipariş geneli tarih kullanılır
+  deliveryDate: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// Siparişe kopyalanan teslimat adresi (DeliveryAddress sonradan değişse de korunur)
+const DeliveryAddressSnapshotSchema = new mongoose.Schema({
+  addressId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  label: String,
+  recipient: String,
+  phone: String,
+  address: String,
+  district: String,
+  city: String,
+  postalCode: String
+}, { _id: false });
+
+// rsiparisler satırlarından çıkarılan teslimat durumu
+const FulfilmentSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    enum: FULFILMENT_STATES,
+    default: 'unknown'
+  },
+
+  orderedQty: {
+    type: Number,
+    default: 0
+  },
+
+  remainingQty: {
+    type: Number,
+    default: 0
+  },
+
+  erpLines: [{
+    _id: false,
+    stkno: String,
+    sipmik: Number,
+    sipbak: Number,
+    siptut: Number,
+    termin: String
+  }],
+
+  firstSeenAt: {
+    type: Date,
+    default: null
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Outbox teslim denemeleri
+const DeliverySchema = new mongoose.Schema({
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  // Gönderimi üstlenen işlem (istek veya worker); takılı kalanları bulmak için
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+
+  // İlk denemede gönderilemeyip kuyruğa düştüyse; bayiye sonuç e-postası bunlara gider
+  queuedAt: {
+    type: Date,
+    default: null
+  },
+
+  deadLetteredAt: {
+    type: Date,
+    default: null
+  },
+
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const OrderSchema = new mongoose.Schema({
+  hesap: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true
+  },
+
+  // Siparişi veren: bayi hesabı ya da alt kullanıcı
+  placedBy: {
+    username: { type: String, default: null },
+    dealerUserId: { type: String, default: null }
+  },
+
+  // Admin "bayi gibi görüntüle" oturumunda verildiyse
+  impersonatedBy: {
+    type: String,
+    default: null
+  },
+
+  priceList: {
+    type: Number,
+    min: 1,
+    max: 15,
+    default: 1
+  },
+
+  lines: {
+    type: [OrderLineSchema],
+    validate: [lines => lines.length > 0, 'Order must contain at least one line']
+  },
+
+  totalTL: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Bayinin satın alma sipariş numarası
+  poNumber: {
+    type: String,
+    default: ''
+  },
+
+  note: {
+    type: String,
+    default: ''
+  },
+
+  // İstenen teslim tarihi (DD-MM-YYYY)
+  deliveryDate: {
+    type: String,
+    default: null
+  },
+
+  deliveryAddress: {
+    type: DeliveryAddressSnapshotSchema,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+
+  // ERP sipariş numarası (sipcrea cevabı)
+  sipno: {
+    type: String,
+    default: null
+  },
+
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  sentAt: {
+    type: Date,
+    default: null
+  },
+
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+
+  failedAt: {
+    type: Date,
+    default: null
+  },
+
+  failureReason: {
+    type: String,
+    default: null
+  },
+
+  fulfilment: {
+    type: FulfilmentSchema,
+    default: () => ({})
+  },
+
+  delivery: {
+    type: DeliverySchema,
+    default: () => ({})
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  cancelledBy: {
+    type: String,
+    default: null
+  },
+
+  lastReconciledAt: {
+    type: Date,
+    default: null
+  },
+
+  // ERP numarası dönmeyen ve uzlaştırmada eşleşmeyen 'sent' sipariş ekibe bildirildi
+  escalatedAt: {
+    type: Date,
+    default: null
+  },
+
+  requestId: {
+    type: String,
+    default: null
+  },
+
+  // Siparişi açan isteğin Idempotency-Key kaydı (takılı kalan anahtar devralınınca sipariş tekrar açılmaz)
+  idempotencyKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'orders'
+});
+
+OrderSchema.index({ hesap: 1, submittedAt: -1 });
+OrderSchema.index({ hesap: 1, sipno: 1 });
+OrderSchema.index({ status: 1, 'fulfilment.state': 1 });
+OrderSchema.index({ status: 1, 'delivery.nextAttemptAt': 1 });
+OrderSchema.index({ idempotencyKeyId: 1 }, { partialFilterExpression: { idempotencyKeyId: { $type: 'objectId' } } });
+
+OrderSchema.statics.STATUSES = ORDER_STATUSES;
+OrderSchema.statics.FULFILMENT_STATES = FULFILMENT_STATES;
+
+/**
+ * Bayinin siparişini yerel id veya ERP sipno ile bulur
+ */
+OrderSchema.statics.findForDealer = function(hesap, orderId) {
+  const or = [{ sipno: String(orderId) }];
+  if (mongoose.Types.ObjectId.isValid(orderId)) or.push({ _id: orderId });
+  return this.findOne({ hesap, $or: or });
+};
+
+OrderSchema.statics.findByIdempotencyKey = function(idempotencyKeyId) {
+  return this.findOne({ idempotencyKeyId });
+};
+
+// Uzlaştırma beklenen siparişler: ERP'ye gitmiş (veya gitmiş olabilecek) ve teslimatı kapanmamış olanlar
+OrderSchema.statics.findAwaitingReconciliation = function(since) {
+  return this.find({
+    status: { $in: ['sent', 'unverified', 'confirmed'] },
+    'fulfilment.state': { $nin: ['completed', 'closed'] },
+    submittedAt: { $gte: since }
+  }).sort({ submittedAt: 1 });
+};
+
+/**
+ * Sırası gelen kuyruktaki siparişi atomik olarak gönderime alır (aynı sipariş iki kez gönderilmez)
+ */
+OrderSchema.statics.claimNextForDelivery = function(now = new Date()) {
+  return this.findOneAndUpdate(
+    { status: 'queued', 'delivery.nextAttemptAt': { $lte: now } },
+    { $set: { status: 'pending', 'delivery.lockedAt': now } },
+    { sort: { 'delivery.nextAttemptAt': 1 }, new: true }
+  );
+};
+
+// Gönderim sırasında süreç düştüyse pending'de kalan siparişler
+OrderSchema.statics.findStaleDeliveries = function(lockedBefore) {
+  return this.find({ status: 'pending', 'delivery.lockedAt': { $lte: lockedBefore } });
+};
+
+OrderSchema.methods.markSent = function(sipno) {
+  this.status = 'sent';
+  this.sipno = sipno || null;
+  this.sentAt = new Date();
+  this.failureReason = null;
+  this.delivery.lockedAt = null;
+  this.delivery.nextAttemptAt = null;
+  return this.save();
+};
+
+OrderSchema.methods.markQueued = function(reason, nextAttemptAt) {
+  this.status = 'queued';
+  this.failureReason = reason;
+  this.delivery.lastError = reason;
+  this.delivery.lockedAt = null;
+  this.delivery.nextAttemptAt = nextAttemptAt;
+  this.delivery.queuedAt = this.delivery.queuedAt || new Date();
+  return this.save();
+};
+
+OrderSchema.methods.markDeadLetter = function(reason) {
+  this.status = 'dead_letter';
+  this.failureReason = reason;
+  this.delivery.lastError = reason;
+  this.delivery.lockedAt = null;
+  this.delivery.nextAttemptAt = null;
+  this.delivery.deadLetteredAt = new Date();
+  return this.save();
+};
+
+OrderSchema.methods.markUnverified = function(reason) {
+  this.status = 'unverified';
+  this.failureReason = reason;
+  this.delivery.lockedAt = null;
+  return this.save();
+};
+
+OrderSchema.methods.markFailed = function(reason) {
+  this.status = 'failed';
+  this.failedAt = new Date();
+  this.failureReason = reason;
+  return this.save();
+};
+
+OrderSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    sipno: this.sipno,
+    status: this.status,
+    placedBy: this.placedBy?.username || null,
+    priceList: this.priceList,
+    lines: this.lines.map(line => ({
+      stkno: line.stkno,
+      stokadi: line.stokadi,
+      adet: line.adet,
+      fiyat: line.fiyatTL,
+      tutar: line.tutarTL,
+      cinsi: 'TRY',
+      backorderQty: line.backorderQty || 0,
+      note: line.note || '',
+      deliveryDate: line.deliveryDate || null
+    })),
+    totalAmount: this.totalTL,
+    poNumber: this.poNumber || '',
+    note: this.note || '',
+    deliveryDate: this.deliveryDate || null,
+    deliveryAddress: this.deliveryAddress || null,
+    fulfilment: {
+      state: this.fulfilment?.state || 'unknown',
+      orderedQty: this.fulfilment?.orderedQty || 0,
+      remainingQty: this.fulfilment?.remainingQty || 0,
+      lastSeenAt: this.fulfilment?.lastSeenAt || null
+    },
+    delivery: {
+      attempts: this.delivery?.attempts || 0,
+      nextAttemptAt: this.delivery?.nextAttemptAt || null
+    },
+    submittedAt: this.submittedAt,
+    sentAt: this.sentAt,
+    confirmedAt: this.confirmedAt,
+    failureReason: this.failureReason
+  };
+};
+
+module.exports = mongoose.model('Order', OrderSchema);
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+const REQUEST_TYPES = ['cancel', 'change'];
+// open: temsilcide bekliyor, completed: ERP'de uygulandı, rejected: reddedildi, withdrawn: bayi geri çekti
+const REQUEST_STATUSES = ['open', 'completed', 'rejected', 'withdrawn'];
+const OPEN_STATUSES = ['open'];
+
+// Talep edilen satır değişikliği; requestedQty satırın istenen yeni toplam miktarıdır
+// (iptalde sevk edilmiş miktar, hiç sevk edilmemişse 0)
+const RequestLineSchema = new mongoose.Schema({
+  stkno: { type: String, required: true },
+  stokadi: { type: String, default: '' },
+  orderedQty: { type: Number, default: 0 },
+  remainingQty: { type: Number, default: 0 },
+  requestedQty: { type: Number, min: 0, required: true }
+}, { _id: false });
+
+// Temsilciye gönderilen bildirim
+const NotificationSchema = new mongoose.Schema({
+  to: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  error: { type: String, default: null }
+}, { _id: false });
+
+// Bayinin sipariş iptal / değişiklik talebi (ERP'de iptal metodu olmadığı için temsilci uygular)
+const OrderChangeRequestSchema = new mongoose.Schema({
+  hesap: {
+    type: String,
+    required: [true, 'Account code is required'],
+    trim: true
+  },
+
+  type: {
+    type: String,
+    enum: REQUEST_TYPES,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: REQUEST_STATUSES,
+    default: 'open'
+  },
+
+  // Portal siparişi ise yerel kayıt; ERP siparişi sipno ile takip edilir
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+
+  sipno: {
+    type: String,
+    default: null
+  },
+
+  // Boş: siparişin tamamı (iptal)
+  lines: {
+    type: [RequestLineSchema],
+    default: []
+  },
+
+  // Değişiklik talebinde istenen yeni teslim tarihi (DD-MM-YYYY)
+  deliveryDate: {
+    type: String,
+    default: null
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 500
+  },
+
+  requestedBy: {
+    username: { type: String, required: true },
+    dealerUserId: { type: mongoose.Schema.Types.ObjectId, ref: 'DealerUser', default: null }
+  },
+
+  impersonatedBy: {
+    type: String,
+    default: null
+  },
+
+  notification: {
+    type: NotificationSchema,
+    default: () => ({})
+  },
+
+  resolution: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 500
+  },
+
+  resolvedBy: {
+    type: String,
+    default: null
+  },
+
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+
+  requestId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'orderChangeRequests'
+});
+
+OrderChangeRequestSchema.index({ hesap: 1, createdAt: -1 });
+// Sipariş başına tek açık talep (eşzamanlı iki talebi de engeller)
+OrderChangeRequestSchema.index(
+  { hesap: 1, sipno: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' }, name: 'hesap_sipno_open_unique' }
+);
+OrderChangeRequestSchema.index({ status: 1, createdAt: -1 });
+
+OrderChangeRequestSchema.statics.TYPES = REQUEST_TYPES;
+OrderChangeRequestSchema.statics.STATUSES = REQUEST_STATUSES;
+
+OrderChangeRequestSchema.statics.findForDealer = function(hesap, id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+  return this.findOne({ _id: id, hesap });
+};
+
+OrderChangeRequestSchema.statics.findOpenForOrder = function(hesap, sipno) {
+  return this.findOne({ hesap, sipno: String(sipno), status: { $in: OPEN_STATUSES } });
+};
+
+OrderChangeRequestSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    status: this.status,
+    orderId: this.order,
+    sipno: this.sipno,
+    lines: this.lines,
+    deliveryDate: this.deliveryDate,
+    reason: this.reason,
+    requestedBy: this.requestedBy?.username,
+    notified: !!this.notification?.sentAt,
+    resolution: this.resolution,
+    resolvedAt: this.resolvedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('OrderChangeRequest', OrderChangeRequestSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+// product: key = stkno, grupadi: ürün grubu adı, fgrp: ana kategori kodu,
+// global: tüm ürünler (sadece minimum sepet tutarı)
+const RULE_SCOPES = ['product', 'grupadi', 'fgrp', 'global'];
+const LINE_SCOPES = ['product', 'grupadi', 'fgrp'];
+
+// Sipariş kuralları: minimum sipariş miktarı, paket katı ve minimum sepet tutarı
+const OrderRuleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: RULE_SCOPES,
+    required: [true, 'Scope is required']
+  },
+
+  key: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // null: tüm fiyat listeleri (bayi grupları)
+  priceList: {
+    type: Number,
+    min: 1,
+    max: 15,
+    default: null
+  },
+
+  // Satır kuralları (product/grupadi/fgrp)
+  minQty: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  packSize: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  // Sepet kuralı (global) - TL, KDV hariç
+  minOrderTotal: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 200
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'orderRules'
+});
+
+OrderRuleSchema.index({ scope: 1, key: 1, priceList: 1 }, { unique: true });
+
+OrderRuleSchema.pre('validate', function(next) {
+  if (this.scope === 'global') {
+    this.key = '*';
+    if (this.minQty || this.packSize) {
+      this.invalidate('scope', 'Global rules can only define a minimum order total');
+    }
+    if (!this.minOrderTotal) {
+      this.invalidate('minOrderTotal', 'Minimum order total is required for global rules');
+    }
+  } else {
+    if (!this.key) {
+      this.invalidate('key', 'Key is required for product and category rules');
+    }
+    if (this.minOrderTotal) {
+      this.invalidate('minOrderTotal', 'Minimum order total can only be set on global rules');
+    }
+    if (!this.minQty && !this.packSize) {
+      this.invalidate('minQty', 'Minimum quantity or pack size is required');
+    }
+  }
+  next();
+});
+
+OrderRuleSchema.statics.SCOPES = RULE_SCOPES;
+OrderRuleSchema.statics.LINE_SCOPES = LINE_SCOPES;
+
+/**
+ * Fiyat listesine uygulanabilen aktif kurallar: verilen ürünlerin ürün kuralları
+ * ile tüm kategori ve global kurallar
+ */
+OrderRuleSchema.statics.findApplicable = function(priceList, stknos = []) {
+  return this.find({
+    isActive: true,
+    priceList: { $in: [null, Number(priceList) || 1] },
+    $or: [
+      { scope: 'product', key: { $in: stknos } },
+      { scope: { $ne: 'product' } }
+    ]
+  }).lean();
+};
+
+OrderRuleSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    scope: this.scope,
+    key: this.key,
+    priceList: this.priceList,
+    minQty: this.minQty,
+    packSize: this.packSize,
+    minOrderTotal: this.minOrderTotal,
+    note: this.note,
+    isActive: this.isActive,
+    createdBy: this.createdBy,
+    updatedBy: this.updatedBy,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('OrderRule', OrderRuleSchema);
@@ -1,7 +1,12 @@
 const mongoose = require('mongoose');
 
+// Büyük/küçük harf duyarsız stok kodu eşleşmesi için (Türkçe i/ı/İ farkı da yok sayılır)
+const normalizeStkno = (value) => String(value ?? '').trim().toUpperCase().replace(/İ/g, 'I');
+
 const ProductSchema = new mongoose.Schema({
   stkno: { type: String, required: true, unique: true },
+  // stkno'nun normalize hali; hızlı sipariş kod eşleştirme ve önerileri bu index'i kullanır
+  stknoKey: { type: String, index: true },
   stokadi: { type: String },
   grupadi: { type: String },
   
@@ -68,4 +73,35 @@ ProductSchema.index(
   { weights: { stkno: 8, stokadi: 5, grupadi: 2 }, default_language: 'turkish' }
 );
 
+ProductSchema.pre('save', function(next) {
+  if (this.isModified('stkno')) this.stknoKey = normalizeStkno(this.stkno);
+  next();
+});
+
+ProductSchema.statics.normalizeStkno = normalizeStkno;
+
+/**
+ * stknoKey'i olmayan ürünleri doldurur (alan eklenmeden önce senkronlanmış kayıtlar)
+ */
+ProductSchema.statics.backfillStknoKeys = async function(batchSize = 500) {
+  let updated = 0;
+  let ops = [];
+
+  const flush = async () => {
+    if (!ops.length) return;
+    await this.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+    ops = [];
+  };
+
+  const cursor = this.find({ stknoKey: null }).select('stkno').lean().cursor();
+  for await (const product of cursor) {
+    ops.push({ updateOne: { filter: { _id: product._id }, update: { $set: { stknoKey: normalizeStkno(product.stkno) } } } });
+    if (ops.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
 module.exports = mongoose.model('Product', ProductSchema);
\ No newline at end of file
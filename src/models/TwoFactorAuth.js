@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// TOTP iki adımlı doğrulama kaydı; owner = oturum sahibi anahtarı (admin:<kullanıcı>, hesap kodu, dealer-user:<id>)
+const TwoFactorAuthSchema = new mongoose.Schema({
+  owner: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+
+  // AES-256-GCM ile şifrelenmiş base32 secret
+  secretEnc: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Yedek kodların SHA-256 özetleri; kullanılan kod listeden çıkarılır
+  backupCodeHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+
+  // Aynı kodun tekrar kullanılmasını engeller
+  lastUsedStep: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'twoFactorAuth'
+});
+
+TwoFactorAuthSchema.statics.findWithSecrets = function(owner) {
+  return this.findOne({ owner }).select('+secretEnc +backupCodeHashes');
+};
+
+TwoFactorAuthSchema.statics.isEnabledFor = async function(owner) {
+  const record = await this.findOne({ owner }).select('enabled').lean();
+  return !!record?.enabled;
+};
+
+module.exports = mongoose.model('TwoFactorAuth', TwoFactorAuthSchema);
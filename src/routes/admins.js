@@ -0,0 +1,259 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+const AdminUser = require('../models/AdminUser');
+const AuthSession = require('../models/AuthSession');
+const twoFactorService = require('../services/twoFactorService');
+const { sessionOwner } = require('../services/tokenService');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, ROLE_PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Tüm admin yönetimi admins:manage yetkisi ister
+router.use(authenticateToken, requirePermission(PERMISSIONS.ADMINS_MANAGE));
+
+const validateCreateAdmin = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('Username is required')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3-50 characters'),
+
+  body('password')
+    .isLength({ min: 10, max: 100 })
+    .withMessage('Password must be between 10-100 characters'),
+
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  body('displayName').optional().isString().trim().isLength({ max: 100 }),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Invalid email').normalizeEmail()
+];
+
+const validateUpdateAdmin = [
+  body('password')
+    .optional()
+    .isLength({ min: 10, max: 100 })
+    .withMessage('Password must be between 10-100 characters'),
+
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean').toBoolean(),
+  body('displayName').optional().isString().trim().isLength({ max: 100 }),
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Invalid email').normalizeEmail()
+];
+
+const findAdminOr404 = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Admin user not found', 404);
+  }
+
+  const admin = await AdminUser.findById(id);
+  if (!admin) {
+    throw new AppError('Admin user not found', 404);
+  }
+
+  return admin;
+};
+
+// Sistemde en az bir aktif superadmin kalmalı
+const ensureAnotherSuperadmin = async (admin) => {
+  if (admin.role !== 'superadmin' || !admin.isActive) return;
+
+  const others = await AdminUser.countDocuments({
+    _id: { $ne: admin._id },
+    role: 'superadmin',
+    isActive: true
+  });
+
+  if (others === 0) {
+    throw new AppError('At least one active superadmin is required', 400);
+  }
+};
+
+// Parola, rol veya aktiflik değişince adminin refresh oturumları kapatılır (rol token'da taşınır).
+// Admin kendi hesabını güncelliyorsa mevcut oturumu açık kalır.
+const revokeSessionsOf = (admin, reason, req) =>
+  AuthSession.revokeAllForUser(sessionOwner({ type: 'admin', username: admin.username }), reason, {
+    exceptSessionId: String(admin._id) === String(req.user.adminId) ? req.user.sid : null
+  });
+
+// ===============================
+// GET /api/admins/roles
+// ===============================
+router.get('/roles', catchAsync(async (req, res) => {
+  res.json({
+    success: true,
+    data: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+}));
+
+// ===============================
+// GET /api/admins
+// ===============================
+router.get('/', catchAsync(async (req, res) => {
+  logger.request(req, `Listing admin users, by: ${req.user.username}`);
+
+  const admins = await AdminUser.find({}).sort({ username: 1 });
+
+  res.json({
+    success: true,
+    data: admins.map(a => a.toPublic())
+  });
+}));
+
+// ===============================
+// GET /api/admins/:id
+// ===============================
+router.get('/:id', catchAsync(async (req, res) => {
+  const admin = await findAdminOr404(req.params.id);
+
+  res.json({ success: true, data: admin.toPublic() });
+}));
+
+// ===============================
+// POST /api/admins
+// ===============================
+router.post('/', validateCreateAdmin, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { username, password, role, displayName, email } = req.body;
+
+  const admin = new AdminUser({
+    username,
+    role,
+    displayName: displayName || '',
+    email: email || '',
+    createdBy: req.user.username
+  });
+  await admin.setPassword(password);
+  await admin.save();
+
+  logger.info('Admin user created', {
+    username: admin.username,
+    role: admin.role,
+    by: req.user.username,
+    requestId: req.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Admin user created',
+    data: admin.toPublic()
+  });
+}));
+
+// ===============================
+// PUT /api/admins/:id
+// ===============================
+router.put('/:id', validateUpdateAdmin, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const admin = await findAdminOr404(req.params.id);
+  const { password, role, isActive, displayName, email } = req.body;
+
+  const demoting = role !== undefined && role !== admin.role;
+  const deactivating = isActive === false && admin.isActive;
+  if (demoting || deactivating) {
+    await ensureAnotherSuperadmin(admin);
+  }
+
+  if (role !== undefined) admin.role = role;
+  if (isActive !== undefined) admin.isActive = isActive;
+  if (displayName !== undefined) admin.displayName = displayName;
+  if (email !== undefined) admin.email = email;
+  if (password) await admin.setPassword(password);
+
+  await admin.save();
+
+  if (password || demoting || deactivating) {
+    const reason = password ? 'password_changed' : (deactivating ? 'admin_disabled' : 'role_changed');
+    await revokeSessionsOf(admin, reason, req);
+  }
+
+  logger.info('Admin user updated', {
+    username: admin.username,
+    fields: Object.keys(req.body).filter(k => k !== 'password'),
+    passwordChanged: !!password,
+    by: req.user.username,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Admin user updated',
+    data: admin.toPublic()
+  });
+}));
+
+// ===============================
+// DELETE /api/admins/:id/2fa
+// ===============================
+router.delete('/:id/2fa', catchAsync(async (req, res) => {
+  const admin = await findAdminOr404(req.params.id);
+  const removed = await twoFactorService.resetFor({ type: 'admin', username: admin.username });
+
+  logger.warn('Admin 2FA reset', {
+    username: admin.username,
+    removed,
+    by: req.user.username,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: removed ? 'Two-factor authentication reset' : 'Two-factor authentication was not enabled'
+  });
+}));
+
+// ===============================
+// DELETE /api/admins/:id
+// ===============================
+router.delete('/:id', catchAsync(async (req, res) => {
+  const admin = await findAdminOr404(req.params.id);
+
+  if (String(admin._id) === String(req.user.adminId)) {
+    throw new AppError('You cannot delete your own admin account', 400);
+  }
+
+  await ensureAnotherSuperadmin(admin);
+  await admin.deleteOne();
+  await twoFactorService.resetFor({ type: 'admin', username: admin.username });
+  await revokeSessionsOf(admin, 'admin_deleted', req);
+
+  logger.warn('Admin user deleted', {
+    username: admin.username,
+    role: admin.role,
+    by: req.user.username,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Admin user deleted'
+  });
+}));
+
+module.exports = router;
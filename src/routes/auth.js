@@ -1,11 +1,22 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const router = express.Router();
 
 const soapService = require('../services/soapService');
+const tokenService = require('../services/tokenService');
+const dealerProfileService = require('../services/dealerProfileService');
+const passwordService = require('../services/passwordService');
+const loginGuardService = require('../services/loginGuardService');
+const twoFactorService = require('../services/twoFactorService');
+const AdminUser = require('../models/AdminUser');
+const DealerUser = require('../models/DealerUser');
+const DealerProfile = require('../models/DealerProfile');
+const DealerCredential = require('../models/DealerCredential');
+const AuthSession = require('../models/AuthSession');
+const { permissionsForRole, hasDealerPermission, DEALER_PERMISSIONS } = require('../utils/permissions');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
-const { authLimiter, authenticateToken } = require('../middleware/auth');
+const { authLimiter, authenticateToken, blockImpersonation } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 // Validation middleware
@@ -14,8 +25,8 @@ const validateLogin = [
     .trim()
     .notEmpty()
     .withMessage('Username is required')
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Username must be between 2-50 characters'),
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Username must be between 2-100 characters'),
     
   body('password')
     .notEmpty()
@@ -24,82 +35,237 @@ const validateLogin = [
     .withMessage('Password must be between 3-100 characters')
 ];
 
-// Helper function to generate JWT token
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
+const validateRefresh = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const newPasswordRule = (field) => body(field)
+  .isString()
+  .isLength({ min: 8, max: 100 })
+  .withMessage('Password must be between 8-100 characters');
+
+const validateForgotPassword = [
+  body('username').trim().notEmpty().withMessage('Username is required')
+];
+
+const validateResetPassword = [
+  body('token').isString().notEmpty().withMessage('Token is required'),
+  newPasswordRule('password')
+];
+
+const validateChangePassword = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  newPasswordRule('newPassword')
+];
+
+const validatePreAuth = [
+  body('preAuthToken').isString().notEmpty().withMessage('Pre-auth token is required')
+];
+
+const validateTwoFactorCode = [
+  body('code').isString().trim().notEmpty().withMessage('Verification code is required')
+];
+
+const validatePreAuthCode = [...validatePreAuth, ...validateTwoFactorCode];
+
+// Login / refresh cevaplarında ortak token alanları
+const tokenFields = (tokens) => ({
+  token: `Bearer ${tokens.accessToken}`,
+  refreshToken: tokens.refreshToken,
+  expiresIn: tokens.expiresIn,
+  refreshExpiresAt: tokens.refreshExpiresAt
+});
+
+// Refresh sırasında bayi profili ERP'den yeniden doğrulanır (bakiye, fiyat listesi vb.)
+const refreshDealerClaims = (req) => async (claims) => {
+  if (claims.type !== 'customer') return claims;
+
+  try {
+    await dealerProfileService.refreshFromErp(claims.hesap);
+  } catch (error) {
+    logger.warn('Dealer profile refresh from ERP failed - using cached profile', {
+      userId: claims.hesap,
+      error: error.message,
+      requestId: req.id
+    });
+  }
+
+  return dealerProfileService.applyToClaims(claims);
 };
 
-// ===============================
-// POST /api/auth/login
-// ===============================
-router.post('/login', authLimiter, validateLogin, catchAsync(async (req, res) => {
-  // Check validation results
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    logger.warn('Login validation failed', {
-      errors: errors.array(),
-      ip: req.ip,
+// Yerel parolalı bayi için claim'ler (uuselogin çağrılamadığından profil ERP müşteri listesinden yenilenir)
+const localDealerClaims = async (hesap, req) => {
+  try {
+    await dealerProfileService.refreshFromErp(hesap);
+  } catch (error) {
+    logger.warn('Dealer profile refresh from ERP failed on login - using cached profile', {
+      userId: hesap,
+      error: error.message,
       requestId: req.id
     });
-    
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed',
-      errors: errors.array()
+  }
+
+  const profile = await DealerProfile.getByHesap(hesap);
+  if (!profile) {
+    throw new AppError('Dealer account profile is not available', 503);
+  }
+
+  return {
+    ...DealerProfile.toClaims(profile),
+    username: hesap,
+    hesap,
+    type: 'customer'
+  };
+};
+
+// Admin girişi (yerel AdminUser koleksiyonu)
+const loginAdmin = async (adminUser, password, req) => {
+  const passwordOk = adminUser.isActive && await adminUser.verifyPassword(password);
+
+  if (!passwordOk) {
+    logger.warn('Admin authentication failed', {
+      username: adminUser.username,
+      inactive: !adminUser.isActive,
+      requestId: req.id,
+      ip: req.ip
     });
+
+    throw new AppError('Invalid credentials', 401);
   }
 
-  const { username, password } = req.body;
+  adminUser.lastLoginAt = new Date();
+  await adminUser.save();
 
-  logger.request(req, `Login attempt for username: ${username}`);
+  const claims = {
+    adminId: String(adminUser._id),
+    company: 'admin',
+    list: 'admin',
+    username: adminUser.username,
+    hesap: 'admin',
+    type: 'admin',
+    role: adminUser.role
+  };
 
-  // Check for admin credentials first (hardcoded as in original)
-  if (username.toLowerCase() === 'admin' && password === '123123123') {
-    const adminPayload = {
-      company: 'admin',
-      list: 'admin',
-      username: 'admin',
-      hesap: 'admin',
-      type: 'admin'
-    };
+  logger.auth('Admin login successful', adminUser.username, {
+    requestId: req.id,
+    role: adminUser.role,
+    ip: req.ip
+  });
+
+  return {
+    claims,
+    userType: 'admin',
+    user: {
+      username: claims.username,
+      type: claims.type,
+      company: claims.company,
+      role: claims.role,
+      permissions: permissionsForRole(claims.role)
+    }
+  };
+};
 
-    const token = generateToken(adminPayload);
+// E-posta ile giriş: bayi alt kullanıcısı (yerel parola)
+const loginDealerUser = async (username, password, req) => {
+  const dealerUser = await DealerUser.findForLogin(username);
+  const passwordOk = !!dealerUser && dealerUser.isActive && await dealerUser.verifyPassword(password);
 
-    logger.auth('Admin login successful', 'admin', {
+  if (!passwordOk) {
+    logger.warn('Dealer sub-user authentication failed', {
+      username,
       requestId: req.id,
       ip: req.ip
     });
 
-    return res.json({
-      success: true,
-      message: 'Login successful',
-      token: `Bearer ${token}`,
-      user: {
-        username: adminPayload.username,
-        type: adminPayload.type,
-        company: adminPayload.company
-      }
-    });
+    throw new AppError('Invalid credentials', 401);
   }
 
+  const profile = await DealerProfile.getByHesap(dealerUser.hesap);
+  if (!profile) {
+    throw new AppError('Dealer account profile is not available yet', 403);
+  }
+
+  dealerUser.lastLoginAt = new Date();
+  await dealerUser.save();
+
+  const claims = {
+    ...DealerProfile.toClaims(profile),
+    username: dealerUser.email,
+    hesap: dealerUser.hesap,
+    type: 'customer',
+    dealerUserId: String(dealerUser._id),
+    permissions: dealerUser.permissions
+  };
+
+  logger.auth('Dealer sub-user login successful', dealerUser.email, {
+    requestId: req.id,
+    hesap: dealerUser.hesap,
+    ip: req.ip
+  });
+
+  return {
+    claims,
+    userType: 'dealer-user',
+    user: {
+      username: claims.username,
+      type: claims.type,
+      company: claims.company,
+      email: dealerUser.email,
+      list: claims.list,
+      permissions: claims.permissions
+    }
+  };
+};
+
+// Bayi hesap sahibi: yerel parola varsa o, yoksa ERP (uuselogin)
+const loginDealer = async (username, password, req) => {
   try {
-    // Authenticate via SOAP service
-    const authResult = await soapService.authenticateUser(username, password);
-    
-    if (!authResult.success) {
-      logger.warn('SOAP authentication failed', {
-        username,
-        requestId: req.id,
-        ip: req.ip
-      });
+    let userPayload;
+    const credential = await DealerCredential.findForLogin(username);
+
+    if (credential) {
+      // Parolası panelden değiştirilmiş bayi: yerel parola doğrulanır, profil önbellekten gelir
+      if (!(await credential.verifyPassword(password))) {
+        logger.warn('Local dealer authentication failed', {
+          username,
+          requestId: req.id,
+          ip: req.ip
+        });
+
+        throw new AppError('Invalid credentials', 401);
+      }
+
+      userPayload = await localDealerClaims(username, req);
+    } else {
+      // Authenticate via SOAP service
+      const authResult = await soapService.authenticateUser(username, password);
       
-      throw new AppError('Invalid credentials', 401);
-    }
+      if (!authResult.success) {
+        logger.warn('SOAP authentication failed', {
+          username,
+          requestId: req.id,
+          ip: req.ip
+        });
+        
+        throw new AppError('Invalid credentials', 401);
+      }
 
-    const userPayload = authResult.user;
-    const token = generateToken(userPayload);
+      userPayload = authResult.user;
+
+      // uuselogin'den gelen taze profil önbelleğe yazılır
+      try {
+        await dealerProfileService.saveFromLogin(userPayload);
+      } catch (profileError) {
+        logger.warn('Dealer profile cache update failed on login', {
+          username,
+          error: profileError.message,
+          requestId: req.id
+        });
+      }
+    }
 
     logger.auth('Customer login successful', username, {
       requestId: req.id,
@@ -107,10 +273,9 @@ router.post('/login', authLimiter, validateLogin, catchAsync(async (req, res) =>
       ip: req.ip
     });
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token: `Bearer ${token}`,
+    return {
+      claims: userPayload,
+      userType: 'customer',
       user: {
         username: userPayload.username,
         type: userPayload.type,
@@ -120,8 +285,7 @@ router.post('/login', authLimiter, validateLogin, catchAsync(async (req, res) =>
         phone: userPayload.phone,
         bakiye: userPayload.bakiye
       }
-    });
-
+    };
   } catch (error) {
     logger.error('Login error:', {
       username,
@@ -136,26 +300,200 @@ router.post('/login', authLimiter, validateLogin, catchAsync(async (req, res) =>
 
     throw new AppError('Authentication service unavailable', 503);
   }
+};
+
+// Kimlik doğrulaması tamamlanan kullanıcı için oturum açar ve login cevabını döner
+const completeLogin = async (result, req, res, extra = {}) => {
+  await loginGuardService.recordSuccess(result.claims.username, req, {
+    userType: result.userType,
+    hesap: result.claims.hesap
+  });
+
+  const tokens = await tokenService.createSession(result.claims, req);
+
+  return res.json({
+    success: true,
+    message: 'Login successful',
+    ...tokenFields(tokens),
+    user: result.user,
+    ...extra
+  });
+};
+
+// Kullanıcı adına göre doğru giriş yöntemini seçer
+const authenticateLogin = async (username, password, req) => {
+  // Admin hesapları önce yerel AdminUser koleksiyonunda aranır
+  const adminUser = await AdminUser.findForLogin(username);
+  if (adminUser) {
+    return loginAdmin(adminUser, password, req);
+  }
+
+  if (username.includes('@')) {
+    return loginDealerUser(username, password, req);
+  }
+
+  return loginDealer(username, password, req);
+};
+
+// ===============================
+// POST /api/auth/login
+// ===============================
+router.post('/login', authLimiter, validateLogin, catchAsync(async (req, res) => {
+  // Check validation results
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Login validation failed', {
+      errors: errors.array(),
+      ip: req.ip,
+      requestId: req.id
+    });
+    
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { username, password } = req.body;
+
+  logger.request(req, `Login attempt for username: ${username}`);
+
+  // Kullanıcı adı kilitli veya bekleme süresindeyse burada 429 döner
+  await loginGuardService.assertCanAttempt(username, req, res);
+
+  let result;
+  try {
+    result = await authenticateLogin(username, password, req);
+  } catch (error) {
+    if (error instanceof AppError && error.statusCode === 401) {
+      await loginGuardService.recordFailure(username, req);
+    }
+    throw error;
+  }
+
+  // İki adımlı doğrulama: oturum açılmadan önce kısa ömürlü pre-auth token verilir
+  if (await twoFactorService.isEnabledFor(result.claims)) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      twoFactorRequired: true,
+      preAuthToken: twoFactorService.issuePreAuthToken(result, twoFactorService.PRE_AUTH_PURPOSES.VERIFY),
+      expiresIn: twoFactorService.PRE_AUTH_EXPIRES_IN
+    });
+  }
+
+  if (twoFactorService.isRequiredFor(result.claims)) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication setup required',
+      twoFactorSetupRequired: true,
+      preAuthToken: twoFactorService.issuePreAuthToken(result, twoFactorService.PRE_AUTH_PURPOSES.SETUP),
+      expiresIn: twoFactorService.PRE_AUTH_EXPIRES_IN
+    });
+  }
+
+  return completeLogin(result, req, res);
+}));
+
+// ===============================
+// POST /api/auth/login/2fa
+// ===============================
+router.post('/login/2fa', authLimiter, validatePreAuthCode, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const result = twoFactorService.verifyPreAuthToken(req.body.preAuthToken, twoFactorService.PRE_AUTH_PURPOSES.VERIFY);
+  const username = result.claims.username;
+
+  await loginGuardService.assertCanAttempt(username, req, res);
+
+  if (!(await twoFactorService.verifyLoginCode(result.claims, req.body.code))) {
+    await loginGuardService.recordFailure(username, req, { reason: 'invalid_2fa_code' });
+
+    logger.warn('2FA verification failed', {
+      username,
+      requestId: req.id,
+      ip: req.ip
+    });
+
+    throw new AppError('Invalid verification code', 401);
+  }
+
+  return completeLogin(result, req, res);
+}));
+
+// ===============================
+// POST /api/auth/login/2fa/setup
+// ===============================
+router.post('/login/2fa/setup', authLimiter, validatePreAuth, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const result = twoFactorService.verifyPreAuthToken(req.body.preAuthToken, twoFactorService.PRE_AUTH_PURPOSES.SETUP);
+  const enrolment = await twoFactorService.startEnrolment(result.claims);
+
+  res.json({ success: true, data: enrolment });
+}));
+
+// ===============================
+// POST /api/auth/login/2fa/enable
+// ===============================
+router.post('/login/2fa/enable', authLimiter, validatePreAuthCode, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const result = twoFactorService.verifyPreAuthToken(req.body.preAuthToken, twoFactorService.PRE_AUTH_PURPOSES.SETUP);
+  const { backupCodes } = await twoFactorService.confirmEnrolment(result.claims, req.body.code);
+
+  return completeLogin(result, req, res, { backupCodes });
 }));
 
 // ===============================
 // POST /api/auth/refresh
 // ===============================
-router.post('/refresh', authenticateToken, catchAsync(async (req, res) => {
-  const user = req.user;
-  
-  // Generate new token with same payload but fresh expiration
-  const newToken = generateToken(user);
-  
-  logger.auth('Token refreshed', user.hesap, {
+router.post('/refresh', authLimiter, validateRefresh, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Refresh token rotate edilir; eski token bir daha kullanılamaz
+  const tokens = await tokenService.rotateRefreshToken(req.body.refreshToken, req, {
+    refreshClaims: refreshDealerClaims(req)
+  });
+
+  logger.auth('Token refreshed', null, {
     requestId: req.id,
-    type: user.type
+    sessionId: tokens.sessionId
   });
 
   res.json({
     success: true,
     message: 'Token refreshed successfully',
-    token: `Bearer ${newToken}`
+    ...tokenFields(tokens)
   });
 }));
 
@@ -178,10 +516,18 @@ router.get('/me', authenticateToken, catchAsync(async (req, res) => {
       hesap: user.hesap,
       email: user.email || '',
       phone: user.phone || '',
-      bakiye: user.bakiye || '0',
+      bakiye: hasDealerPermission(user, DEALER_PERMISSIONS.VIEW_EXTRACT) ? (user.bakiye || '0') : null,
       adres: user.adres || '',
       sehir: user.sehir || '',
-      ulke: user.ulke || ''
+      ulke: user.ulke || '',
+      ...(user.type === 'admin' && {
+        role: user.role,
+        permissions: permissionsForRole(user.role)
+      }),
+      ...(user.dealerUserId && {
+        dealerUserId: user.dealerUserId,
+        permissions: user.permissions || []
+      })
     }
   });
 }));
@@ -191,14 +537,19 @@ router.get('/me', authenticateToken, catchAsync(async (req, res) => {
 // ===============================
 router.post('/logout', authenticateToken, catchAsync(async (req, res) => {
   const user = req.user;
+  const allDevices = req.body?.allDevices === true;
+
+  if (allDevices) {
+    await AuthSession.revokeAllForUser(tokenService.sessionOwner(user), 'logout_all');
+  } else {
+    await AuthSession.revokeSession(user.sid, 'logout');
+  }
   
   logger.auth('User logged out', user.hesap, {
-    requestId: req.id
+    requestId: req.id,
+    sessionId: user.sid,
+    allDevices
   });
-
-  // Note: With JWT, we can't actually invalidate the token on server-side
-  // The frontend should remove the token from storage
-  // In a production app, you might want to maintain a blacklist of tokens
   
   res.json({
     success: true,
@@ -206,6 +557,283 @@ router.post('/logout', authenticateToken, catchAsync(async (req, res) => {
   });
 }));
 
+// ===============================
+// GET /api/auth/sessions
+// ===============================
+router.get('/sessions', authenticateToken, blockImpersonation, catchAsync(async (req, res) => {
+  const sessions = await AuthSession.getActiveSessions(tokenService.sessionOwner(req.user));
+
+  res.json({
+    success: true,
+    data: sessions.map(s => s.toPublic(req.user.sid))
+  });
+}));
+
+// ===============================
+// DELETE /api/auth/sessions/:sessionId
+// ===============================
+router.delete('/sessions/:sessionId', authenticateToken, blockImpersonation, catchAsync(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new AppError('Session not found', 404);
+  }
+
+  const session = await AuthSession.findOne({ _id: sessionId, user: tokenService.sessionOwner(req.user) });
+  if (!session) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await AuthSession.revokeSession(session._id, 'revoked_by_user');
+
+  logger.auth('Session revoked', req.user.hesap, {
+    requestId: req.id,
+    sessionId
+  });
+
+  res.json({
+    success: true,
+    message: 'Session revoked'
+  });
+}));
+
+// ===============================
+// POST /api/auth/forgot-password
+// ===============================
+router.post('/forgot-password', authLimiter, validateForgotPassword, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { username } = req.body;
+  const account = await passwordService.findAccount(username);
+
+  if (account) {
+    try {
+      await passwordService.sendResetEmail(account);
+      logger.auth('Password reset email sent', account.hesap, {
+        kind: account.kind,
+        requestId: req.id,
+        ip: req.ip
+      });
+    } catch (error) {
+      logger.error('Password reset email failed', {
+        hesap: account.hesap,
+        error: error.message,
+        requestId: req.id
+      });
+    }
+  } else {
+    logger.warn('Password reset requested for unknown account', {
+      username,
+      requestId: req.id,
+      ip: req.ip
+    });
+  }
+
+  // Hesabın varlığı dışarıya sızdırılmaz
+  res.json({
+    success: true,
+    message: 'Hesabınıza kayıtlı bir e-posta adresi varsa parola sıfırlama bağlantısı gönderildi.'
+  });
+}));
+
+// Sıfırlama ve aktivasyon aynı akışı kullanır, sadece token amacı farklıdır
+const completePasswordToken = (purpose, successMessage) => catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { token, password } = req.body;
+  const account = await passwordService.verifyToken(token, purpose);
+
+  await passwordService.setPassword(account, password);
+
+  logger.auth(`Password set via ${purpose} link`, account.hesap, {
+    kind: account.kind,
+    requestId: req.id,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: successMessage
+  });
+});
+
+// ===============================
+// POST /api/auth/reset-password
+// ===============================
+router.post('/reset-password', authLimiter, validateResetPassword,
+  completePasswordToken(passwordService.PURPOSES.RESET, 'Parolanız güncellendi. Yeni parolanızla giriş yapabilirsiniz.'));
+
+// ===============================
+// POST /api/auth/activate
+// ===============================
+router.post('/activate', authLimiter, validateResetPassword,
+  completePasswordToken(passwordService.PURPOSES.ACTIVATION, 'Hesabınız etkinleştirildi. Parolanızla giriş yapabilirsiniz.'));
+
+// ===============================
+// POST /api/auth/change-password
+// ===============================
+router.post('/change-password', authenticateToken, blockImpersonation, validateChangePassword, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = req.user;
+  const { currentPassword, newPassword } = req.body;
+
+  if (user.type === 'admin') {
+    const admin = await AdminUser.findById(user.adminId).select('+passwordHash');
+    if (!admin || !(await admin.verifyPassword(currentPassword))) {
+      throw new AppError('Current password is incorrect', 400);
+    }
+
+    await admin.setPassword(newPassword);
+    await admin.save();
+    await AuthSession.revokeAllForUser(tokenService.sessionOwner(user), 'password_changed', {
+      exceptSessionId: user.sid
+    });
+  } else if (user.dealerUserId) {
+    const dealerUser = await DealerUser.findById(user.dealerUserId).select('+passwordHash');
+    if (!dealerUser || !(await dealerUser.verifyPassword(currentPassword))) {
+      throw new AppError('Current password is incorrect', 400);
+    }
+
+    await passwordService.setPassword(
+      { kind: 'dealer-user', id: String(dealerUser._id), hesap: dealerUser.hesap },
+      newPassword,
+      { keepSessionId: user.sid }
+    );
+  } else {
+    // Yerel parola yoksa mevcut parola ERP üzerinden doğrulanır
+    const credential = await DealerCredential.findForLogin(user.hesap);
+    const currentOk = credential
+      ? await credential.verifyPassword(currentPassword)
+      : await soapService.authenticateUser(user.hesap, currentPassword).then(r => r.success, () => false);
+
+    if (!currentOk) {
+      throw new AppError('Current password is incorrect', 400);
+    }
+
+    await passwordService.setPassword(
+      { kind: 'dealer', id: user.hesap, hesap: user.hesap },
+      newPassword,
+      { keepSessionId: user.sid }
+    );
+  }
+
+  logger.auth('Password changed by user', user.hesap, {
+    requestId: req.id,
+    type: user.type,
+    dealerUserId: user.dealerUserId || null
+  });
+
+  res.json({
+    success: true,
+    message: 'Parolanız güncellendi'
+  });
+}));
+
+// ===============================
+// GET /api/auth/2fa
+// ===============================
+router.get('/2fa', authenticateToken, blockImpersonation, catchAsync(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user);
+  res.json({ success: true, data: status });
+}));
+
+// ===============================
+// POST /api/auth/2fa/setup
+// ===============================
+router.post('/2fa/setup', authenticateToken, blockImpersonation, catchAsync(async (req, res) => {
+  const enrolment = await twoFactorService.startEnrolment(req.user);
+
+  logger.auth('2FA setup started', req.user.hesap, { requestId: req.id });
+
+  res.json({ success: true, data: enrolment });
+}));
+
+// ===============================
+// POST /api/auth/2fa/enable
+// ===============================
+router.post('/2fa/enable', authenticateToken, blockImpersonation, validateTwoFactorCode, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { backupCodes } = await twoFactorService.confirmEnrolment(req.user, req.body.code);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: { backupCodes }
+  });
+}));
+
+// ===============================
+// POST /api/auth/2fa/disable
+// ===============================
+router.post('/2fa/disable', authenticateToken, blockImpersonation, validateTwoFactorCode, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  await twoFactorService.disable(req.user, req.body.code);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// ===============================
+// POST /api/auth/2fa/backup-codes
+// ===============================
+router.post('/2fa/backup-codes', authenticateToken, blockImpersonation, validateTwoFactorCode, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { backupCodes } = await twoFactorService.regenerateBackupCodes(req.user, req.body.code);
+
+  res.json({
+    success: true,
+    data: { backupCodes }
+  });
+}));
+
 // ===============================
 // GET /api/auth/health
 // ===============================
@@ -1,14 +1,36 @@
 const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const Cart = require('../models/Cart');
-const { authenticateToken } = require('../middleware/auth');
+const cartService = require('../services/cartService');
+const orderService = require('../services/orderService');
+const quickOrderService = require('../services/quickOrderService');
+const reorderService = require('../services/reorderService');
+const { authenticateToken, requireDealerPermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validateOrderDetails } = require('../middleware/orderValidation');
+const { DEALER_PERMISSIONS, hasDealerPermission } = require('../utils/permissions');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
+// Sepet sipariş hazırlığıdır; alt kullanıcılarda orders:place yetkisi gerekir
+
+const canViewPrices = (req) => hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
+
+// Sepet satırları stok durumuyla (availability) döner; fiyatlar yetkiye göre gizlenir
+const cartData = (cart, req) => cartService.cartData(cart, { canViewPrices: canViewPrices(req) });
+
+// Yarım kalmış checkout sepeti kilitli bırakmasın (aktif sepet okunmadan önce)
+const recoverCheckout = catchAsync(async (req, res, next) => {
+  await cartService.recoverStaleCheckouts(req.user.hesap);
+  next();
+});
+
 // ===============================
 // GET /api/cart
 // ===============================
-router.get('/', authenticateToken, catchAsync(async (req, res) => {
+router.get('/', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), recoverCheckout, catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   
   logger.request(req, `Fetching cart for user: ${userHesap}`);
@@ -27,17 +49,14 @@ router.get('/', authenticateToken, catchAsync(async (req, res) => {
   
   res.json({
     success: true,
-    data: {
-      items: cart.items,
-      lastSyncedAt: cart.lastSyncedAt
-    }
+    data: await cartData(cart, req)
   });
 }));
 
 // ===============================
 // POST /api/cart/items
 // ===============================
-router.post('/items', authenticateToken, catchAsync(async (req, res) => {
+router.post('/items', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), recoverCheckout, catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   const userPriceList = req.user.list || 1;
   const { stkno, stokadi, fiyat, cinsi, birim, grupadi, kdv, adet = 1, imageUrl } = req.body;
@@ -61,6 +80,11 @@ router.post('/items', authenticateToken, catchAsync(async (req, res) => {
   
   logger.request(req, `Adding item to cart: ${stkno}, user: ${userHesap}, priceList: ${userPriceList}`);
   
+  // Stok politikası ve sipariş kuralları sepetteki miktar + eklenen miktara uygulanır
+  const currentCart = await Cart.getCartByUser(userHesap);
+  const currentQty = currentCart?.items.find(item => item.stkno === stkno)?.adet || 0;
+  await cartService.assertQuantity(stkno, currentQty + itemData.adet, userPriceList);
+  
   const updatedCart = await Cart.addItemToCart(userHesap, itemData);
   
   logger.info('Item added to cart successfully', {
@@ -73,10 +97,7 @@ router.post('/items', authenticateToken, catchAsync(async (req, res) => {
   
   res.json({
     success: true,
-    data: {
-      items: updatedCart.items,
-      lastSyncedAt: updatedCart.lastSyncedAt
-    },
+    data: await cartData(updatedCart, req),
     message: 'Ürün sepete eklendi'
   });
 }));
@@ -84,7 +105,7 @@ router.post('/items', authenticateToken, catchAsync(async (req, res) => {
 // ===============================
 // PUT /api/cart/items/:stkno
 // ===============================
-router.put('/items/:stkno', authenticateToken, catchAsync(async (req, res) => {
+router.put('/items/:stkno', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   const { stkno } = req.params;
   const { adet } = req.body;
@@ -95,6 +116,10 @@ router.put('/items/:stkno', authenticateToken, catchAsync(async (req, res) => {
   
   logger.request(req, `Updating item quantity: ${stkno}, adet: ${adet}, user: ${userHesap}`);
   
+  if (parseInt(adet) > 0) {
+    await cartService.assertQuantity(stkno, parseInt(adet), req.user.list || 1);
+  }
+  
   const updatedCart = await Cart.updateItemQuantity(userHesap, stkno, parseInt(adet));
   
   if (!updatedCart) {
@@ -110,10 +135,7 @@ router.put('/items/:stkno', authenticateToken, catchAsync(async (req, res) => {
   
   res.json({
     success: true,
-    data: {
-      items: updatedCart.items,
-      lastSyncedAt: updatedCart.lastSyncedAt
-    },
+    data: await cartData(updatedCart, req),
     message: 'Ürün miktarı güncellendi'
   });
 }));
@@ -121,7 +143,7 @@ router.put('/items/:stkno', authenticateToken, catchAsync(async (req, res) => {
 // ===============================
 // DELETE /api/cart/items/:stkno
 // ===============================
-router.delete('/items/:stkno', authenticateToken, catchAsync(async (req, res) => {
+router.delete('/items/:stkno', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   const { stkno } = req.params;
   
@@ -141,10 +163,7 @@ router.delete('/items/:stkno', authenticateToken, catchAsync(async (req, res) =>
   
   res.json({
     success: true,
-    data: {
-      items: updatedCart.items,
-      lastSyncedAt: updatedCart.lastSyncedAt
-    },
+    data: await cartData(updatedCart, req),
     message: 'Ürün sepetten çıkarıldı'
   });
 }));
@@ -152,7 +171,7 @@ router.delete('/items/:stkno', authenticateToken, catchAsync(async (req, res) =>
 // ===============================
 // DELETE /api/cart
 // ===============================
-router.delete('/', authenticateToken, catchAsync(async (req, res) => {
+router.delete('/', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   
   logger.request(req, `Clearing cart for user: ${userHesap}`);
@@ -177,7 +196,7 @@ router.delete('/', authenticateToken, catchAsync(async (req, res) => {
 // ===============================
 // POST /api/cart/sync
 // ===============================
-router.post('/sync', authenticateToken, catchAsync(async (req, res) => {
+router.post('/sync', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), recoverCheckout, catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   const userPriceList = req.user.list || 1;
   const { items = [] } = req.body;
@@ -192,29 +211,234 @@ router.post('/sync', authenticateToken, catchAsync(async (req, res) => {
     userPriceList
   }));
   
-  const syncedCart = await Cart.syncCart(userHesap, validItems);
+  // Stok veya sipariş kuralına takılan yerel satırlar uygulanmaz
+  const currentCart = await Cart.getCartByUser(userHesap);
+  const { items: acceptedItems, skipped } = await cartService.checkSyncItems(
+    currentCart?.items || [],
+    validItems,
+    userPriceList
+  );
+  
+  const syncedCart = await Cart.syncCart(userHesap, acceptedItems);
   
   logger.info('Cart synced successfully', {
     userHesap,
     userPriceList,
     itemCount: syncedCart.items.length,
+    skipped: skipped.length,
     requestId: req.id
   });
   
   res.json({
     success: true,
     data: {
-      items: syncedCart.items,
-      lastSyncedAt: syncedCart.lastSyncedAt
+      ...await cartData(syncedCart, req),
+      skipped
     },
     message: 'Sepet senkronize edildi'
   });
 }));
 
+// Hızlı sipariş dosyası bellekte tutulur, diske yazılmaz
+const QUICK_ORDER_MAX_FILE_BYTES = parseInt(process.env.QUICK_ORDER_MAX_FILE_KB || '2048', 10) * 1024;
+
+const quickOrderFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: QUICK_ORDER_MAX_FILE_BYTES, files: 1 }
+}).single('file');
+
+const quickOrderUpload = (req, res, next) => {
+  quickOrderFile(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Dosya en fazla ${Math.round(QUICK_ORDER_MAX_FILE_BYTES / 1024)} KB olabilir`
+        : `Dosya yüklenemedi: ${error.message}`;
+      return next(new AppError(message, 400));
+    }
+    next(error);
+  });
+};
+
+// ===============================
+// POST /api/cart/quick-order/preview
+// ===============================
+// Gövde: { text: "stkno;adet\n..." } veya multipart "file" alanında CSV/XLSX.
+// Sepete dokunmaz; dönen data.items olduğu gibi /quick-order/commit'e gönderilebilir
+router.post('/quick-order/preview', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), quickOrderUpload, catchAsync(async (req, res) => {
+  const userHesap = req.user.hesap;
+  const userPriceList = req.user.list || 1;
+
+  let rows;
+  if (req.file) {
+    rows = await quickOrderService.parseFile(req.file);
+  } else if (typeof req.body.text === 'string') {
+    rows = quickOrderService.parseText(req.body.text);
+  } else {
+    throw new AppError('Ürün listesi (text) veya dosya (file) gerekli', 400);
+  }
+
+  logger.request(req, `Quick order preview for user: ${userHesap}, rows: ${rows.length}, source: ${req.file ? req.file.originalname : 'text'}`);
+
+  const preview = await quickOrderService.preview(userHesap, userPriceList, rows, {
+    canViewPrices: canViewPrices(req)
+  });
+
+  res.json({
+    success: true,
+    data: preview
+  });
+}));
+
+// ===============================
+// POST /api/cart/quick-order/commit
+// ===============================
+// Önizlemedeki satırlar tek seferde sepete eklenir; fiyat ve stok yeniden kontrol edilir
+router.post('/quick-order/commit', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), recoverCheckout, [
+  body('items')
+    .isArray({ min: 1, max: quickOrderService.MAX_LINES })
+    .withMessage(`Items must be an array of 1-${quickOrderService.MAX_LINES} lines`),
+  body('items.*.stkno')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Product code is required'),
+  body('items.*.adet')
+    .isInt({ min: 1, max: quickOrderService.MAX_QTY })
+    .withMessage(`Quantity must be between 1-${quickOrderService.MAX_QTY}`)
+    .toInt()
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+
+  const userHesap = req.user.hesap;
+  const userPriceList = req.user.list || 1;
+
+  logger.request(req, `Quick order commit for user: ${userHesap}, lines: ${req.body.items.length}`);
+
+  const { added, skipped } = await reorderService.addLinesToCart(
+    userHesap,
+    userPriceList,
+    req.body.items.map(item => ({ stkno: item.stkno, adet: item.adet })),
+    { canViewPrices: canViewPrices(req) }
+  );
+
+  logger.info('Quick order added to cart', {
+    userHesap,
+    added: added.length,
+    skipped: skipped.length,
+    requestId: req.id
+  });
+
+  const cart = await Cart.getCartByUser(userHesap);
+
+  res.json({
+    success: true,
+    message: skipped.length ? 'Ürünlerin bir kısmı sepete eklenemedi' : 'Ürünler sepete eklendi',
+    data: {
+      added,
+      skipped,
+      cart: await cartData(cart, req)
+    }
+  });
+}));
+
+// ===============================
+// POST /api/cart/checkout
+// ===============================
+// Sunucudaki aktif sepetten sipariş: satırlar güncel fiyatlarla yeniden hesaplanır,
+// sepet sadece sipariş kaydı oluştuğunda 'ordered' olur
+router.post('/checkout', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), recoverCheckout, idempotent({ recover: orderService.recoverIdempotentOrder }), validateOrderDetails, catchAsync(async (req, res) => {
+  // Sipariş kaydı açılmadan oluşan 5xx hatalarda aynı anahtarla tekrar denenebilir
+  res.locals.idempotencyRetryable = true;
+
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+
+  const userHesap = req.user.hesap;
+  const userPriceList = req.user.list || 1;
+
+  logger.request(req, `Checking out cart for user: ${userHesap}, priceList: ${userPriceList}`);
+
+  const cart = await Cart.findOne({ user: userHesap, status: 'active' });
+  if (!cart || cart.items.length === 0) {
+    throw new AppError('Sepet boş', 400);
+  }
+
+  const priced = await orderService.priceLines(
+    cart.items.map(item => ({ stkno: item.stkno, adet: item.adet })),
+    userPriceList
+  );
+  priced.details = await orderService.resolveOrderDetails(userHesap, req.body);
+
+  // Sepete eklendiği andaki fiyattan farklı olan satırlar (bilgi amaçlı)
+  const priceChanges = priced.lines
+    .map(line => {
+      const item = cart.items.find(i => i.stkno === line.stkno);
+      return { stkno: line.stkno, cartPrice: item.fiyat, price: line.fiyatTL };
+    })
+    .filter(change => Math.abs(change.cartPrice - change.price) >= 0.01);
+
+  // Aynı sepetin iki kez sipariş edilmesini engeller; okunduktan sonra değiştiyse 409
+  const locked = await Cart.beginCheckout(cart);
+  if (!locked) {
+    throw new AppError('Sepet güncellendi veya sipariş ediliyor, lütfen tekrar deneyin', 409);
+  }
+
+  let placed;
+  try {
+    placed = await orderService.placeOrder(req, priced, {
+      onRecorded: async (order) => {
+        res.locals.idempotencyRetryable = false;
+        // Kurtarma için; başarısız olsa da sipariş gönderimi durmamalı
+        await Cart.attachCheckoutOrder(cart._id, order._id).catch(error => logger.error('Cart checkout order link failed', {
+          userHesap,
+          cartId: String(cart._id),
+          orderId: String(order._id),
+          error: error.message,
+          requestId: req.id
+        }));
+      },
+      idempotencyKeyId: res.locals.idempotencyKeyId
+    });
+  } catch (error) {
+    // Sipariş kaydı açılamadı: sepet kullanıcıya geri verilir
+    await Cart.abortCheckout(cart._id).catch(abortError => logger.error('Cart checkout abort failed', {
+      userHesap,
+      cartId: String(cart._id),
+      error: abortError.message,
+      requestId: req.id
+    }));
+    throw error;
+  }
+
+  // Sipariş outbox'ta: ERP'ye gitmiş ya da kuyrukta, her iki durumda da sepet sipariş edilmiştir
+  await Cart.completeCheckout(cart._id, placed.order._id);
+
+  logger.info('Cart checked out', {
+    userHesap,
+    cartId: String(cart._id),
+    orderId: String(placed.order._id),
+    outcome: placed.delivery.outcome,
+    itemCount: priced.lines.length,
+    priceChanges: priceChanges.length,
+    requestId: req.id
+  });
+
+  const response = orderService.orderResponse(placed, priced.lines, priced.totalTL, { canViewPrices: canViewPrices(req) });
+  response.body.data.priceChanges = canViewPrices(req) ? priceChanges : [];
+  res.status(response.statusCode).json(response.body);
+}));
+
 // ===============================
 // POST /api/cart/order
 // ===============================
-router.post('/order', authenticateToken, catchAsync(async (req, res) => {
+// Eski akış (istemci POST /api/orders sonrası çağırır); yeni istemciler /checkout kullanmalı
+router.post('/order', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   
   logger.request(req, `Marking cart as ordered for user: ${userHesap}`);
@@ -1,51 +1,12 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
 const router = express.Router();
-const soap = require('soap'); // SOAP client
 
+const soapService = require('../services/soapService');
+const mailService = require('../services/mailService');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
 const { authenticateToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
-// SOAP service helper
-const getCustomerRepresentative = async (hesapKodu) => {
-  try {
-    const wsdlUrl = process.env.SOAP_WSDL_URL; // SOAP servis URL'inizi ekleyin
-    const client = await soap.createClientAsync(wsdlUrl, {
-      timeout: 5000, // 5 saniye timeout
-    });
-    
-    const result = await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('SOAP request timeout'));
-      }, 5000);
-      
-      client['sl-personmail'](
-        { hesapKodu }, // Parametre
-        (err, result) => {
-          clearTimeout(timeout);
-          if (err) reject(err);
-          else resolve(result);
-        }
-      );
-    });
-    
-    // ERP'den sadece vmail geliyor
-    const email = result?.vmail || null;
-    
-    return {
-      name: result?.temsilciAdi || null, // Eğer isim field'ı varsa
-      email: email && email.trim() !== '' ? email : null // Boş string kontrolü
-    };
-  } catch (error) {
-    logger.error('Failed to get customer representative:', {
-      hesapKodu,
-      error: error.message
-    });
-    return null;
-  }
-};
-
 // POST /api/contact/info - Send contact form
 router.post('/info', authenticateToken, catchAsync(async (req, res) => {
   const { subject, title, description } = req.body;
@@ -64,7 +25,7 @@ router.post('/info', authenticateToken, catchAsync(async (req, res) => {
     let repInfo = "";
 
     if (user.hesap) {
-      customerRep = await getCustomerRepresentative(user.hesap);
+      customerRep = await soapService.getCustomerRepresentative(user.hesap);
       
       if (customerRep && customerRep.email) {
         recipientEmail = customerRep.email;
@@ -85,24 +46,12 @@ router.post('/info', authenticateToken, catchAsync(async (req, res) => {
       }
     }
 
-    let transporter = nodemailer.createTransporter({
-      host: "smtp.office365.com",
-      port: 587,
-      tls: { ciphers: 'SSLv3' },
-      secure: false,
-      auth: {
-        user: "info@kristalaksesuar.com",
-        pass: "05343009550Ka",
-      },
-    });
-
     // Email gönderimi
-    let info = await transporter.sendMail({
-      from: "info@kristalaksesuar.com",
+    let info = await mailService.sendMail({
       to: [recipientEmail],
       // CC olarak info@'yu da ekle (temsilci varsa)
-      cc: customerRep?.email && customerRep.email !== "info@kristalaksesuar.com" 
-        ? ["info@kristalaksesuar.com"] 
+      cc: customerRep?.email && customerRep.email !== mailService.defaultFrom
+        ? [mailService.defaultFrom]
         : [],
       subject: `Müşteri Paneli - ${subject} - ${user.company}`,
       html: `
@@ -200,7 +149,7 @@ router.get('/representative', authenticateToken, catchAsync(async (req, res) =>
     throw new AppError('Hesap kodu bulunamadı', 400);
   }
 
-  const customerRep = await getCustomerRepresentative(user.hesap);
+  const customerRep = await soapService.getCustomerRepresentative(user.hesap);
   
   res.json({
     success: true,
@@ -217,7 +166,7 @@ router.get('/test-representative/:hesapKodu', catchAsync(async (req, res) => {
   const { hesapKodu } = req.params;
   
   try {
-    const result = await getCustomerRepresentative(hesapKodu);
+    const result = await soapService.getCustomerRepresentative(hesapKodu);
     
     res.json({
       success: true,
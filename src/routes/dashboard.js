@@ -2,9 +2,12 @@ const express = require('express');
 const router = express.Router();
 
 const soapService = require('../services/soapService');
+const orderHistoryService = require('../services/orderHistoryService');
+const { maskPrices } = require('../services/cartService');
 const FavoriteProduct = require('../models/FavoriteProduct');
-const { AppError, catchAsync } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requireDealerPermission } = require('../middleware/auth');
+const { DEALER_PERMISSIONS, hasDealerPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
 // GET /api/dashboard/stats
@@ -13,38 +16,31 @@ router.get('/stats', authenticateToken, catchAsync(async (req, res) => {
 
   logger.request(req, `Fetching dashboard stats for user: ${userHesap}`);
 
+  const canViewOrders = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_ORDERS);
+  const canViewBalance = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_EXTRACT);
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
+
   let stats = {
     waitingOrders: 0,
-    waitingOrdersPrice: 0,
+    waitingOrdersPrice: canViewPrices ? 0 : null,
     totalFavorites: 0,
     recentOrdersCount: 0,
-    accountBalance: parseFloat(req.user.bakiye) || 0
+    accountBalance: canViewBalance ? (parseFloat(req.user.bakiye) || 0) : null
   };
 
   // Get waiting orders from SOAP
   try {
-    const orders = await soapService.getOrders(userHesap);
+    const orders = canViewOrders ? await soapService.getOrders(userHesap) : [];
     
     if (orders && orders.length > 0) {
-      stats.waitingOrders = orders.length;
-      stats.waitingOrdersPrice = orders.reduce((total, order) => {
-        return total + (parseFloat(order.siptut) || 0);
-      }, 0);
-      
       const sevenDaysAgo = new Date();
       sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
-      
-      stats.recentOrdersCount = orders.filter(order => {
-        if (order.tarih) {
-          try {
-            const orderDate = new Date(order.tarih);
-            return orderDate >= sevenDaysAgo;
-          } catch (dateError) {
-            return false;
-          }
-        }
-        return false;
-      }).length;
+
+      // Bekleyen: sevkiyatı tamamlanmamış (open/partial) siparişler ve kalan tutarları
+      const summary = orderHistoryService.summarize(orders, { since: sevenDaysAgo });
+      stats.waitingOrders = summary.waitingOrders;
+      stats.waitingOrdersPrice = canViewPrices ? summary.waitingAmount : null;
+      stats.recentOrdersCount = summary.recentOrders;
     }
   } catch (soapError) {
     logger.warn('SOAP service error for orders - using default values', {
@@ -80,32 +76,26 @@ router.get('/stats', authenticateToken, catchAsync(async (req, res) => {
 }));
 
 // GET /api/dashboard/recent-orders
-router.get('/recent-orders', authenticateToken, catchAsync(async (req, res) => {
+router.get('/recent-orders', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_ORDERS), catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   const limit = parseInt(req.query.limit) || 5;
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
 
   logger.request(req, `Fetching recent orders for dashboard: ${userHesap}`);
 
   try {
     const allOrders = await soapService.getOrders(userHesap);
     
-    const recentOrders = allOrders
-      .sort((a, b) => {
-        try {
-          const dateA = new Date(a.tarih);
-          const dateB = new Date(b.tarih);
-          return dateB - dateA;
-        } catch (error) {
-          return 0;
-        }
-      })
+    const recentOrders = [...allOrders]
+      .sort(orderHistoryService.comparator('date', 'desc'))
       .slice(0, limit)
       .map(order => ({
         sipno: order.sipno,
         tarih: order.tarih,
         mlzadi: order.mlzadi,
-        siptut: parseFloat(order.siptut) || 0,
-        sipbak: parseFloat(order.sipbak) || 0
+        siptut: canViewPrices ? order.siptut : null,
+        sipbak: order.sipbak,
+        status: orderHistoryService.lineState(order)
       }));
 
     logger.info('Recent orders fetched successfully', {
@@ -137,6 +127,7 @@ router.get('/recent-orders', authenticateToken, catchAsync(async (req, res) => {
 router.get('/recent-favorites', authenticateToken, catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   const limit = parseInt(req.query.limit) || 5;
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
 
   logger.request(req, `Fetching recent favorites for dashboard: ${userHesap}`);
 
@@ -158,7 +149,7 @@ router.get('/recent-favorites', authenticateToken, catchAsync(async (req, res) =
 
     res.json({
       success: true,
-      data: recentFavorites
+      data: recentFavorites.map(favorite => maskPrices(favorite, ['fiyat'], canViewPrices))
     });
 
   } catch (error) {
@@ -186,12 +177,13 @@ router.get('/account-info', authenticateToken, catchAsync(async (req, res) => {
     username: user.username || '',
     email: user.email || '',
     phone: user.phone || '',
-    bakiye: parseFloat(user.bakiye) || 0,
+    bakiye: hasDealerPermission(user, DEALER_PERMISSIONS.VIEW_EXTRACT) ? (parseFloat(user.bakiye) || 0) : null,
     adres: user.adres || '',
     sehir: user.sehir || '',
     ulke: user.ulke || '',
     type: user.type || 'customer',
-    priceList: user.list || 1 // Fiyat listesi bilgisi
+    priceList: user.list || 1, // Fiyat listesi bilgisi
+    permissions: user.dealerUserId ? (user.permissions || []) : null
   };
 
   logger.info('Account info fetched successfully', {
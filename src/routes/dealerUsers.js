@@ -0,0 +1,248 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+const DealerUser = require('../models/DealerUser');
+const AuthSession = require('../models/AuthSession');
+const { sessionOwner } = require('../services/tokenService');
+const passwordService = require('../services/passwordService');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requireDealerPermission, blockImpersonation } = require('../middleware/auth');
+const { DEALER_PERMISSIONS, ASSIGNABLE_DEALER_PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Alt kullanıcıları sadece hesap sahibi yönetir
+router.use(authenticateToken, blockImpersonation, (req, res, next) => {
+  if (req.user.type !== 'customer') {
+    return next(new AppError('Dealer account required', 403));
+  }
+  next();
+}, requireDealerPermission(DEALER_PERMISSIONS.MANAGE_USERS));
+
+const validatePermissions = body('permissions')
+  .optional()
+  .isArray()
+  .withMessage('Permissions must be an array')
+  .custom(list => {
+    const invalid = list.filter(p => !ASSIGNABLE_DEALER_PERMISSIONS.includes(p));
+    if (invalid.length > 0) {
+      throw new Error(`Unknown permissions: ${invalid.join(', ')}`);
+    }
+    return true;
+  });
+
+const validateCreateDealerUser = [
+  body('email').trim().isEmail().withMessage('Valid email is required').normalizeEmail(),
+  // Parola verilmezse kullanıcıya aktivasyon e-postası gönderilir
+  body('password')
+    .optional()
+    .isLength({ min: 8, max: 100 })
+    .withMessage('Password must be between 8-100 characters'),
+  body('displayName').optional().isString().trim().isLength({ max: 100 }),
+  validatePermissions
+];
+
+const validateUpdateDealerUser = [
+  body('password')
+    .optional()
+    .isLength({ min: 8, max: 100 })
+    .withMessage('Password must be between 8-100 characters'),
+  body('displayName').optional().isString().trim().isLength({ max: 100 }),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean').toBoolean(),
+  validatePermissions
+];
+
+const findOwnDealerUser = async (req) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('User not found', 404);
+  }
+
+  const dealerUser = await DealerUser.findOne({ _id: id, hesap: req.user.hesap });
+  if (!dealerUser) {
+    throw new AppError('User not found', 404);
+  }
+
+  return dealerUser;
+};
+
+const revokeSessionsOf = (dealerUser, reason) =>
+  AuthSession.revokeAllForUser(sessionOwner({ type: 'customer', dealerUserId: String(dealerUser._id) }), reason);
+
+// ===============================
+// GET /api/dealer-users/permissions
+// ===============================
+router.get('/permissions', catchAsync(async (req, res) => {
+  res.json({ success: true, data: ASSIGNABLE_DEALER_PERMISSIONS });
+}));
+
+// ===============================
+// GET /api/dealer-users
+// ===============================
+router.get('/', catchAsync(async (req, res) => {
+  const userHesap = req.user.hesap;
+
+  logger.request(req, `Listing dealer sub-users for: ${userHesap}`);
+
+  const users = await DealerUser.getByHesap(userHesap);
+
+  res.json({
+    success: true,
+    data: users.map(u => u.toPublic())
+  });
+}));
+
+// ===============================
+// POST /api/dealer-users
+// ===============================
+router.post('/', validateCreateDealerUser, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const userHesap = req.user.hesap;
+  const { email, password, displayName, permissions = [] } = req.body;
+
+  const dealerUser = new DealerUser({
+    hesap: userHesap,
+    email,
+    displayName: displayName || '',
+    permissions: [...new Set(permissions)],
+    invitedBy: req.user.username
+  });
+  if (password) await dealerUser.setPassword(password);
+  await dealerUser.save();
+
+  let activationEmailSent = false;
+  if (!password) {
+    try {
+      await passwordService.sendActivationEmail(
+        { kind: 'dealer-user', id: String(dealerUser._id), hesap: userHesap, email: dealerUser.email },
+        req.user.company || req.user.username
+      );
+      activationEmailSent = true;
+    } catch (error) {
+      logger.error('Dealer sub-user activation email failed', {
+        userHesap,
+        email: dealerUser.email,
+        error: error.message,
+        requestId: req.id
+      });
+    }
+  }
+
+  logger.info('Dealer sub-user created', {
+    userHesap,
+    email: dealerUser.email,
+    permissions: dealerUser.permissions,
+    activationEmailSent,
+    requestId: req.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Kullanıcı oluşturuldu',
+    data: { ...dealerUser.toPublic(), activationEmailSent }
+  });
+}));
+
+// ===============================
+// POST /api/dealer-users/:id/resend-activation
+// ===============================
+router.post('/:id/resend-activation', catchAsync(async (req, res) => {
+  const dealerUser = await findOwnDealerUser(req);
+
+  if (dealerUser.passwordChangedAt) {
+    throw new AppError('User is already activated', 400);
+  }
+
+  await passwordService.sendActivationEmail(
+    { kind: 'dealer-user', id: String(dealerUser._id), hesap: dealerUser.hesap, email: dealerUser.email },
+    req.user.company || req.user.username
+  );
+
+  logger.info('Dealer sub-user activation email resent', {
+    userHesap: req.user.hesap,
+    email: dealerUser.email,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Aktivasyon e-postası gönderildi'
+  });
+}));
+
+// ===============================
+// PUT /api/dealer-users/:id
+// ===============================
+router.put('/:id', validateUpdateDealerUser, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const dealerUser = await findOwnDealerUser(req);
+  const { password, displayName, isActive, permissions } = req.body;
+
+  if (displayName !== undefined) dealerUser.displayName = displayName;
+  if (permissions !== undefined) dealerUser.permissions = [...new Set(permissions)];
+  if (isActive !== undefined) dealerUser.isActive = isActive;
+  if (password) await dealerUser.setPassword(password);
+
+  await dealerUser.save();
+
+  // Parola değişince veya hesap kapatılınca açık oturumlar sonlandırılır
+  if (password || isActive === false) {
+    await revokeSessionsOf(dealerUser, password ? 'password_changed' : 'user_disabled');
+  }
+
+  logger.info('Dealer sub-user updated', {
+    userHesap: req.user.hesap,
+    email: dealerUser.email,
+    permissions: dealerUser.permissions,
+    isActive: dealerUser.isActive,
+    passwordChanged: !!password,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Kullanıcı güncellendi',
+    data: dealerUser.toPublic()
+  });
+}));
+
+// ===============================
+// DELETE /api/dealer-users/:id
+// ===============================
+router.delete('/:id', catchAsync(async (req, res) => {
+  const dealerUser = await findOwnDealerUser(req);
+
+  await dealerUser.deleteOne();
+  await revokeSessionsOf(dealerUser, 'user_deleted');
+
+  logger.info('Dealer sub-user deleted', {
+    userHesap: req.user.hesap,
+    email: dealerUser.email,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Kullanıcı silindi'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+
+const DeliveryAddress = require('../models/DeliveryAddress');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requireDealerPermission } = require('../middleware/auth');
+const { DEALER_PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Adresler siparişte seçildiği için orders:place yetkisi yeterli
+router.use(authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS));
+
+const validateAddress = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('label').isString().trim().isLength({ min: 1, max: 60 }).withMessage('Label must be between 1-60 characters'),
+    field('address').isString().trim().isLength({ min: 5, max: 300 }).withMessage('Address must be between 5-300 characters'),
+    field('city').isString().trim().isLength({ min: 2, max: 60 }).withMessage('City must be between 2-60 characters'),
+    body('recipient').optional().isString().trim().isLength({ max: 100 }),
+    body('phone').optional().isString().trim().matches(/^[0-9+()\s-]{0,30}$/).withMessage('Invalid phone number'),
+    body('district').optional().isString().trim().isLength({ max: 60 }),
+    body('postalCode').optional().isString().trim().matches(/^[0-9A-Za-z\s-]{0,10}$/).withMessage('Invalid postal code'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be boolean').toBoolean()
+  ];
+};
+
+const ADDRESS_FIELDS = ['label', 'recipient', 'phone', 'address', 'district', 'city', 'postalCode'];
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const findOwnAddress = async (req) => {
+  const address = await DeliveryAddress.findForDealer(req.user.hesap, req.params.id);
+  if (!address) {
+    throw new AppError('Delivery address not found', 404);
+  }
+  return address;
+};
+
+// ===============================
+// GET /api/delivery-addresses
+// ===============================
+router.get('/', catchAsync(async (req, res) => {
+  const addresses = await DeliveryAddress.getByHesap(req.user.hesap);
+
+  res.json({
+    success: true,
+    data: addresses.map(a => a.toPublic())
+  });
+}));
+
+// ===============================
+// POST /api/delivery-addresses
+// ===============================
+router.post('/', validateAddress(false), catchAsync(async (req, res) => {
+  if (checkValidation(req, res)) return;
+
+  const { hesap } = req.user;
+  const count = await DeliveryAddress.countDocuments({ hesap });
+  if (count >= DeliveryAddress.MAX_PER_DEALER) {
+    throw new AppError(`A dealer can have at most ${DeliveryAddress.MAX_PER_DEALER} delivery addresses`, 400);
+  }
+
+  const fields = Object.fromEntries(ADDRESS_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+
+  let address = await DeliveryAddress.create({
+    ...fields,
+    hesap,
+    isDefault: false,
+    createdBy: req.user.username
+  });
+
+  // İlk adres otomatik varsayılan olur
+  if (req.body.isDefault || count === 0) {
+    address = await DeliveryAddress.setDefault(hesap, address._id);
+  }
+
+  logger.info('Delivery address created', { hesap, addressId: String(address._id), createdBy: req.user.username, requestId: req.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Delivery address created',
+    data: address.toPublic()
+  });
+}));
+
+// ===============================
+// PUT /api/delivery-addresses/:id
+// ===============================
+router.put('/:id', validateAddress(true), catchAsync(async (req, res) => {
+  if (checkValidation(req, res)) return;
+
+  let address = await findOwnAddress(req);
+
+  ADDRESS_FIELDS.forEach(f => {
+    if (req.body[f] !== undefined) address[f] = req.body[f];
+  });
+  await address.save();
+
+  if (req.body.isDefault === true) {
+    address = await DeliveryAddress.setDefault(req.user.hesap, address._id);
+  }
+
+  logger.info('Delivery address updated', { hesap: req.user.hesap, addressId: req.params.id, updatedBy: req.user.username, requestId: req.id });
+
+  res.json({
+    success: true,
+    message: 'Delivery address updated',
+    data: address.toPublic()
+  });
+}));
+
+// ===============================
+// DELETE /api/delivery-addresses/:id
+// ===============================
+router.delete('/:id', catchAsync(async (req, res) => {
+  const address = await findOwnAddress(req);
+  await address.deleteOne();
+
+  // Varsayılan silindiyse kalanlardan ilki varsayılan olur
+  if (address.isDefault) {
+    const next = await DeliveryAddress.findOne({ hesap: req.user.hesap }).sort({ label: 1 });
+    if (next) await DeliveryAddress.setDefault(req.user.hesap, next._id);
+  }
+
+  logger.info('Delivery address deleted', { hesap: req.user.hesap, addressId: req.params.id, deletedBy: req.user.username, requestId: req.id });
+
+  res.json({
+    success: true,
+    message: 'Delivery address deleted'
+  });
+}));
+
+module.exports = router;
@@ -5,11 +5,12 @@ const moment = require('moment');
 
 const soapService = require('../services/soapService');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireDealerPermission } = require('../middleware/auth');
+const { DEALER_PERMISSIONS } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
 // GET /api/extract - list
-router.get('/', authenticateToken, catchAsync(async (req, res) => {
+router.get('/', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_EXTRACT), catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   const { start, end } = req.query;
 
@@ -33,7 +34,7 @@ router.get('/', authenticateToken, catchAsync(async (req, res) => {
 }));
 
 // GET /api/extract/:id - detail
-router.get('/:id', authenticateToken, catchAsync(async (req, res) => {
+router.get('/:id', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_EXTRACT), catchAsync(async (req, res) => {
   const { id } = req.params;
   const userHesap = req.user.hesap;
 
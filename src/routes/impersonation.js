@@ -0,0 +1,219 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+const DealerProfile = require('../models/DealerProfile');
+const AuthSession = require('../models/AuthSession');
+const ImpersonationAudit = require('../models/ImpersonationAudit');
+const tokenService = require('../services/tokenService');
+const dealerProfileService = require('../services/dealerProfileService');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const DEFAULT_MINUTES = parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES || '30', 10);
+const MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES || '120', 10);
+
+const validateStart = [
+  body('hesap').trim().notEmpty().withMessage('Account code (hesap) is required'),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5-500 characters'),
+  body('readOnly').optional().isBoolean().withMessage('readOnly must be boolean').toBoolean(),
+  body('durationMinutes')
+    .optional()
+    .isInt({ min: 1, max: MAX_MINUTES })
+    .withMessage(`Duration must be between 1-${MAX_MINUTES} minutes`)
+    .toInt()
+];
+
+const validateList = [
+  query('hesap').optional().isString().trim(),
+  query('adminUsername').optional().isString().trim(),
+  query('active').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+];
+
+// Profil önbellekte yoksa ERP müşteri listesinden çekilir
+const loadDealerProfile = async (hesap) => {
+  const cached = await DealerProfile.getByHesap(hesap);
+  if (cached) return cached;
+
+  await dealerProfileService.refreshFromErp(hesap);
+  return DealerProfile.getByHesap(hesap);
+};
+
+// ===============================
+// POST /api/impersonation
+// ===============================
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.DEALERS_IMPERSONATE), validateStart, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { hesap, reason, readOnly = true, durationMinutes = DEFAULT_MINUTES } = req.body;
+
+  if (!readOnly && !hasPermission(req.admin.role, PERMISSIONS.DEALERS_IMPERSONATE_WRITE)) {
+    throw new AppError('Write access while impersonating requires additional permission', 403);
+  }
+
+  const profile = await loadDealerProfile(hesap);
+  if (!profile) {
+    throw new AppError('Dealer not found', 404);
+  }
+
+  const expiresAt = new Date(Date.now() + durationMinutes * 60 * 1000);
+  const audit = await ImpersonationAudit.create({
+    adminId: String(req.admin._id),
+    adminUsername: req.admin.username,
+    hesap,
+    reason,
+    readOnly,
+    ip: req.ip || '',
+    userAgent: (req.get('User-Agent') || '').slice(0, 300),
+    expiresAt
+  });
+
+  const claims = {
+    ...DealerProfile.toClaims(profile),
+    username: hesap,
+    hesap,
+    type: 'customer',
+    impersonation: {
+      auditId: String(audit._id),
+      adminId: String(req.admin._id),
+      adminUsername: req.admin.username,
+      readOnly
+    }
+  };
+
+  const session = await tokenService.createFixedSession(claims, req, durationMinutes);
+  audit.sessionId = session.sessionId;
+  audit.expiresAt = session.expiresAt;
+  await audit.save();
+
+  logger.warn('Dealer impersonation started', {
+    adminUsername: req.admin.username,
+    hesap,
+    readOnly,
+    durationMinutes,
+    auditId: String(audit._id),
+    requestId: req.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Impersonation session started',
+    data: {
+      id: audit._id,
+      token: `Bearer ${session.accessToken}`,
+      expiresAt: session.expiresAt,
+      readOnly,
+      dealer: {
+        hesap,
+        company: profile.company,
+        list: profile.list
+      }
+    }
+  });
+}));
+
+// ===============================
+// GET /api/impersonation
+// ===============================
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.SECURITY_AUDIT), validateList, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid filter parameters',
+      errors: errors.array()
+    });
+  }
+
+  const { hesap, adminUsername, active, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  if (hesap) filter.hesap = hesap;
+  if (adminUsername) filter.adminUsername = adminUsername.toLowerCase();
+  if (active === true) {
+    filter.endedAt = null;
+    filter.expiresAt = { $gt: new Date() };
+  }
+
+  const skip = (page - 1) * limit;
+  const [records, total] = await Promise.all([
+    ImpersonationAudit.find(filter).sort({ startedAt: -1 }).skip(skip).limit(limit).lean(),
+    ImpersonationAudit.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      records,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    }
+  });
+}));
+
+// ===============================
+// DELETE /api/impersonation/:id
+// ===============================
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.DEALERS_IMPERSONATE), catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Impersonation session not found', 404);
+  }
+
+  const audit = await ImpersonationAudit.findById(id);
+  if (!audit) {
+    throw new AppError('Impersonation session not found', 404);
+  }
+
+  // Başka bir adminin oturumunu sadece denetim yetkisi olan sonlandırabilir
+  const ownSession = audit.adminId === String(req.admin._id);
+  if (!ownSession && !hasPermission(req.admin.role, PERMISSIONS.SECURITY_AUDIT)) {
+    throw new AppError('Insufficient permissions', 403);
+  }
+
+  if (!audit.endedAt) {
+    if (audit.sessionId) {
+      await AuthSession.revokeSession(audit.sessionId, 'impersonation_ended');
+    }
+
+    audit.endedAt = new Date();
+    audit.endedBy = req.admin.username;
+    await audit.save();
+  }
+
+  logger.warn('Dealer impersonation ended', {
+    adminUsername: audit.adminUsername,
+    endedBy: req.admin.username,
+    hesap: audit.hesap,
+    requestCount: audit.requestCount,
+    auditId: id,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: 'Impersonation session ended'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+
+const { registry, CONTENT_TYPE } = require('../utils/metrics');
+const { AppError } = require('../middleware/errorHandler');
+
+// Varsayılan kapalı: METRICS_TOKEN tanımlıysa scrape isteği "Authorization: Bearer <token>" göndermeli,
+// tanımlı değilse sadece METRICS_ALLOWED_IPS (varsayılan: localhost) adreslerinden erişilir.
+// Proxy arkasında (TRUST_PROXY kapalıyken) X-Forwarded-For taşıyan istekler dahili sayılmaz.
+const DEFAULT_ALLOWED_IPS = ['127.0.0.1', '::1'];
+
+const allowedIps = () => {
+  const configured = (process.env.METRICS_ALLOWED_IPS || '')
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean);
+  return configured.length ? configured : DEFAULT_ALLOWED_IPS;
+};
+
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+const isInternalRequest = (req) => {
+  if (!req.app.get('trust proxy') && req.headers['x-forwarded-for']) return false;
+  return allowedIps().includes(normalizeIp(req.ip));
+};
+
+const requireMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return isInternalRequest(req) ? next() : next(new AppError(`Route ${req.originalUrl} not found`, 404));
+  }
+
+  const header = req.headers.authorization || '';
+  const presented = header.startsWith('Bearer ') ? header.slice(7) : '';
+  const a = crypto.createHash('sha256').update(presented).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+
+  if (!crypto.timingSafeEqual(a, b)) {
+    return next(new AppError('Invalid metrics token', 401));
+  }
+  next();
+};
+
+// ===============================
+// GET /metrics
+// ===============================
+router.get('/', requireMetricsToken, (req, res) => {
+  res.set('Content-Type', CONTENT_TYPE);
+  res.send(registry.render());
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+const OrderChangeRequest = require('../models/OrderChangeRequest');
+const orderChangeService = require('../services/orderChangeService');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// Admin'in kapatabileceği sonuçlar (withdrawn sadece bayi tarafından)
+const RESOLUTION_STATUSES = ['completed', 'rejected'];
+
+const validateList = [
+  query('status').optional().isIn(OrderChangeRequest.STATUSES).withMessage(`Status must be one of: ${OrderChangeRequest.STATUSES.join(', ')}`),
+  query('type').optional().isIn(OrderChangeRequest.TYPES).withMessage(`Type must be one of: ${OrderChangeRequest.TYPES.join(', ')}`),
+  query('hesap').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+];
+
+const validateResolve = [
+  body('status').isIn(RESOLUTION_STATUSES).withMessage(`Status must be one of: ${RESOLUTION_STATUSES.join(', ')}`),
+  body('resolution')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Resolution must be at most 500 characters')
+];
+
+const findRequest = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Change request not found', 404);
+  }
+  const request = await OrderChangeRequest.findById(id);
+  if (!request) {
+    throw new AppError('Change request not found', 404);
+  }
+  return request;
+};
+
+const toAdminEntry = (request) => ({
+  ...request.toPublic(),
+  hesap: request.hesap,
+  requestedBy: request.requestedBy,
+  impersonatedBy: request.impersonatedBy,
+  notification: request.notification,
+  resolvedBy: request.resolvedBy
+});
+
+// ===============================
+// GET /api/order-change-requests
+// ===============================
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.ORDERS_VIEW), validateList, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid filter parameters',
+      errors: errors.array()
+    });
+  }
+
+  const { status = 'open', type, hesap, page = 1, limit = 50 } = req.query;
+
+  const filter = { status };
+  if (type) filter.type = type;
+  if (hesap) filter.hesap = hesap;
+
+  const skip = (page - 1) * limit;
+  const [requests, total] = await Promise.all([
+    OrderChangeRequest.find(filter).sort({ createdAt: 1 }).skip(skip).limit(limit),
+    OrderChangeRequest.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      requests: requests.map(toAdminEntry),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    }
+  });
+}));
+
+// ===============================
+// GET /api/order-change-requests/:id
+// ===============================
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.ORDERS_VIEW), catchAsync(async (req, res) => {
+  const request = await findRequest(req.params.id);
+
+  res.json({
+    success: true,
+    data: toAdminEntry(request)
+  });
+}));
+
+// ===============================
+// POST /api/order-change-requests/:id/resolve
+// ===============================
+// Temsilci talebi ERP'de uyguladıktan (veya reddettikten) sonra kapatılır; bayi durumu panelde görür
+router.post('/:id/resolve', authenticateToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), validateResolve, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  await findRequest(req.params.id);
+
+  const request = await orderChangeService.resolve(req.params.id, req.admin.username, {
+    status: req.body.status,
+    resolution: req.body.resolution
+  });
+
+  res.json({
+    success: true,
+    message: `Change request ${request.status}`,
+    data: toAdminEntry(request)
+  });
+}));
+
+module.exports = router;
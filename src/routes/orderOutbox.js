@@ -0,0 +1,161 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+const Order = require('../models/Order');
+const orderOutboxService = require('../services/orderOutboxService');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+// Outbox ekranında listelenen durumlar (gönderilmiş siparişler burada görünmez)
+const OUTBOX_STATUSES = ['queued', 'pending', 'unverified', 'dead_letter', 'cancelled'];
+
+const validateList = [
+  query('status').optional().isIn(OUTBOX_STATUSES).withMessage(`Status must be one of: ${OUTBOX_STATUSES.join(', ')}`),
+  query('hesap').optional().isString().trim(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+];
+
+const validateCancel = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3-500 characters')
+];
+
+const findOrder = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Order not found', 404);
+  }
+  const order = await Order.findById(id);
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  return order;
+};
+
+const toOutboxEntry = (order) => ({
+  ...order.toPublic(),
+  hesap: order.hesap,
+  impersonatedBy: order.impersonatedBy,
+  delivery: order.delivery,
+  cancelledAt: order.cancelledAt,
+  cancelledBy: order.cancelledBy
+});
+
+// ===============================
+// GET /api/order-outbox
+// ===============================
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.ORDERS_VIEW), validateList, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid filter parameters',
+      errors: errors.array()
+    });
+  }
+
+  const { status, hesap, page = 1, limit = 50 } = req.query;
+
+  const filter = { status: status || { $in: ['queued', 'pending', 'unverified', 'dead_letter'] } };
+  if (hesap) filter.hesap = hesap;
+
+  const skip = (page - 1) * limit;
+  const [orders, total, counts] = await Promise.all([
+    Order.find(filter).sort({ submittedAt: -1 }).skip(skip).limit(limit),
+    Order.countDocuments(filter),
+    Order.aggregate([
+      { $match: { status: { $in: OUTBOX_STATUSES } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      orders: orders.map(toOutboxEntry),
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    }
+  });
+}));
+
+// ===============================
+// GET /api/order-outbox/:id
+// ===============================
+router.get('/:id', authenticateToken, requirePermission(PERMISSIONS.ORDERS_VIEW), catchAsync(async (req, res) => {
+  const order = await findOrder(req.params.id);
+
+  res.json({
+    success: true,
+    data: toOutboxEntry(order)
+  });
+}));
+
+// ===============================
+// POST /api/order-outbox/:id/retry
+// ===============================
+router.post('/:id/retry', authenticateToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), catchAsync(async (req, res) => {
+  const current = await findOrder(req.params.id);
+
+  if (!orderOutboxService.RETRYABLE_STATUSES.includes(current.status)) {
+    throw new AppError(`Order in status '${current.status}' cannot be retried`, 409);
+  }
+
+  const { order, outcome } = await orderOutboxService.retry(current._id, req.admin.username);
+
+  logger.info('Outbox order retry finished', {
+    orderId: req.params.id,
+    hesap: order.hesap,
+    outcome,
+    admin: req.admin.username,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: outcome === 'sent' ? 'Order sent to ERP' : `Order delivery attempt finished: ${outcome}`,
+    data: toOutboxEntry(order)
+  });
+}));
+
+// ===============================
+// POST /api/order-outbox/:id/cancel
+// ===============================
+router.post('/:id/cancel', authenticateToken, requirePermission(PERMISSIONS.ORDERS_MANAGE), validateCancel, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const current = await findOrder(req.params.id);
+
+  if (!orderOutboxService.CANCELLABLE_STATUSES.includes(current.status)) {
+    throw new AppError(`Order in status '${current.status}' cannot be cancelled`, 409);
+  }
+
+  const order = await orderOutboxService.cancel(current._id, req.admin.username, req.body.reason);
+
+  res.json({
+    success: true,
+    message: 'Order cancelled',
+    data: toOutboxEntry(order)
+  });
+}));
+
+module.exports = router;
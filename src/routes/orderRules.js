@@ -0,0 +1,156 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+const OrderRule = require('../models/OrderRule');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.ORDER_RULES_MANAGE));
+
+const RULE_FIELDS = ['key', 'priceList', 'minQty', 'packSize', 'minOrderTotal', 'note', 'isActive'];
+
+const validateList = [
+  query('scope').optional().isIn(OrderRule.SCOPES).withMessage(`Scope must be one of: ${OrderRule.SCOPES.join(', ')}`),
+  query('key').optional().isString().trim(),
+  query('priceList').optional().isInt({ min: 1, max: 15 }).toInt(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+];
+
+// Kapsam (scope) oluşturulduktan sonra değiştirilemez; hangi kapsamda hangi alanların
+// zorunlu olduğu (global -> minOrderTotal vb.) model doğrulamasında kontrol edilir
+const validateRule = (isUpdate) => [
+  ...(isUpdate ? [] : [
+    body('scope').isIn(OrderRule.SCOPES).withMessage(`Scope must be one of: ${OrderRule.SCOPES.join(', ')}`)
+  ]),
+  body('key').optional().isString().trim().isLength({ max: 100 }).withMessage('Key must be at most 100 characters'),
+  body('priceList').optional({ values: 'null' }).isInt({ min: 1, max: 15 }).withMessage('Price list must be between 1-15').toInt(),
+  body('minQty').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Minimum quantity must be a positive integer').toInt(),
+  body('packSize').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Pack size must be a positive integer').toInt(),
+  body('minOrderTotal').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Minimum order total must be a positive number').toFloat(),
+  body('note').optional().isString().trim().isLength({ max: 200 }).withMessage('Note must be at most 200 characters'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be boolean').toBoolean()
+];
+
+const checkValidation = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const findRule = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Order rule not found', 404);
+  }
+  const rule = await OrderRule.findById(id);
+  if (!rule) {
+    throw new AppError('Order rule not found', 404);
+  }
+  return rule;
+};
+
+// ===============================
+// GET /api/order-rules
+// ===============================
+router.get('/', validateList, catchAsync(async (req, res) => {
+  if (checkValidation(req, res)) return;
+
+  const { scope, key, priceList, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  if (scope) filter.scope = scope;
+  if (key) filter.key = key;
+  if (priceList) filter.priceList = priceList;
+
+  const skip = (page - 1) * limit;
+  const [rules, total] = await Promise.all([
+    OrderRule.find(filter).sort({ scope: 1, key: 1, priceList: 1 }).skip(skip).limit(limit),
+    OrderRule.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      rules: rules.map(rule => rule.toPublic()),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    }
+  });
+}));
+
+// ===============================
+// POST /api/order-rules
+// ===============================
+router.post('/', validateRule(false), catchAsync(async (req, res) => {
+  if (checkValidation(req, res)) return;
+
+  const fields = Object.fromEntries(RULE_FIELDS.filter(f => req.body[f] !== undefined).map(f => [f, req.body[f]]));
+
+  const rule = await OrderRule.create({
+    ...fields,
+    scope: req.body.scope,
+    createdBy: req.admin.username,
+    updatedBy: req.admin.username
+  });
+
+  logger.info('Order rule created', { ruleId: String(rule._id), scope: rule.scope, key: rule.key, admin: req.admin.username, requestId: req.id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order rule created',
+    data: rule.toPublic()
+  });
+}));
+
+// ===============================
+// PUT /api/order-rules/:id
+// ===============================
+router.put('/:id', validateRule(true), catchAsync(async (req, res) => {
+  if (checkValidation(req, res)) return;
+
+  const rule = await findRule(req.params.id);
+
+  RULE_FIELDS.forEach(f => {
+    if (req.body[f] !== undefined) rule[f] = req.body[f];
+  });
+  rule.updatedBy = req.admin.username;
+  await rule.save();
+
+  logger.info('Order rule updated', { ruleId: req.params.id, admin: req.admin.username, requestId: req.id });
+
+  res.json({
+    success: true,
+    message: 'Order rule updated',
+    data: rule.toPublic()
+  });
+}));
+
+// ===============================
+// DELETE /api/order-rules/:id
+// ===============================
+router.delete('/:id', catchAsync(async (req, res) => {
+  const rule = await findRule(req.params.id);
+  await rule.deleteOne();
+
+  logger.info('Order rule deleted', { ruleId: req.params.id, scope: rule.scope, key: rule.key, admin: req.admin.username, requestId: req.id });
+
+  res.json({
+    success: true,
+    message: 'Order rule deleted'
+  });
+}));
+
+module.exports = router;
@@ -2,32 +2,34 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const router = express.Router();
 
-const Product = require('../models/Product');
+const Order = require('../models/Order');
+const OrderChangeRequest = require('../models/OrderChangeRequest');
 const soapService = require('../services/soapService');
+const orderService = require('../services/orderService');
+const orderHistoryService = require('../services/orderHistoryService');
+const orderChangeService = require('../services/orderChangeService');
+const reorderService = require('../services/reorderService');
+const cartService = require('../services/cartService');
+const Cart = require('../models/Cart');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireDealerPermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { validateOrderDetails, validateLineDetails, validateDeliveryDate } = require('../middleware/orderValidation');
+const { DEALER_PERMISSIONS, hasDealerPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
-// Helpers
-function toNumber(n, def = 0) {
-  const v = Number(n);
-  return Number.isFinite(v) ? v : def;
-}
-
-function parseDDMMYYYY(str) {
-  if (!str || typeof str !== 'string') return null;
-  const m = str.match(/^(\d{2})-(\d{2})-(\d{4})$/);
-  if (!m) return null;
-  const [ , dd, mm, yyyy ] = m;
-  const d = new Date(Number(yyyy), Number(mm) - 1, Number(dd));
-  return isNaN(d.getTime()) ? null : d;
-}
-
 // Validations
 const validateCreateOrder = [
   body('products').isArray({ min: 1 }).withMessage('Products array is required and must contain at least one item'),
   body('products.*.stkno').trim().notEmpty().withMessage('Stock number is required for each product'),
   body('products.*.adet').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  ...validateLineDetails,
+  ...validateOrderDetails,
+];
+
+const validateFrequentlyBought = [
+  query('days').optional().isInt({ min: 7, max: 730 }).withMessage('days must be between 7-730').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1-100').toInt(),
 ];
 
 const validateDateFilters = [
@@ -35,15 +37,66 @@ const validateDateFilters = [
   query('endDate').optional().matches(/^\d{2}-\d{2}-\d{4}$/).withMessage('End date must be in DD-MM-YYYY format'),
 ];
 
+const validateHistoryFilters = [
+  query('view').optional().isIn(orderHistoryService.VIEWS).withMessage(`view must be one of: ${orderHistoryService.VIEWS.join(', ')}`),
+  query('status')
+    .optional()
+    .customSanitizer(value => String(value).split(',').map(s => s.trim()).filter(Boolean))
+    .custom(values => values.every(v => orderHistoryService.ORDER_STATES.includes(v)))
+    .withMessage(`status must be one or more of: ${orderHistoryService.ORDER_STATES.join(', ')}`),
+  query('stkno').optional().isString().trim().isLength({ max: 50 }),
+  query('q').optional().isString().trim().isLength({ max: 100 }),
+  query('minAmount').optional().isFloat({ min: 0 }).withMessage('minAmount must be a positive number').toFloat(),
+  query('maxAmount').optional().isFloat({ min: 0 }).withMessage('maxAmount must be a positive number').toFloat(),
+  query('sort').optional().isIn(orderHistoryService.SORT_FIELDS).withMessage(`sort must be one of: ${orderHistoryService.SORT_FIELDS.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+];
+
+const validateReason = body('reason')
+  .optional({ values: 'falsy' })
+  .isString()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Reason must be at most 500 characters');
+
+const validateCancelRequest = [
+  validateReason,
+  body('stknos').optional().isArray({ max: 200 }).withMessage('stknos must be an array'),
+  body('stknos.*').isString().trim().notEmpty().withMessage('Stock number is required'),
+];
+
+const validateChangeRequest = [
+  validateReason,
+  body('lines').optional().isArray({ max: 200 }).withMessage('lines must be an array'),
+  body('lines.*.stkno').trim().notEmpty().withMessage('Stock number is required for each line'),
+  body('lines.*.adet').isInt({ min: 0 }).withMessage('Quantity must be zero or a positive integer').toInt(),
+  validateDeliveryDate('deliveryDate'),
+];
+
+const validateChangeRequestList = [
+  query('status').optional().isIn(OrderChangeRequest.STATUSES).withMessage(`status must be one of: ${OrderChangeRequest.STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+];
+
 // GET /api/orders
-router.get('/', authenticateToken, validateDateFilters, catchAsync(async (req, res) => {
+// Varsayılan görünüm sipno'ya göre gruplanmış siparişlerdir; view=lines ham satırları (durumlarıyla) döner
+router.get('/', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_ORDERS), validateDateFilters, validateHistoryFilters, catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({ success: false, message: 'Invalid date format', errors: errors.array() });
+    return res.status(400).json({ success: false, message: 'Invalid filter parameters', errors: errors.array() });
   }
 
   const userHesap = req.user.hesap;
-  const { startDate, endDate } = req.query;
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
+  const { startDate, endDate, view = 'orders', status, stkno, q, page = 1, limit = 50 } = req.query;
+  // Fiyat göremeyen alt kullanıcıda tutar filtresi ve sıralaması yok sayılır (tutarları dolaylı açığa çıkarmasın)
+  const minAmount = canViewPrices ? req.query.minAmount : undefined;
+  const maxAmount = canViewPrices ? req.query.maxAmount : undefined;
+  const sort = canViewPrices || req.query.sort !== 'amount' ? req.query.sort : undefined;
+  const { order } = req.query;
 
   logger.request(req, `Fetching orders for user: ${userHesap}`);
 
@@ -52,29 +105,17 @@ router.get('/', authenticateToken, validateDateFilters, catchAsync(async (req, r
   if (endDate)   dateFilters.endDate   = endDate;
 
   try {
-    const orders = await soapService.getOrders(userHesap, dateFilters);
-
-    const transformed = (orders || []).map((o) => ({
-      ...o,
-      sipbak: toNumber(o.sipbak),
-      sipfyt: toNumber(o.sipfyt),
-      siptut: toNumber(o.siptut),
-      tarih: o.tarih || '',
-      termin: o.termin || '',
-      _tarihDate: parseDDMMYYYY(o.tarih),
-    }));
-
-    transformed.sort((a, b) => {
-      const da = a._tarihDate?.getTime() ?? 0;
-      const db = b._tarihDate?.getTime() ?? 0;
-      return db - da;
-    });
+    // Satırlar erp/mappers.js'ten tipli gelir (sayılar number, tarihDate Date)
+    const rows = await soapService.getOrders(userHesap, dateFilters);
 
-    transformed.forEach(t => delete t._tarihDate);
+    const result = orderHistoryService.query(rows, {
+      view, status, stkno, q, minAmount, maxAmount, sort, order, page, limit
+    });
 
     logger.info('Orders fetched successfully', {
       userHesap,
-      orderCount: transformed.length,
+      rowCount: rows.length,
+      matched: result.total,
       dateFilters,
       requestId: req.id,
     });
@@ -82,9 +123,17 @@ router.get('/', authenticateToken, validateDateFilters, catchAsync(async (req, r
     res.json({
       success: true,
       data: {
-        orders: transformed,
-        filters: dateFilters,
-        count: transformed.length,
+        view,
+        orders: result.items.map(item => orderHistoryService.maskOrderPrices(item, canViewPrices)),
+        filters: { ...dateFilters, status, stkno, q, minAmount, maxAmount },
+        count: result.total,
+        counts: result.counts,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(result.total / limit),
+          total: result.total,
+          limit,
+        },
       },
     });
   } catch (error) {
@@ -95,7 +144,11 @@ router.get('/', authenticateToken, validateDateFilters, catchAsync(async (req, r
 }));
 
 // POST /api/orders - GÜNCELLENDİ
-router.post('/', authenticateToken, validateCreateOrder, catchAsync(async (req, res) => {
+// Idempotency-Key başlığıyla gelen tekrar istekler (çift tıklama, ağ tekrarı) ilk cevabı alır
+router.post('/', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), idempotent({ recover: orderService.recoverIdempotentOrder }), validateCreateOrder, catchAsync(async (req, res) => {
+  // ERP'ye gitmeden oluşan 5xx hatalarda aynı anahtarla tekrar denenebilir
+  res.locals.idempotencyRetryable = true;
+
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
@@ -108,84 +161,31 @@ router.post('/', authenticateToken, validateCreateOrder, catchAsync(async (req,
   logger.request(req, `Creating order for user: ${userHesap}, priceList: ${userPriceList}, products: ${products.length}`);
 
   try {
-    // MongoDB'den ürün bilgilerini al
-    const productDetails = await Promise.all(
-      products.map(async (item) => {
-        if (!item.stkno || !item.adet) {
-          throw new AppError('Invalid product data: stkno and adet are required', 400);
-        }
-
-        const product = await Product.findOne({ stkno: item.stkno }).lean();
-        
-        if (!product) {
-          throw new AppError(`Product ${item.stkno} not found`, 404);
-        }
-
-        // Orijinal para birimi ve fiyatı kullan (ERP'ye göndermek için)
-        const originalPrice = product.originalPriceList[`fiyat${userPriceList}`];
-        const priceInTL = product.priceList[`fiyat${userPriceList}`];
-
-        if (!originalPrice || originalPrice <= 0) {
-          throw new AppError(`Invalid price for product ${item.stkno}`, 400);
-        }
-
-        return {
-          stkno: product.stkno,
-          stokadi: product.stokadi,
-          adet: toNumber(item.adet, 0),
-          cinsi: product.cinsi || 'TRY',  // Orijinal para birimi
-          fiyat: originalPrice,            // ERP'ye gönderilecek orijinal fiyat
-          fiyatTL: priceInTL              // Kayıt/log için TL karşılığı
-        };
-      })
-    );
-
-    const validatedProducts = productDetails.filter(p => p.adet > 0);
-
-    if (validatedProducts.length === 0) {
-      throw new AppError('No valid product lines', 400);
-    }
-
-    // Toplam hesapla (TL cinsinden - log için)
-    const totalTL = validatedProducts.reduce((sum, p) => sum + p.adet * p.fiyatTL, 0);
+    // Fiyatlar MongoDB'deki güncel listeden alınır
+    const priced = await orderService.priceLines(products, userPriceList);
+    // PO numarası, not, teslim tarihi ve seçilen teslimat adresi
+    priced.details = await orderService.resolveOrderDetails(userHesap, req.body);
 
     logger.info('Order validation completed', {
       userHesap,
       userPriceList,
-      productCount: validatedProducts.length,
-      orderTotalTL: totalTL,
-      currencies: [...new Set(validatedProducts.map(p => p.cinsi))],
+      productCount: priced.lines.length,
+      orderTotalTL: priced.totalTL,
+      currencies: [...new Set(priced.lines.map(p => p.cinsi))],
       requestId: req.id,
     });
 
-    // ERP'ye gönder (orijinal para birimi ve fiyatlarla)
-    const orderResult = await soapService.createOrder(userHesap, validatedProducts);
-
-    logger.info('Order created successfully', {
-      userHesap,
-      userPriceList,
-      orderId: orderResult.orderId,
-      productCount: validatedProducts.length,
-      orderTotalTL: totalTL,
-      requestId: req.id,
+    // Önce outbox'a (yerel kayıt) yazılır; ERP'ye gönderilemezse worker tekrar dener, sipariş kaybolmaz
+    const placed = await orderService.placeOrder(req, priced, {
+      // Sipariş kaydedildi: bundan sonraki cevap (kuyruk dahil) aynı anahtarla tekrar döndürülür
+      onRecorded: () => { res.locals.idempotencyRetryable = false; },
+      idempotencyKeyId: res.locals.idempotencyKeyId
     });
 
-    return res.status(201).json({
-      success: true,
-      message: 'Order created successfully',
-      data: {
-        orderId: orderResult.orderId,
-        products: validatedProducts.map(p => ({
-          stkno: p.stkno,
-          stokadi: p.stokadi,
-          adet: p.adet,
-          fiyat: p.fiyatTL,  // Frontend'e TL fiyatı göster
-          cinsi: 'TRY'       // Frontend'e her zaman TRY göster
-        })),
-        totalAmount: totalTL,
-        status: 'created',
-      },
+    const response = orderService.orderResponse(placed, priced.lines, priced.totalTL, {
+      canViewPrices: hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES)
     });
+    return res.status(response.statusCode).json(response.body);
   } catch (error) {
     logger.error('Failed to create order:', {
       userHesap,
@@ -199,57 +199,238 @@ router.post('/', authenticateToken, validateCreateOrder, catchAsync(async (req,
 }));
 
 // GET /api/orders/stats
-router.get('/stats', authenticateToken, catchAsync(async (req, res) => {
+router.get('/stats', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_ORDERS), catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   logger.request(req, `Fetching order stats for user: ${userHesap}`);
 
   try {
     const orders = await soapService.getOrders(userHesap);
 
-    const totalOrders = (orders || []).length;
-    const totalAmount = (orders || []).reduce((sum, o) => sum + toNumber(o.siptut), 0);
-    const averageOrderValue = totalOrders > 0 ? totalAmount / totalOrders : 0;
-
     const thirtyDaysAgo = (() => {
       const d = new Date();
       d.setDate(d.getDate() - 30);
       return d;
     })();
 
-    const recentOrdersCount = (orders || []).reduce((acc, o) => {
-      const d = parseDDMMYYYY(o.tarih);
-      return acc + (d && d >= thirtyDaysAgo ? 1 : 0);
-    }, 0);
+    // Sayımlar satır değil sipariş (sipno) bazındadır
+    const summary = orderHistoryService.summarize(orders || [], { since: thirtyDaysAgo });
+    const averageOrderValue = summary.totalOrders > 0 ? summary.totalAmount / summary.totalOrders : 0;
+    const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
 
-    const stats = { totalOrders, totalAmount, averageOrderValue, recentOrdersCount };
+    const stats = {
+      totalOrders: summary.totalOrders,
+      totalAmount: canViewPrices ? summary.totalAmount : null,
+      averageOrderValue: canViewPrices ? averageOrderValue : null,
+      recentOrdersCount: summary.recentOrders,
+      waitingOrders: summary.waitingOrders,
+      waitingAmount: canViewPrices ? summary.waitingAmount : null
+    };
 
     logger.info('Order stats calculated successfully', { userHesap, ...stats, requestId: req.id });
 
     res.json({ success: true, data: stats });
   } catch (error) {
     logger.error('Failed to fetch order stats:', { userHesap, error: error.message, requestId: req.id });
+    const amount = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES) ? 0 : null;
     res.json({
       success: true,
-      data: { totalOrders: 0, totalAmount: 0, averageOrderValue: 0, recentOrdersCount: 0 },
+      data: { totalOrders: 0, totalAmount: amount, averageOrderValue: amount, recentOrdersCount: 0, waitingOrders: 0, waitingAmount: amount },
+    });
+  }
+}));
+
+// GET /api/orders/frequently-bought
+// Bayinin sipariş geçmişinden en sık aldığı aktif ürünler ("tekrar al")
+router.get('/frequently-bought', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_ORDERS), validateFrequentlyBought, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Invalid parameters', errors: errors.array() });
+  }
+
+  const userHesap = req.user.hesap;
+  const { days, limit = 20 } = req.query;
+
+  logger.request(req, `Fetching frequently bought products for user: ${userHesap}`);
+
+  const products = await reorderService.frequentlyBought(userHesap, req.user.list || 1, {
+    days,
+    limit,
+    canViewPrices: hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES)
+  });
+
+  res.json({ success: true, data: products });
+}));
+
+// POST /api/orders/:orderId/reorder
+// Önceki siparişin (portal veya ERP) kalemlerini güncel fiyatlarla aktif sepete ekler
+router.post('/:orderId/reorder', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), catchAsync(async (req, res) => {
+  const { orderId } = req.params;
+  const userHesap = req.user.hesap;
+  const userPriceList = req.user.list || 1;
+
+  logger.request(req, `Reordering ${orderId} for user: ${userHesap}, priceList: ${userPriceList}`);
+
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
+  const source = await reorderService.linesFromOrder(userHesap, orderId);
+  const result = await reorderService.addLinesToCart(userHesap, userPriceList, source.lines, { canViewPrices });
+
+  logger.info('Order lines added to cart', {
+    userHesap,
+    orderId,
+    source: source.source,
+    added: result.added.length,
+    skipped: result.skipped.length,
+    priceChanges: result.priceChanges.length,
+    requestId: req.id
+  });
+
+  const cart = await Cart.getCartByUser(userHesap);
+
+  res.json({
+    success: true,
+    message: result.added.length
+      ? `${result.added.length} ürün sepete eklendi`
+      : 'Sepete eklenebilecek ürün bulunamadı',
+    data: {
+      source: source.source,
+      sipno: source.sipno,
+      ...result,
+      cart: await cartService.cartData(cart, { canViewPrices })
+    }
+  });
+}));
+
+// GET /api/orders/change-requests
+// Bayinin iptal/değişiklik talepleri ve durumları
+router.get('/change-requests', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_ORDERS), validateChangeRequestList, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Invalid parameters', errors: errors.array() });
+  }
+
+  const { status, page = 1, limit = 20 } = req.query;
+  const filter = { hesap: req.user.hesap };
+  if (status) filter.status = status;
+
+  const [requests, total] = await Promise.all([
+    OrderChangeRequest.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    OrderChangeRequest.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      requests: requests.map(r => r.toPublic()),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        limit,
+      },
+    },
+  });
+}));
+
+// GET /api/orders/change-requests/:id
+router.get('/change-requests/:id', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_ORDERS), catchAsync(async (req, res) => {
+  const request = await OrderChangeRequest.findForDealer(req.user.hesap, req.params.id);
+  if (!request) throw new AppError('Change request not found', 404);
+
+  res.json({ success: true, data: request.toPublic() });
+}));
+
+// POST /api/orders/change-requests/:id/withdraw
+router.post('/change-requests/:id/withdraw', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), catchAsync(async (req, res) => {
+  const request = await orderChangeService.withdraw(req, req.params.id);
+
+  res.json({ success: true, message: 'Change request withdrawn', data: request.toPublic() });
+}));
+
+// POST /api/orders/:orderId/cancel
+// Kuyruktaki portal siparişi hemen iptal edilir; ERP'deki sipariş için temsilciye iptal talebi açılır
+router.post('/:orderId/cancel', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), validateCancelRequest, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+
+  logger.request(req, `Cancel requested for order ${req.params.orderId}, user: ${req.user.hesap}`);
+
+  const { cancelledOrder, request } = await orderChangeService.requestCancel(req, req.params.orderId, {
+    reason: req.body.reason,
+    stknos: req.body.stknos,
+  });
+
+  if (cancelledOrder) {
+    return res.json({
+      success: true,
+      message: 'Order cancelled',
+      data: {
+        handledBy: 'portal',
+        order: orderHistoryService.maskOrderPrices(cancelledOrder.toPublic(), hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES)),
+      },
     });
   }
+
+  res.status(202).json({
+    success: true,
+    message: 'Cancellation request sent to your customer representative',
+    data: { handledBy: 'representative', request: request.toPublic() },
+  });
+}));
+
+// POST /api/orders/:orderId/change-requests
+// ERP'deki açık siparişte satır miktarı veya teslim tarihi değişikliği talebi
+router.post('/:orderId/change-requests', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.PLACE_ORDERS), validateChangeRequest, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+  }
+
+  logger.request(req, `Change requested for order ${req.params.orderId}, user: ${req.user.hesap}`);
+
+  const { request } = await orderChangeService.requestChange(req, req.params.orderId, {
+    lines: req.body.lines,
+    deliveryDate: req.body.deliveryDate,
+    reason: req.body.reason,
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Change request sent to your customer representative',
+    data: { handledBy: 'representative', request: request.toPublic() },
+  });
 }));
 
 // GET /api/orders/:orderId
-router.get('/:orderId', authenticateToken, catchAsync(async (req, res) => {
+router.get('/:orderId', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_ORDERS), catchAsync(async (req, res) => {
   const { orderId } = req.params;
   const userHesap = req.user.hesap;
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
 
   if (!orderId) throw new AppError('Order ID is required', 400);
 
   logger.request(req, `Fetching order details: ${orderId}, user: ${userHesap}`);
 
   try {
+    // Portaldan verilen siparişler yerelde; sadece dışarıdan açılanlar için ERP listesine bakılır
+    const local = await Order.findForDealer(userHesap, orderId);
+    const sipno = local ? local.sipno : String(orderId);
+    // Siparişe ait iptal/değişiklik talepleri (en yeni önce)
+    const changeRequests = sipno
+      ? (await OrderChangeRequest.find({ hesap: userHesap, sipno }).sort({ createdAt: -1 })).map(r => r.toPublic())
+      : [];
+
+    if (local) {
+      const order = orderHistoryService.maskOrderPrices(local.toPublic(), canViewPrices);
+      return res.json({ success: true, data: { ...order, source: 'portal', changeRequests } });
+    }
+
     const all = await soapService.getOrders(userHesap);
     const order = (all || []).find(o => String(o.sipno) === String(orderId));
     if (!order) throw new AppError('Order not found', 404);
 
-    res.json({ success: true, data: order });
+    res.json({ success: true, data: { ...orderHistoryService.maskOrderPrices(order, canViewPrices), source: 'erp', changeRequests } });
   } catch (error) {
     logger.error('Failed to fetch order details:', { userHesap, orderId, error: error.message, requestId: req.id });
     if (error instanceof AppError) throw error;
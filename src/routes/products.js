@@ -5,9 +5,9 @@ const router = express.Router();
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const { fullSync, deltaSync, syncCategories } = require('../services/productSyncService');
-const soapService = require('../services/soapService');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireDealerPermission } = require('../middleware/auth');
+const { PERMISSIONS, DEALER_PERMISSIONS, hasDealerPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 const { syncProductImages } = require('../services/imageSyncService');
 const currencyService = require('../services/currencyService');
@@ -73,6 +73,7 @@ router.get('/', authenticateToken, validateProductFilters, catchAsync(async (req
   const { fgrp, fagrp, fatgrp, search, page = 1, limit = 50 } = req.query;
   const userHesap = req.user.hesap;
   const userPriceList = req.user.list || 1;
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
 
   logger.request(req, `MongoDB products list for user: ${userHesap}, priceList: ${userPriceList}`);
 
@@ -107,7 +108,7 @@ router.get('/', authenticateToken, validateProductFilters, catchAsync(async (req
     stkno: p.stkno,
     stokadi: p.stokadi,
     grupadi: p.grupadi,
-    fiyat: p.priceList?.[`fiyat${userPriceList}`] || 0,
+    fiyat: canViewPrices ? (p.priceList?.[`fiyat${userPriceList}`] || 0) : null,
     cinsi: 'TRY',
     bakiye: p.bakiye,
     birim: p.birim,
@@ -233,6 +234,7 @@ router.get('/search', authenticateToken, catchAsync(async (req, res) => {
   const page = Math.max(parseInt(req.query.page) || 1, 1);
   const skip = (page - 1) * limit;
   const userPriceList = req.user.list || 1;
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
 
   if (q.length < 2) {
     throw new AppError('Search term must be at least 2 characters', 400);
@@ -270,7 +272,7 @@ router.get('/search', authenticateToken, catchAsync(async (req, res) => {
     stkno: p.stkno,
     stokadi: p.stokadi,
     grupadi: p.grupadi,
-    fiyat: p.priceList?.[`fiyat${userPriceList}`] || 0,
+    fiyat: canViewPrices ? (p.priceList?.[`fiyat${userPriceList}`] || 0) : null,
     cinsi: 'TRY',
     bakiye: p.bakiye,
     birim: p.birim,
@@ -305,6 +307,7 @@ router.get('/:stockNo', authenticateToken, catchAsync(async (req, res) => {
   const { stockNo } = req.params;
   const userHesap = req.user.hesap;
   const userPriceList = req.user.list || 1;
+  const canViewPrices = hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES);
   
   if (!stockNo) throw new AppError('Stock number is required', 400);
 
@@ -322,7 +325,7 @@ router.get('/:stockNo', authenticateToken, catchAsync(async (req, res) => {
     stkno: fromDb.stkno,
     stokadi: fromDb.stokadi,
     grupadi: fromDb.grupadi,
-    fiyat: fromDb.priceList?.[`fiyat${userPriceList}`] || 0,
+    fiyat: canViewPrices ? (fromDb.priceList?.[`fiyat${userPriceList}`] || 0) : null,
     cinsi: 'TRY',
     bakiye: fromDb.bakiye,
     birim: fromDb.birim,
@@ -337,13 +340,13 @@ router.get('/:stockNo', authenticateToken, catchAsync(async (req, res) => {
 // ===============================
 // POST /api/products/sync
 // ===============================
-router.post('/sync', authenticateToken, catchAsync(async (req, res) => {
+router.post('/sync', authenticateToken, requirePermission(PERMISSIONS.PRODUCTS_SYNC), catchAsync(async (req, res) => {
   if (process.env.ALLOW_PRODUCT_SYNC !== 'true') {
     throw new AppError('Sync is disabled', 403);
   }
 
   const mode = (req.query.mode || 'delta').toLowerCase();
-  logger.request(req, `Manual product sync triggered: mode=${mode}, by=${req.user.hesap}`);
+  logger.request(req, `Manual product sync triggered: mode=${mode}, by=${req.user.username}`);
 
   const result = mode === 'full' ? await fullSync() : await deltaSync();
   return res.json({ success: true, mode, ...result });
@@ -352,12 +355,12 @@ router.post('/sync', authenticateToken, catchAsync(async (req, res) => {
 // ===============================
 // POST /api/products/sync-categories
 // ===============================
-router.post('/sync-categories', authenticateToken, catchAsync(async (req, res) => {
+router.post('/sync-categories', authenticateToken, requirePermission(PERMISSIONS.PRODUCTS_SYNC), catchAsync(async (req, res) => {
   if (process.env.ALLOW_PRODUCT_SYNC !== 'true') {
     throw new AppError('Sync is disabled', 403);
   }
 
-  logger.request(req, `Manual category sync triggered by: ${req.user.hesap}`);
+  logger.request(req, `Manual category sync triggered by: ${req.user.username}`);
 
   const result = await syncCategories();
   return res.json({ success: true, categories: result });
@@ -366,12 +369,12 @@ router.post('/sync-categories', authenticateToken, catchAsync(async (req, res) =
 // ===============================
 // POST /api/products/sync-images
 // ===============================
-router.post('/sync-images', authenticateToken, catchAsync(async (req, res) => {
+router.post('/sync-images', authenticateToken, requirePermission(PERMISSIONS.PRODUCTS_SYNC), catchAsync(async (req, res) => {
   if (process.env.ALLOW_PRODUCT_SYNC !== 'true') {
     throw new AppError('Image sync is disabled', 403);
   }
 
-  logger.request(req, `Manual image sync triggered by: ${req.user.hesap}`);
+  logger.request(req, `Manual image sync triggered by: ${req.user.username}`);
 
   const result = await syncProductImages();
   return res.json({ success: true, ...result });
@@ -380,7 +383,7 @@ router.post('/sync-images', authenticateToken, catchAsync(async (req, res) => {
 // ===============================
 // GET /api/products/debug/price-lists
 // ===============================
-router.get('/debug/price-lists', authenticateToken, catchAsync(async (req, res) => {
+router.get('/debug/price-lists', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_PRICES), catchAsync(async (req, res) => {
   const userHesap = req.user.hesap;
   const userPriceList = req.user.list || 1;
   
@@ -428,7 +431,7 @@ router.get('/debug/price-lists', authenticateToken, catchAsync(async (req, res)
 }));
 
 // TEST: priceList kontrolü
-router.get('/test-pricelist/:stkno', authenticateToken, catchAsync(async (req, res) => {
+router.get('/test-pricelist/:stkno', authenticateToken, requireDealerPermission(DEALER_PERMISSIONS.VIEW_PRICES), catchAsync(async (req, res) => {
   const { stkno } = req.params;
   
   const product = await Product.findOne({ stkno }).lean();
@@ -459,12 +462,7 @@ router.get('/currency-rates', authenticateToken, catchAsync(async (req, res) =>
 }));
 
 // GEÇICI: MongoDB temizleme endpoint'i (sadece test için)
-router.delete('/cleanup-all', authenticateToken, catchAsync(async (req, res) => {
-  // Sadece admin kullanıcılar çalıştırabilir
-  if (req.user.type !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
-
+router.delete('/cleanup-all', authenticateToken, requirePermission(PERMISSIONS.PRODUCTS_CLEANUP), catchAsync(async (req, res) => {
   logger.warn('Cleaning up all products from database', {
     user: req.user.hesap,
     requestId: req.id
@@ -486,11 +484,7 @@ router.delete('/cleanup-all', authenticateToken, catchAsync(async (req, res) =>
 }));
 
 // products.js route'una ekleyin
-router.delete('/cleanup-cart-favorites', authenticateToken, catchAsync(async (req, res) => {
-  if (req.user.type !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
-
+router.delete('/cleanup-cart-favorites', authenticateToken, requirePermission(PERMISSIONS.CARTS_CLEANUP), catchAsync(async (req, res) => {
   const Cart = require('../models/Cart');
   const FavoriteProduct = require('../models/FavoriteProduct');
 
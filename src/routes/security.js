@@ -0,0 +1,119 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const router = express.Router();
+
+const LoginAudit = require('../models/LoginAudit');
+const loginGuardService = require('../services/loginGuardService');
+const { catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const validateAuditFilters = [
+  query('username').optional().isString().trim(),
+  query('ip').optional().isString().trim(),
+  query('success').optional().isBoolean().toBoolean(),
+  query('from').optional().isISO8601().withMessage('from must be an ISO date').toDate(),
+  query('to').optional().isISO8601().withMessage('to must be an ISO date').toDate(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+];
+
+const validateUnlock = [
+  body('username').trim().notEmpty().withMessage('Username is required')
+];
+
+// ===============================
+// GET /api/security/login-audit
+// ===============================
+router.get('/login-audit', authenticateToken, requirePermission(PERMISSIONS.SECURITY_AUDIT), validateAuditFilters, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid filter parameters',
+      errors: errors.array()
+    });
+  }
+
+  const { username, ip, success, from, to, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+  if (username) filter.username = username.toLowerCase();
+  if (ip) filter.ip = ip;
+  if (success !== undefined) filter.success = success;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  logger.request(req, `Login audit query by: ${req.user.username}`);
+
+  const skip = (page - 1) * limit;
+  const [records, total] = await Promise.all([
+    LoginAudit.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    LoginAudit.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      records,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    }
+  });
+}));
+
+// ===============================
+// GET /api/security/locked-accounts
+// ===============================
+router.get('/locked-accounts', authenticateToken, requirePermission(PERMISSIONS.SECURITY_AUDIT), catchAsync(async (req, res) => {
+  const locked = await loginGuardService.getLockedAccounts();
+
+  res.json({
+    success: true,
+    data: locked.map(t => ({
+      username: t.username,
+      lockedUntil: t.lockedUntil,
+      lockCount: t.lockCount,
+      lastFailedAt: t.lastFailedAt
+    }))
+  });
+}));
+
+// ===============================
+// POST /api/security/unlock
+// ===============================
+router.post('/unlock', authenticateToken, requirePermission(PERMISSIONS.SECURITY_UNLOCK), validateUnlock, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { username } = req.body;
+  const throttle = await loginGuardService.unlock(username, req.user.username);
+
+  logger.warn('Login lock cleared by admin', {
+    username,
+    found: !!throttle,
+    by: req.user.username,
+    requestId: req.id
+  });
+
+  res.json({
+    success: true,
+    message: throttle ? 'Account unlocked' : 'No lock found for this username'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,123 @@
+// src/services/cartService.js
+// Sepet yanıtları: satırlar stok durumuyla döner, prices:view yetkisi olmayan
+// alt kullanıcılarda fiyat alanları null olur (ürün listesindeki gibi)
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const orderRuleService = require('./orderRuleService');
+const stockPolicyService = require('./stockPolicyService');
+const logger = require('../utils/logger');
+
+const CART_PRICE_FIELDS = ['fiyat', 'addedPrice'];
+// Checkout bu süreden uzun kilitli kaldıysa süreç düşmüş kabul edilir (ERP zaman aşımından uzun olmalı)
+const STALE_CHECKOUT_MINUTES = parseInt(process.env.CART_STALE_CHECKOUT_MINUTES || '10', 10);
+
+/**
+ * Nesnenin verilen fiyat alanlarını null yapar (canViewPrices false ise)
+ */
+function maskPrices(item, fields, canViewPrices) {
+  if (canViewPrices) return item;
+  const masked = { ...item };
+  fields.forEach(field => {
+    if (field in masked) masked[field] = null;
+  });
+  return masked;
+}
+
+async function cartData(cart, { canViewPrices = true } = {}) {
+  const items = await stockPolicyService.annotateItems(cart?.items || []);
+  return {
+    items: items.map(item => maskPrices(item, CART_PRICE_FIELDS, canViewPrices)),
+    lastSyncedAt: cart?.lastSyncedAt || new Date()
+  };
+}
+
+/**
+ * Sepete ekleme/güncelleme: ürünün sepetteki toplam miktarı stok politikasına ve
+ * minimum miktar / paket katı kurallarına uymalı (409 / 422)
+ */
+async function assertQuantity(stkno, qty, priceList) {
+  await stockPolicyService.assertQuantity(stkno, qty);
+  await orderRuleService.assertLines([{ stkno, adet: qty }], priceList);
+}
+
+/**
+ * Sepet senkronu: yerel satırların sunucu sepetinde oluşturacağı miktarlar (Cart.mergeCartItems
+ * gibi büyük olan kazanır) stok ve sipariş kurallarından geçer. İhlal eden ürünlerin yerel
+ * satırları uygulanmaz, skipped olarak döner; sunucudaki miktar olduğu gibi kalır.
+ */
+async function checkSyncItems(currentItems, localItems, priceList) {
+  const serverQty = new Map(currentItems.map(item => [item.stkno, item.adet]));
+  const targets = new Map();
+  localItems.forEach(item => {
+    targets.set(item.stkno, Math.max(targets.get(item.stkno) ?? serverQty.get(item.stkno) ?? 0, item.adet));
+  });
+
+  const changed = [...targets]
+    .filter(([stkno, adet]) => adet > (serverQty.get(stkno) || 0))
+    .map(([stkno, adet]) => ({ stkno, adet }));
+  if (!changed.length) return { items: localItems, skipped: [] };
+
+  const products = await Product.find({ stkno: { $in: changed.map(line => line.stkno) } })
+    .select('stkno grupadi fgrp bakiye uruntipi')
+    .lean();
+  const byStkno = new Map(products.map(p => [p.stkno, p]));
+  const { violations } = await orderRuleService.checkLines(changed, priceList, products);
+
+  const skipped = [];
+  changed.forEach(line => {
+    const product = byStkno.get(line.stkno);
+    const availability = product ? stockPolicyService.checkAvailability(product, line.adet) : null;
+    const ruleViolations = violations.filter(v => v.stkno === line.stkno);
+
+    if (availability && !availability.allowed) {
+      skipped.push({ stkno: line.stkno, adet: line.adet, reason: 'insufficient_stock', available: availability.available });
+    } else if (ruleViolations.length) {
+      skipped.push({ stkno: line.stkno, adet: line.adet, reason: 'order_rule', violations: ruleViolations });
+    }
+  });
+
+  const rejected = new Set(skipped.map(line => line.stkno));
+  return { items: localItems.filter(item => !rejected.has(item.stkno)), skipped };
+}
+
+/**
+ * Checkout sırasında süreç düşmüşse sepeti kilitten çıkarır: sipariş kaydı açılmışsa sepet
+ * o siparişle kapatılır, açılmamışsa tekrar aktif olur. Bu arada yeni aktif sepet
+ * oluşturulduysa eski sepet 'abandoned' olarak bırakılır.
+ */
+async function recoverStaleCheckouts(userId = null) {
+  const startedBefore = new Date(Date.now() - STALE_CHECKOUT_MINUTES * 60 * 1000);
+  const stale = await Cart.findStaleCheckouts(startedBefore, userId);
+
+  for (const cart of stale) {
+    let outcome = 'ordered';
+    if (cart.order) {
+      await Cart.completeCheckout(cart._id, cart.order);
+    } else {
+      outcome = 'active';
+      await Cart.abortCheckout(cart._id).catch(async error => {
+        if (error.code !== 11000) throw error;
+        outcome = 'abandoned';
+        await Cart.updateOne(
+          { _id: cart._id, status: 'checkout' },
+          { $set: { status: 'abandoned', checkoutStartedAt: null } }
+        );
+      });
+    }
+    logger.warn('Stale cart checkout released', {
+      user: cart.user,
+      cartId: String(cart._id),
+      orderId: cart.order ? String(cart.order) : null,
+      outcome
+    });
+  }
+  return stale.length;
+}
+
+module.exports = {
+  maskPrices,
+  cartData,
+  assertQuantity,
+  checkSyncItems,
+  recoverStaleCheckouts
+};
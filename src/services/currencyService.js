@@ -16,7 +16,6 @@ class CurrencyService {
    */
   async fetchRatesFromTCMB() {
     try {
-      const today = new Date().toISOString().split('T')[0].replace(/-/g, '');
       const url = `https://www.tcmb.gov.tr/kurlar/today.xml`;
       
       const response = await axios.get(url, {
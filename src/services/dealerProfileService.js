@@ -0,0 +1,126 @@
+// src/services/dealerProfileService.js
+const DealerProfile = require('../models/DealerProfile');
+const soapService = require('./soapService');
+const logger = require('../utils/logger');
+
+// DealerProfile'a yazılan alanlar (slCustlist satırları erp/mappers.js'te bu isimlere çevrilir)
+const PROFILE_FIELDS = [
+  'hesap', 'company', 'list', 'email', 'phone', 'phone2',
+  'ulke', 'sehir', 'ilce', 'adres', 'vName', 'vNo', 'bakiye'
+];
+
+class DealerProfileService {
+  constructor() {
+    this.customers = null;
+    this.customersFetchedAt = null;
+    this.cacheTimeout = parseInt(process.env.DEALER_PROFILE_CACHE_MS || `${5 * 60 * 1000}`, 10);
+  }
+
+  /**
+   * Eşlenmiş slCustlist satırını DealerProfile alanlarına çevirir (boş alanlar atlanır)
+   */
+  mapCustomerRow(row) {
+    const fields = {};
+    PROFILE_FIELDS.forEach(field => {
+      const value = row?.[field];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        fields[field] = String(value).trim();
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Müşteri listesini kısa süreli bellekte tutar (her refresh'te tüm listeyi çekmemek için)
+   */
+  async getCustomerIndex(force = false) {
+    const fresh = this.customersFetchedAt && (Date.now() - this.customersFetchedAt) < this.cacheTimeout;
+
+    if (!force && this.customers && fresh) {
+      return this.customers;
+    }
+
+    const rows = await soapService.getCustomers({ fresh: force });
+    const index = new Map();
+
+    rows.forEach(row => {
+      const fields = this.mapCustomerRow(row);
+      if (fields.hesap) index.set(fields.hesap, fields);
+    });
+
+    this.customers = index;
+    this.customersFetchedAt = Date.now();
+
+    logger.info('Customer list cached for dealer profiles', { count: index.size });
+    return index;
+  }
+
+  /**
+   * Girişte uuselogin'den gelen taze veriyi kaydeder
+   */
+  async saveFromLogin(user) {
+    const fields = DealerProfile.toClaims(user);
+    return DealerProfile.upsertProfile(user.hesap, fields, 'login');
+  }
+
+  /**
+   * Tek bir bayinin profilini ERP'den yeniler. Bayi listede yoksa mevcut kayıt döner.
+   */
+  async refreshFromErp(hesap, { force = false } = {}) {
+    const index = await this.getCustomerIndex(force);
+    const fields = index.get(String(hesap));
+
+    if (!fields) {
+      logger.warn('Dealer not found in ERP customer list', { hesap });
+      return DealerProfile.getByHesap(hesap);
+    }
+
+    const { hesap: _ignored, ...profileFields } = fields;
+    return DealerProfile.upsertProfile(hesap, profileFields, 'customer-list');
+  }
+
+  /**
+   * Cron: kayıtlı tüm bayi profillerini tek bir slCustlist çağrısıyla yeniler
+   */
+  async refreshAll() {
+    const index = await this.getCustomerIndex(true);
+    const profiles = await DealerProfile.find({}).select('hesap').lean();
+
+    const ops = [];
+    profiles.forEach(({ hesap }) => {
+      const fields = index.get(hesap);
+      if (!fields) return;
+
+      const { hesap: _ignored, ...profileFields } = fields;
+      ops.push({
+        updateOne: {
+          filter: { hesap },
+          update: { $set: { ...profileFields, source: 'customer-list', refreshedAt: new Date() } }
+        }
+      });
+    });
+
+    if (ops.length === 0) {
+      return { total: profiles.length, updated: 0, missing: profiles.length };
+    }
+
+    const result = await DealerProfile.bulkWrite(ops, { ordered: false });
+    return {
+      total: profiles.length,
+      updated: result.modifiedCount || 0,
+      missing: profiles.length - ops.length
+    };
+  }
+
+  /**
+   * JWT claim'lerini önbellekteki profil ile günceller
+   */
+  async applyToClaims(claims) {
+    if (!claims || claims.type !== 'customer') return claims;
+
+    const profile = await DealerProfile.getByHesap(claims.hesap);
+    return profile ? { ...claims, ...DealerProfile.toClaims(profile) } : claims;
+  }
+}
+
+module.exports = new DealerProfileService();
@@ -0,0 +1,57 @@
+// src/services/erp/erpAdapter.js
+// ERP taşıma katmanı arayüzü: SoapService sadece bu sözleşmeye göre konuşur
+
+// Backend'in kullandığı ERP metodları (SOAP operasyon adları)
+const ERP_METHODS = {
+  LOGIN: 'uuselogin',
+  STOCK_LIST: 'ikoStoklist',
+  PRODUCT_GROUPS: 'urungruplari',
+  SUB_GROUPS: 'altgrup',
+  SUB_GROUPS2: 'altgrup2',
+  ORDERS: 'rsiparisler',
+  CREATE_ORDER: 'sipcrea',
+  EXTRACT: 'dgeks',
+  EXTRACT_DETAIL: 'cardetstk',
+  CUSTOMERS: 'slCustlist',
+  REPRESENTATIVE_MAIL: 'sl-personmail'
+};
+
+const SUPPORTED_METHODS = new Set(Object.values(ERP_METHODS));
+
+class ErpAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  assertSupported(method) {
+    if (!SUPPORTED_METHODS.has(method)) {
+      throw new Error(`Unsupported ERP method: ${method}`);
+    }
+  }
+
+  /**
+   * Bağlantıyı hazırlar (SOAP için WSDL okunur). Hata durumunda fırlatır.
+   */
+  async connect() {}
+
+  /**
+   * ERP metodunu çağırır. Dönüş node-soap Async sözleşmesiyle aynıdır: [body, ...]
+   */
+  async call(_method, _params = {}) {
+    throw new Error(`${this.name} adapter does not implement call()`);
+  }
+
+  // Başarısız çağrıdan sonra bağlantıyı sıfırlar
+  reset() {}
+
+  async healthCheck() {
+    await this.connect();
+    return { adapter: this.name };
+  }
+}
+
+module.exports = {
+  ERP_METHODS,
+  SUPPORTED_METHODS,
+  ErpAdapter
+};
@@ -0,0 +1,88 @@
+// src/services/erp/erpMetrics.js
+// ERP SOAP çağrılarının Prometheus metrikleri
+const { registry } = require('../../utils/metrics');
+
+const CIRCUIT_STATE_VALUES = {
+  closed: 0,
+  'half-open': 1,
+  open: 2
+};
+
+const callDuration = registry.histogram(
+  'erp_soap_call_duration_seconds',
+  'ERP SOAP call latency in seconds',
+  ['method', 'outcome']
+);
+
+const callErrors = registry.counter(
+  'erp_soap_errors_total',
+  'Failed ERP SOAP call attempts',
+  ['method']
+);
+
+const callRetries = registry.counter(
+  'erp_soap_retries_total',
+  'ERP SOAP call attempts after the first one',
+  ['method']
+);
+
+const callRejections = registry.counter(
+  'erp_soap_rejected_total',
+  'ERP SOAP calls rejected before reaching the ERP',
+  ['method', 'reason']
+);
+
+const slowCalls = registry.counter(
+  'erp_soap_slow_calls_total',
+  'ERP SOAP calls slower than the slow-call threshold',
+  ['method']
+);
+
+/**
+ * Devre, bulkhead ve önbellek durumları scrape anında servisten okunur
+ */
+function registerServiceGauges(service) {
+  registry.gauge(
+    'erp_circuit_state',
+    'ERP circuit breaker state per method (0=closed, 1=half-open, 2=open)',
+    ['method'],
+    (gauge) => service.breakers.forEach((breaker, method) => {
+      gauge.set({ method }, CIRCUIT_STATE_VALUES[breaker.state]);
+    })
+  );
+
+  registry.gauge(
+    'erp_bulkhead_active_calls',
+    'ERP calls currently in flight',
+    [],
+    (gauge) => gauge.set({}, service.bulkhead.active)
+  );
+
+  registry.gauge(
+    'erp_bulkhead_queued_calls',
+    'ERP calls waiting for a free slot',
+    [],
+    (gauge) => gauge.set({}, service.bulkhead.queue.length)
+  );
+
+  registry.gauge(
+    'erp_cache_lookups',
+    'ERP response cache lookups since start',
+    ['result'],
+    (gauge) => {
+      const { hits, misses, coalesced } = service.cache.stats;
+      gauge.set({ result: 'hit' }, hits);
+      gauge.set({ result: 'miss' }, misses);
+      gauge.set({ result: 'coalesced' }, coalesced);
+    }
+  );
+}
+
+module.exports = {
+  callDuration,
+  callErrors,
+  callRetries,
+  callRejections,
+  slowCalls,
+  registerServiceGauges
+};
@@ -0,0 +1,123 @@
+// src/services/erp/fakeAdapter.js
+// ERP olmadan geliştirme/test için fixture tabanlı sahte taşıma katmanı
+//
+// Fixture formatı (<method>.json):
+//   { "default": <body>, "cases": [{ "match": { param: değer }, "response": <body> | "fault": "mesaj" | "timeout": true }] }
+// "default"/"cases" anahtarları yoksa dosyanın tamamı cevap gövdesi kabul edilir.
+//
+// Çağrı kaydı (testlerde doğrulama için) varsayılan kapalıdır: recordCalls seçeneği veya
+// ERP_FAKE_RECORD_CALLS=true; uzun süre çalışan dev sunucusunda son MAX_RECORDED_CALLS çağrı tutulur.
+const fs = require('fs');
+const path = require('path');
+const { ErpAdapter, ERP_METHODS } = require('./erpAdapter');
+const logger = require('../../utils/logger');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const MAX_RECORDED_CALLS = 200;
+
+const matches = (match = {}, params = {}) => Object.entries(match)
+  .every(([key, value]) => String(params[key] ?? '') === String(value ?? ''));
+
+class FakeAdapter extends ErpAdapter {
+  constructor(options = {}) {
+    super('fake');
+    this.fixturesDir = options.fixturesDir || process.env.ERP_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    this.latencyMs = parseInt(options.latencyMs ?? process.env.ERP_FAKE_LATENCY_MS ?? '0', 10);
+    this.handlers = { ...options.handlers };
+    this.fixtures = {};
+    this.recordCalls = options.recordCalls ?? process.env.ERP_FAKE_RECORD_CALLS === 'true';
+    this.calls = [];
+    this.orderSeq = 0;
+  }
+
+  loadFixture(method) {
+    if (this.fixtures[method] !== undefined) return this.fixtures[method];
+
+    const file = path.join(this.fixturesDir, `${method}.json`);
+    let fixture = null;
+
+    if (fs.existsSync(file)) {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      fixture = raw && (raw.cases || raw.default !== undefined)
+        ? { cases: raw.cases || [], default: raw.default ?? null }
+        : { cases: [], default: raw };
+    } else {
+      logger.warn('ERP fixture not found', { method, file });
+    }
+
+    this.fixtures[method] = fixture;
+    return fixture;
+  }
+
+  // Testlerde fixture'ı dosya olmadan değiştirmek için
+  setFixture(method, fixture) {
+    this.fixtures[method] = fixture.cases || fixture.default !== undefined
+      ? { cases: fixture.cases || [], default: fixture.default ?? null }
+      : { cases: [], default: fixture };
+  }
+
+  resolve(method, params) {
+    const fixture = this.loadFixture(method);
+    if (!fixture) return null;
+
+    const hit = fixture.cases.find(c => matches(c.match, params));
+    if (hit?.fault) {
+      // node-soap fault hatasıyla aynı şekil
+      const fault = new Error(hit.fault);
+      fault.root = { Envelope: { Body: { Fault: { faultstring: hit.fault } } } };
+      throw fault;
+    }
+    if (hit?.timeout) {
+      // İstek gitti ama cevap gelmedi: sonucu belirsiz çağrıyı taklit eder
+      const timeout = new Error(`ESOCKETTIMEDOUT: ${method}`);
+      timeout.code = 'ESOCKETTIMEDOUT';
+      throw timeout;
+    }
+    return hit ? hit.response : fixture.default;
+  }
+
+  // Sipariş numarası her çağrıda artar ki oluşturulan siparişler ayırt edilebilsin
+  createOrder(params) {
+    const base = this.resolve(ERP_METHODS.CREATE_ORDER, params) || {};
+    this.orderSeq += 1;
+    const start = parseInt(base.sipno, 10) || 900000;
+    return { ...base, sipno: String(start + this.orderSeq) };
+  }
+
+  async call(method, params = {}) {
+    this.assertSupported(method);
+    if (this.recordCalls) {
+      this.calls.push({ method, params, at: new Date() });
+      if (this.calls.length > MAX_RECORDED_CALLS) this.calls.shift();
+    }
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    let body;
+    if (this.handlers[method]) {
+      body = await this.handlers[method](params);
+    } else if (method === ERP_METHODS.CREATE_ORDER) {
+      body = this.createOrder(params);
+    } else {
+      body = this.resolve(method, params);
+    }
+
+    // node-soap Async ile aynı şekil: [body, rawResponse, soapHeader, rawRequest]
+    return [body ?? null, null, null, null];
+  }
+
+  reset() {
+    this.fixtures = {};
+  }
+
+  async healthCheck() {
+    if (!fs.existsSync(this.fixturesDir)) {
+      throw new Error(`ERP fixtures directory not found: ${this.fixturesDir}`);
+    }
+    return { adapter: this.name, fixturesDir: this.fixturesDir };
+  }
+}
+
+module.exports = FakeAdapter;
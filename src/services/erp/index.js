@@ -0,0 +1,26 @@
+// src/services/erp/index.js
+// ERP_ADAPTER=soap (varsayılan) | fake
+const { ERP_METHODS, ErpAdapter } = require('./erpAdapter');
+const SoapAdapter = require('./soapAdapter');
+const FakeAdapter = require('./fakeAdapter');
+
+const ADAPTERS = {
+  soap: SoapAdapter,
+  fake: FakeAdapter
+};
+
+function createAdapter(name = process.env.ERP_ADAPTER || 'soap', options = {}) {
+  const Adapter = ADAPTERS[String(name).toLowerCase()];
+  if (!Adapter) {
+    throw new Error(`Unknown ERP adapter: ${name}`);
+  }
+  return new Adapter(options);
+}
+
+module.exports = {
+  ERP_METHODS,
+  ErpAdapter,
+  SoapAdapter,
+  FakeAdapter,
+  createAdapter
+};
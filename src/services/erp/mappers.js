@@ -0,0 +1,233 @@
+// src/services/erp/mappers.js
+// ERP satırlarını şemaya göre doğrular ve tipli nesnelere çevirir.
+//
+// - Sayılar number'a çevrilir ("12,50" da kabul edilir), çevrilemeyen değer null olur
+// - DD-MM-YYYY tarihler olduğu gibi kalır, yanına <alan>Date (Date) eklenir
+// - Zorunlu alanı eksik satırlar atılır; şemada olmayan alanlar korunur ama raporlanır
+const logger = require('../../utils/logger');
+const { redact } = require('../../utils/redact');
+const { registry } = require('../../utils/metrics');
+
+const mappingIssues = registry.counter(
+  'erp_mapping_issues_total',
+  'ERP rows or fields that did not match the expected schema',
+  ['type', 'kind']
+);
+
+const priceFields = Object.fromEntries(
+  Array.from({ length: 15 }, (_, i) => [`fiyat${i + 1}`, { type: 'number', default: 0 }])
+);
+
+// Alan tanımı: { type: string|number|date, required, default, aliases }
+const SCHEMAS = {
+  stock: {
+    stkno: { type: 'string', required: true },
+    stokadi: { type: 'string', default: '' },
+    grupadi: { type: 'string', default: '' },
+    cinsi: { type: 'string', default: 'TRY' },
+    birim: { type: 'string' },
+    kdv: { type: 'number' },
+    bakiye: { type: 'number', default: 0, aliases: ['bky', 'stok'] },
+    uruntipi: { type: 'string', default: '' },
+    fgrp: { type: 'string', default: '' },
+    fagrp: { type: 'string', default: '' },
+    fatgrp: { type: 'string', default: '' },
+    ...priceFields
+  },
+
+  order: {
+    sipno: { type: 'string', required: true },
+    tarih: { type: 'date' },
+    termin: { type: 'date' },
+    stkno: { type: 'string' },
+    mlzadi: { type: 'string' },
+    sipmik: { type: 'number', default: 0 },
+    sipfyt: { type: 'number', default: 0 },
+    siptut: { type: 'number', default: 0 },
+    sipbak: { type: 'number', default: 0 }
+  },
+
+  extract: {
+    fkn: { type: 'string' },
+    tarih: { type: 'date' },
+    evrakno: { type: 'string' },
+    aciklama: { type: 'string' },
+    borc: { type: 'number', default: 0 },
+    alacak: { type: 'number', default: 0 },
+    bakiye: { type: 'number', default: 0 }
+  },
+
+  extractDetail: {
+    stkno: { type: 'string' },
+    stokadi: { type: 'string' },
+    miktar: { type: 'number', default: 0 },
+    fiyat: { type: 'number', default: 0 },
+    tutar: { type: 'number', default: 0 },
+    kdv: { type: 'number' }
+  },
+
+  customer: {
+    hesap: { type: 'string', required: true, aliases: ['hesapkodu', 'custno', 'cariKod'] },
+    company: { type: 'string', aliases: ['unvan', 'uucust', 'custname', 'firma'] },
+    list: { type: 'string', aliases: ['uliste', 'liste', 'fiyatliste'] },
+    email: { type: 'string', aliases: ['mail', 'vmail'] },
+    phone: { type: 'string', aliases: ['tel', 'telefon'] },
+    phone2: { type: 'string', aliases: ['tel2', 'telefon2'] },
+    ulke: { type: 'string' },
+    sehir: { type: 'string', aliases: ['il'] },
+    ilce: { type: 'string' },
+    adres: { type: 'string' },
+    vName: { type: 'string', aliases: ['vdaire', 'vergidairesi'] },
+    vNo: { type: 'string', aliases: ['vno', 'vergino'] },
+    bakiye: { type: 'number', aliases: ['bky'] }
+  },
+
+  group: {
+    grpkod: { type: 'string', required: true },
+    grpadi: { type: 'string', default: '' }
+  },
+
+  subGroup: {
+    grpkod: { type: 'string', required: true, aliases: ['altgrpkod'] },
+    grpadi: { type: 'string', default: '', aliases: ['altgrpadi'] }
+  },
+
+  subGroup2: {
+    grpkod: { type: 'string', required: true, aliases: ['altgrpkod2'] },
+    grpadi: { type: 'string', default: '', aliases: ['altgrpadi2'] }
+  }
+};
+
+const DATE_PATTERN = /^(\d{2})-(\d{2})-(\d{4})$/;
+
+// Aynı uyarı her satırda tekrar loglanmasın
+const reportedIssues = new Set();
+const report = { droppedRows: {}, invalidFields: {}, unknownFields: {} };
+
+function reportIssue(type, kind, detail, context = {}) {
+  mappingIssues.inc({ type, kind });
+
+  const bucket = report[kind === 'dropped' ? 'droppedRows' : kind === 'invalid' ? 'invalidFields' : 'unknownFields'];
+  bucket[type] = bucket[type] || {};
+  bucket[type][detail] = (bucket[type][detail] || 0) + 1;
+
+  const key = `${type}:${kind}:${detail}`;
+  if (reportedIssues.has(key)) return;
+  reportedIssues.add(key);
+
+  logger.warn(`ERP ${type} row: ${kind} ${detail}`, { type, kind, detail, ...context });
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+function parseErpNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  let normalized = String(value).trim().replace(/\s/g, '');
+  // Türkçe biçimde (1.234,56) binlik noktalar atılır, ondalık virgül noktaya çevrilir; 1,234.56 da kabul edilir
+  if (normalized.includes(',')) {
+    normalized = normalized.lastIndexOf(',') > normalized.lastIndexOf('.')
+      ? normalized.replace(/\./g, '').replace(',', '.')
+      : normalized.replace(/,/g, '');
+  }
+  const n = Number(normalized);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseErpDate(value) {
+  const match = String(value).trim().match(DATE_PATTERN);
+  if (!match) return null;
+  const [, dd, mm, yyyy] = match;
+  const date = new Date(Number(yyyy), Number(mm) - 1, Number(dd));
+  // 31-02-2026 gibi geçersiz günler Date tarafından kaydırılır; bunları reddet
+  return date.getDate() === Number(dd) && date.getMonth() === Number(mm) - 1 ? date : null;
+}
+
+function readField(row, name, spec) {
+  for (const key of [name, ...(spec.aliases || [])]) {
+    if (!isBlank(row[key])) return { key, value: row[key] };
+  }
+  return { key: null, value: undefined };
+}
+
+/**
+ * Tek satırı şemaya göre çevirir; zorunlu alan eksikse null döner
+ */
+function mapRow(type, row) {
+  const schema = SCHEMAS[type];
+  if (!schema) throw new Error(`Unknown ERP row type: ${type}`);
+  if (!row || typeof row !== 'object') {
+    reportIssue(type, 'dropped', 'non-object row');
+    return null;
+  }
+
+  const output = {};
+  const consumed = new Set();
+
+  for (const [name, spec] of Object.entries(schema)) {
+    const { key, value } = readField(row, name, spec);
+    if (key) consumed.add(key);
+    [name, ...(spec.aliases || [])].forEach(k => consumed.add(k));
+
+    if (value === undefined) {
+      if (spec.required) {
+        reportIssue(type, 'dropped', `missing ${name}`, { row: redact(row) });
+        return null;
+      }
+      if (spec.type === 'date') {
+        output[name] = '';
+        output[`${name}Date`] = null;
+      } else if (spec.default !== undefined) {
+        output[name] = spec.default;
+      }
+      continue;
+    }
+
+    if (spec.type === 'number') {
+      const n = parseErpNumber(value);
+      if (n === null) reportIssue(type, 'invalid', name, { value: redact({ [name]: value })[name] });
+      output[name] = n ?? spec.default ?? null;
+    } else if (spec.type === 'date') {
+      const date = parseErpDate(value);
+      if (!date) reportIssue(type, 'invalid', name, { value });
+      output[name] = String(value).trim();
+      output[`${name}Date`] = date;
+    } else {
+      output[name] = String(value).trim();
+    }
+  }
+
+  // Şemada olmayan alanlar olduğu gibi taşınır (ERP yeni alan eklerse kaybolmasın)
+  Object.keys(row).forEach(key => {
+    if (consumed.has(key) || key === 'attributes') return;
+    reportIssue(type, 'unknown', key);
+    output[key] = row[key];
+  });
+
+  return output;
+}
+
+// SOAP tek satırı nesne, çok satırı dizi olarak döndürür
+const toArray = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+function mapRows(type, rows) {
+  return toArray(rows)
+    .map(row => mapRow(type, row))
+    .filter(Boolean);
+}
+
+function getReport() {
+  return JSON.parse(JSON.stringify(report));
+}
+
+module.exports = {
+  SCHEMAS,
+  mapRow,
+  mapRows,
+  toArray,
+  parseErpNumber,
+  parseErpDate,
+  getReport
+};
@@ -0,0 +1,169 @@
+// src/services/erp/responseCache.js
+// ERP cevapları için read-through TTL önbellek; aynı anahtara eşzamanlı gelen istekler tek çağrıda birleşir
+const ErpCacheEntry = require('../../models/ErpCacheEntry');
+const logger = require('../../utils/logger');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class MemoryStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Kopya döner: çağıran diziyi sort vb. ile değiştirse de önbellek bozulmaz
+    return structuredClone(entry.value);
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    // Map ekleme sırasını korur: sınır aşılınca en eski kayıt atılır
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+  }
+
+  async deletePrefix(prefix) {
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+class MongoStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async get(key) {
+    const entry = await ErpCacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return entry ? JSON.parse(entry.payload) : undefined;
+  }
+
+  async set(key, value, ttlMs) {
+    await ErpCacheEntry.updateOne(
+      { key },
+      { $set: { payload: JSON.stringify(value), expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  }
+
+  async deletePrefix(prefix) {
+    const result = await ErpCacheEntry.deleteMany({ key: { $regex: `^${escapeRegex(prefix)}` } });
+    return result.deletedCount;
+  }
+
+  async clear() {
+    await ErpCacheEntry.deleteMany({});
+  }
+}
+
+class ResponseCache {
+  constructor(store) {
+    this.store = store;
+    this.inflight = new Map();
+    this.epoch = 0; // her invalidation'da artar
+    this.stats = { hits: 0, misses: 0, coalesced: 0 };
+  }
+
+  /**
+   * Önbellekte varsa döner, yoksa loader'ı çağırıp saklar.
+   * Store hataları isteği bozmaz; sadece önbelleksiz devam edilir.
+   */
+  async wrap(key, ttlMs, loader, { fresh = false } = {}) {
+    if (!fresh) {
+      try {
+        const cached = await this.store.get(key);
+        if (cached !== undefined) {
+          this.stats.hits++;
+          return cached;
+        }
+      } catch (error) {
+        logger.warn('ERP cache read failed', { key, store: this.store.name, error: error.message });
+      }
+
+      if (this.inflight.has(key)) {
+        this.stats.coalesced++;
+        return this.inflight.get(key);
+      }
+    }
+
+    this.stats.misses++;
+    const startedEpoch = this.epoch;
+    const pending = (async () => {
+      const value = await loader();
+      // Çağrı sürerken invalidation olduysa sonuç bayat olabilir; saklanmaz
+      if (startedEpoch !== this.epoch) return value;
+      try {
+        await this.store.set(key, value, ttlMs);
+      } catch (error) {
+        logger.warn('ERP cache write failed', { key, store: this.store.name, error: error.message });
+      }
+      return value;
+    })();
+
+    this.inflight.set(key, pending);
+    try {
+      return await pending;
+    } finally {
+      if (this.inflight.get(key) === pending) this.inflight.delete(key);
+    }
+  }
+
+  async invalidate(prefix) {
+    this.epoch++;
+    // Süren çağrının sonucu da artık bayat; birleşme için kullanılmasın
+    for (const key of this.inflight.keys()) {
+      if (key.startsWith(prefix)) this.inflight.delete(key);
+    }
+
+    try {
+      const removed = await this.store.deletePrefix(prefix);
+      logger.info('ERP cache invalidated', { prefix, removed });
+    } catch (error) {
+      logger.warn('ERP cache invalidation failed', { prefix, store: this.store.name, error: error.message });
+    }
+  }
+
+  clear() {
+    this.inflight.clear();
+    return this.store.clear();
+  }
+
+  toJSON() {
+    return { store: this.store.name, inflight: this.inflight.size, ...this.stats };
+  }
+}
+
+// ERP_CACHE_STORE=memory (varsayılan) | mongo
+function createResponseCache(storeName = process.env.ERP_CACHE_STORE || 'memory') {
+  const store = storeName === 'mongo'
+    ? new MongoStore()
+    : new MemoryStore({ maxEntries: parseInt(process.env.ERP_CACHE_MAX_ENTRIES || '1000', 10) });
+  return new ResponseCache(store);
+}
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  ResponseCache,
+  createResponseCache
+};
@@ -0,0 +1,119 @@
+// src/services/erp/soapAdapter.js
+const fs = require('fs');
+const path = require('path');
+const soap = require('soap');
+const { ErpAdapter, ERP_METHODS } = require('./erpAdapter');
+const logger = require('../../utils/logger');
+
+// Kayıt modunda fixture'a yazılmayacak parametreler
+const SECRET_PARAMS = ['uucyrpt'];
+
+class SoapAdapter extends ErpAdapter {
+  constructor(options = {}) {
+    super('soap');
+
+    const mainService = {
+      wsdl: options.wsdl || process.env.SOAP_KRISTAL_WSDL,
+      endpoint: options.endpoint || process.env.SOAP_KRISTAL_ENDPOINT,
+      timeout: 30000
+    };
+
+    // sl-personmail ayrı bir WSDL üzerinde yayınlanıyor (tanımlı değilse ana servis)
+    const mailWsdl = options.mailWsdl || process.env.SOAP_WSDL_URL;
+    const mailService = mailWsdl
+      ? { wsdl: mailWsdl, endpoint: null, timeout: 5000 }
+      : mainService;
+
+    this.services = { main: mainService, mail: mailService };
+    this.clients = {};
+    this.recordDir = options.recordDir || process.env.ERP_RECORD_DIR || null;
+  }
+
+  serviceFor(method) {
+    return method === ERP_METHODS.REPRESENTATIVE_MAIL ? 'mail' : 'main';
+  }
+
+  async getClient(serviceKey = 'main') {
+    const service = this.services[serviceKey];
+    if (this.clients[serviceKey]) return this.clients[serviceKey];
+
+    logger.soap('Creating SOAP client', { wsdl: service.wsdl });
+
+    const client = await soap.createClientAsync(service.wsdl, {
+      timeout: service.timeout,
+      connectionTimeout: 10000
+    });
+
+    if (service.endpoint) {
+      client.setEndpoint(service.endpoint);
+    }
+
+    logger.info('✅ SOAP client created successfully');
+    logger.info('📋 Available SOAP methods:', {
+      methods: Object.keys(client).filter(key =>
+        typeof client[key] === 'function' && !key.startsWith('_')
+      )
+    });
+
+    this.clients[serviceKey] = client;
+    return client;
+  }
+
+  async connect() {
+    return this.getClient('main');
+  }
+
+  async call(method, params = {}) {
+    this.assertSupported(method);
+
+    const serviceKey = this.serviceFor(method);
+    let client;
+    try {
+      client = await this.getClient(serviceKey);
+    } catch (error) {
+      // WSDL okunamadı: istek hiç gönderilmedi
+      error.requestSent = false;
+      throw error;
+    }
+    const timeout = this.services[serviceKey].timeout;
+
+    const result = await client[`${method}Async`](params, { timeout });
+
+    if (this.recordDir) {
+      this.record(method, params, result);
+    }
+
+    return result;
+  }
+
+  reset() {
+    this.clients = {};
+  }
+
+  /**
+   * ERP_RECORD_DIR tanımlıysa gelen cevapları FakeAdapter'ın okuyacağı formatta saklar
+   */
+  record(method, params, result) {
+    try {
+      const file = path.join(this.recordDir, `${method}.json`);
+      const match = { ...params };
+      SECRET_PARAMS.forEach(key => delete match[key]);
+
+      const fixture = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : { cases: [] };
+      if (!Array.isArray(fixture.cases)) fixture.cases = [];
+
+      const key = JSON.stringify(match);
+      fixture.cases = fixture.cases.filter(c => JSON.stringify(c.match) !== key);
+      fixture.cases.push({ match, response: result?.[0] ?? null });
+
+      fs.mkdirSync(this.recordDir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+    } catch (error) {
+      logger.warn('ERP response recording failed', { method, error: error.message });
+    }
+  }
+}
+
+module.exports = SoapAdapter;
@@ -0,0 +1,133 @@
+// src/services/loginGuardService.js
+// Kullanıcı adı bazında brute-force koruması: kademeli bekleme, geçici kilit ve giriş kayıtları
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAudit = require('../models/LoginAudit');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER || '3', 10);
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '60', 10);
+const LOCK_THRESHOLD = parseInt(process.env.LOGIN_LOCK_THRESHOLD || '10', 10);
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || '15', 10);
+const MAX_LOCK_MINUTES = 24 * 60;
+// Son kilidin bitişinden bu kadar saat sonra gelen kilit yine LOCK_MINUTES'tan başlar
+const LOCK_RESET_HOURS = parseInt(process.env.LOGIN_LOCK_RESET_HOURS || '24', 10);
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+async function audit(username, req, { success, reason = null, userType = null, hesap = null }) {
+  try {
+    await LoginAudit.create({
+      username: LoginThrottle.normalize(username),
+      success,
+      reason,
+      userType,
+      hesap,
+      ip: req.ip || '',
+      userAgent: (req.get('User-Agent') || '').slice(0, 300),
+      requestId: req.id || null
+    });
+  } catch (error) {
+    logger.error('Login audit write failed', { username, error: error.message });
+  }
+}
+
+/**
+ * Kilitli veya bekleme süresindeki kullanıcı adı için 429 fırlatır (Retry-After ile)
+ */
+async function assertCanAttempt(username, req, res) {
+  const throttle = await LoginThrottle.findOne({ username: LoginThrottle.normalize(username) }).lean();
+  if (!throttle) return;
+
+  const now = new Date();
+  let blockedUntil = null;
+  let reason = null;
+
+  if (throttle.lockedUntil && throttle.lockedUntil > now) {
+    blockedUntil = throttle.lockedUntil;
+    reason = 'locked';
+  } else if (throttle.nextAttemptAt && throttle.nextAttemptAt > now) {
+    blockedUntil = throttle.nextAttemptAt;
+    reason = 'throttled';
+  }
+
+  if (!blockedUntil) return;
+
+  const retryAfter = secondsUntil(blockedUntil);
+  await audit(username, req, { success: false, reason });
+
+  res.set('Retry-After', String(retryAfter));
+  throw new AppError(
+    reason === 'locked'
+      ? `Account is temporarily locked due to failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`
+      : `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+    429
+  );
+}
+
+async function recordFailure(username, req, { reason = 'invalid_credentials' } = {}) {
+  const key = LoginThrottle.normalize(username);
+  const now = new Date();
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { username: key },
+    { $inc: { failedCount: 1 }, $set: { lastFailedAt: now } },
+    { new: true, upsert: true }
+  );
+
+  if (throttle.failedCount >= LOCK_THRESHOLD) {
+    if (throttle.lockedUntil && now.getTime() - throttle.lockedUntil.getTime() >= LOCK_RESET_HOURS * 60 * 60 * 1000) {
+      throttle.lockCount = 0;
+    }
+    const minutes = Math.min(LOCK_MINUTES * Math.pow(2, throttle.lockCount), MAX_LOCK_MINUTES);
+    throttle.lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    throttle.lockCount += 1;
+    throttle.failedCount = 0;
+    throttle.nextAttemptAt = null;
+    throttle.unlockedBy = null;
+
+    logger.warn('Account locked after repeated failed logins', {
+      username: key,
+      lockedUntil: throttle.lockedUntil,
+      lockCount: throttle.lockCount,
+      ip: req.ip,
+      requestId: req.id
+    });
+  } else if (throttle.failedCount >= DELAY_AFTER) {
+    const delaySeconds = Math.min(Math.pow(2, throttle.failedCount - DELAY_AFTER), MAX_DELAY_SECONDS);
+    throttle.nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000);
+  }
+
+  await throttle.save();
+  await audit(username, req, { success: false, reason });
+}
+
+async function recordSuccess(username, req, { userType = null, hesap = null } = {}) {
+  await LoginThrottle.updateOne(
+    { username: LoginThrottle.normalize(username) },
+    { $set: { failedCount: 0, nextAttemptAt: null, lockedUntil: null, lockCount: 0 } }
+  );
+  await audit(username, req, { success: true, userType, hesap });
+}
+
+async function unlock(username, unlockedBy) {
+  return LoginThrottle.findOneAndUpdate(
+    { username: LoginThrottle.normalize(username) },
+    { $set: { failedCount: 0, nextAttemptAt: null, lockedUntil: null, unlockedBy } },
+    { new: true }
+  );
+}
+
+function getLockedAccounts() {
+  return LoginThrottle.find({ lockedUntil: { $gt: new Date() } })
+    .sort({ lockedUntil: -1 })
+    .lean();
+}
+
+module.exports = {
+  assertCanAttempt,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  getLockedAccounts
+};
@@ -0,0 +1,71 @@
+// src/services/mailService.js
+const nodemailer = require('nodemailer');
+const logger = require('../utils/logger');
+
+const DEFAULT_FROM = process.env.SMTP_FROM || 'info@kristalaksesuar.com';
+
+class MailService {
+  constructor() {
+    this.transporter = null;
+    this.defaultFrom = DEFAULT_FROM;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'smtp.office365.com',
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        tls: { ciphers: 'SSLv3' },
+        secure: false,
+        auth: {
+          user: process.env.SMTP_USER || DEFAULT_FROM,
+          pass: process.env.SMTP_PASS
+        }
+      });
+    }
+
+    return this.transporter;
+  }
+
+  // Panel e-postalarının ortak şablonu
+  layout(title, body) {
+    return `
+      <!DOCTYPE html>
+      <html lang="tr">
+        <head>
+          <meta charset="UTF-8" />
+          <title>${title}</title>
+        </head>
+        <body>
+          <div style="max-width: 600px; padding: 20px; font-family: Arial, sans-serif;">
+            <h2 style="color: #333; border-bottom: 2px solid #e74c3c; padding-bottom: 10px;">${title}</h2>
+            ${body}
+            <div style="margin-top: 30px; font-size: 12px; color: #7f8c8d; border-top: 1px solid #ecf0f1; padding-top: 15px;">
+              <p>Bu e-posta müşteri paneli üzerinden otomatik olarak gönderilmiştir.</p>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+  }
+
+  async sendMail({ to, cc = [], subject, html }) {
+    const info = await this.getTransporter().sendMail({
+      from: this.defaultFrom,
+      to: Array.isArray(to) ? to : [to],
+      cc,
+      subject,
+      html
+    });
+
+    logger.info('Email sent', {
+      subject,
+      recipientCount: (Array.isArray(to) ? to.length : 1) + cc.length,
+      messageId: info.messageId
+    });
+
+    return info;
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,323 @@
+// src/services/orderChangeService.js
+// Bayi sipariş iptal ve değişiklik talepleri
+//
+// ERP'de (sipcrea/rsiparisler) sipariş iptal veya güncelleme metodu yok:
+// - ERP'ye henüz gitmemiş (kuyruktaki) portal siparişi doğrudan iptal edilir
+// - ERP'deki siparişler için takip edilen talep açılır ve müşteri temsilcisine (sl-personmail)
+//   e-posta gider; temsilci ERP'de uyguladıktan sonra talep admin panelinden kapatılır
+const Order = require('../models/Order');
+const OrderChangeRequest = require('../models/OrderChangeRequest');
+const soapService = require('./soapService');
+const mailService = require('./mailService');
+const orderOutboxService = require('./orderOutboxService');
+const orderHistoryService = require('./orderHistoryService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const TYPE_LABELS = { cancel: 'Sipariş İptal Talebi', change: 'Sipariş Değişiklik Talebi' };
+
+// Bayinin yazdığı metin e-postaya HTML olarak girmesin
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Talebin hedefi: ERP numarası olmayan portal siparişi (local) veya ERP'deki sipariş (sipno + satırlar).
+ * ERP satırları önbellekten değil güncel okunur; sevk edilmiş satır iptal edilmesin.
+ */
+async function resolveTarget(hesap, orderId) {
+  const local = await Order.findForDealer(hesap, orderId);
+  if (local && !local.sipno) {
+    return { local };
+  }
+
+  const sipno = local ? local.sipno : String(orderId);
+  const rows = (await soapService.getOrders(hesap, {}, { fresh: true }))
+    .filter(row => String(row.sipno) === sipno);
+  if (!rows.length) {
+    throw new AppError('Order not found', 404);
+  }
+
+  return { local, sipno, erpOrder: orderHistoryService.groupOrders(rows)[0] };
+}
+
+// ERP numarası olmayan siparişin iptal edilemediği durumlar; 'unverified' ve 'sent' siparişler ERP'de
+// açılmış olabilir, uzlaştırma eşleştirene (veya unverified'ı 'failed' yapana) kadar beklemeli
+const CANCEL_BLOCKED_MESSAGES = {
+  pending: 'Order is being transferred to ERP; please try again in a few minutes',
+  sent: 'Order was accepted by ERP but its order number is not known yet; please try again once it appears in your order list',
+  unverified: 'Order may already have been created in ERP and is being verified; please try again later or contact your sales representative',
+  cancelled: 'Order is already cancelled',
+  failed: 'Order was not created in ERP'
+};
+
+// ERP'ye gitmemiş portal siparişi: kuyruktaysa iptal, değilse durumu açıklayan hata
+async function cancelLocal(req, order, reason) {
+  if (orderOutboxService.CANCELLABLE_STATUSES.includes(order.status)) {
+    return orderOutboxService.cancelByDealer(order._id, req.user.hesap, req.user.username, reason);
+  }
+
+  throw new AppError(CANCEL_BLOCKED_MESSAGES[order.status] || `Order cannot be cancelled while ${order.status}`, 409);
+}
+
+const findLine = (erpOrder, stkno) => {
+  const line = erpOrder.lines.find(l => l.stkno === stkno);
+  if (!line) {
+    throw new AppError(`Product ${stkno} is not in order ${erpOrder.sipno}`, 400);
+  }
+  if (line.remainingQty <= 0) {
+    throw new AppError(`Product ${stkno} has already been shipped`, 409);
+  }
+  return line;
+};
+
+const requestLine = (line, requestedQty) => ({
+  stkno: line.stkno,
+  stokadi: line.mlzadi || '',
+  orderedQty: line.sipmik || 0,
+  remainingQty: line.remainingQty,
+  requestedQty
+});
+
+const linesTable = (request) => `
+  <table style="border-collapse: collapse; width: 100%;">
+    <tr>
+      <th style="padding: 4px; text-align: left;">Ürün</th>
+      <th style="padding: 4px; text-align: right;">Sipariş</th>
+      <th style="padding: 4px; text-align: right;">Kalan</th>
+      <th style="padding: 4px; text-align: right;">İstenen</th>
+    </tr>
+    ${request.lines.map(line => `
+      <tr>
+        <td style="padding: 4px; border-bottom: 1px solid #ecf0f1;">${escapeHtml(line.stkno)} ${escapeHtml(line.stokadi)}</td>
+        <td style="padding: 4px; border-bottom: 1px solid #ecf0f1; text-align: right;">${line.orderedQty}</td>
+        <td style="padding: 4px; border-bottom: 1px solid #ecf0f1; text-align: right;">${line.remainingQty}</td>
+        <td style="padding: 4px; border-bottom: 1px solid #ecf0f1; text-align: right;">${line.requestedQty}</td>
+      </tr>`).join('')}
+  </table>
+`;
+
+/**
+ * Talebi müşteri temsilcisine (yoksa genel adrese) bildirir; hata talebi geçersiz kılmaz, kayda yazılır
+ */
+async function notifyRepresentative(request, user, event = 'created') {
+  const title = event === 'withdrawn' ? `${TYPE_LABELS[request.type]} Geri Çekildi` : TYPE_LABELS[request.type];
+  let notification;
+
+  try {
+    const rep = await soapService.getCustomerRepresentative(request.hesap);
+    const to = rep?.email || mailService.defaultFrom;
+
+    const body = `
+      <p><strong>Firma:</strong> ${escapeHtml(user.company)} (${escapeHtml(request.hesap)})</p>
+      <p><strong>Kullanıcı:</strong> ${escapeHtml(user.username)}${user.email ? ` - ${escapeHtml(user.email)}` : ''}</p>
+      <p><strong>Sipariş No:</strong> ${escapeHtml(request.sipno)}</p>
+      ${request.deliveryDate ? `<p><strong>İstenen teslim tarihi:</strong> ${escapeHtml(request.deliveryDate)}</p>` : ''}
+      ${request.reason ? `<p><strong>Açıklama:</strong> ${escapeHtml(request.reason).replace(/\n/g, '<br>')}</p>` : ''}
+      ${request.lines.length ? linesTable(request) : ''}
+      <p>Talep No: ${request._id}</p>
+    `;
+
+    await mailService.sendMail({
+      to: [to],
+      cc: rep?.email && rep.email !== mailService.defaultFrom ? [mailService.defaultFrom] : [],
+      subject: `Müşteri Paneli - ${title} - ${user.company || request.hesap} - ${request.sipno}`,
+      html: mailService.layout(title, body)
+    });
+    notification = { to, sentAt: new Date(), error: null };
+  } catch (error) {
+    logger.error('Order change request notification failed', {
+      requestId: String(request._id),
+      hesap: request.hesap,
+      event,
+      error: error.message
+    });
+    notification = { to: null, sentAt: null, error: error.message };
+  }
+
+  // Talep açıldı; bildirim durumunun kaydedilememesi cevabı hataya çevirmemeli
+  if (event === 'created') {
+    request.notification = notification;
+    await request.save().catch(error => logger.error('Order change request notification status not saved', {
+      requestId: String(request._id),
+      hesap: request.hesap,
+      error: error.message
+    }));
+  }
+}
+
+async function createRequest(req, fields) {
+  const { hesap } = req.user;
+
+  if (await OrderChangeRequest.findOpenForOrder(hesap, fields.sipno)) {
+    throw new AppError('There is already an open request for this order', 409);
+  }
+
+  let request;
+  try {
+    request = await OrderChangeRequest.create({
+      ...fields,
+      hesap,
+      requestedBy: {
+        username: req.user.username,
+        dealerUserId: req.user.dealerUserId || null
+      },
+      impersonatedBy: req.impersonation?.adminUsername || null,
+      requestId: req.id
+    });
+  } catch (error) {
+    // Eşzamanlı ikinci talep: tek açık talep index'i
+    if (error.code === 11000) {
+      throw new AppError('There is already an open request for this order', 409);
+    }
+    throw error;
+  }
+
+  logger.info('Order change request created', {
+    changeRequestId: String(request._id),
+    hesap,
+    type: request.type,
+    sipno: request.sipno,
+    lineCount: request.lines.length,
+    requestId: req.id
+  });
+
+  await notifyRepresentative(request, req.user);
+  return request;
+}
+
+/**
+ * İptal: kuyruktaki portal siparişi hemen iptal edilir ({ cancelledOrder }),
+ * ERP'deki sipariş için talep açılır ({ request }). stknos verilirse sadece o satırlar.
+ */
+async function requestCancel(req, orderId, { reason = '', stknos = [] } = {}) {
+  const target = await resolveTarget(req.user.hesap, orderId);
+
+  if (!target.erpOrder) {
+    if (stknos.length) {
+      throw new AppError('Orders not yet in ERP can only be cancelled entirely', 400);
+    }
+    return { cancelledOrder: await cancelLocal(req, target.local, reason) };
+  }
+
+  const { erpOrder } = target;
+  if (erpOrder.status === 'closed') {
+    throw new AppError('Order has already been shipped or closed', 409);
+  }
+
+  // Satır iptali kalan (sevk edilmemiş) miktarı iptal eder: yeni miktar = sevk edilen
+  const lines = stknos.length
+    ? [...new Set(stknos)].map(stkno => findLine(erpOrder, stkno))
+    : erpOrder.lines.filter(line => line.remainingQty > 0);
+
+  const request = await createRequest(req, {
+    type: 'cancel',
+    order: target.local?._id || null,
+    sipno: target.sipno,
+    lines: lines.map(line => requestLine(line, line.shippedQty)),
+    reason
+  });
+
+  return { request };
+}
+
+/**
+ * Değişiklik: satır miktarları (yeni toplam, sevk edilenden az olamaz) ve/veya teslim tarihi
+ */
+async function requestChange(req, orderId, { lines = [], deliveryDate = null, reason = '' } = {}) {
+  if (!lines.length && !deliveryDate) {
+    throw new AppError('At least one line change or a delivery date is required', 400);
+  }
+
+  const target = await resolveTarget(req.user.hesap, orderId);
+  if (!target.erpOrder) {
+    throw new AppError('Order is not in ERP yet; cancel it and place a new order instead', 409);
+  }
+
+  const { erpOrder } = target;
+  if (erpOrder.status === 'closed') {
+    throw new AppError('Order has already been shipped or closed', 409);
+  }
+
+  const seen = new Set();
+  const requestLines = lines.map(({ stkno, adet }) => {
+    if (seen.has(stkno)) {
+      throw new AppError(`Product ${stkno} is listed more than once`, 400);
+    }
+    seen.add(stkno);
+
+    const line = findLine(erpOrder, stkno);
+    if (adet < line.shippedQty) {
+      throw new AppError(`Quantity for ${stkno} cannot be less than the shipped quantity (${line.shippedQty})`, 400);
+    }
+    if (adet === line.sipmik) {
+      throw new AppError(`Quantity for ${stkno} is unchanged`, 400);
+    }
+    return requestLine(line, adet);
+  });
+
+  const request = await createRequest(req, {
+    type: 'change',
+    order: target.local?._id || null,
+    sipno: target.sipno,
+    lines: requestLines,
+    deliveryDate,
+    reason
+  });
+
+  return { request };
+}
+
+// Bayi açık talebini geri çeker
+async function withdraw(req, id) {
+  const { hesap, username } = req.user;
+  const request = await OrderChangeRequest.findOneAndUpdate(
+    { _id: id, hesap, status: 'open' },
+    { $set: { status: 'withdrawn', resolvedBy: username, resolvedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!request) {
+    const existing = await OrderChangeRequest.findForDealer(hesap, id);
+    if (!existing) throw new AppError('Change request not found', 404);
+    throw new AppError(`Change request is already ${existing.status}`, 409);
+  }
+
+  logger.info('Order change request withdrawn', { changeRequestId: String(request._id), hesap, withdrawnBy: username, requestId: req.id });
+
+  await notifyRepresentative(request, req.user, 'withdrawn');
+  return request;
+}
+
+/**
+ * Admin: talebi ERP'de uygulandı (completed) veya reddedildi (rejected) olarak kapatır
+ */
+async function resolve(id, adminUsername, { status, resolution = '' }) {
+  const request = await OrderChangeRequest.findOneAndUpdate(
+    { _id: id, status: 'open' },
+    { $set: { status, resolution, resolvedBy: adminUsername, resolvedAt: new Date() } },
+    { new: true }
+  );
+  if (!request) {
+    throw new AppError('Change request is not open', 409);
+  }
+
+  // ERP'deki değişiklik bayinin sipariş listesinde hemen görünsün
+  if (status === 'completed') {
+    await soapService.invalidateOrders(request.hesap).catch(error =>
+      logger.warn('Order cache invalidation failed', { hesap: request.hesap, error: error.message })
+    );
+  }
+
+  logger.info('Order change request resolved', { changeRequestId: String(request._id), hesap: request.hesap, status, admin: adminUsername });
+  return request;
+}
+
+module.exports = {
+  requestCancel,
+  requestChange,
+  withdraw,
+  resolve
+};
@@ -0,0 +1,197 @@
+// src/services/orderHistoryService.js
+// Bayi sipariş geçmişi: rsiparisler satırlarından sipariş durumu, sipno'ya göre gruplama,
+// filtreleme, sıralama ve sayfalama
+//
+// Durumlar (sipmik: sipariş miktarı, sipbak: sevk edilmemiş kalan):
+//   open    - hiç sevk edilmemiş (sipbak = sipmik)
+//   partial - kısmen sevk edilmiş
+//   closed  - tamamı sevk edilmiş veya kapatılmış (sipbak <= 0)
+// Siparişin durumu satırlarından türetilir: hepsi closed -> closed, hepsi open -> open, diğerleri partial.
+const { maskPrices } = require('./cartService');
+
+const ORDER_STATES = ['open', 'partial', 'closed'];
+// Dashboard'da "bekleyen" sayılan durumlar
+const WAITING_STATES = ['open', 'partial'];
+
+// prices:view yetkisi olmayan alt kullanıcılarda null dönen alanlar (ERP satırı, gruplanmış sipariş, portal siparişi)
+const LINE_PRICE_FIELDS = ['sipfyt', 'siptut', 'remainingAmount', 'fiyat', 'tutar'];
+const ORDER_PRICE_FIELDS = ['totalAmount', 'remainingAmount'];
+
+const VIEWS = ['orders', 'lines'];
+const SORT_FIELDS = ['date', 'amount', 'sipno'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const normalizeText = (value) => String(value ?? '').trim().toLocaleUpperCase('tr-TR');
+const compareSipno = (a, b) => String(a).localeCompare(String(b), 'tr', { numeric: true });
+
+function lineState(row) {
+  const ordered = row.sipmik || 0;
+  const remaining = Math.max(0, row.sipbak || 0);
+  if (remaining <= 0) return 'closed';
+  if (remaining < ordered) return 'partial';
+  return 'open';
+}
+
+function toLine(row) {
+  const remainingQty = Math.max(0, row.sipbak || 0);
+  return {
+    ...row,
+    status: lineState(row),
+    shippedQty: Math.max(0, (row.sipmik || 0) - remainingQty),
+    remainingQty,
+    remainingAmount: round2(remainingQty * (row.sipfyt || 0))
+  };
+}
+
+function orderState(lines) {
+  if (lines.every(line => line.status === 'closed')) return 'closed';
+  if (lines.every(line => line.status === 'open')) return 'open';
+  return 'partial';
+}
+
+/**
+ * Satırları sipno'ya göre siparişlere toplar (satır sırası korunur)
+ */
+function groupOrders(rows) {
+  const groups = new Map();
+  rows.map(toLine).forEach(line => {
+    const key = String(line.sipno);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(line);
+  });
+
+  return [...groups.entries()].map(([sipno, lines]) => {
+    const first = lines[0];
+    // Teslim tarihi: en geç terminli satır
+    const last = lines.reduce((latest, line) =>
+      ((line.terminDate?.getTime() ?? 0) > (latest.terminDate?.getTime() ?? 0) ? line : latest), first);
+
+    return {
+      sipno,
+      tarih: first.tarih,
+      tarihDate: first.tarihDate,
+      termin: last.termin,
+      terminDate: last.terminDate,
+      status: orderState(lines),
+      lineCount: lines.length,
+      orderedQty: lines.reduce((sum, line) => sum + (line.sipmik || 0), 0),
+      shippedQty: lines.reduce((sum, line) => sum + line.shippedQty, 0),
+      remainingQty: lines.reduce((sum, line) => sum + line.remainingQty, 0),
+      totalAmount: round2(lines.reduce((sum, line) => sum + (line.siptut || 0), 0)),
+      remainingAmount: round2(lines.reduce((sum, line) => sum + line.remainingAmount, 0)),
+      lines
+    };
+  });
+}
+
+// Sipariş ve satır görünümünde aynı filtreler; satırda tutar siptut, siparişte toplamdır
+const amountOf = (item) => (item.lines ? item.totalAmount : (item.siptut || 0));
+const linesOf = (item) => item.lines || [item];
+
+function matches(item, { status, stkno, minAmount, maxAmount, q }) {
+  if (status && !status.includes(item.status)) return false;
+
+  if (stkno) {
+    const wanted = normalizeText(stkno);
+    if (!linesOf(item).some(line => normalizeText(line.stkno) === wanted)) return false;
+  }
+
+  const amount = amountOf(item);
+  if (minAmount !== undefined && amount < minAmount) return false;
+  if (maxAmount !== undefined && amount > maxAmount) return false;
+
+  if (q) {
+    const text = normalizeText(q);
+    const found = normalizeText(item.sipno).includes(text)
+      || linesOf(item).some(line => normalizeText(line.stkno).includes(text) || normalizeText(line.mlzadi).includes(text));
+    if (!found) return false;
+  }
+
+  return true;
+}
+
+// DD-MM-YYYY metni değil mappers'ın eklediği tarihDate kullanılır; eşitlikte sipno (sayısal), sonra stkno
+function comparator(sort = 'date', order = 'desc') {
+  const direction = order === 'asc' ? 1 : -1;
+  const primary = {
+    date: (a, b) => (a.tarihDate?.getTime() ?? 0) - (b.tarihDate?.getTime() ?? 0),
+    amount: (a, b) => amountOf(a) - amountOf(b),
+    sipno: () => 0
+  }[sort];
+
+  return (a, b) => (primary(a, b) || compareSipno(a.sipno, b.sipno)) * direction
+    || String(a.stkno ?? '').localeCompare(String(b.stkno ?? ''));
+}
+
+/**
+ * rsiparisler satırlarından sayfalanmış sipariş (view=orders) veya satır (view=lines) listesi.
+ * counts: filtreden önce durum başına sipariş sayısı
+ */
+function query(rows, {
+  view = 'orders',
+  status,
+  stkno,
+  minAmount,
+  maxAmount,
+  q,
+  sort = 'date',
+  order = 'desc',
+  page = 1,
+  limit = 50
+} = {}) {
+  const orders = groupOrders(rows);
+  const items = view === 'lines' ? orders.flatMap(o => o.lines) : orders;
+
+  const filtered = items
+    .filter(item => matches(item, { status, stkno, minAmount, maxAmount, q }))
+    .sort(comparator(sort, order));
+
+  const counts = Object.fromEntries(ORDER_STATES.map(state => [state, 0]));
+  orders.forEach(o => { counts[o.status]++; });
+
+  return {
+    items: filtered.slice((page - 1) * limit, page * limit),
+    total: filtered.length,
+    counts
+  };
+}
+
+/**
+ * Dashboard/istatistik özeti: bekleyen (open + partial) sipariş sayısı ve kalan tutarı
+ */
+function summarize(rows, { since } = {}) {
+  const orders = groupOrders(rows);
+  const waiting = orders.filter(o => WAITING_STATES.includes(o.status));
+
+  return {
+    totalOrders: orders.length,
+    totalAmount: round2(orders.reduce((sum, o) => sum + o.totalAmount, 0)),
+    waitingOrders: waiting.length,
+    waitingAmount: round2(waiting.reduce((sum, o) => sum + o.remainingAmount, 0)),
+    recentOrders: since ? orders.filter(o => o.tarihDate && o.tarihDate >= since).length : 0
+  };
+}
+
+/**
+ * Sipariş veya satırın fiyat/tutar alanlarını null yapar (canViewPrices false ise)
+ */
+function maskOrderPrices(item, canViewPrices) {
+  if (canViewPrices) return item;
+  if (!Array.isArray(item.lines)) return maskPrices(item, LINE_PRICE_FIELDS, false);
+  return {
+    ...maskPrices(item, ORDER_PRICE_FIELDS, false),
+    lines: item.lines.map(line => maskPrices(line, LINE_PRICE_FIELDS, false))
+  };
+}
+
+module.exports = {
+  ORDER_STATES,
+  VIEWS,
+  SORT_FIELDS,
+  lineState,
+  groupOrders,
+  comparator,
+  query,
+  summarize,
+  maskOrderPrices
+};
@@ -0,0 +1,319 @@
+// src/services/orderOutboxService.js
+// Siparişler önce yerel kayda (outbox) yazılır; ERP'ye gönderilemeyenler worker tarafından tekrar denenir
+const Order = require('../models/Order');
+const DealerUser = require('../models/DealerUser');
+const DealerProfile = require('../models/DealerProfile');
+const soapService = require('./soapService');
+const mailService = require('./mailService');
+const { AppError, ServiceUnavailableError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.ORDER_OUTBOX_MAX_ATTEMPTS || '8', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.ORDER_OUTBOX_RETRY_BASE_SECONDS || '60', 10);
+const RETRY_MAX_SECONDS = parseInt(process.env.ORDER_OUTBOX_RETRY_MAX_SECONDS || '3600', 10);
+const STALE_LOCK_MINUTES = parseInt(process.env.ORDER_OUTBOX_STALE_MINUTES || '10', 10);
+const BATCH_SIZE = parseInt(process.env.ORDER_OUTBOX_BATCH_SIZE || '20', 10);
+
+// Admin'in yeniden deneyebileceği / iptal edebileceği durumlar (bayi de kendi siparişini iptal edebilir)
+const RETRYABLE_STATUSES = ['queued', 'dead_letter'];
+const CANCELLABLE_STATUSES = ['queued', 'dead_letter'];
+
+let running = false;
+
+// 1dk, 2dk, 4dk ... en fazla RETRY_MAX_SECONDS
+const retryDelayMs = (attempts) =>
+  Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1))) * 1000;
+
+const toErpProducts = (order) => order.lines.map(line => ({
+  stkno: line.stkno,
+  adet: line.adet,
+  cinsi: line.cinsi,
+  fiyat: line.fiyat,
+  fiyatTL: line.fiyatTL,
+  note: line.note,
+  deliveryDate: line.deliveryDate
+}));
+
+/**
+ * Siparişi bir kez ERP'ye göndermeyi dener ve sonucu kayda işler.
+ * ERP hataları fırlatılmaz, sonuç olarak döner:
+ * sent | queued | unverified | dead_letter
+ */
+async function deliver(order) {
+  const now = new Date();
+  order.status = 'pending';
+  order.delivery.lockedAt = now;
+  await order.save();
+
+  let result;
+  try {
+    result = await soapService.createOrder(order.hesap, toErpProducts(order), {
+      placedBy: order.placedBy?.dealerUserId ? order.placedBy.username : null,
+      poNumber: order.poNumber,
+      note: order.note,
+      deliveryDate: order.deliveryDate,
+      deliveryAddress: order.deliveryAddress
+    });
+  } catch (error) {
+    if (error.outcomeUnknown) {
+      order.delivery.attempts += 1;
+      order.delivery.lastAttemptAt = now;
+      await order.markUnverified(error.message);
+      return { outcome: 'unverified', error };
+    }
+
+    // Devre açık / kuyruk dolu: ERP'ye hiç gidilmedi, deneme hakkından düşülmez
+    if (error instanceof ServiceUnavailableError) {
+      const retryAt = new Date(now.getTime() + Math.max((error.retryAfter || 0) * 1000, retryDelayMs(1)));
+      await order.markQueued(error.message, retryAt);
+      return { outcome: 'queued', error, erpUnavailable: true };
+    }
+
+    order.delivery.attempts += 1;
+    order.delivery.lastAttemptAt = now;
+
+    if (order.delivery.attempts >= MAX_ATTEMPTS) {
+      await order.markDeadLetter(error.message);
+      logger.error('Order moved to dead letter', {
+        orderId: String(order._id),
+        hesap: order.hesap,
+        attempts: order.delivery.attempts,
+        error: error.message
+      });
+      return { outcome: 'dead_letter', error };
+    }
+
+    await order.markQueued(error.message, new Date(now.getTime() + retryDelayMs(order.delivery.attempts)));
+    return { outcome: 'queued', error };
+  }
+
+  // sipcrea numara dönmezse 'Generated' geliyor; numarayı uzlaştırma job'ı bulur
+  const sipno = result.orderId !== 'Generated' ? String(result.orderId) : null;
+  order.delivery.attempts += 1;
+  order.delivery.lastAttemptAt = now;
+
+  try {
+    await order.markSent(sipno);
+  } catch (error) {
+    // ERP siparişi açtı: durum yazılamadı diye tekrar gönderilmez, uzlaştırmaya bırakılır.
+    // Bu kayıt da yazılamazsa sipariş 'pending' kalır ve recoverStale onu unverified yapar.
+    logger.error('Order sent to ERP but its status could not be saved', {
+      orderId: String(order._id),
+      hesap: order.hesap,
+      sipno,
+      error: error.message
+    });
+    try {
+      await order.markUnverified(`Sent to ERP${sipno ? ` as ${sipno}` : ''} but status could not be saved: ${error.message}`);
+    } catch (saveError) {
+      logger.error('Order left pending for stale delivery recovery', { orderId: String(order._id), error: saveError.message });
+    }
+    return { outcome: 'unverified', orderId: result.orderId, error };
+  }
+
+  return { outcome: 'sent', orderId: result.orderId };
+}
+
+async function recipientFor(order) {
+  if (order.placedBy?.dealerUserId) {
+    const user = await DealerUser.findById(order.placedBy.dealerUserId).select('email').lean();
+    if (user?.email) return user.email;
+  }
+  const profile = await DealerProfile.getByHesap(order.hesap);
+  return profile?.email || null;
+}
+
+const linesTable = (order) => `
+  <table style="border-collapse: collapse; width: 100%;">
+    ${order.lines.map(line => `
+      <tr>
+        <td style="padding: 4px; border-bottom: 1px solid #ecf0f1;">${line.stkno}</td>
+        <td style="padding: 4px; border-bottom: 1px solid #ecf0f1;">${line.stokadi || ''}</td>
+        <td style="padding: 4px; border-bottom: 1px solid #ecf0f1; text-align: right;">${line.adet}</td>
+      </tr>`).join('')}
+  </table>
+  <p>Toplam: ${order.totalTL.toFixed(2)} TL</p>
+`;
+
+const NOTIFICATIONS = {
+  sent: (order) => ({
+    subject: 'Müşteri Paneli - Siparişiniz İletildi',
+    title: 'Siparişiniz İletildi',
+    body: `<p>Kuyruğa alınan siparişiniz ERP sistemine iletildi${order.sipno ? ` (Sipariş No: ${order.sipno})` : ''}.</p>`
+  }),
+  dead_letter: () => ({
+    subject: 'Müşteri Paneli - Sipariş İletilemedi',
+    title: 'Sipariş İletilemedi',
+    body: '<p>Kuyruğa alınan siparişiniz tekrar denemelere rağmen ERP sistemine iletilemedi. Ekibimiz siparişi inceleyecek; dilerseniz müşteri temsilcinizle iletişime geçebilirsiniz.</p>'
+  }),
+  cancelled: () => ({
+    subject: 'Müşteri Paneli - Sipariş İptal Edildi',
+    title: 'Sipariş İptal Edildi',
+    body: '<p>Kuyruktaki siparişiniz iptal edildi ve ERP sistemine gönderilmeyecek.</p>'
+  }),
+  // Sonucu belirsiz sipariş uzlaştırmada ERP'de bulunamadı
+  failed: () => ({
+    subject: 'Müşteri Paneli - Sipariş Oluşturulamadı',
+    title: 'Sipariş Oluşturulamadı',
+    body: '<p>Onay beklenen siparişiniz ERP sisteminde bulunamadı ve oluşturulmamış kabul edildi. Siparişinizi yeniden verebilir veya müşteri temsilcinizle iletişime geçebilirsiniz.</p>'
+  })
+};
+
+// Bayiye anında cevap dönmemiş (kuyruğa alınmış veya sonucu belirsiz) siparişler bildirilir
+const needsNotification = (order, outcome) => outcome === 'failed' || !!order.delivery?.queuedAt;
+
+/**
+ * Kuyruğa düşmüş veya sonucu belirsiz siparişin son durumunu bayiye e-postayla bildirir (hata akışı durdurmaz)
+ */
+async function notifyDealer(order, outcome) {
+  if (!NOTIFICATIONS[outcome] || !needsNotification(order, outcome)) return false;
+
+  try {
+    const to = await recipientFor(order);
+    if (!to) {
+      logger.warn('No email address for queued order notification', { orderId: String(order._id), hesap: order.hesap });
+      return false;
+    }
+
+    const { subject, title, body } = NOTIFICATIONS[outcome](order);
+    await mailService.sendMail({
+      to,
+      subject,
+      html: mailService.layout(title, `${body}${linesTable(order)}`)
+    });
+
+    order.delivery.notifiedAt = new Date();
+    await order.save();
+    return true;
+  } catch (error) {
+    logger.error('Queued order notification failed', { orderId: String(order._id), outcome, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Gönderim sırasında süreç düşmüşse sipariş ERP'ye gitmiş olabilir; tekrar göndermek yerine uzlaştırmaya bırakılır
+ */
+async function recoverStale() {
+  const lockedBefore = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000);
+  const stale = await Order.findStaleDeliveries(lockedBefore);
+
+  for (const order of stale) {
+    await order.markUnverified('Delivery interrupted before ERP response');
+    logger.warn('Stale order delivery marked unverified', { orderId: String(order._id), hesap: order.hesap });
+  }
+  return stale.length;
+}
+
+/**
+ * Sırası gelen kuyruktaki siparişleri gönderir (cron); ERP erişilemezse tur erken biter
+ */
+async function processQueue() {
+  if (running) {
+    return { skipped: true };
+  }
+  running = true;
+
+  const result = { processed: 0, sent: 0, queued: 0, unverified: 0, deadLettered: 0, recovered: 0 };
+
+  try {
+    result.recovered = await recoverStale();
+
+    while (result.processed < BATCH_SIZE) {
+      const order = await Order.claimNextForDelivery();
+      if (!order) break;
+
+      result.processed++;
+      const { outcome, erpUnavailable } = await deliver(order);
+
+      if (outcome === 'sent') result.sent++;
+      else if (outcome === 'queued') result.queued++;
+      else if (outcome === 'unverified') result.unverified++;
+      else if (outcome === 'dead_letter') result.deadLettered++;
+
+      await notifyDealer(order, outcome);
+
+      if (erpUnavailable) break;
+    }
+  } finally {
+    running = false;
+  }
+
+  return result;
+}
+
+/**
+ * Admin: kuyruktaki veya dead-letter siparişi deneme sayacını sıfırlayıp hemen gönderir.
+ * Durum kontrolü atomiktir; worker aynı anda üstlendiyse 409 döner.
+ */
+async function retry(orderId, adminUsername) {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: { $in: RETRYABLE_STATUSES } },
+    { $set: { status: 'pending', 'delivery.lockedAt': new Date() } },
+    { new: true }
+  );
+  if (!order) {
+    throw new AppError('Order is not waiting in the queue', 409);
+  }
+
+  order.delivery.attempts = 0;
+  order.delivery.deadLetteredAt = null;
+  order.delivery.queuedAt = order.delivery.queuedAt || new Date();
+
+  logger.info('Order delivery retried by admin', { orderId: String(order._id), hesap: order.hesap, admin: adminUsername });
+
+  const { outcome } = await deliver(order);
+  await notifyDealer(order, outcome);
+  return { order, outcome };
+}
+
+// Sadece kuyrukta bekleyen (ERP'ye gitmemiş) sipariş iptal edilebilir; durum kontrolü atomiktir
+async function cancelQueued(filter, cancelledBy, reason) {
+  const order = await Order.findOneAndUpdate(
+    { ...filter, status: { $in: CANCELLABLE_STATUSES } },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy,
+        failureReason: reason,
+        'delivery.nextAttemptAt': null
+      }
+    },
+    { new: true }
+  );
+  if (!order) {
+    throw new AppError('Order is not waiting in the queue', 409);
+  }
+  return order;
+}
+
+async function cancel(orderId, adminUsername, reason) {
+  const order = await cancelQueued({ _id: orderId }, adminUsername, reason || 'Cancelled by admin');
+
+  logger.info('Queued order cancelled by admin', { orderId: String(order._id), hesap: order.hesap, admin: adminUsername });
+
+  await notifyDealer(order, 'cancelled');
+  return order;
+}
+
+// Bayi kendi kuyruktaki siparişini iptal eder (bildirim e-postası gönderilmez)
+async function cancelByDealer(orderId, hesap, username, reason) {
+  const order = await cancelQueued({ _id: orderId, hesap }, username, reason || 'Cancelled by dealer');
+
+  logger.info('Queued order cancelled by dealer', { orderId: String(order._id), hesap, cancelledBy: username });
+  return order;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  RETRYABLE_STATUSES,
+  CANCELLABLE_STATUSES,
+  deliver,
+  processQueue,
+  recoverStale,
+  notifyDealer,
+  retry,
+  cancel,
+  cancelByDealer
+};
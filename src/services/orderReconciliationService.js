@@ -0,0 +1,207 @@
+// src/services/orderReconciliationService.js
+// Yerel siparişleri rsiparisler satırlarıyla eşleştirip onay ve teslimat durumunu günceller
+const moment = require('moment');
+const Order = require('../models/Order');
+const soapService = require('./soapService');
+const mailService = require('./mailService');
+const orderOutboxService = require('./orderOutboxService');
+const logger = require('../utils/logger');
+
+const LOOKBACK_DAYS = parseInt(process.env.ORDER_RECONCILE_LOOKBACK_DAYS || '60', 10);
+// sipno'suz siparişi aynı kalemlere sahip ERP siparişiyle eşleştirirken izin verilen gün farkı
+const MATCH_WINDOW_DAYS = 1;
+// Sonucu belirsiz sipariş bu süre içinde ERP'de görünmezse açılmamış kabul edilir
+const UNVERIFIED_TIMEOUT_HOURS = parseInt(process.env.ORDER_UNVERIFIED_TIMEOUT_HOURS || '6', 10);
+// sipcrea kabul etti ama numara dönmedi: bu süre içinde eşleşmeyen 'sent' sipariş ekibe bildirilir.
+// ERP siparişi kabul ettiği için 'failed' yapılmaz; eşleşme bulunursa yine onaylanır.
+const UNMATCHED_ALERT_HOURS = parseInt(process.env.ORDER_UNMATCHED_ALERT_HOURS || '24', 10);
+
+const groupBySipno = (rows) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = String(row.sipno);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+// Kalem imzası: stkno ve miktar, sıradan bağımsız
+const lineSignature = (items) => items
+  .map(item => `${item.stkno}:${item.qty}`)
+  .sort()
+  .join('|');
+
+function fulfilmentFromRows(rows) {
+  const orderedQty = rows.reduce((sum, r) => sum + (r.sipmik || 0), 0);
+  const remainingQty = rows.reduce((sum, r) => sum + Math.max(0, r.sipbak || 0), 0);
+
+  let state = 'open';
+  if (remainingQty <= 0) state = 'completed';
+  else if (remainingQty < orderedQty) state = 'partial';
+
+  return {
+    state,
+    orderedQty,
+    remainingQty,
+    erpLines: rows.map(r => ({
+      stkno: r.stkno,
+      sipmik: r.sipmik,
+      sipbak: r.sipbak,
+      siptut: r.siptut,
+      termin: r.termin
+    }))
+  };
+}
+
+/**
+ * Eşleşmeyen 'sent' siparişi bir kez loglar ve genel adrese e-postayla bildirir
+ */
+async function escalateUnmatched(order, now) {
+  order.escalatedAt = now;
+  logger.error('Sent order not matched to an ERP order', {
+    orderId: String(order._id),
+    hesap: order.hesap,
+    submittedAt: order.submittedAt,
+    hours: UNMATCHED_ALERT_HOURS
+  });
+
+  try {
+    await mailService.sendMail({
+      to: [mailService.defaultFrom],
+      subject: `Müşteri Paneli - Eşleşmeyen Sipariş - ${order.hesap}`,
+      html: mailService.layout('Eşleşmeyen Sipariş', `
+        <p>ERP'ye iletilen ancak ${UNMATCHED_ALERT_HOURS} saattir ERP siparişleriyle eşleştirilemeyen sipariş.</p>
+        <p><strong>Hesap:</strong> ${order.hesap}</p>
+        <p><strong>Sipariş:</strong> ${order._id}</p>
+        <p><strong>Gönderim:</strong> ${moment(order.sentAt || order.submittedAt).format('DD-MM-YYYY HH:mm')}</p>
+        <p><strong>Kalemler:</strong> ${order.lines.map(line => `${line.stkno} x ${line.adet}`).join(', ')}</p>
+      `)
+    });
+  } catch (error) {
+    logger.error('Unmatched order alert failed', { orderId: String(order._id), error: error.message });
+  }
+}
+
+/**
+ * sipcrea numara döndürmediyse aynı gün aynı kalemlerle açılmış, sahipsiz ERP siparişini arar
+ */
+function findUnnumberedMatch(order, groups, claimed) {
+  const signature = lineSignature(order.lines.map(l => ({ stkno: l.stkno, qty: l.adet })));
+  const submitted = moment(order.submittedAt).startOf('day');
+
+  const candidates = [...groups.entries()].filter(([sipno, rows]) => {
+    if (claimed.has(sipno)) return false;
+    const date = rows[0].tarihDate;
+    if (!date || Math.abs(moment(date).diff(submitted, 'days')) > MATCH_WINDOW_DAYS) return false;
+    return lineSignature(rows.map(r => ({ stkno: r.stkno, qty: r.sipmik }))) === signature;
+  });
+
+  // Birden fazla aday varsa yanlış eşleştirmektense beklemek daha güvenli
+  return candidates.length === 1 ? candidates[0][0] : null;
+}
+
+async function reconcileDealer(hesap, orders) {
+  const now = new Date();
+  const earliest = orders.reduce((min, o) => (o.submittedAt < min ? o.submittedAt : min), now);
+
+  const rows = await soapService.getOrders(hesap, {
+    startDate: moment(earliest).subtract(MATCH_WINDOW_DAYS, 'days').format('DD-MM-YYYY'),
+    endDate: moment(now).format('DD-MM-YYYY')
+  }, { fresh: true });
+
+  const groups = groupBySipno(rows);
+  const claimed = new Set(
+    (await Order.find({ hesap, sipno: { $ne: null } }).select('sipno').lean()).map(o => o.sipno)
+  );
+
+  const summary = { checked: orders.length, confirmed: 0, matched: 0, closed: 0, failed: 0, escalated: 0 };
+
+  for (const order of orders) {
+    order.lastReconciledAt = now;
+    if (!order.sipno) {
+      const sipno = findUnnumberedMatch(order, groups, claimed);
+      if (sipno) {
+        order.sipno = sipno;
+        claimed.add(sipno);
+        summary.matched++;
+        logger.info('Order matched to ERP order without sipno', { orderId: String(order._id), hesap, sipno });
+      }
+    }
+
+    const erpRows = order.sipno ? groups.get(order.sipno) : null;
+
+    if (erpRows) {
+      order.fulfilment = {
+        ...fulfilmentFromRows(erpRows),
+        firstSeenAt: order.fulfilment?.firstSeenAt || now,
+        lastSeenAt: now
+      };
+
+      if (order.status === 'sent' || order.status === 'unverified') {
+        order.status = 'confirmed';
+        order.confirmedAt = now;
+        order.failureReason = null;
+        summary.confirmed++;
+      }
+    } else if (order.status === 'unverified'
+      && moment(now).diff(order.submittedAt, 'hours', true) >= UNVERIFIED_TIMEOUT_HOURS) {
+      await order.markFailed(`Not found in ERP within ${UNVERIFIED_TIMEOUT_HOURS} hours (${order.failureReason || 'unknown outcome'})`);
+      summary.failed++;
+      logger.warn('Unverified order not found in ERP, marked failed', { orderId: String(order._id), hesap });
+      await orderOutboxService.notifyDealer(order, 'failed');
+      continue;
+    } else if (order.status === 'sent' && !order.sipno && !order.escalatedAt
+      && moment(now).diff(order.sentAt || order.submittedAt, 'hours', true) >= UNMATCHED_ALERT_HOURS) {
+      await escalateUnmatched(order, now);
+      summary.escalated++;
+    } else if (order.fulfilment?.firstSeenAt) {
+      // Daha önce listede olup artık dönmeyen sipariş ERP'de kapatılmış kabul edilir
+      order.fulfilment.state = 'closed';
+      summary.closed++;
+    }
+
+    await order.save();
+  }
+
+  return summary;
+}
+
+/**
+ * Uzlaştırma bekleyen tüm siparişleri bayi bazında ERP ile karşılaştırır (bayiler sırayla işlenir)
+ */
+async function reconcileAll() {
+  const since = moment().subtract(LOOKBACK_DAYS, 'days').toDate();
+  const pending = await Order.findAwaitingReconciliation(since);
+
+  const byDealer = new Map();
+  pending.forEach(order => {
+    if (!byDealer.has(order.hesap)) byDealer.set(order.hesap, []);
+    byDealer.get(order.hesap).push(order);
+  });
+
+  const result = { dealers: byDealer.size, checked: 0, confirmed: 0, matched: 0, closed: 0, failed: 0, escalated: 0, errors: 0 };
+
+  for (const [hesap, orders] of byDealer) {
+    try {
+      const summary = await reconcileDealer(hesap, orders);
+      result.checked += summary.checked;
+      result.confirmed += summary.confirmed;
+      result.matched += summary.matched;
+      result.closed += summary.closed;
+      result.failed += summary.failed;
+      result.escalated += summary.escalated;
+    } catch (error) {
+      result.errors++;
+      logger.error('Order reconciliation failed for dealer', { hesap, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  reconcileAll,
+  reconcileDealer,
+  fulfilmentFromRows
+};
@@ -0,0 +1,149 @@
+// src/services/orderRuleService.js
+// Sipariş kuralları: minimum sipariş miktarı (MOQ), paket katı ve minimum sepet tutarı
+//
+// Kurallar OrderRule koleksiyonunda tutulur (/api/order-rules):
+//   product - tek ürün (key = stkno)
+//   grupadi - ürün grubu
+//   fgrp    - ana kategori
+//   global  - minimum sepet tutarı
+// Her kural priceList ile tek bir bayi grubuna daraltılabilir.
+// Satırda minQty ve packSize ayrı ayrı çözülür; öncelik: product > grupadi > fgrp,
+// aynı kapsamda fiyat listesine özel kural genel kurala üstün gelir.
+const OrderRule = require('../models/OrderRule');
+const Product = require('../models/Product');
+const { RuleViolationError } = require('../middleware/errorHandler');
+
+const normalizeKey = (value) => String(value || '').trim().toLocaleUpperCase('tr-TR');
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const productKey = (scope, product) => (scope === 'product' ? product.stkno : product[scope]);
+
+// Daha özel kural önce: kapsam sırası, sonra fiyat listesine özel olan
+const bySpecificity = (a, b) =>
+  (OrderRule.LINE_SCOPES.indexOf(a.scope) - OrderRule.LINE_SCOPES.indexOf(b.scope))
+  || ((b.priceList ? 1 : 0) - (a.priceList ? 1 : 0));
+
+function resolveLineRule(rules, product) {
+  const rule = { minQty: null, packSize: null };
+
+  rules
+    .filter(r => OrderRule.LINE_SCOPES.includes(r.scope))
+    .filter(r => normalizeKey(r.key) === normalizeKey(productKey(r.scope, product)))
+    .sort(bySpecificity)
+    .forEach(r => {
+      if (rule.minQty === null && r.minQty) rule.minQty = r.minQty;
+      if (rule.packSize === null && r.packSize) rule.packSize = r.packSize;
+    });
+
+  return rule;
+}
+
+// Kurala uyan en küçük miktar (istenen miktardan az olmamak üzere)
+function suggestedQty(rule, qty) {
+  const atLeast = Math.max(qty, rule.minQty || 1);
+  return rule.packSize ? Math.ceil(atLeast / rule.packSize) * rule.packSize : atLeast;
+}
+
+function lineViolations(product, qty, rule) {
+  const violations = [];
+
+  if (rule.minQty && qty < rule.minQty) {
+    violations.push({
+      stkno: product.stkno,
+      code: 'min_qty',
+      adet: qty,
+      minQty: rule.minQty,
+      suggestedQty: suggestedQty(rule, qty),
+      message: `Minimum order quantity for ${product.stkno} is ${rule.minQty} (requested ${qty})`
+    });
+  }
+
+  if (rule.packSize && qty % rule.packSize !== 0) {
+    violations.push({
+      stkno: product.stkno,
+      code: 'pack_size',
+      adet: qty,
+      packSize: rule.packSize,
+      suggestedQty: suggestedQty(rule, qty),
+      message: `${product.stkno} is sold in packs of ${rule.packSize}; quantity must be a multiple of ${rule.packSize} (requested ${qty})`
+    });
+  }
+
+  return violations;
+}
+
+function minOrderTotal(rules) {
+  const rule = rules.filter(r => r.scope === 'global').sort(bySpecificity)[0];
+  return rule ? rule.minOrderTotal : null;
+}
+
+/**
+ * Satırların kural ihlalleri. items: [{ stkno, adet }]
+ * Aynı ürün birden fazla satırdaysa kurallar toplam miktara uygulanır (3+3 paket 6'ya uyar).
+ * products verilmezse stkno/grupadi/fgrp için yüklenir; bulunamayan ürünler atlanır
+ */
+async function checkLines(items, priceList, products = null) {
+  const totals = new Map();
+  items.forEach(item => totals.set(item.stkno, (totals.get(item.stkno) || 0) + item.adet));
+
+  const stknos = [...totals.keys()];
+  const [loaded, rules] = await Promise.all([
+    products || Product.find({ stkno: { $in: stknos } }).select('stkno grupadi fgrp').lean(),
+    OrderRule.findApplicable(priceList, stknos)
+  ]);
+  const byStkno = new Map(loaded.map(p => [p.stkno, p]));
+
+  const violations = [];
+  totals.forEach((qty, stkno) => {
+    const product = byStkno.get(stkno);
+    if (!product) return;
+    violations.push(...lineViolations(product, qty, resolveLineRule(rules, product)));
+  });
+
+  return { violations, rules };
+}
+
+const violationError = (violations) => new RuleViolationError(
+  violations.length === 1 ? violations[0].message : `Order rules not met: ${violations.map(v => v.message).join('; ')}`,
+  violations
+);
+
+/**
+ * Sepete ekleme/güncelleme/senkron: sadece satır kuralları (minimum tutar checkout'ta kontrol edilir)
+ */
+async function assertLines(items, priceList) {
+  const { violations } = await checkLines(items, priceList);
+  if (violations.length) {
+    throw violationError(violations);
+  }
+}
+
+/**
+ * Sipariş: satır kuralları ve fiyat listesinin minimum sepet tutarı (TL, KDV hariç)
+ */
+async function assertOrder(lines, priceList, totalTL, products = null) {
+  const { violations, rules } = await checkLines(lines, priceList, products);
+
+  const minimum = minOrderTotal(rules);
+  if (minimum && totalTL < minimum) {
+    violations.push({
+      code: 'min_order_total',
+      total: round2(totalTL),
+      minOrderTotal: minimum,
+      remaining: round2(minimum - totalTL),
+      message: `Minimum order total is ${minimum} TRY (current ${round2(totalTL)} TRY)`
+    });
+  }
+
+  if (violations.length) {
+    throw violationError(violations);
+  }
+}
+
+module.exports = {
+  resolveLineRule,
+  suggestedQty,
+  checkLines,
+  assertLines,
+  assertOrder
+};
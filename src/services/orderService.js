@@ -0,0 +1,288 @@
+// src/services/orderService.js
+// Sipariş oluşturma: satırları güncel fiyatlarla doğrular, outbox'a yazar ve ilk gönderimi yapar
+// (POST /api/orders ve POST /api/cart/checkout ortak akışı)
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const DeliveryAddress = require('../models/DeliveryAddress');
+const orderOutboxService = require('./orderOutboxService');
+const orderRuleService = require('./orderRuleService');
+const stockPolicyService = require('./stockPolicyService');
+const { maskPrices } = require('./cartService');
+const { AppError } = require('../middleware/errorHandler');
+const { DEALER_PERMISSIONS, hasDealerPermission } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const toNumber = (n, def = 0) => {
+  const v = Number(n);
+  return Number.isFinite(v) ? v : def;
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * İstemcinin gönderdiği fiyatlar kullanılmaz: her satır kullanıcının listesine göre
+ * Product.priceList (TL) ve originalPriceList (orijinal para birimi) ile yeniden fiyatlanır.
+ * items: [{ stkno, adet }]
+ */
+async function priceLines(items, priceList) {
+  const stknos = [...new Set(items.map(item => item.stkno))];
+  const products = await Product.find({ stkno: { $in: stknos } }).lean();
+  const byStkno = new Map(products.map(p => [p.stkno, p]));
+
+  const missing = stknos.filter(stkno => !byStkno.has(stkno));
+  if (missing.length) {
+    throw new AppError(`Product not found: ${missing.join(', ')}`, 404);
+  }
+
+  const inactive = stknos.filter(stkno => byStkno.get(stkno).isActive === false);
+  if (inactive.length) {
+    throw new AppError(`Products are no longer available: ${inactive.join(', ')}`, 400);
+  }
+
+  // Aynı ürün birden fazla satırda olabilir: stok satır sırasıyla paylaştırılır
+  const stockLeft = new Map();
+
+  const lines = items.map(item => {
+    const product = byStkno.get(item.stkno);
+
+    // Orijinal para birimi ve fiyatı kullan (ERP'ye göndermek için)
+    const originalPrice = product.originalPriceList?.[`fiyat${priceList}`];
+    const priceInTL = product.priceList?.[`fiyat${priceList}`];
+
+    if (!originalPrice || originalPrice <= 0) {
+      throw new AppError(`Invalid price for product ${item.stkno}`, 400);
+    }
+
+    const adet = toNumber(item.adet, 0);
+    const availability = stockPolicyService.checkAvailability(
+      stockLeft.has(product.stkno) ? { ...product, bakiye: stockLeft.get(product.stkno) } : product,
+      adet
+    );
+    stockLeft.set(product.stkno, availability.available - availability.inStockQty);
+
+    return {
+      stkno: product.stkno,
+      stokadi: product.stokadi,
+      adet,
+      cinsi: product.cinsi || 'TRY',  // Orijinal para birimi
+      fiyat: originalPrice,            // ERP'ye gönderilecek orijinal fiyat
+      fiyatTL: priceInTL,              // Kayıt/log için TL karşılığı
+      note: item.note || '',
+      deliveryDate: item.deliveryDate || null,
+      availability
+    };
+  }).filter(line => line.adet > 0);
+
+  if (lines.length === 0) {
+    throw new AppError('No valid product lines', 400);
+  }
+
+  // block politikasındaki ürünlerde stok yetersizse sipariş reddedilir (ürünün tüm satırlarının toplamıyla)
+  const totals = new Map();
+  lines.forEach(line => totals.set(line.stkno, (totals.get(line.stkno) || 0) + line.adet));
+  stockPolicyService.assertAllowed([...totals].map(([stkno, qty]) => ({
+    stkno,
+    availability: stockPolicyService.checkAvailability(byStkno.get(stkno), qty)
+  })));
+
+  // Toplam TL cinsinden
+  const totalTL = lines.reduce((sum, p) => sum + p.adet * p.fiyatTL, 0);
+
+  // Minimum miktar, paket katı ve fiyat listesinin minimum sepet tutarı
+  await orderRuleService.assertOrder(lines, priceList, totalTL, products);
+
+  return { lines, totalTL };
+}
+
+/**
+ * Sipariş geneli alanlar; adres bayinin kendi kayıtlı adreslerinden olmalı (siparişe kopyası yazılır)
+ */
+async function resolveOrderDetails(hesap, { poNumber, note, deliveryDate, deliveryAddressId } = {}) {
+  let deliveryAddress = null;
+  if (deliveryAddressId) {
+    const address = await DeliveryAddress.findForDealer(hesap, deliveryAddressId);
+    if (!address) {
+      throw new AppError('Delivery address not found', 404);
+    }
+    deliveryAddress = address.toSnapshot();
+  }
+
+  return {
+    poNumber: poNumber || '',
+    note: note || '',
+    deliveryDate: deliveryDate || null,
+    deliveryAddress
+  };
+}
+
+/**
+ * Fiyatlanmış satırlardan yerel sipariş (outbox) kaydı açar ve ERP'ye ilk denemeyi yapar.
+ * ERP hataları fırlatılmaz; sonuç delivery.outcome ile döner (sent | queued | unverified | dead_letter).
+ * options.onRecorded: kayıt açıldıktan sonra, ERP çağrısından önce çalışır
+ * options.idempotencyKeyId: isteğin Idempotency-Key kaydı (recoverIdempotentOrder bununla bulur)
+ */
+async function placeOrder(req, { lines, totalTL, details = {} }, options = {}) {
+  const order = await Order.create({
+    hesap: req.user.hesap,
+    placedBy: {
+      username: req.user.username,
+      dealerUserId: req.user.dealerUserId || null
+    },
+    impersonatedBy: req.impersonation?.adminUsername || null,
+    priceList: Number(req.user.list) || 1,
+    lines: lines.map(p => ({
+      stkno: p.stkno,
+      stokadi: p.stokadi,
+      adet: p.adet,
+      cinsi: p.cinsi,
+      fiyat: p.fiyat,
+      fiyatTL: p.fiyatTL,
+      tutarTL: round2(p.adet * p.fiyatTL),
+      backorderQty: p.availability?.backorderQty || 0,
+      note: p.note,
+      deliveryDate: p.deliveryDate
+    })),
+    totalTL: round2(totalTL),
+    poNumber: details.poNumber || '',
+    note: details.note || '',
+    deliveryDate: details.deliveryDate || null,
+    deliveryAddress: details.deliveryAddress || null,
+    requestId: req.id,
+    idempotencyKeyId: options.idempotencyKeyId || null
+  });
+
+  if (options.onRecorded) {
+    await options.onRecorded(order);
+  }
+
+  const delivery = await orderOutboxService.deliver(order);
+
+  if (delivery.outcome === 'sent') {
+    logger.info('Order created successfully', {
+      userHesap: order.hesap,
+      placedBy: req.user.username,
+      userPriceList: order.priceList,
+      orderId: delivery.orderId,
+      productCount: lines.length,
+      orderTotalTL: totalTL,
+      requestId: req.id
+    });
+  } else {
+    logger.warn('Order not delivered to ERP on first attempt', {
+      userHesap: order.hesap,
+      orderId: String(order._id),
+      outcome: delivery.outcome,
+      error: delivery.error?.message,
+      requestId: req.id
+    });
+  }
+
+  return { order, delivery };
+}
+
+/**
+ * Sipariş cevabı: ERP'ye gittiyse 201, kuyrukta veya doğrulama bekliyorsa 202
+ */
+function orderResponse({ order, delivery }, lines, totalTL, { canViewPrices = true } = {}) {
+  const products = lines.map(p => maskPrices({
+    stkno: p.stkno,
+    stokadi: p.stokadi,
+    adet: p.adet,
+    fiyat: p.fiyatTL,  // Frontend'e TL fiyatı göster
+    cinsi: 'TRY',      // Frontend'e her zaman TRY göster
+    inStockQty: p.availability.inStockQty,
+    backorderQty: p.availability.backorderQty
+  }, ['fiyat'], canViewPrices));
+
+  // Stoktan karşılanan ve sonradan gönderilecek miktarlar
+  const stock = {
+    inStock: lines
+      .filter(p => p.availability.inStockQty > 0)
+      .map(p => ({ stkno: p.stkno, adet: p.availability.inStockQty })),
+    backordered: lines
+      .filter(p => p.availability.backorderQty > 0)
+      .map(p => ({ stkno: p.stkno, adet: p.availability.backorderQty }))
+  };
+  const warnings = lines.map(p => p.availability.warning).filter(Boolean);
+
+  if (delivery.outcome === 'sent') {
+    return {
+      statusCode: 201,
+      body: {
+        success: true,
+        message: 'Order created successfully',
+        data: {
+          id: order._id,
+          orderId: delivery.orderId,
+          submissionStatus: order.status,
+          products,
+          stock,
+          warnings,
+          totalAmount: canViewPrices ? totalTL : null,
+          status: 'created'
+        }
+      }
+    };
+  }
+
+  // unverified: ERP'de açılmış olabilir, uzlaştırma job'ı doğrular; queued: worker tekrar gönderir
+  const message = delivery.outcome === 'unverified'
+    ? 'Order submitted; confirmation from ERP is pending. Please do not resubmit.'
+    : 'ERP is currently unavailable; your order has been queued and will be sent automatically.';
+
+  return {
+    statusCode: 202,
+    body: {
+      success: true,
+      message,
+      data: {
+        id: order._id,
+        orderId: null,
+        submissionStatus: order.status,
+        nextAttemptAt: order.delivery.nextAttemptAt,
+        products,
+        stock,
+        warnings,
+        totalAmount: canViewPrices ? totalTL : null,
+        status: order.status === 'unverified' ? 'pending' : 'queued'
+      }
+    }
+  };
+}
+
+// Kayıttaki sipariş durumunun ilk cevaptaki karşılığı
+const DELIVERY_OUTCOMES = { sent: 'sent', confirmed: 'sent', queued: 'queued', dead_letter: 'queued' };
+
+/**
+ * idempotent({ recover }) için: takılı kalan anahtarla sipariş zaten açıldıysa
+ * siparişi tekrar oluşturmak yerine kayıttan cevap üretir; sipariş yoksa null
+ */
+async function recoverIdempotentOrder(idempotencyKeyId, req) {
+  const order = await Order.findByIdempotencyKey(idempotencyKeyId);
+  if (!order) return null;
+
+  const lines = order.lines.map(line => ({
+    stkno: line.stkno,
+    stokadi: line.stokadi,
+    adet: line.adet,
+    fiyatTL: line.fiyatTL,
+    availability: {
+      inStockQty: line.adet - (line.backorderQty || 0),
+      backorderQty: line.backorderQty || 0,
+      warning: null
+    }
+  }));
+  const delivery = { outcome: DELIVERY_OUTCOMES[order.status] || 'unverified', orderId: order.sipno };
+
+  return orderResponse({ order, delivery }, lines, order.totalTL, {
+    canViewPrices: hasDealerPermission(req.user, DEALER_PERMISSIONS.VIEW_PRICES)
+  });
+}
+
+module.exports = {
+  priceLines,
+  resolveOrderDetails,
+  placeOrder,
+  orderResponse,
+  recoverIdempotentOrder
+};
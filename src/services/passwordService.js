@@ -0,0 +1,167 @@
+// src/services/passwordService.js
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const DealerUser = require('../models/DealerUser');
+const DealerProfile = require('../models/DealerProfile');
+const DealerCredential = require('../models/DealerCredential');
+const AuthSession = require('../models/AuthSession');
+const mailService = require('./mailService');
+const { sessionOwner } = require('./tokenService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const PURPOSES = {
+  RESET: 'password-reset',
+  ACTIVATION: 'activation'
+};
+
+const TOKEN_TTL = {
+  [PURPOSES.RESET]: process.env.PASSWORD_RESET_EXPIRES_IN || '1h',
+  [PURPOSES.ACTIVATION]: process.env.ACTIVATION_EXPIRES_IN || '72h'
+};
+
+const publicUrl = () => (process.env.APP_PUBLIC_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+// Ayrı bir secret ile imzalanır; access token olarak kullanılamaz
+const tokenSecret = () => `${process.env.JWT_SECRET}:password`;
+
+/**
+ * Kullanıcı adını sıfırlanabilir bir hesaba çözer.
+ * - E-posta: bayi alt kullanıcısı
+ * - Diğer: ERP hesap kodu (e-posta DealerProfile'dan)
+ */
+async function findAccount(username) {
+  const value = String(username || '').trim();
+  if (!value) return null;
+
+  if (value.includes('@')) {
+    const dealerUser = await DealerUser.findOne({ email: value.toLowerCase(), isActive: true });
+    return dealerUser
+      ? { kind: 'dealer-user', id: String(dealerUser._id), hesap: dealerUser.hesap, email: dealerUser.email }
+      : null;
+  }
+
+  const profile = await DealerProfile.getByHesap(value);
+  return profile?.email
+    ? { kind: 'dealer', id: profile.hesap, hesap: profile.hesap, email: profile.email }
+    : null;
+}
+
+function issueToken(account, purpose) {
+  return jwt.sign(
+    { purpose, kind: account.kind, sub: account.id },
+    tokenSecret(),
+    { expiresIn: TOKEN_TTL[purpose] }
+  );
+}
+
+async function passwordChangedAt(account) {
+  if (account.kind === 'dealer-user') {
+    const dealerUser = await DealerUser.findById(account.id).select('passwordChangedAt').lean();
+    return dealerUser?.passwordChangedAt || null;
+  }
+
+  const credential = await DealerCredential.findOne({ hesap: account.id }).select('passwordChangedAt').lean();
+  return credential?.passwordChangedAt || null;
+}
+
+/**
+ * Token'ı doğrular. Token üretildikten sonra parola değiştiyse token geçersizdir (tek kullanımlık).
+ */
+async function verifyToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(token, tokenSecret());
+  } catch (error) {
+    throw new AppError('Invalid or expired link', 400);
+  }
+
+  if (payload.purpose !== purpose) {
+    throw new AppError('Invalid or expired link', 400);
+  }
+
+  let account = null;
+  if (payload.kind === 'dealer-user' && mongoose.Types.ObjectId.isValid(payload.sub)) {
+    const dealerUser = await DealerUser.findById(payload.sub).lean();
+    if (dealerUser?.isActive) {
+      account = { kind: 'dealer-user', id: String(dealerUser._id), hesap: dealerUser.hesap, email: dealerUser.email };
+    }
+  } else if (payload.kind === 'dealer') {
+    account = { kind: 'dealer', id: payload.sub, hesap: payload.sub };
+  }
+
+  if (!account) {
+    throw new AppError('Invalid or expired link', 400);
+  }
+
+  const changedAt = await passwordChangedAt(account);
+  if (changedAt && Math.floor(changedAt.getTime() / 1000) > payload.iat) {
+    throw new AppError('This link has already been used', 400);
+  }
+
+  return account;
+}
+
+/**
+ * Parolayı kaydeder ve hesabın açık oturumlarını kapatır
+ */
+async function setPassword(account, password, { keepSessionId = null } = {}) {
+  if (account.kind === 'dealer-user') {
+    const dealerUser = await DealerUser.findById(account.id);
+    if (!dealerUser) throw new AppError('User not found', 404);
+    await dealerUser.setPassword(password);
+    await dealerUser.save();
+  } else {
+    await DealerCredential.setPassword(account.hesap, password);
+  }
+
+  const owner = sessionOwner({
+    type: 'customer',
+    hesap: account.hesap,
+    dealerUserId: account.kind === 'dealer-user' ? account.id : undefined
+  });
+
+  await AuthSession.revokeAllForUser(owner, 'password_changed', { exceptSessionId: keepSessionId });
+
+  logger.auth('Password changed', account.hesap, {
+    kind: account.kind,
+    dealerUserId: account.kind === 'dealer-user' ? account.id : null
+  });
+}
+
+async function sendResetEmail(account) {
+  const link = `${publicUrl()}/reset-password?token=${encodeURIComponent(issueToken(account, PURPOSES.RESET))}`;
+
+  return mailService.sendMail({
+    to: account.email,
+    subject: 'Müşteri Paneli - Parola Sıfırlama',
+    html: mailService.layout('Parola Sıfırlama', `
+      <p>Hesabınız (${account.hesap}) için parola sıfırlama talebi aldık.</p>
+      <p><a href="${link}">Yeni parola belirlemek için tıklayın</a></p>
+      <p>Bağlantı ${TOKEN_TTL[PURPOSES.RESET]} süreyle geçerlidir. Talep sizin tarafınızdan yapılmadıysa bu e-postayı dikkate almayın.</p>
+    `)
+  });
+}
+
+async function sendActivationEmail(account, invitedBy) {
+  const link = `${publicUrl()}/activate?token=${encodeURIComponent(issueToken(account, PURPOSES.ACTIVATION))}`;
+
+  return mailService.sendMail({
+    to: account.email,
+    subject: 'Müşteri Paneli - Hesap Aktivasyonu',
+    html: mailService.layout('Hesap Aktivasyonu', `
+      <p>${invitedBy || 'Hesap sahibi'} sizi ${account.hesap} bayi hesabına kullanıcı olarak ekledi.</p>
+      <p><a href="${link}">Parolanızı belirleyip hesabınızı etkinleştirmek için tıklayın</a></p>
+      <p>Bağlantı ${TOKEN_TTL[PURPOSES.ACTIVATION]} süreyle geçerlidir.</p>
+    `)
+  });
+}
+
+module.exports = {
+  PURPOSES,
+  findAccount,
+  verifyToken,
+  setPassword,
+  sendResetEmail,
+  sendActivationEmail
+};
@@ -82,6 +82,7 @@ async function upsertProducts(products = []) {
 
       const doc = {
         stkno: p.stkno,
+        stknoKey: Product.normalizeStkno(p.stkno),
         stokadi: p.stokadi,
         grupadi: p.grupadi,
         priceList,           // TL cinsinden fiyatlar
@@ -0,0 +1,338 @@
+// src/services/quickOrderService.js
+// Hızlı sipariş: yapıştırılan "stkno;adet" satırları veya CSV/XLSX dosyasından sepet önizlemesi
+//
+// Kabul edilen satır biçimleri (ayraç ; , sekme veya boşluk):
+//   CR-1001;5
+//   CR-1002	12
+//   CR-1003          (adet yoksa 1)
+// Ayraç ilk satırdan belirlenir (sekme, ;, , sırasıyla; hiçbiri yoksa boşluk) ve tüm metinde
+// aynısı kullanılır: "CR-1001;1,5" adet 1,5 olarak okunur (geçersiz miktar), ikiden fazla dolu
+// sütunlu satır reddedilir. İlk satır "stkno;adet" gibi başlık ise atlanır. XLSX'te ilk sayfa okunur,
+// başlık satırında stkno/adet sütunları bulunamazsa ilk iki sütun kullanılır.
+const ExcelJS = require('exceljs');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const orderRuleService = require('./orderRuleService');
+const stockPolicyService = require('./stockPolicyService');
+const { AppError } = require('../middleware/errorHandler');
+
+const MAX_LINES = parseInt(process.env.QUICK_ORDER_MAX_LINES || '500', 10);
+const MAX_QTY = parseInt(process.env.QUICK_ORDER_MAX_QTY || '100000', 10);
+
+// Bilinmeyen kodlar için en fazla bu kadar satıra öneri aranır (her biri stknoKey index'inde aralık sorgusu)
+const MAX_SUGGESTION_LOOKUPS = 50;
+const MAX_SUGGESTIONS = 3;
+const MAX_SUGGESTION_CANDIDATES = 50;
+
+// Öncelik sırasıyla; ilk satırda hiçbiri yoksa boşluk ayraç kabul edilir
+const DELIMITERS = ['\t', ';', ','];
+
+const CODE_HEADERS = ['STKNO', 'STOKNO', 'STOK KODU', 'STOKKODU', 'KOD', 'SKU', 'CODE'];
+const QTY_HEADERS = ['ADET', 'MIKTAR', 'MİKTAR', 'QTY', 'QUANTITY'];
+
+const normalizeCode = Product.normalizeStkno;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const isHeader = (code, qty) =>
+  CODE_HEADERS.includes(normalizeCode(code)) && (qty === '' || QTY_HEADERS.includes(normalizeCode(qty)));
+
+const assertLineCount = (rows) => {
+  if (rows.length === 0) {
+    throw new AppError('Ürün listesi boş', 400);
+  }
+  if (rows.length > MAX_LINES) {
+    throw new AppError(`En fazla ${MAX_LINES} satır gönderilebilir`, 400);
+  }
+  return rows;
+};
+
+// Çift tırnak içindeki ayraçlar bölmez ("CR-1001","1,5")
+const splitColumns = (line, delimiter) => {
+  if (!delimiter) return line.split(/\s+/);
+
+  const columns = [];
+  let current = '';
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) {
+      columns.push(current.trim());
+      current = '';
+    } else current += char;
+  }
+  columns.push(current.trim());
+  return columns;
+};
+
+/**
+ * Yapıştırılan metin veya CSV içeriği -> [{ row, code, qty }]
+ */
+function parseText(text) {
+  const rows = [];
+  const lines = String(text || '')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((raw, index) => ({ row: index + 1, line: raw.trim() }))
+    .filter(({ line }) => line && !line.startsWith('#'));
+
+  const first = lines[0]?.line || '';
+  const delimiter = DELIMITERS.find(d => first.includes(d)) || null;
+
+  lines.forEach(({ row, line }) => {
+    const columns = splitColumns(line, delimiter);
+    // Sondaki boş sütunlar (Excel'in eklediği ayraçlar) yok sayılır
+    while (columns.length > 2 && columns[columns.length - 1] === '') columns.pop();
+    if (columns.length > 2) {
+      throw new AppError(`Satır ${row}: sadece stok kodu ve adet sütunları olmalı`, 400);
+    }
+
+    const [code = '', qty = ''] = columns;
+    if (!code || (rows.length === 0 && isHeader(code, qty))) return;
+    rows.push({ row, code, qty });
+  });
+
+  return assertLineCount(rows);
+}
+
+// ExcelJS hücre değeri: düz değer, formül sonucu, zengin metin veya köprü olabilir
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value).trim();
+  if (value.result !== undefined) return cellText(value.result);
+  if (value.richText) return value.richText.map(part => part.text).join('').trim();
+  if (value.text !== undefined) return cellText(value.text);
+  return '';
+};
+
+/**
+ * XLSX dosyası (ilk sayfa) -> [{ row, code, qty }]
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new AppError('Excel dosyası okunamadı', 400);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new AppError('Excel dosyasında sayfa bulunamadı', 400);
+  }
+
+  let codeCol = 1;
+  let qtyCol = 2;
+  let headerRow = null;
+
+  // Başlık satırı: stkno/adet sütunlarının yeri
+  const first = sheet.getRow(1);
+  first.eachCell((cell, col) => {
+    const text = normalizeCode(cellText(cell.value));
+    if (CODE_HEADERS.includes(text)) { codeCol = col; headerRow = 1; }
+    if (QTY_HEADERS.includes(text)) { qtyCol = col; headerRow = 1; }
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === headerRow) return;
+    const code = cellText(row.getCell(codeCol).value);
+    if (!code) return;
+    rows.push({ row: rowNumber, code, qty: cellText(row.getCell(qtyCol).value) });
+  });
+
+  return assertLineCount(rows);
+}
+
+/**
+ * Yüklenen dosyayı uzantısına göre ayrıştırır (csv/txt metin, xlsx Excel)
+ */
+async function parseFile(file) {
+  const name = String(file.originalname || '').toLowerCase();
+  if (name.endsWith('.xlsx')) {
+    return parseXlsx(file.buffer);
+  }
+  if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    return parseText(file.buffer.toString('utf8'));
+  }
+  throw new AppError('Desteklenmeyen dosya türü (csv veya xlsx yükleyin)', 400);
+}
+
+// Kodlar büyük/küçük harf duyarsız, stknoKey index'i üzerinden tek sorguyla eşleşir;
+// sadece harf farkıyla ayrışan iki ürün varsa yazıldığı gibi olan tercih edilir
+async function findProducts(codes) {
+  const products = await Product.find({ stknoKey: { $in: [...new Set(codes.map(normalizeCode))] } }).lean();
+  const exact = new Set(codes);
+
+  const byCode = new Map();
+  products.forEach(p => {
+    const key = normalizeCode(p.stkno);
+    if (!byCode.has(key) || exact.has(p.stkno)) byCode.set(key, p);
+  });
+  return byCode;
+}
+
+/**
+ * Bilinmeyen kod için benzer aktif ürünler: kodun ilk yarısıyla başlayan ürünler
+ * (stknoKey aralık sorgusu) arasından düzenleme uzaklığı en yakın olanlar önerilir
+ */
+async function suggest(code) {
+  const normalized = normalizeCode(code);
+  const prefix = normalized.slice(0, Math.max(2, Math.ceil(normalized.length / 2)));
+
+  const candidates = await Product.find({
+    stknoKey: { $gte: prefix, $lt: `${prefix}\uffff` },
+    isActive: { $ne: false }
+  })
+    .select('stkno stokadi')
+    .sort({ stknoKey: 1 })
+    .limit(MAX_SUGGESTION_CANDIDATES)
+    .lean();
+
+  const maxDistance = Math.max(2, Math.floor(normalized.length / 3));
+
+  return candidates
+    .map(p => {
+      const candidate = normalizeCode(p.stkno);
+      const contains = candidate.includes(normalized) || normalized.includes(candidate);
+      return { stkno: p.stkno, stokadi: p.stokadi, distance: contains ? 0 : levenshtein(normalized, candidate) };
+    })
+    .filter(s => s.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.stkno.localeCompare(b.stkno))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ stkno, stokadi }) => ({ stkno, stokadi }));
+}
+
+/**
+ * Ayrıştırılmış satırları ürünlerle eşleştirip önizleme üretir. Aynı ürün birden fazla
+ * satırda ise miktarlar toplanır; stok kontrolü sepetteki mevcut miktarı da hesaba katar.
+ *
+ * Satır durumları: ok | invalid_qty | not_found | inactive | no_price | insufficient_stock | order_rule
+ * items: sepete eklenebilecek satırlar (POST /api/cart/quick-order/commit gövdesi)
+ */
+async function preview(hesap, priceList, rows, { canViewPrices = true } = {}) {
+  const lines = [];
+  const byCode = new Map();
+
+  rows.forEach(({ row, code, qty }) => {
+    const adet = qty === '' ? 1 : Number(String(qty).replace(',', '.'));
+    const validQty = Number.isInteger(adet) && adet > 0 && adet <= MAX_QTY;
+    const key = normalizeCode(code);
+
+    // Geçersiz miktarlı satır birleştirilmez, ayrı hata olarak döner
+    if (!validQty) {
+      lines.push({ rows: [row], input: code, stkno: null, adet: null, status: 'invalid_qty', quantityInput: qty });
+      return;
+    }
+
+    const existing = byCode.get(key);
+    if (existing) {
+      existing.rows.push(row);
+      existing.adet += adet;
+      return;
+    }
+
+    const line = { rows: [row], input: code, stkno: null, adet, status: 'ok' };
+    byCode.set(key, line);
+    lines.push(line);
+  });
+
+  const products = await findProducts([...byCode.values()].map(line => line.input));
+  const cart = await Cart.getCartByUser(hesap);
+  const inCart = new Map((cart?.items || []).map(item => [item.stkno, item.adet]));
+
+  const prices = new Map();
+  let suggestionLookups = 0;
+
+  for (const line of byCode.values()) {
+    const product = products.get(normalizeCode(line.input));
+
+    if (!product) {
+      line.status = 'not_found';
+      line.suggestions = suggestionLookups++ < MAX_SUGGESTION_LOOKUPS ? await suggest(line.input) : [];
+      continue;
+    }
+
+    line.stkno = product.stkno;
+    line.stokadi = product.stokadi;
+    line.birim = product.birim || 'ADET';
+    line.imageUrl = product.imageUrl || null;
+
+    if (product.isActive === false) {
+      line.status = 'inactive';
+      continue;
+    }
+
+    const price = product.priceList?.[`fiyat${priceList}`];
+    if (!price || price <= 0) {
+      line.status = 'no_price';
+      continue;
+    }
+
+    line.fiyat = canViewPrices ? price : null;
+    line.cinsi = 'TRY';
+    line.lineTotal = canViewPrices ? round2(price * line.adet) : null;
+    line.inCartQty = inCart.get(product.stkno) || 0;
+    line.availability = stockPolicyService.checkAvailability(product, line.inCartQty + line.adet);
+    if (!line.availability.allowed) {
+      line.status = 'insufficient_stock';
+    }
+    prices.set(line, price);
+  }
+
+  // Minimum miktar / paket katı: suggestedQty sepete eklenmesi gereken miktardır
+  const priced = lines.filter(line => line.status === 'ok');
+  const { violations } = await orderRuleService.checkLines(
+    priced.map(line => ({ stkno: line.stkno, adet: line.inCartQty + line.adet })),
+    priceList,
+    [...products.values()]
+  );
+  priced.forEach(line => {
+    const lineViolations = violations.filter(v => v.stkno === line.stkno);
+    if (!lineViolations.length) return;
+    line.status = 'order_rule';
+    line.violations = lineViolations;
+    line.suggestedQty = Math.max(...lineViolations.map(v => v.suggestedQty)) - line.inCartQty;
+  });
+
+  const valid = lines.filter(line => line.status === 'ok');
+  const totalAmount = round2(valid.reduce((sum, line) => sum + prices.get(line) * line.adet, 0));
+
+  return {
+    lines,
+    items: valid.map(line => ({ stkno: line.stkno, adet: line.adet })),
+    summary: {
+      lineCount: lines.length,
+      validCount: valid.length,
+      invalidCount: lines.length - valid.length,
+      totalQty: valid.reduce((sum, line) => sum + line.adet, 0),
+      totalAmount: canViewPrices ? totalAmount : null,
+      warnings: valid.map(line => line.availability.warning).filter(Boolean)
+    }
+  };
+}
+
+module.exports = {
+  MAX_LINES,
+  MAX_QTY,
+  parseText,
+  parseXlsx,
+  parseFile,
+  preview
+};
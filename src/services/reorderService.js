@@ -0,0 +1,212 @@
+// src/services/reorderService.js
+// Önceki siparişi sepete tekrar yükleme ve bayinin sık aldığı ürünler ("tekrar al") listesi
+const moment = require('moment');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const soapService = require('./soapService');
+const orderRuleService = require('./orderRuleService');
+const stockPolicyService = require('./stockPolicyService');
+const { maskPrices } = require('./cartService');
+const { AppError } = require('../middleware/errorHandler');
+
+const HISTORY_DAYS = parseInt(process.env.BUY_AGAIN_HISTORY_DAYS || '365', 10);
+
+// ERP'ye henüz düşmemiş (sipno'suz) yerel siparişler sık alınanlara eklenir
+const LOCAL_ONLY_STATUSES = ['queued', 'pending', 'sent', 'unverified'];
+
+/**
+ * Siparişin satırları: önce yerel sipariş (id veya sipno), yoksa rsiparisler satırları
+ * Dönen satırlarda price, siparişteki TL birim fiyattır (fiyat değişimi raporu için)
+ */
+async function linesFromOrder(hesap, orderId) {
+  const local = await Order.findForDealer(hesap, orderId);
+  if (local) {
+    return {
+      source: 'portal',
+      sipno: local.sipno,
+      lines: local.lines.map(line => ({ stkno: line.stkno, adet: line.adet, price: line.fiyatTL }))
+    };
+  }
+
+  // rsiparisler her kalem için ayrı satır döner
+  const rows = (await soapService.getOrders(hesap)).filter(row => String(row.sipno) === String(orderId));
+  if (!rows.length) {
+    throw new AppError('Order not found', 404);
+  }
+
+  return {
+    source: 'erp',
+    sipno: String(orderId),
+    lines: rows
+      .filter(row => row.stkno && row.sipmik > 0)
+      .map(row => ({ stkno: row.stkno, adet: row.sipmik, price: row.sipfyt }))
+  };
+}
+
+/**
+ * Satırları güncel fiyat listesinden fiyatlayıp aktif sepete ekler.
+ * Bulunamayan/pasif ürünler ve stok politikası engelleyenler atlanır.
+ * canViewPrices false ise dönen satırlarda fiyat yoktur, fiyat değişimi raporu boş döner.
+ */
+async function addLinesToCart(hesap, priceList, lines, { canViewPrices = true } = {}) {
+  // Aynı ürün birden fazla satırda olabilir
+  const merged = new Map();
+  lines.forEach(line => {
+    const existing = merged.get(line.stkno);
+    if (existing) existing.adet += line.adet;
+    else merged.set(line.stkno, { ...line });
+  });
+
+  const products = await Product.find({ stkno: { $in: [...merged.keys()] } }).lean();
+  const byStkno = new Map(products.map(p => [p.stkno, p]));
+
+  const cart = await Cart.getCartByUser(hesap);
+  const inCart = new Map((cart?.items || []).map(item => [item.stkno, item.adet]));
+
+  // Sepetteki miktarla birlikte minimum miktar / paket katı ihlalleri
+  const { violations } = await orderRuleService.checkLines(
+    [...merged.values()].map(line => ({ stkno: line.stkno, adet: (inCart.get(line.stkno) || 0) + line.adet })),
+    priceList,
+    products
+  );
+
+  const toAdd = [];
+  const added = [];
+  const skipped = [];
+  const priceChanges = [];
+
+  for (const line of merged.values()) {
+    const product = byStkno.get(line.stkno);
+    if (!product) {
+      skipped.push({ stkno: line.stkno, adet: line.adet, reason: 'not_found' });
+      continue;
+    }
+    if (product.isActive === false) {
+      skipped.push({ stkno: line.stkno, adet: line.adet, reason: 'inactive' });
+      continue;
+    }
+
+    const price = product.priceList?.[`fiyat${priceList}`];
+    if (!price || price <= 0) {
+      skipped.push({ stkno: line.stkno, adet: line.adet, reason: 'no_price' });
+      continue;
+    }
+
+    const availability = stockPolicyService.checkAvailability(product, (inCart.get(line.stkno) || 0) + line.adet);
+    if (!availability.allowed) {
+      skipped.push({ stkno: line.stkno, adet: line.adet, reason: 'insufficient_stock', available: availability.available });
+      continue;
+    }
+
+    const ruleViolations = violations.filter(v => v.stkno === product.stkno);
+    if (ruleViolations.length) {
+      skipped.push({ stkno: line.stkno, adet: line.adet, reason: 'order_rule', violations: ruleViolations });
+      continue;
+    }
+
+    toAdd.push({
+      stkno: product.stkno,
+      stokadi: product.stokadi,
+      fiyat: price,
+      cinsi: 'TRY',
+      birim: product.birim || 'ADET',
+      grupadi: product.grupadi || '',
+      kdv: product.kdv ?? 18,
+      adet: line.adet,
+      userPriceList: priceList,
+      imageUrl: product.imageUrl || null
+    });
+    added.push({ stkno: product.stkno, stokadi: product.stokadi, adet: line.adet, fiyat: price });
+
+    if (Number.isFinite(line.price) && line.price > 0 && Math.abs(line.price - price) >= 0.01) {
+      priceChanges.push({
+        stkno: product.stkno,
+        previousPrice: line.price,
+        price,
+        changePercent: Math.round(((price - line.price) / line.price) * 10000) / 100
+      });
+    }
+  }
+
+  // Tüm satırlar tek sepet güncellemesiyle eklenir
+  if (toAdd.length) {
+    await Cart.addItemsToCart(hesap, toAdd);
+  }
+
+  return {
+    added: added.map(line => maskPrices(line, ['fiyat'], canViewPrices)),
+    skipped,
+    priceChanges: canViewPrices ? priceChanges : []
+  };
+}
+
+/**
+ * Bayinin sipariş geçmişinden en sık aldığı aktif ürünler (sipariş sayısı, sonra son alım tarihi)
+ */
+async function frequentlyBought(hesap, priceList, { days = HISTORY_DAYS, limit = 20, canViewPrices = true } = {}) {
+  const since = moment().subtract(days, 'days');
+
+  const [rows, localOrders] = await Promise.all([
+    soapService.getOrders(hesap, {
+      startDate: since.format('DD-MM-YYYY'),
+      endDate: moment().format('DD-MM-YYYY')
+    }),
+    Order.find({
+      hesap,
+      sipno: null,
+      status: { $in: LOCAL_ONLY_STATUSES },
+      submittedAt: { $gte: since.toDate() }
+    }).select('lines submittedAt').lean()
+  ]);
+
+  const stats = new Map();
+  const record = (stkno, orderKey, qty, date) => {
+    if (!stkno) return;
+    if (!stats.has(stkno)) stats.set(stkno, { stkno, orders: new Set(), totalQty: 0, lastOrderedAt: null });
+    const entry = stats.get(stkno);
+    entry.orders.add(orderKey);
+    entry.totalQty += qty;
+    if (date && (!entry.lastOrderedAt || date > entry.lastOrderedAt)) entry.lastOrderedAt = date;
+  };
+
+  rows.forEach(row => record(row.stkno, `erp:${row.sipno}`, row.sipmik || 0, row.tarihDate));
+  localOrders.forEach(order => order.lines.forEach(line =>
+    record(line.stkno, `local:${order._id}`, line.adet, order.submittedAt)
+  ));
+
+  const products = await Product.find({ stkno: { $in: [...stats.keys()] }, isActive: { $ne: false } })
+    .select('stkno stokadi grupadi birim kdv bakiye uruntipi imageUrl priceList')
+    .lean();
+  const byStkno = new Map(products.map(p => [p.stkno, p]));
+
+  return [...stats.values()]
+    .filter(entry => byStkno.has(entry.stkno))
+    .sort((a, b) => (b.orders.size - a.orders.size) || ((b.lastOrderedAt || 0) - (a.lastOrderedAt || 0)))
+    .slice(0, limit)
+    .map(entry => {
+      const product = byStkno.get(entry.stkno);
+      // Tekrar sipariş için önerilen miktar: sipariş başına ortalama
+      const suggestedQty = Math.max(1, Math.round(entry.totalQty / entry.orders.size));
+      return {
+        stkno: entry.stkno,
+        stokadi: product.stokadi,
+        grupadi: product.grupadi || '',
+        birim: product.birim || 'ADET',
+        imageUrl: product.imageUrl || null,
+        fiyat: canViewPrices ? (product.priceList?.[`fiyat${priceList}`] || 0) : null,
+        cinsi: 'TRY',
+        orderCount: entry.orders.size,
+        totalQty: entry.totalQty,
+        suggestedQty,
+        lastOrderedAt: entry.lastOrderedAt,
+        availability: stockPolicyService.checkAvailability(product, suggestedQty)
+      };
+    });
+}
+
+module.exports = {
+  linesFromOrder,
+  addLinesToCart,
+  frequentlyBought
+};
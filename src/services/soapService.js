@@ -1,13 +1,74 @@
 // src/services/soapService.js
-const soap = require('soap');
 const logger = require('../utils/logger');
-const { AppError } = require('../middleware/errorHandler');
+const { AppError, ServiceUnavailableError } = require('../middleware/errorHandler');
+const { createAdapter } = require('./erp');
+const { createResponseCache } = require('./erp/responseCache');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const Bulkhead = require('../utils/bulkhead');
+const { redact } = require('../utils/redact');
+const erpMetrics = require('./erp/erpMetrics');
+const { mapRows, toArray, getReport: getMappingReport } = require('./erp/mappers');
+
+const BREAKER_OPTIONS = {
+  failureThreshold: parseInt(process.env.ERP_BREAKER_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.ERP_BREAKER_RESET_SECONDS || '30', 10) * 1000,
+  halfOpenMaxCalls: parseInt(process.env.ERP_BREAKER_HALF_OPEN_CALLS || '1', 10)
+};
+
+// Bu süreyi aşan çağrılar "slow call" olarak loglanır
+const SLOW_CALL_MS = parseInt(process.env.ERP_SLOW_CALL_MS || '3000', 10);
+// sipcrea wacik (satır açıklaması) alan uzunluğu
+const WACIK_MAX_LENGTH = parseInt(process.env.ERP_WACIK_MAX_LENGTH || '250', 10);
+
+const BULKHEAD_OPTIONS = {
+  maxConcurrent: parseInt(process.env.ERP_MAX_CONCURRENT || '10', 10),
+  maxQueue: parseInt(process.env.ERP_MAX_QUEUE || '50', 10),
+  queueTimeoutMs: parseInt(process.env.ERP_QUEUE_TIMEOUT_MS || '10000', 10)
+};
+
+// Önbellek süreleri (saniye cinsinden env ile değiştirilebilir)
+const CACHE_TTL = {
+  orders: parseInt(process.env.ERP_CACHE_ORDERS_TTL_SECONDS || '60', 10) * 1000,
+  extract: parseInt(process.env.ERP_CACHE_EXTRACT_TTL_SECONDS || '120', 10) * 1000,
+  extractDetail: parseInt(process.env.ERP_CACHE_EXTRACT_DETAIL_TTL_SECONDS || '600', 10) * 1000,
+  customers: parseInt(process.env.ERP_CACHE_CUSTOMERS_TTL_SECONDS || '300', 10) * 1000
+};
+
+// İstek yazılmadan düşen bağlantı hataları (DNS, bağlantı reddi, bağlantı zaman aşımı, TLS el sıkışması)
+const PRE_REQUEST_SYSCALLS = ['getaddrinfo', 'connect'];
+const PRE_REQUEST_CODES = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH'];
+const TLS_ERROR_CODE = /^(CERT_|ERR_TLS_|UNABLE_TO_|DEPTH_ZERO_|SELF_SIGNED_)/;
+
+/**
+ * Hata, istek ERP'ye yazıldıktan sonra mı oluştu: ERP cevap döndü (fault/HTTP hata) ya da
+ * bağlantı kurulduktan sonra zaman aşımı/soket hatası. Kodsuz hatalar (istemci/programlama) gönderilmemiş sayılır.
+ */
+function wasRequestSent(error) {
+  if (error.requestSent === false) return false;
+  if (error.root || error.response) return true;
+
+  const code = error.code || error.cause?.code;
+  if (!code) return false;
+
+  const syscall = error.syscall || error.cause?.syscall;
+  return !PRE_REQUEST_SYSCALLS.includes(syscall)
+    && !PRE_REQUEST_CODES.includes(code)
+    && !TLS_ERROR_CODE.test(code);
+}
 
 class SoapService {
-  constructor() {
-    this.client = null;
-    this.wsdl = process.env.SOAP_KRISTAL_WSDL;
-    this.endpoint = process.env.SOAP_KRISTAL_ENDPOINT;
+  constructor(adapter = createAdapter()) {
+    this.adapter = adapter;
+    this.breakers = new Map(); // SOAP metodu başına bir devre
+    this.bulkhead = new Bulkhead('erp', BULKHEAD_OPTIONS);
+    this.cache = createResponseCache();
+    erpMetrics.registerServiceGauges(this);
+  }
+
+  // Testlerde veya çalışma anında taşıma katmanını değiştirmek için
+  setAdapter(adapter) {
+    this.adapter = adapter;
+    logger.info('ERP adapter changed', { adapter: adapter.name });
   }
 
   // --- helpers ---
@@ -27,40 +88,93 @@ class SoapService {
 
   async createClient() {
     try {
-      if (!this.client) {
-        logger.soap('Creating SOAP client', { wsdl: this.wsdl });
+      return await this.adapter.connect();
+    } catch (error) {
+      logger.error('❌ SOAP client creation failed:', error);
+      this.adapter.reset();
+      throw new AppError('SOAP service unavailable', 503);
+    }
+  }
 
-        this.client = await soap.createClientAsync(this.wsdl, {
-          timeout: 30000,
-          connectionTimeout: 10000
-        });
+  getBreaker(methodName) {
+    if (!this.breakers.has(methodName)) {
+      this.breakers.set(methodName, new CircuitBreaker(methodName, {
+        ...BREAKER_OPTIONS,
+        onStateChange: (breaker, from, to) => {
+          const log = to === CircuitBreaker.STATES.OPEN ? logger.warn : logger.info;
+          log(`ERP circuit ${breaker.name}: ${from} -> ${to}`, breaker.toJSON());
+          // Devre açılırken bağlantı bir kez sıfırlanır; her hatada WSDL tekrar çekilmez
+          if (to === CircuitBreaker.STATES.OPEN) this.adapter.reset();
+        }
+      }));
+    }
+    return this.breakers.get(methodName);
+  }
 
-        this.client.setEndpoint(this.endpoint);
+  unavailable(methodName, retryAfter) {
+    return new ServiceUnavailableError(
+      `ERP service temporarily unavailable (${methodName}). Please try again later.`,
+      retryAfter
+    );
+  }
 
-        logger.info('✅ SOAP client created successfully');
-        logger.info('📋 Available SOAP methods:', {
-          methods: Object.keys(this.client).filter(key =>
-            typeof this.client[key] === 'function' && !key.startsWith('_')
-          )
-        });
-      }
+  /**
+   * Tek bir ERP denemesini süre ölçümüyle yapar; eşiği aşan çağrılar maskelenmiş parametrelerle loglanır
+   */
+  async timedCall(methodName, params, attempt) {
+    const startedAt = process.hrtime.bigint();
+    let outcome = 'success';
 
-      return this.client;
+    try {
+      return await this.adapter.call(methodName, params);
     } catch (error) {
-      logger.error('❌ SOAP client creation failed:', error);
-      this.client = null;
-      throw new AppError('SOAP service unavailable', 503);
+      outcome = 'error';
+      // İstek ERP'ye ulaşmış olabilir; yan etkili metotlarda sonucun belirsiz olduğunu gösterir
+      if (error && typeof error === 'object') {
+        error.requestSent = wasRequestSent(error);
+        error.soapFault = !!error.root?.Envelope?.Body?.Fault;
+      }
+      erpMetrics.callErrors.inc({ method: methodName });
+      throw error;
+    } finally {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      erpMetrics.callDuration.observe({ method: methodName, outcome }, durationMs / 1000);
+
+      if (durationMs >= SLOW_CALL_MS) {
+        erpMetrics.slowCalls.inc({ method: methodName });
+        logger.warn(`Slow SOAP call: ${methodName}`, {
+          method: methodName,
+          attempt,
+          outcome,
+          durationMs: Math.round(durationMs),
+          thresholdMs: SLOW_CALL_MS,
+          params: redact(params)
+        });
+      }
     }
   }
 
   async callSoapMethod(methodName, params = {}, retries = 3) {
+    const breaker = this.getBreaker(methodName);
     let lastError;
+    let requestSent = false;
 
     for (let attempt = 1; attempt <= retries; attempt++) {
+      if (!breaker.tryAcquire()) {
+        erpMetrics.callRejections.inc({ method: methodName, reason: 'circuit_open' });
+        throw this.unavailable(methodName, breaker.retryAfterSeconds());
+      }
+      if (attempt > 1) {
+        erpMetrics.callRetries.inc({ method: methodName });
+      }
+
       try {
-        const client = await this.createClient();
-        logger.soap(`Calling ${methodName} (attempt ${attempt})`, params);
-        const result = await client[methodName + 'Async'](params);
+        const result = await this.bulkhead.run(async () => {
+          await this.createClient();
+          logger.soap(`Calling ${methodName} (attempt ${attempt})`, params);
+          return this.timedCall(methodName, params, attempt);
+        });
+        breaker.recordSuccess();
         logger.info(`✅ SOAP ${methodName} successful`, {
           method: methodName,
           attempt,
@@ -68,23 +182,45 @@ class SoapService {
         });
         return result;
       } catch (error) {
+        // Kuyruk dolu: ERP'ye hiç gidilmedi, devre sayacına yazılmaz
+        if (error instanceof Bulkhead.BulkheadRejectedError) {
+          breaker.releaseTrial();
+          erpMetrics.callRejections.inc({ method: methodName, reason: 'bulkhead' });
+          logger.warn(`ERP bulkhead rejected ${methodName}`, this.bulkhead.toJSON());
+          throw this.unavailable(methodName, 1);
+        }
+
         lastError = error;
+        requestSent = requestSent || !!error.requestSent;
         logger.error(`❌ SOAP ${methodName} failed (attempt ${attempt}):`, {
           error: error.message,
           method: methodName,
           attempt,
           params
         });
-        this.client = null;
         if (error.message.includes('authentication') || error.message.includes('login')) {
+          breaker.recordSuccess();
           break;
         }
-        if (attempt < retries) {
+        breaker.recordFailure(error);
+        if (attempt < retries && breaker.state !== CircuitBreaker.STATES.OPEN) {
           await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
         }
       }
     }
-    throw new AppError(`SOAP ${methodName} failed: ${lastError?.message || 'Unknown error'}`, 503);
+    const failure = new AppError(`SOAP ${methodName} failed: ${lastError?.message || 'Unknown error'}`, 503);
+    // Herhangi bir deneme ERP'ye ulaştıysa sonuç belirsizdir
+    failure.requestSent = requestSent;
+    failure.soapFault = !!lastError?.soapFault;
+    throw failure;
+  }
+
+  getResilienceStatus() {
+    return {
+      bulkhead: this.bulkhead.toJSON(),
+      cache: this.cache.toJSON(),
+      circuits: [...this.breakers.values()].map(b => b.toJSON())
+    };
   }
 
   // AUTHENTICATION
@@ -124,6 +260,7 @@ class SoapService {
         }
       };
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error('Authentication failed:', error);
       throw new AppError('Authentication failed', 401);
     }
@@ -143,8 +280,8 @@ class SoapService {
       }
 
       // TTStoklar içinde TTStoklarRow var
-      const products = result[0]?.TTStoklar?.TTStoklarRow || [];
-      const count = Array.isArray(products) ? products.length : (products ? 1 : 0);
+      const products = mapRows('stock', result[0]?.TTStoklar?.TTStoklarRow);
+      const count = products.length;
 
       if (count === 0) {
         logger.error('❌ ikoStoklist returned 0 products');
@@ -154,7 +291,7 @@ class SoapService {
       logger.info(`✅ ikoStoklist returned ${count} products with 15 price lists`);
 
       if (count > 0) {
-        const firstProduct = Array.isArray(products) ? products[0] : products;
+        const firstProduct = products[0];
         logger.info('Sample product from ikoStoklist:', {
           stkno: firstProduct.stkno,
           stokadi: firstProduct.stokadi,
@@ -165,9 +302,10 @@ class SoapService {
         });
       }
 
-      return Array.isArray(products) ? products : [products];
+      return products;
 
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error('❌ CRITICAL: Failed to fetch products with all prices:', error.message);
       throw new AppError('Failed to fetch products with all prices', 500);
     }
@@ -176,9 +314,9 @@ class SoapService {
   async getProductGroups() {
     try {
       const result = await this.callSoapMethod('urungruplari', {});
-      const groups = result[0]?.urungruplari?.urungruplariRow || [];
-      return Array.isArray(groups) ? groups : [groups];
+      return mapRows('group', result[0]?.urungruplari?.urungruplariRow);
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error('Failed to fetch product groups:', error);
       throw new AppError('Failed to fetch product groups', 500);
     }
@@ -187,9 +325,9 @@ class SoapService {
   async getSubGroups(groupId) {
     try {
       const result = await this.callSoapMethod('altgrup', { vgrup: groupId });
-      const subGroups = result[0]?.altgrup?.altgrupRow || [];
-      return Array.isArray(subGroups) ? subGroups : [subGroups];
+      return mapRows('subGroup', result[0]?.altgrup?.altgrupRow);
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error(`Failed to fetch sub groups for ${groupId}:`, error);
       throw new AppError('Failed to fetch sub groups', 500);
     }
@@ -198,28 +336,38 @@ class SoapService {
   async getSubGroups2(groupId) {
     try {
       const result = await this.callSoapMethod('altgrup2', { vgrup: groupId });
-      const subGroups = result[0]?.altgrup2?.altgrup2Row || [];
-      return Array.isArray(subGroups) ? subGroups : [subGroups];
+      return mapRows('subGroup2', result[0]?.altgrup2?.altgrup2Row);
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error(`Failed to fetch sub groups2 for ${groupId}:`, error);
       throw new AppError('Failed to fetch sub groups2', 500);
     }
   }
 
   // ORDERS
-  async getOrders(userHesap, dateFilters = {}) {
+  // options.fresh: önbelleği atlayıp ERP'den okur
+  async getOrders(userHesap, dateFilters = {}, options = {}) {
+    const params = {
+      vhesap: userHesap,
+      vilktar: dateFilters.startDate || '',
+      vsontar: dateFilters.endDate || ''
+    };
+    const key = `orders:${userHesap}:${params.vilktar}|${params.vsontar}`;
+
+    // Önbellekte ham satırlar tutulur; Mongo store'da Date alanları kaybolmasın diye eşleme her okumada yapılır
+    const rows = await this.cache.wrap(key, CACHE_TTL.orders, () => this.fetchOrders(userHesap, params), options);
+    return mapRows('order', rows);
+  }
+
+  async fetchOrders(userHesap, params) {
     try {
-      const params = {
-        vhesap: userHesap,
-        vilktar: dateFilters.startDate || '',
-        vsontar: dateFilters.endDate || ''
-      };
       const result = await this.callSoapMethod('rsiparisler', params);
       if (!result || !result[0]) return [];
-      const orders = result[0]?.TTsiparis?.TTsiparisRow || [];
-      logger.info(`Fetched ${Array.isArray(orders) ? orders.length : 1} orders for user ${userHesap}`);
-      return Array.isArray(orders) ? orders : [orders];
+      const orders = toArray(result[0]?.TTsiparis?.TTsiparisRow);
+      logger.info(`Fetched ${orders.length} orders for user ${userHesap}`);
+      return orders;
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error('Failed to fetch orders:', error);
       if (error.message.includes('TTsiparisRow')) return [];
       throw new AppError('Failed to fetch orders', 500);
@@ -233,10 +381,21 @@ class SoapService {
    *   wcinsi = 'TL'
    * Not: fiyatTL yoksa güvenli fallback olarak product.fiyat kullanıyoruz.
    * (İsterseniz bu fallback'i kaldırıp 400 hata döndürtebiliriz.)
+   * options.placedBy: siparişi veren alt kullanıcı (wacik alanına yazılır)
+   * options.poNumber / note / deliveryAddress: sipcrea'da başlık alanı olmadığı için her satırın
+   *   wacik alanına eklenir; product.note satıra özel nottur
+   * options.deliveryDate / product.deliveryDate: wtermin (DD-MM-YYYY), verilmezse bugün
    */
-  async createOrder(userHesap, products) {
+  async createOrder(userHesap, products, options = {}) {
     try {
       const moment = require('moment');
+      const placedByNote = options.placedBy ? ` [${options.placedBy}]` : '';
+      const address = options.deliveryAddress;
+      const headerNotes = [
+        options.poNumber ? `PO:${options.poNumber}` : null,
+        options.note || null,
+        address ? `SEVK:${address.label} - ${address.address} ${[address.district, address.city].filter(Boolean).join('/')}` : null
+      ];
 
       const orderProducts = products.map((product) => {
         const adet = this.toNumber(product.adet, 0);
@@ -251,14 +410,19 @@ class SoapService {
         // fiyatTL yoksa güvenli fallback
         const safeUnitTL = Number.isFinite(unitTL) ? unitTL : this.toNumber(product.fiyat, 0);
 
+        const wacik = [(isFx ? 'WEB (TL via fiyatTL)' : 'WEB') + placedByNote, ...headerNotes, product.note || null]
+          .filter(Boolean)
+          .join(' | ')
+          .slice(0, WACIK_MAX_LENGTH);
+
         return {
           wcinsi: 'TL',                                      // ERP 'TL' istiyor
           wstkno: product.stkno,
           wsipmik: adet,
           wsipfyt: Number(safeUnitTL.toFixed(4)),            // TL birim fiyat
-          wtermin: moment().format('DD-MM-YYYY'),
+          wtermin: product.deliveryDate || options.deliveryDate || moment().format('DD-MM-YYYY'),
           wsiptut: Number((safeUnitTL * adet).toFixed(4)),   // TL toplam
-          wacik: isFx ? 'WEB (TL via fiyatTL)' : 'WEB',
+          wacik,
           wsipisktut: 0,
           wsipisk1: 0,
           wsipisk2: 0,
@@ -271,8 +435,10 @@ class SoapService {
         TTcreasip: { TTcreasipRow: orderProducts }
       };
 
-      const result = await this.callSoapMethod('sipcrea', params);
+      // sipcrea idempotent değil: zaman aşımından sonra tekrar denemek mükerrer sipariş açabilir
+      const result = await this.callSoapMethod('sipcrea', params, 1);
       logger.info(`✅ Order created successfully for user ${userHesap}`, {
+        placedBy: options.placedBy || null,
         productCount: products.length,
         currenciesBefore: [...new Set(products.map(p => (p.cinsi || '').toString().toUpperCase()))],
         currencySent: 'TL',
@@ -280,77 +446,138 @@ class SoapService {
         result
       });
 
+      // Sipariş açıldı; önbellek hatası sonucu "başarısız" göstermemeli
+      await this.invalidateOrders(userHesap).catch(error => logger.warn('Order cache invalidation failed', {
+        userHesap,
+        error: error.message
+      }));
+
       return {
         success: true,
         orderId: result[0]?.sipno || 'Generated',
         message: 'Order created successfully'
       };
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error('❌ Failed to create order:', error);
-      throw new AppError('Failed to create order', 500);
+
+      const failure = new AppError('Failed to create order', 500);
+      // İstek gitti ve ERP fault dönmedi (zaman aşımı, bağlantı koptu): sipariş açılmış olabilir
+      failure.outcomeUnknown = !!error.requestSent && !error.soapFault;
+      throw failure;
     }
   }
 
   // EXTRACT
-  async getExtract(userHesap, dateFilters = {}) {
+  async getExtract(userHesap, dateFilters = {}, options = {}) {
+    const moment = require('moment');
+    const params = {
+      vhesap: userHesap,
+      vilktar: dateFilters.startDate || moment().startOf('year').format('DD-MM-YYYY'),
+      vsontar: dateFilters.endDate || moment().format('DD-MM-YYYY')
+    };
+    const key = `extract:${userHesap}:${params.vilktar}|${params.vsontar}`;
+
+    const rows = await this.cache.wrap(key, CACHE_TTL.extract, () => this.fetchExtract(params), options);
+    return mapRows('extract', rows);
+  }
+
+  async fetchExtract(params) {
     try {
-      const moment = require('moment');
-      const params = {
-        vhesap: userHesap,
-        vilktar: dateFilters.startDate || moment().startOf('year').format('DD-MM-YYYY'),
-        vsontar: dateFilters.endDate || moment().format('DD-MM-YYYY')
-      };
       const result = await this.callSoapMethod('dgeks', params);
-      const extract = result[0]?.TTekstre?.TTekstreRow || [];
-      return Array.isArray(extract) ? extract : [extract];
+      return toArray(result[0]?.TTekstre?.TTekstreRow);
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error('Failed to fetch extract:', error);
       throw new AppError('Failed to fetch extract', 500);
     }
   }
 
-  async getExtractDetail(fkn) {
+  async getExtractDetail(fkn, options = {}) {
     if (!fkn && fkn !== 0) {
       throw new AppError('Extract detail id (fkn) is required', 400);
     }
+
+    const rows = await this.cache.wrap(`extractDetail:${fkn}`, CACHE_TTL.extractDetail, () => this.fetchExtractDetail(fkn), options);
+    return mapRows('extractDetail', rows);
+  }
+
+  async fetchExtractDetail(fkn) {
     try {
       const result = await this.callSoapMethod('cardetstk', { vfkn: fkn });
-      let rows = result?.[0]?.TTfkndet?.TTfkndetRow || [];
-      return Array.isArray(rows) ? rows : [rows];
+      return toArray(result?.[0]?.TTfkndet?.TTfkndetRow);
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error('Failed to fetch extract detail:', error);
       throw new AppError('Failed to fetch extract detail', 500);
     }
   }
 
   // CUSTOMERS
-  async getCustomers() {
+  async getCustomers(options = {}) {
+    const rows = await this.cache.wrap('customers', CACHE_TTL.customers, () => this.fetchCustomers(), options);
+    return mapRows('customer', rows);
+  }
+
+  async fetchCustomers() {
     try {
       const result = await this.callSoapMethod('slCustlist', {});
-      const customers = result[0]?.ttCust?.ttCustRow || [];
-      return Array.isArray(customers) ? customers : [customers];
+      return toArray(result[0]?.ttCust?.ttCustRow);
     } catch (error) {
+      if (error instanceof ServiceUnavailableError) throw error;
       logger.error('Failed to fetch customers:', error);
       throw new AppError('Failed to fetch customers', 500);
     }
   }
 
+  // Yeni sipariş sonrası bayinin sipariş listesi tazelenmeli
+  invalidateOrders(userHesap) {
+    return this.cache.invalidate(`orders:${userHesap}:`);
+  }
+
+  // Bayinin müşteri temsilcisi (ERP'den sadece vmail geliyor)
+  async getCustomerRepresentative(hesapKodu) {
+    try {
+      const result = await this.callSoapMethod('sl-personmail', { hesapKodu }, 1);
+      const body = result?.[0];
+      const email = body?.vmail || null;
+
+      return {
+        name: body?.temsilciAdi || null,
+        email: email && email.trim() !== '' ? email : null
+      };
+    } catch (error) {
+      logger.error('Failed to get customer representative:', {
+        hesapKodu,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   // UTILITY
   async healthCheck() {
     try {
-      await this.createClient();
-      return { status: 'OK', timestamp: new Date().toISOString() };
+      await this.adapter.healthCheck();
+      return {
+        status: 'OK',
+        adapter: this.adapter.name,
+        ...this.getResilienceStatus(),
+        mapping: getMappingReport(),
+        timestamp: new Date().toISOString()
+      };
     } catch (error) {
       return {
         status: 'ERROR',
         error: error.message,
+        ...this.getResilienceStatus(),
         timestamp: new Date().toISOString()
       };
     }
   }
 
   resetConnection() {
-    this.client = null;
+    this.adapter.reset();
     logger.info('SOAP client connection reset');
   }
 }
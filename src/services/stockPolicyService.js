@@ -0,0 +1,145 @@
+// src/services/stockPolicyService.js
+// Product.bakiye'ye göre sepet ve sipariş anında stok kontrolü
+//
+// Politikalar:
+//   block     - stoktan fazlası sepete eklenemez / sipariş edilemez
+//   warn      - izin verilir, cevapta uyarı döner
+//   backorder - izin verilir, stok dışı miktar "backorder" olarak işaretlenir (varsayılan)
+//
+// STOCK_POLICIES (JSON) ile ürün tipine (uruntipi) veya kategoriye (grupadi) göre ayarlanır:
+//   {"default":"backorder","uruntipi":{"HAMMADDE":"block"},"grupadi":{"KAMPANYA":"warn"}}
+// Öncelik: uruntipi > grupadi > default
+const Product = require('../models/Product');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const POLICIES = {
+  BLOCK: 'block',
+  WARN: 'warn',
+  BACKORDER: 'backorder'
+};
+
+const VALID_POLICIES = Object.values(POLICIES);
+
+const normalizeKey = (value) => String(value || '').trim().toLocaleUpperCase('tr-TR');
+
+function loadConfig(raw = process.env.STOCK_POLICIES) {
+  const config = { default: POLICIES.BACKORDER, uruntipi: {}, grupadi: {} };
+  if (!raw) return config;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    logger.error('Invalid STOCK_POLICIES, using defaults', { error: error.message });
+    return config;
+  }
+
+  const pick = (policy, source) => {
+    if (VALID_POLICIES.includes(policy)) return policy;
+    logger.warn('Unknown stock policy ignored', { policy, source });
+    return null;
+  };
+
+  if (parsed.default) config.default = pick(parsed.default, 'default') || config.default;
+
+  ['uruntipi', 'grupadi'].forEach(field => {
+    Object.entries(parsed[field] || {}).forEach(([key, policy]) => {
+      const valid = pick(policy, `${field}.${key}`);
+      if (valid) config[field][normalizeKey(key)] = valid;
+    });
+  });
+
+  return config;
+}
+
+const config = loadConfig();
+
+function policyFor(product) {
+  return config.uruntipi[normalizeKey(product?.uruntipi)]
+    || config.grupadi[normalizeKey(product?.grupadi)]
+    || config.default;
+}
+
+/**
+ * İstenen miktarın stokla karşılaştırması
+ * status: in_stock | partial | out_of_stock
+ */
+function checkAvailability(product, requestedQty) {
+  const policy = policyFor(product);
+  const available = Math.max(0, Number(product?.bakiye) || 0);
+  const inStockQty = Math.min(requestedQty, available);
+  const backorderQty = requestedQty - inStockQty;
+
+  let status = 'in_stock';
+  if (backorderQty > 0) status = inStockQty > 0 ? 'partial' : 'out_of_stock';
+
+  return {
+    policy,
+    status,
+    available,
+    requestedQty,
+    inStockQty,
+    backorderQty,
+    allowed: backorderQty === 0 || policy !== POLICIES.BLOCK,
+    warning: backorderQty > 0 && policy === POLICIES.WARN
+      ? `Only ${available} in stock for ${product.stkno}; ${backorderQty} will be delivered later`
+      : null
+  };
+}
+
+/**
+ * Sepet satırlarına stok durumunu ekler (ürün bulunamazsa availability null)
+ */
+async function annotateItems(items) {
+  if (!items?.length) return [];
+
+  const products = await Product.find({ stkno: { $in: items.map(i => i.stkno) } })
+    .select('stkno bakiye uruntipi grupadi')
+    .lean();
+  const byStkno = new Map(products.map(p => [p.stkno, p]));
+
+  return items.map(item => {
+    const plain = typeof item.toObject === 'function' ? item.toObject() : item;
+    const product = byStkno.get(item.stkno);
+    return {
+      ...plain,
+      availability: product ? checkAvailability(product, item.adet) : null
+    };
+  });
+}
+
+/**
+ * block politikasındaki ürünlerde stoktan fazla miktarı reddeder (409)
+ * checks: [{ stkno, availability }]
+ */
+function assertAllowed(checks) {
+  const blocked = checks.filter(c => c.availability && !c.availability.allowed);
+  if (!blocked.length) return;
+
+  const detail = blocked
+    .map(c => `${c.stkno} (requested ${c.availability.requestedQty}, available ${c.availability.available})`)
+    .join(', ');
+  throw new AppError(`Insufficient stock: ${detail}`, 409);
+}
+
+/**
+ * Tek ürün için miktar kontrolü (sepete ekleme/güncelleme); ürün yoksa null
+ */
+async function assertQuantity(stkno, qty) {
+  const product = await Product.findOne({ stkno }).select('stkno bakiye uruntipi grupadi').lean();
+  if (!product) return null;
+
+  const availability = checkAvailability(product, qty);
+  assertAllowed([{ stkno, availability }]);
+  return availability;
+}
+
+module.exports = {
+  POLICIES,
+  policyFor,
+  checkAvailability,
+  annotateItems,
+  assertAllowed,
+  assertQuantity
+};
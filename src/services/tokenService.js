@@ -0,0 +1,176 @@
+// src/services/tokenService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// JWT'nin kendi alanları oturumda saklanmaz
+const RESERVED_CLAIMS = ['iat', 'exp', 'nbf', 'sid'];
+
+function stripReservedClaims(claims = {}) {
+  const clean = { ...claims };
+  RESERVED_CLAIMS.forEach(key => delete clean[key]);
+  return clean;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function refreshExpiryDate() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: (req.get('User-Agent') || '').slice(0, 300),
+    ip: req.ip || ''
+  };
+}
+
+// Oturum sahibi: bayiler için hesap kodu, alt kullanıcılar için kullanıcı id, adminler için kullanıcı adı
+function sessionOwner(claims = {}) {
+  if (claims.impersonation) return `impersonation:${claims.impersonation.auditId}`;
+  if (claims.type === 'admin') return `admin:${claims.username}`;
+  if (claims.dealerUserId) return `dealer-user:${claims.dealerUserId}`;
+  return claims.hesap;
+}
+
+function signAccessToken(claims, sessionId, expiresIn = ACCESS_TOKEN_EXPIRES_IN) {
+  return jwt.sign(
+    { ...stripReservedClaims(claims), sid: String(sessionId) },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+function tokenResponse(session, refreshToken) {
+  return {
+    accessToken: signAccessToken(session.claims, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshExpiresAt: session.expiresAt,
+    sessionId: String(session._id)
+  };
+}
+
+/**
+ * Yeni bir oturum (token ailesi) açar: kısa ömürlü access token + opak refresh token
+ */
+async function createSession(claims, req) {
+  const refreshToken = newRefreshToken();
+  const clean = stripReservedClaims(claims);
+
+  const session = await AuthSession.create({
+    user: sessionOwner(clean),
+    userType: clean.type === 'admin' ? 'admin' : 'customer',
+    claims: clean,
+    refreshTokenHash: hashToken(refreshToken),
+    ...clientInfo(req),
+    expiresAt: refreshExpiryDate()
+  });
+
+  return tokenResponse(session, refreshToken);
+}
+
+/**
+ * Süreli, yenilenemeyen oturum (admin impersonation). Refresh token dışarı verilmez.
+ */
+async function createFixedSession(claims, req, ttlMinutes) {
+  const clean = stripReservedClaims(claims);
+
+  const session = await AuthSession.create({
+    user: sessionOwner(clean),
+    userType: clean.type === 'admin' ? 'admin' : 'customer',
+    claims: clean,
+    refreshTokenHash: hashToken(newRefreshToken()),
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return {
+    accessToken: signAccessToken(clean, session._id, ttlMinutes * 60),
+    expiresAt: session.expiresAt,
+    sessionId: String(session._id)
+  };
+}
+
+/**
+ * Refresh token'ı rotate eder. Daha önce kullanılmış bir token gelirse
+ * çalınmış kabul edilir ve tüm aile iptal edilir.
+ * refreshClaims verilirse yeni access token'dan önce oturumdaki claim'ler güncellenir.
+ */
+async function rotateRefreshToken(refreshToken, req, { refreshClaims } = {}) {
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+
+  const session = await AuthSession.findOneAndUpdate(
+    { refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        ...clientInfo(req)
+      },
+      $push: { rotatedTokenHashes: presentedHash }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    if (refreshClaims) {
+      const claims = stripReservedClaims(await refreshClaims(session.claims));
+      session.claims = claims;
+      await AuthSession.updateOne({ _id: session._id }, { $set: { claims } });
+    }
+
+    return tokenResponse(session, nextToken);
+  }
+
+  const reused = await AuthSession.findOne({ rotatedTokenHashes: presentedHash });
+  if (reused) {
+    if (!reused.revokedAt) {
+      await AuthSession.revokeSession(reused._id, 'refresh_token_reuse');
+    }
+
+    logger.warn('Refresh token reuse detected - session family revoked', {
+      userId: reused.user,
+      sessionId: String(reused._id),
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.id
+    });
+  }
+
+  throw new AppError('Invalid or expired refresh token', 401);
+}
+
+async function isSessionActive(sessionId) {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const session = await AuthSession.findById(sessionId)
+    .select('revokedAt expiresAt')
+    .lean();
+
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+module.exports = {
+  createSession,
+  createFixedSession,
+  rotateRefreshToken,
+  isSessionActive,
+  signAccessToken,
+  sessionOwner,
+  hashToken
+};
@@ -0,0 +1,240 @@
+// src/services/twoFactorService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const TwoFactorAuth = require('../models/TwoFactorAuth');
+const totp = require('../utils/totp');
+const { sessionOwner } = require('./tokenService');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const ISSUER = process.env.TOTP_ISSUER || 'Crystal Bayi';
+const PRE_AUTH_EXPIRES_IN = process.env.PRE_AUTH_EXPIRES_IN || '5m';
+const BACKUP_CODE_COUNT = 10;
+
+const PRE_AUTH_PURPOSES = {
+  VERIFY: '2fa-verify',
+  SETUP: '2fa-setup'
+};
+
+// Secret şifreleme anahtarı (TOTP_ENCRYPTION_KEY yoksa JWT_SECRET'tan türetilir)
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:totp`)
+  .digest();
+
+const preAuthSecret = () => `${process.env.JWT_SECRET}:preauth`;
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+function generateBackupCodes() {
+  return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString('hex');
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+}
+
+// Admin rolleri için zorunluluk politikası
+function isRequiredFor(claims) {
+  return claims.type === 'admin' && process.env.REQUIRE_ADMIN_2FA === 'true';
+}
+
+function isEnabledFor(claims) {
+  return TwoFactorAuth.isEnabledFor(sessionOwner(claims));
+}
+
+/**
+ * TOTP veya yedek kodu doğrular; başarılıysa kodu tüketir
+ */
+async function verifyRecordCode(record, code) {
+  const step = totp.verifyCode(decryptSecret(record.secretEnc), code);
+
+  if (step !== null) {
+    if (step <= record.lastUsedStep) return false;
+    record.lastUsedStep = step;
+    await record.save();
+    return true;
+  }
+
+  const backupHash = hashBackupCode(code);
+  const idx = record.backupCodeHashes.indexOf(backupHash);
+  if (idx === -1) return false;
+
+  record.backupCodeHashes.splice(idx, 1);
+  await record.save();
+
+  logger.auth('2FA backup code used', record.owner, {
+    remainingBackupCodes: record.backupCodeHashes.length
+  });
+  return true;
+}
+
+async function getStatus(claims) {
+  const record = await TwoFactorAuth.findWithSecrets(sessionOwner(claims));
+
+  return {
+    enabled: !!record?.enabled,
+    required: isRequiredFor(claims),
+    confirmedAt: record?.confirmedAt || null,
+    remainingBackupCodes: record?.enabled ? record.backupCodeHashes.length : 0
+  };
+}
+
+/**
+ * Yeni secret üretir (henüz etkin değil); QR için otpauth URI döner
+ */
+async function startEnrolment(claims) {
+  const owner = sessionOwner(claims);
+  const existing = await TwoFactorAuth.findOne({ owner }).select('enabled').lean();
+
+  if (existing?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = totp.generateSecret();
+  await TwoFactorAuth.findOneAndUpdate(
+    { owner },
+    { $set: { secretEnc: encryptSecret(secret), enabled: false, confirmedAt: null, backupCodeHashes: [], lastUsedStep: 0 } },
+    { upsert: true }
+  );
+
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri(secret, claims.username, ISSUER)
+  };
+}
+
+/**
+ * İlk kodu doğrulayıp 2FA'yı etkinleştirir; yedek kodlar sadece bu cevapta görünür
+ */
+async function confirmEnrolment(claims, code) {
+  const record = await TwoFactorAuth.findWithSecrets(sessionOwner(claims));
+
+  if (!record) {
+    throw new AppError('Two-factor setup has not been started', 400);
+  }
+  if (record.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const step = totp.verifyCode(decryptSecret(record.secretEnc), code);
+  if (step === null) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const backupCodes = generateBackupCodes();
+  record.enabled = true;
+  record.confirmedAt = new Date();
+  record.lastUsedStep = step;
+  record.backupCodeHashes = backupCodes.map(hashBackupCode);
+  await record.save();
+
+  logger.auth('2FA enabled', record.owner);
+  return { backupCodes };
+}
+
+async function verifyLoginCode(claims, code) {
+  const record = await TwoFactorAuth.findWithSecrets(sessionOwner(claims));
+  if (!record?.enabled) return false;
+  return verifyRecordCode(record, code);
+}
+
+async function disable(claims, code) {
+  if (isRequiredFor(claims)) {
+    throw new AppError('Two-factor authentication is required for admin accounts', 403);
+  }
+
+  const record = await TwoFactorAuth.findWithSecrets(sessionOwner(claims));
+  if (!record?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await verifyRecordCode(record, code))) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  await record.deleteOne();
+  logger.auth('2FA disabled', record.owner);
+}
+
+async function regenerateBackupCodes(claims, code) {
+  const record = await TwoFactorAuth.findWithSecrets(sessionOwner(claims));
+  if (!record?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await verifyRecordCode(record, code))) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const backupCodes = generateBackupCodes();
+  record.backupCodeHashes = backupCodes.map(hashBackupCode);
+  await record.save();
+
+  logger.auth('2FA backup codes regenerated', record.owner);
+  return { backupCodes };
+}
+
+// Cihazını kaybeden kullanıcı için admin sıfırlaması
+async function resetFor(claims) {
+  const result = await TwoFactorAuth.deleteOne({ owner: sessionOwner(claims) });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Parola doğrulandıktan sonra 2FA tamamlanana kadar kullanılan kısa ömürlü token
+ */
+function issuePreAuthToken(loginResult, purpose) {
+  return jwt.sign(
+    { purpose, claims: loginResult.claims, userType: loginResult.userType, user: loginResult.user },
+    preAuthSecret(),
+    { expiresIn: PRE_AUTH_EXPIRES_IN }
+  );
+}
+
+function verifyPreAuthToken(token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(token, preAuthSecret());
+  } catch (error) {
+    throw new AppError('Login step expired. Please log in again.', 401);
+  }
+
+  if (payload.purpose !== purpose) {
+    throw new AppError('Invalid login step token', 401);
+  }
+
+  return { claims: payload.claims, userType: payload.userType, user: payload.user };
+}
+
+module.exports = {
+  PRE_AUTH_PURPOSES,
+  PRE_AUTH_EXPIRES_IN,
+  isRequiredFor,
+  isEnabledFor,
+  getStatus,
+  startEnrolment,
+  confirmEnrolment,
+  verifyLoginCode,
+  disable,
+  regenerateBackupCodes,
+  resetFor,
+  issuePreAuthToken,
+  verifyPreAuthToken
+};
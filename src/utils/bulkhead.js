@@ -0,0 +1,79 @@
+// src/utils/bulkhead.js
+// Eşzamanlı çağrı sınırı: limit doluysa sıraya alır, sıra da doluysa ya da beklerken süre dolarsa reddeder
+
+class BulkheadRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BulkheadRejectedError';
+  }
+}
+
+class Bulkhead {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.maxConcurrent = options.maxConcurrent || 10;
+    this.maxQueue = options.maxQueue ?? 50;
+    this.queueTimeoutMs = options.queueTimeoutMs || 10000;
+
+    this.active = 0;
+    this.queue = [];
+    this.rejected = 0;
+  }
+
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active += 1;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.rejected += 1;
+      return Promise.reject(new BulkheadRejectedError(`${this.name} bulkhead queue is full`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(w => w !== waiter);
+        this.rejected += 1;
+        reject(new BulkheadRejectedError(`${this.name} bulkhead queue timeout`));
+      }, this.queueTimeoutMs);
+      this.queue.push(waiter);
+    });
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      // Slot doğrudan sıradakine devredilir, active değişmez
+      clearTimeout(next.timer);
+      next.resolve();
+      return;
+    }
+    this.active = Math.max(0, this.active - 1);
+  }
+
+  async run(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      maxQueue: this.maxQueue,
+      rejected: this.rejected
+    };
+  }
+}
+
+Bulkhead.BulkheadRejectedError = BulkheadRejectedError;
+
+module.exports = Bulkhead;
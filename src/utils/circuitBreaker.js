@@ -0,0 +1,96 @@
+// src/utils/circuitBreaker.js
+// closed -> (art arda hata) -> open -> (bekleme) -> half-open -> (deneme başarılı) -> closed
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.onStateChange = options.onStateChange || (() => {});
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.halfOpenCalls = 0;
+    this.lastError = null;
+  }
+
+  transition(state) {
+    if (this.state === state) return;
+    const from = this.state;
+    this.state = state;
+    this.onStateChange(this, from, state);
+  }
+
+  /**
+   * Çağrıya izin verilip verilmediğini döner; izin verildiyse half-open deneme hakkını tüketir
+   */
+  tryAcquire() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) return false;
+      this.halfOpenCalls = 0;
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.halfOpenCalls >= this.halfOpenMaxCalls) return false;
+      this.halfOpenCalls += 1;
+    }
+
+    return true;
+  }
+
+  // Alınan deneme hakkı ERP'ye gidilmeden bırakıldıysa geri verilir
+  releaseTrial() {
+    if (this.state === STATES.HALF_OPEN && this.halfOpenCalls > 0) {
+      this.halfOpenCalls -= 1;
+    }
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.halfOpenCalls = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.transition(STATES.CLOSED);
+  }
+
+  recordFailure(error) {
+    this.failures += 1;
+    this.lastError = error?.message || String(error);
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.halfOpenCalls = 0;
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  // Devre açıkken bir sonraki denemeye kalan süre (saniye)
+  retryAfterSeconds() {
+    if (this.state !== STATES.OPEN) return 1;
+    const remaining = this.resetTimeoutMs - (Date.now() - this.openedAt);
+    return Math.max(1, Math.ceil(remaining / 1000));
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const { redact, config: redactConfig } = require('./redact');
 
 // Create logs directory if it doesn't exist
 const fs = require('fs');
@@ -40,12 +41,20 @@ const safeStringify = (obj, indent = 2) => {
   }
 };
 
+// Parola/token ve kişisel verileri tüm transport'lara yazılmadan önce maskeler (bkz. utils/redact.js)
+const redactFormat = winston.format((info) => {
+  const options = redactConfig();
+  if (!options.enabled) return info;
+  return Object.assign(info, redact({ ...info }, options));
+});
+
 // Custom log format
 const logFormat = winston.format.combine(
   winston.format.timestamp({
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
   winston.format.errors({ stack: true }),
+  redactFormat(),
   winston.format.json()
 );
 
@@ -75,8 +84,8 @@ const logger = winston.createLogger({
   ]
 });
 
-// Console logging for development
-if (process.env.NODE_ENV !== 'production') {
+// Console logging for development (testlerde dosya transport'ları yeterli)
+if (!['production', 'test'].includes(process.env.NODE_ENV)) {
   logger.add(new winston.transports.Console({
     format: winston.format.combine(
       winston.format.colorize(),
@@ -101,14 +110,15 @@ logger.request = (req, message = 'Request received') => {
     method: req.method,
     url: req.originalUrl,
     ip: req.ip,
-    userAgent: req.get('User-Agent')
+    userAgent: req.get('User-Agent'),
+    ...(req.impersonation && { impersonatedBy: req.impersonation.adminUsername })
   });
 };
 
 logger.soap = (operation, data) => {
   logger.info(`SOAP Operation: ${operation}`, {
     operation,
-    requestData: safeStringify(data) // SOAP data'yı güvenli stringify et
+    requestData: safeStringify(redact(data)) // string'e çevrilmeden önce maskelenmeli
   });
 };
 
@@ -124,9 +134,11 @@ logger.soapError = (operation, error, params = {}) => {
   logger.error(`SOAP ${operation} failed`, {
     operation,
     error: error.message || error,
-    params: safeStringify(params),
+    params: safeStringify(redact(params)),
     stack: error.stack
   });
 };
 
+logger.redact = redact;
+
 module.exports = logger;
\ No newline at end of file
@@ -0,0 +1,161 @@
+// src/utils/metrics.js
+// Prometheus text formatında basit metrik kaydı (counter / gauge / histogram)
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (labels = {}) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+};
+
+const labelKey = (labels = {}) => JSON.stringify(Object.entries(labels).sort());
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  pick(labels = {}) {
+    const picked = {};
+    this.labelNames.forEach(name => {
+      picked[name] = labels[name] ?? '';
+    });
+    return picked;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    const picked = this.pick(labels);
+    const key = labelKey(picked);
+    const current = this.series.get(key) || { labels: picked, value: 0 };
+    current.value += value;
+    this.series.set(key, current);
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines;
+  }
+}
+
+// collect verilirse değerler scrape anında okunur (devre durumu gibi)
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    const picked = this.pick(labels);
+    this.series.set(labelKey(picked), { labels: picked, value });
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      this.collect(this);
+    }
+    const lines = this.header();
+    this.series.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const picked = this.pick(labels);
+    const key = labelKey(picked);
+    const current = this.series.get(key) || {
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    };
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) current.counts[i] += 1;
+    });
+    current.sum += value;
+    current.count += 1;
+    this.series.set(key, current);
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) return this.metrics.get(metric.name);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = [], collect = null) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames = [], buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return [...this.metrics.values()]
+      .map(metric => metric.render().join('\n'))
+      .join('\n') + '\n';
+  }
+}
+
+const registry = new Registry();
+
+module.exports = {
+  registry,
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
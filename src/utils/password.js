@@ -0,0 +1,29 @@
+// src/utils/password.js
+// scrypt tabanlı parola özeti ("salt:hash" formatında)
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  if (!passwordHash) return false;
+
+  const [salt, stored] = passwordHash.split(':');
+  if (!salt || !stored) return false;
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const storedBuf = Buffer.from(stored, 'hex');
+  return storedBuf.length === hash.length && crypto.timingSafeEqual(storedBuf, hash);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
@@ -0,0 +1,88 @@
+// src/utils/permissions.js
+// Admin rolleri ve her rolün sahip olduğu yetkiler
+
+const PERMISSIONS = {
+  ADMINS_MANAGE: 'admins:manage',
+  PRODUCTS_SYNC: 'products:sync',
+  PRODUCTS_CLEANUP: 'products:cleanup',
+  CARTS_CLEANUP: 'carts:cleanup',
+  DEALERS_VIEW: 'dealers:view',
+  ORDERS_VIEW: 'orders:view',
+  // Kuyruktaki/dead-letter siparişleri yeniden deneme ve iptal, bayi iptal/değişiklik taleplerini kapatma
+  ORDERS_MANAGE: 'orders:manage',
+  // Minimum miktar, paket katı ve minimum sepet tutarı kuralları
+  ORDER_RULES_MANAGE: 'order-rules:manage',
+  SECURITY_AUDIT: 'security:audit',
+  SECURITY_UNLOCK: 'security:unlock',
+  DEALERS_IMPERSONATE: 'dealers:impersonate',
+  // Salt okunur olmayan impersonation (bayi adına işlem yapma)
+  DEALERS_IMPERSONATE_WRITE: 'dealers:impersonate-write'
+};
+
+const ROLES = ['superadmin', 'catalog-manager', 'sales-rep', 'support'];
+
+// superadmin tüm yetkilere sahiptir ('*')
+const ROLE_PERMISSIONS = {
+  superadmin: ['*'],
+  'catalog-manager': [
+    PERMISSIONS.PRODUCTS_SYNC,
+    PERMISSIONS.PRODUCTS_CLEANUP,
+    PERMISSIONS.ORDER_RULES_MANAGE
+  ],
+  'sales-rep': [
+    PERMISSIONS.DEALERS_VIEW,
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.DEALERS_IMPERSONATE
+  ],
+  support: [
+    PERMISSIONS.DEALERS_VIEW,
+    PERMISSIONS.ORDERS_VIEW,
+    PERMISSIONS.ORDERS_MANAGE,
+    PERMISSIONS.CARTS_CLEANUP,
+    PERMISSIONS.SECURITY_AUDIT,
+    PERMISSIONS.SECURITY_UNLOCK,
+    PERMISSIONS.DEALERS_IMPERSONATE
+  ]
+};
+
+// Bayi alt kullanıcı yetkileri - hesap sahibi (ERP girişi) hepsine sahiptir
+const DEALER_PERMISSIONS = {
+  VIEW_PRICES: 'prices:view',
+  VIEW_ORDERS: 'orders:view',
+  PLACE_ORDERS: 'orders:place',
+  VIEW_EXTRACT: 'extract:view',
+  MANAGE_USERS: 'users:manage'
+};
+
+// Hesap sahibinin alt kullanıcılara verebileceği yetkiler (users:manage sadece sahipte)
+const ASSIGNABLE_DEALER_PERMISSIONS = [
+  DEALER_PERMISSIONS.VIEW_PRICES,
+  DEALER_PERMISSIONS.VIEW_ORDERS,
+  DEALER_PERMISSIONS.PLACE_ORDERS,
+  DEALER_PERMISSIONS.VIEW_EXTRACT
+];
+
+const permissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => {
+  const granted = permissionsForRole(role);
+  return granted.includes('*') || granted.includes(permission);
+};
+
+// Alt kullanıcı değilse (dealerUserId yok) kısıtlama uygulanmaz - hesap sahibi tüm yetkilere sahiptir
+const hasDealerPermission = (user, permission) => {
+  if (!user) return false;
+  if (!user.dealerUserId) return true;
+  return Array.isArray(user.permissions) && user.permissions.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  DEALER_PERMISSIONS,
+  ASSIGNABLE_DEALER_PERMISSIONS,
+  permissionsForRole,
+  hasPermission,
+  hasDealerPermission
+};
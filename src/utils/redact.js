@@ -0,0 +1,198 @@
+// src/utils/redact.js
+// Log'a yazılacak verilerde parola, token ve kişisel verileri maskeler.
+//
+// Yapılandırma (env):
+//   LOG_REDACTION=false          -> maskelemeyi tamamen kapatır (sadece lokal hata ayıklama için)
+//   LOG_REDACT_KEYS=a,b          -> tamamen maskelenecek ek alan adları
+//   LOG_REDACT_IP=false          -> IP adreslerini maskeleme (varsayılan: son oktet sıfırlanır)
+
+const MASK = '[REDACTED]';
+
+// Alan adı (küçük harf) -> maskeleme stratejisi
+const KEY_STRATEGIES = {
+  uucyrpt: 'secret',
+  password: 'secret',
+  currentpassword: 'secret',
+  newpassword: 'secret',
+  passwordhash: 'secret',
+  token: 'secret',
+  accesstoken: 'secret',
+  refreshtoken: 'secret',
+  preauthtoken: 'secret',
+  authorization: 'secret',
+  cookie: 'secret',
+  secret: 'secret',
+  backupcodes: 'secret',
+
+  email: 'email',
+  vmail: 'email',
+  mail: 'email',
+  to: 'email',
+  cc: 'email',
+
+  phone: 'phone',
+  phone2: 'phone',
+  tel: 'phone',
+  tel2: 'phone',
+  telefon: 'phone',
+  telefon2: 'phone',
+
+  vno: 'secret',
+  vergino: 'secret',
+  adres: 'secret',
+
+  vinfo: 'vinfo',
+
+  ip: 'ip',
+  remoteaddress: 'ip'
+};
+
+// vinfo: email|tel2|tel|ulke|sehir|ilce|adres|vdaire|vno|...|vurun|bakiye
+const VINFO_MASKED_INDEXES = {
+  0: 'email',
+  1: 'phone',
+  2: 'phone',
+  6: 'secret',
+  8: 'secret'
+};
+
+// Serbest metindeki (SOAP XML, JSON gövde) gizli alanlar için desenler; anahtarlar 'secret' stratejili alanlardır
+const SECRET_KEYS = Object.keys(KEY_STRATEGIES).filter(key => KEY_STRATEGIES[key] === 'secret');
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const secretPatternCache = new Map();
+const secretPatterns = (extraKeys = []) => {
+  const cacheKey = extraKeys.join(',');
+  if (!secretPatternCache.has(cacheKey)) {
+    const keys = [...SECRET_KEYS, ...extraKeys].map(escapeRegex).join('|');
+    secretPatternCache.set(cacheKey, {
+      // <uucyrpt>..</uucyrpt>, <tns:password>..</tns:password>
+      xml: new RegExp(`(<(?:[\\w-]+:)?(?:${keys})\\b[^>]*>)[^<]*(</)`, 'gi'),
+      // "password": "..."
+      json: new RegExp(`("(?:${keys})"\\s*:\\s*")(?:[^"\\\\]|\\\\.)*(")`, 'gi')
+    });
+  }
+  return secretPatternCache.get(cacheKey);
+};
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const QUERY_SECRET_PATTERN = /([?&](?:token|refreshToken|password|code)=)[^&\s"]*/gi;
+const IPV4_PATTERN = /\b(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}\b/g;
+
+const config = () => ({
+  enabled: process.env.LOG_REDACTION !== 'false',
+  maskIp: process.env.LOG_REDACT_IP !== 'false',
+  extraKeys: (process.env.LOG_REDACT_KEYS || '')
+    .split(',')
+    .map(k => k.trim().toLowerCase())
+    .filter(Boolean)
+});
+
+const strategyFor = (key, extraKeys = []) => {
+  const normalized = String(key).toLowerCase();
+  if (extraKeys.includes(normalized)) return 'secret';
+  return KEY_STRATEGIES[normalized] || null;
+};
+
+const maskEmail = (value) => String(value).replace(EMAIL_PATTERN, '$1***@$2');
+
+const maskPhone = (value) => {
+  const str = String(value);
+  const digits = str.replace(/\D/g, '');
+  if (digits.length <= 2) return str ? '***' : str;
+  return `***${digits.slice(-2)}`;
+};
+
+const maskIp = (value) => {
+  const str = String(value);
+  if (str.includes(':') && !str.includes('.')) {
+    // IPv6: ilk 3 blok kalır
+    return `${str.split(':').slice(0, 3).join(':')}::`;
+  }
+  return str.replace(IPV4_PATTERN, '$1.0');
+};
+
+const maskVinfo = (value) => String(value)
+  .split('|')
+  .map((part, i) => (part && VINFO_MASKED_INDEXES[i]
+    ? applyStrategy(VINFO_MASKED_INDEXES[i], part)
+    : part))
+  .join('|');
+
+function applyStrategy(strategy, value, options = {}) {
+  if (value === null || value === undefined || value === '') return value;
+
+  switch (strategy) {
+    case 'secret': return MASK;
+    case 'email': return Array.isArray(value) ? value.map(maskEmail) : maskEmail(value);
+    case 'phone': return maskPhone(value);
+    case 'vinfo': return maskVinfo(value);
+    case 'ip': return options.maskIp === false ? value : maskIp(value);
+    default: return value;
+  }
+}
+
+/**
+ * Serbest metindeki e-posta, URL'deki token/parola parametreleri, XML/JSON içindeki
+ * gizli alanlar ve IP adreslerini maskeler
+ */
+function redactString(value, options = config()) {
+  const patterns = secretPatterns(options.extraKeys);
+  let output = String(value)
+    .replace(patterns.xml, `$1${MASK}$2`)
+    .replace(patterns.json, `$1${MASK}$2`)
+    .replace(QUERY_SECRET_PATTERN, `$1${MASK}`)
+    .replace(EMAIL_PATTERN, '$1***@$2');
+
+  if (options.maskIp) {
+    output = output.replace(IPV4_PATTERN, '$1.0');
+  }
+  return output;
+}
+
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+// Error'lar düz nesneye çevrilir: message/stack ve SOAP hatalarının body/root gibi alanları da maskelenir
+const errorToObject = (error) => ({
+  name: error.name,
+  message: error.message,
+  stack: error.stack,
+  ...error
+});
+
+/**
+ * Hassas alanları maskelenmiş bir kopya döner (orijinal nesne değişmez).
+ * Düz nesne/diziler ve Error'lar gezilir; Date vb. diğer nesneler olduğu gibi bırakılır.
+ */
+function redact(value, options = config(), depth = 0) {
+  if (!options.enabled) return value;
+  if (typeof value === 'string') return redactString(value, options);
+  if (depth > 8) return value;
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, options, depth + 1));
+  }
+  const source = value instanceof Error ? errorToObject(value) : value;
+  if (!isPlainObject(source)) return value;
+
+  const output = {};
+  Object.entries(source).forEach(([key, val]) => {
+    const strategy = strategyFor(key, options.extraKeys);
+    output[key] = strategy && (typeof val !== 'object' || Array.isArray(val))
+      ? applyStrategy(strategy, val, options)
+      : redact(val, options, depth + 1);
+  });
+  return output;
+}
+
+module.exports = {
+  MASK,
+  redact,
+  redactString,
+  strategyFor,
+  config
+};
@@ -0,0 +1,28 @@
+const cron = require('node-cron');
+const { scheduleOrderOutbox } = require('../src/cron');
+
+describe('scheduleOrderOutbox', () => {
+  const original = process.env.ENABLE_ORDER_OUTBOX_CRON;
+
+  beforeEach(() => {
+    jest.spyOn(cron, 'schedule').mockReturnValue({ stop: jest.fn() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (original === undefined) delete process.env.ENABLE_ORDER_OUTBOX_CRON;
+    else process.env.ENABLE_ORDER_OUTBOX_CRON = original;
+  });
+
+  it('runs the worker when the flag is not set', () => {
+    delete process.env.ENABLE_ORDER_OUTBOX_CRON;
+    scheduleOrderOutbox();
+    expect(cron.schedule).toHaveBeenCalledTimes(1);
+  });
+
+  it('can be turned off explicitly', () => {
+    process.env.ENABLE_ORDER_OUTBOX_CRON = 'false';
+    scheduleOrderOutbox();
+    expect(cron.schedule).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,17 @@
+// Tek bir router'ı uygulamadaki gibi (JSON gövde + errorHandler) test için ayağa kaldırır
+const express = require('express');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+function buildApp(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.id = 'test-request';
+    next();
+  });
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+}
+
+module.exports = { buildApp };
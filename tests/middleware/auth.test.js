@@ -0,0 +1,75 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AdminUser = require('../../src/models/AdminUser');
+const AuthSession = require('../../src/models/AuthSession');
+const ImpersonationAudit = require('../../src/models/ImpersonationAudit');
+const dealerProfileService = require('../../src/services/dealerProfileService');
+const { authenticateToken } = require('../../src/middleware/auth');
+
+const adminId = String(new mongoose.Types.ObjectId());
+
+const impersonationToken = (readOnly = true) => jwt.sign({
+  hesap: 'B001',
+  type: 'customer',
+  sid: String(new mongoose.Types.ObjectId()),
+  impersonation: { auditId: 'audit-1', adminId, adminUsername: 'ops', readOnly }
+}, process.env.JWT_SECRET);
+
+const buildReq = (token, method = 'GET') => ({
+  id: 'test-request',
+  method,
+  originalUrl: '/api/orders',
+  headers: { authorization: `Bearer ${token}` },
+  get: () => undefined
+});
+
+// authenticateToken catchAsync ile sarılı: sonuç next'e düşer
+const run = (req) => new Promise(resolve => {
+  authenticateToken(req, {}, (error) => resolve(error));
+});
+
+describe('authenticateToken impersonation sessions', () => {
+  let admin;
+
+  beforeEach(() => {
+    admin = { _id: adminId, isActive: true, role: 'support' };
+    jest.spyOn(AuthSession, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => ({ revokedAt: null, expiresAt: new Date(Date.now() + 60000) }) })
+    });
+    jest.spyOn(AdminUser, 'findById').mockImplementation(() => ({ select: () => ({ lean: async () => admin }) }));
+    jest.spyOn(dealerProfileService, 'applyToClaims').mockImplementation(async (claims) => ({ ...claims }));
+    jest.spyOn(ImpersonationAudit, 'recordRequest').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepts requests while the admin is active and may impersonate', async () => {
+    const req = buildReq(impersonationToken());
+
+    expect(await run(req)).toBeUndefined();
+    expect(req.impersonation).toMatchObject({ adminUsername: 'ops' });
+    expect(AdminUser.findById).toHaveBeenCalledWith(adminId);
+  });
+
+  it('rejects the token once the admin is deactivated', async () => {
+    admin.isActive = false;
+
+    expect(await run(buildReq(impersonationToken()))).toMatchObject({ statusCode: 401 });
+    expect(ImpersonationAudit.recordRequest).not.toHaveBeenCalled();
+  });
+
+  it('rejects the token once the admin is deleted or loses the impersonation permission', async () => {
+    admin.role = 'catalog-manager';
+    expect(await run(buildReq(impersonationToken()))).toMatchObject({ statusCode: 401 });
+
+    admin = null;
+    expect(await run(buildReq(impersonationToken()))).toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects a write session once the admin loses the write permission', async () => {
+    expect(await run(buildReq(impersonationToken(false)))).toMatchObject({ statusCode: 401 });
+
+    admin.role = 'superadmin';
+    expect(await run(buildReq(impersonationToken(false), 'POST'))).toBeUndefined();
+  });
+});
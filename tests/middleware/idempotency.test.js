@@ -0,0 +1,189 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../../src/models/IdempotencyKey');
+const { idempotent } = require('../../src/middleware/idempotency');
+
+const KEY = 'order-key-0001';
+
+const buildReq = (body = { lines: [{ stkno: 'CR-1001', adet: 6 }] }) => ({
+  id: 'test-request',
+  method: 'POST',
+  baseUrl: '/api/orders',
+  path: '/',
+  body,
+  user: { type: 'customer', hesap: '120.01.001' },
+  get: (name) => (name === 'Idempotency-Key' ? KEY : undefined)
+});
+
+// Express cevabının middleware'in kullandığı kısmı
+const buildRes = () => {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    locals: {},
+    headers: {},
+    writableFinished: false,
+    body: undefined,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  });
+  return res;
+};
+
+// idempotent() catchAsync ile sarılı: veritabanı hataları da next'e düşer
+const run = (req, res, options) => new Promise(resolve => {
+  idempotent(options)(req, res, (error) => resolve(error));
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('idempotency middleware', () => {
+  let store;
+
+  beforeEach(() => {
+    store = [];
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (doc) => {
+      if (store.some(r => r.owner === doc.owner && r.key === doc.key)) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      const record = { _id: new mongoose.Types.ObjectId(), status: 'processing', updatedAt: new Date(), attempts: 1, ...doc };
+      store.push(record);
+      return record;
+    });
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation((query) => ({
+      lean: async () => store.find(r => r.owner === query.owner && r.key === query.key) || null
+    }));
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockImplementation(async (query) => {
+      const record = store.find(r => String(r._id) === String(query._id)
+        && r.status === query.status && r.updatedAt <= query.updatedAt.$lte);
+      if (!record) return null;
+      Object.assign(record, { attempts: record.attempts + 1, updatedAt: new Date() });
+      return record;
+    });
+    jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async (query, update) => {
+      Object.assign(store.find(r => String(r._id) === String(query._id)), update.$set);
+    });
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async (query) => {
+      store = store.filter(r => String(r._id) !== String(query._id));
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('passes requests without the header through untouched', async () => {
+    const req = { ...buildReq(), get: () => undefined };
+
+    expect(await run(req, buildRes())).toBeUndefined();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('stores the first response and replays it for the same key and body', async () => {
+    const first = buildRes();
+    expect(await run(buildReq(), first)).toBeUndefined();
+    first.status(201).json({ success: true, data: { orderId: 'A1' } });
+    first.emit('finish');
+    await flush();
+
+    expect(store[0]).toMatchObject({ status: 'completed', responseStatus: 201 });
+
+    const replay = buildRes();
+    const next = jest.fn();
+    idempotent()(buildReq(), replay, next);
+    await flush();
+    expect(next).not.toHaveBeenCalled();
+    expect(replay.statusCode).toBe(201);
+    expect(replay.body).toEqual({ success: true, data: { orderId: 'A1' } });
+    expect(replay.headers['Idempotent-Replayed']).toBe('true');
+  });
+
+  it('rejects the key when it is reused with a different body', async () => {
+    await run(buildReq(), buildRes());
+
+    const error = await run(buildReq({ lines: [{ stkno: 'CR-2002', adet: 1 }] }), buildRes());
+    expect(error).toMatchObject({ statusCode: 422 });
+  });
+
+  it('answers 409 while the first request is still processing', async () => {
+    await run(buildReq(), buildRes());
+
+    const res = buildRes();
+    const error = await run(buildReq(), res);
+    expect(error).toMatchObject({ statusCode: 409 });
+    expect(res.headers['Retry-After']).toBe('2');
+  });
+
+  const makeStale = () => { store[0].updatedAt = new Date(Date.now() - 10 * 60 * 1000); };
+
+  it('lets a retry take over a stale record when the first request left no result', async () => {
+    await run(buildReq(), buildRes());
+    makeStale();
+    const recover = jest.fn().mockResolvedValue(null);
+
+    const res = buildRes();
+    const error = await run(buildReq(), res, { recover });
+    expect(error).toBeUndefined();
+    expect(recover).toHaveBeenCalledWith(store[0]._id, expect.anything());
+    expect(store[0].attempts).toBe(2);
+    expect(res.locals.idempotencyKeyId).toBe(store[0]._id);
+  });
+
+  it('replays the recorded result of a stale record instead of running the route again', async () => {
+    await run(buildReq(), buildRes());
+    makeStale();
+    const recover = jest.fn().mockResolvedValue({ statusCode: 202, body: { success: true, data: { id: 'order-1' } } });
+
+    const res = buildRes();
+    const next = jest.fn();
+    idempotent({ recover })(buildReq(), res, next);
+    await flush();
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(202);
+    expect(res.body).toEqual({ success: true, data: { id: 'order-1' } });
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(store[0]).toMatchObject({ status: 'completed', responseStatus: 202 });
+  });
+
+  it('marks a stale record failed and never runs the route again without a recover hook', async () => {
+    await run(buildReq(), buildRes());
+    makeStale();
+
+    expect(await run(buildReq(), buildRes())).toMatchObject({ statusCode: 409 });
+    expect(store[0].status).toBe('failed');
+    expect(await run(buildReq(), buildRes())).toMatchObject({ statusCode: 409 });
+  });
+
+  it('forwards a failing lookup after a duplicate key to the error handler', async () => {
+    await run(buildReq(), buildRes());
+    IdempotencyKey.findOne.mockImplementation(() => ({ lean: async () => { throw new Error('mongo down'); } }));
+
+    const error = await run(buildReq(), buildRes());
+    expect(error).toMatchObject({ message: 'mongo down' });
+  });
+
+  it('records the route response even when the client disconnected first', async () => {
+    const res = buildRes();
+    await run(buildReq(), res);
+
+    res.emit('close');
+    await flush();
+    expect(store[0].status).toBe('processing');
+
+    res.status(201).json({ success: true, data: { orderId: 'A2' } });
+    await flush();
+    expect(store[0]).toMatchObject({ status: 'completed', responseStatus: 201 });
+  });
+
+  it('releases the key when the route marks a 5xx as retryable', async () => {
+    const res = buildRes();
+    await run(buildReq(), res);
+
+    res.locals.idempotencyRetryable = true;
+    res.status(503).json({ success: false });
+    res.emit('finish');
+    await flush();
+
+    expect(store).toHaveLength(0);
+  });
+});
@@ -0,0 +1,88 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const mockAdmin = { type: 'admin', username: 'root', adminId: 'self-admin-id', sid: 'current-session' };
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { ...mockAdmin };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next()
+}));
+
+const AdminUser = require('../../src/models/AdminUser');
+const AuthSession = require('../../src/models/AuthSession');
+const router = require('../../src/routes/admins');
+const { buildApp } = require('../helpers/app');
+
+const app = buildApp('/api/admins', router);
+
+const makeAdmin = (fields = {}) => {
+  const admin = new AdminUser({ username: 'ops', role: 'sales-rep', passwordHash: 'x', isActive: true, ...fields });
+  jest.spyOn(admin, 'save').mockResolvedValue(admin);
+  jest.spyOn(admin, 'setPassword').mockResolvedValue();
+  return admin;
+};
+
+describe('PUT /api/admins/:id session revocation', () => {
+  let revokeAll;
+
+  beforeEach(() => {
+    revokeAll = jest.spyOn(AuthSession, 'revokeAllForUser').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(AdminUser, 'countDocuments').mockResolvedValue(1);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const update = (admin, body) => {
+    jest.spyOn(AdminUser, 'findById').mockResolvedValue(admin);
+    return request(app).put(`/api/admins/${admin._id}`).send(body);
+  };
+
+  it('revokes all refresh sessions of the admin on password reset', async () => {
+    const admin = makeAdmin();
+    const res = await update(admin, { password: 'a-new-password-123' });
+
+    expect(res.status).toBe(200);
+    expect(revokeAll).toHaveBeenCalledWith('admin:ops', 'password_changed', { exceptSessionId: null });
+  });
+
+  it('revokes sessions on role change and deactivation', async () => {
+    await update(makeAdmin(), { role: 'support' });
+    expect(revokeAll).toHaveBeenLastCalledWith('admin:ops', 'role_changed', { exceptSessionId: null });
+
+    await update(makeAdmin(), { isActive: false });
+    expect(revokeAll).toHaveBeenLastCalledWith('admin:ops', 'admin_disabled', { exceptSessionId: null });
+  });
+
+  it('keeps the current session when admins update their own account', async () => {
+    const admin = makeAdmin({ username: 'root' });
+    mockAdmin.adminId = String(admin._id);
+
+    await update(admin, { password: 'a-new-password-123' });
+    expect(revokeAll).toHaveBeenCalledWith('admin:root', 'password_changed', { exceptSessionId: 'current-session' });
+
+    mockAdmin.adminId = 'self-admin-id';
+  });
+
+  it('does not revoke sessions for profile-only changes', async () => {
+    const res = await update(makeAdmin(), { displayName: 'Operations' });
+
+    expect(res.status).toBe(200);
+    expect(revokeAll).not.toHaveBeenCalled();
+  });
+
+  it('revokes sessions when an admin is deleted', async () => {
+    const admin = makeAdmin();
+    jest.spyOn(AdminUser, 'findById').mockResolvedValue(admin);
+    jest.spyOn(admin, 'deleteOne').mockResolvedValue();
+    const twoFactorService = require('../../src/services/twoFactorService');
+    jest.spyOn(twoFactorService, 'resetFor').mockResolvedValue(false);
+
+    const res = await request(app).delete(`/api/admins/${new mongoose.Types.ObjectId()}`);
+
+    expect(res.status).toBe(200);
+    expect(revokeAll).toHaveBeenCalledWith('admin:ops', 'admin_deleted', { exceptSessionId: null });
+  });
+});
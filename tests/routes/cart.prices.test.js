@@ -0,0 +1,67 @@
+const request = require('supertest');
+
+let mockUser;
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { ...mockUser };
+    next();
+  },
+  requireDealerPermission: () => (req, res, next) => next()
+}));
+
+const Cart = require('../../src/models/Cart');
+const Product = require('../../src/models/Product');
+const router = require('../../src/routes/cart');
+const { buildApp } = require('../helpers/app');
+
+const app = buildApp('/api/cart', router);
+
+const owner = { hesap: 'B001', type: 'customer', list: 1 };
+const subUserWithoutPrices = { ...owner, dealerUserId: 'u1', permissions: ['orders:place'] };
+
+const cart = {
+  items: [{ stkno: 'CR-1001', stokadi: 'Bardak', fiyat: 12.5, addedPrice: 12, adet: 2, cinsi: 'TRY' }],
+  lastSyncedAt: new Date('2026-01-01T00:00:00Z')
+};
+
+const leanQuery = (value) => ({ select: () => ({ lean: async () => value }), lean: async () => value });
+
+describe('cart responses and prices:view', () => {
+  beforeEach(() => {
+    jest.spyOn(Cart, 'getCartByUser').mockResolvedValue(cart);
+    jest.spyOn(Cart, 'findStaleCheckouts').mockResolvedValue([]);
+    jest.spyOn(Product, 'find').mockReturnValue(leanQuery([{ stkno: 'CR-1001', bakiye: 10 }]));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('returns cart prices to the account owner', async () => {
+    mockUser = owner;
+    const res = await request(app).get('/api/cart');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.items[0]).toMatchObject({ fiyat: 12.5, addedPrice: 12, adet: 2 });
+  });
+
+  it('hides cart prices from sub-users without prices:view', async () => {
+    mockUser = subUserWithoutPrices;
+    const res = await request(app).get('/api/cart');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.items[0]).toMatchObject({ stkno: 'CR-1001', fiyat: null, addedPrice: null, adet: 2 });
+  });
+
+  it('hides prices in the quick order commit result', async () => {
+    mockUser = subUserWithoutPrices;
+    const reorderService = require('../../src/services/reorderService');
+    const addLines = jest.spyOn(reorderService, 'addLinesToCart')
+      .mockResolvedValue({ added: [{ stkno: 'CR-1001', adet: 2, fiyat: null }], skipped: [], priceChanges: [] });
+
+    const res = await request(app).post('/api/cart/quick-order/commit').send({ items: [{ stkno: 'CR-1001', adet: 2 }] });
+
+    expect(res.status).toBe(200);
+    expect(addLines.mock.calls[0][3]).toEqual({ canViewPrices: false });
+    expect(res.body.data.cart.items[0].fiyat).toBeNull();
+  });
+});
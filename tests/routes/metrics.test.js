@@ -0,0 +1,36 @@
+const request = require('supertest');
+const router = require('../../src/routes/metrics');
+const { buildApp } = require('../helpers/app');
+
+const app = buildApp('/metrics', router);
+
+describe('GET /metrics access', () => {
+  afterEach(() => {
+    delete process.env.METRICS_TOKEN;
+    delete process.env.METRICS_ALLOWED_IPS;
+  });
+
+  it('serves localhost scrapes when no token is configured', async () => {
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+  });
+
+  it('hides the endpoint from proxied and non-allowed clients without a token', async () => {
+    const proxied = await request(app).get('/metrics').set('X-Forwarded-For', '203.0.113.7');
+    expect(proxied.status).toBe(404);
+
+    process.env.METRICS_ALLOWED_IPS = '10.0.0.5';
+    const external = await request(app).get('/metrics');
+    expect(external.status).toBe(404);
+  });
+
+  it('requires the bearer token once one is configured', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    expect((await request(app).get('/metrics')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong')).status).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret')).status).toBe(200);
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+
+let mockUser;
+
+jest.mock('../../src/middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { ...mockUser };
+    next();
+  },
+  requireDealerPermission: () => (req, res, next) => next()
+}));
+
+const Order = require('../../src/models/Order');
+const OrderChangeRequest = require('../../src/models/OrderChangeRequest');
+const FavoriteProduct = require('../../src/models/FavoriteProduct');
+const soapService = require('../../src/services/soapService');
+const ordersRouter = require('../../src/routes/orders');
+const dashboardRouter = require('../../src/routes/dashboard');
+const { buildApp } = require('../helpers/app');
+
+const ordersApp = buildApp('/api/orders', ordersRouter);
+const dashboardApp = buildApp('/api/dashboard', dashboardRouter);
+
+const owner = { hesap: 'B001', type: 'customer', list: 1 };
+const subUserWithoutPrices = { ...owner, dealerUserId: 'u1', permissions: ['orders:view', 'orders:place'] };
+
+const PRICE_FIELDS = ['fiyat', 'tutar', 'sipfyt', 'siptut', 'totalAmount', 'remainingAmount',
+  'averageOrderValue', 'waitingAmount', 'waitingOrdersPrice'];
+
+// Cevabın herhangi bir yerinde dolu fiyat/tutar alanı var mı
+const pricedFields = (value, path = '') => {
+  if (Array.isArray(value)) return value.flatMap((item, i) => pricedFields(item, `${path}[${i}]`));
+  if (!value || typeof value !== 'object') return [];
+  return Object.entries(value).flatMap(([key, child]) => [
+    ...(PRICE_FIELDS.includes(key) && child !== null ? [`${path}.${key}`] : []),
+    ...pricedFields(child, `${path}.${key}`)
+  ]);
+};
+
+const erpRows = [
+  { sipno: '700100', tarih: '01-10-2026', tarihDate: new Date('2026-10-01'), stkno: 'CR-1001', mlzadi: 'Vazo', sipmik: 10, sipbak: 4, sipfyt: 100, siptut: 1000 },
+  { sipno: '700100', tarih: '01-10-2026', tarihDate: new Date('2026-10-01'), stkno: 'CR-1002', mlzadi: 'Kase', sipmik: 5, sipbak: 5, sipfyt: 50, siptut: 250 }
+];
+
+const chain = (value) => ({
+  sort: () => chain(value),
+  limit: () => chain(value),
+  select: () => chain(value),
+  lean: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+describe('order and dashboard responses and prices:view', () => {
+  beforeEach(() => {
+    jest.spyOn(soapService, 'getOrders').mockResolvedValue(erpRows);
+    jest.spyOn(Order, 'findForDealer').mockResolvedValue(null);
+    jest.spyOn(OrderChangeRequest, 'find').mockReturnValue(chain([]));
+    jest.spyOn(FavoriteProduct, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(FavoriteProduct, 'find').mockReturnValue(chain([{ stkno: 'CR-1001', stokadi: 'Vazo', fiyat: 100 }]));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('returns order amounts to the account owner', async () => {
+    mockUser = owner;
+    const res = await request(ordersApp).get('/api/orders');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.orders[0]).toMatchObject({ totalAmount: 1250, remainingAmount: 650 });
+    expect(res.body.data.orders[0].lines[0]).toMatchObject({ sipfyt: 100, siptut: 1000 });
+  });
+
+  describe('as a sub-user without prices:view', () => {
+    beforeEach(() => { mockUser = subUserWithoutPrices; });
+
+    it.each([
+      ['GET /api/orders', '/api/orders'],
+      ['GET /api/orders?view=lines', '/api/orders?view=lines'],
+      ['GET /api/orders/stats', '/api/orders/stats'],
+      ['GET /api/orders/:orderId (ERP)', '/api/orders/700100']
+    ])('%s returns no prices', async (name, url) => {
+      const res = await request(ordersApp).get(url);
+
+      expect(res.status).toBe(200);
+      expect(pricedFields(res.body.data)).toEqual([]);
+    });
+
+    it('GET /api/orders/:orderId returns a portal order without prices', async () => {
+      Order.findForDealer.mockResolvedValue(new Order({
+        hesap: 'B001',
+        status: 'queued',
+        lines: [{ stkno: 'CR-1001', adet: 2, fiyatTL: 100, tutarTL: 200 }],
+        totalTL: 200
+      }));
+
+      const res = await request(ordersApp).get('/api/orders/local-id');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.lines[0]).toMatchObject({ stkno: 'CR-1001', adet: 2 });
+      expect(pricedFields(res.body.data)).toEqual([]);
+    });
+
+    it('ignores amount filters and amount sorting', async () => {
+      const res = await request(ordersApp).get('/api/orders?minAmount=1200&sort=amount');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.count).toBe(1);
+      expect(res.body.data.filters.minAmount).toBeUndefined();
+    });
+
+    it.each([
+      ['GET /api/dashboard/stats', '/api/dashboard/stats'],
+      ['GET /api/dashboard/recent-orders', '/api/dashboard/recent-orders'],
+      ['GET /api/dashboard/recent-favorites', '/api/dashboard/recent-favorites']
+    ])('%s returns no prices', async (name, url) => {
+      const res = await request(dashboardApp).get(url);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).not.toEqual([]);
+      expect(pricedFields(res.body.data)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Cart = require('../../src/models/Cart');
+const OrderRule = require('../../src/models/OrderRule');
+const Product = require('../../src/models/Product');
+const cartService = require('../../src/services/cartService');
+
+describe('cartService.recoverStaleCheckouts', () => {
+  const staleCart = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: 'B001',
+    status: 'checkout',
+    checkoutStartedAt: new Date(Date.now() - 60 * 60 * 1000),
+    order: null,
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Cart, 'completeCheckout').mockResolvedValue({});
+    jest.spyOn(Cart, 'abortCheckout').mockResolvedValue({});
+    jest.spyOn(Cart, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only looks at checkouts older than the stale window for the given user', async () => {
+    const find = jest.spyOn(Cart, 'findStaleCheckouts').mockResolvedValue([]);
+
+    await cartService.recoverStaleCheckouts('B001');
+
+    const [startedBefore, user] = find.mock.calls[0];
+    expect(user).toBe('B001');
+    expect(Date.now() - startedBefore.getTime()).toBeGreaterThanOrEqual(10 * 60 * 1000 - 1000);
+  });
+
+  it('closes the cart with the order that was recorded before the crash', async () => {
+    const orderId = new mongoose.Types.ObjectId();
+    const cart = staleCart({ order: orderId });
+    jest.spyOn(Cart, 'findStaleCheckouts').mockResolvedValue([cart]);
+
+    expect(await cartService.recoverStaleCheckouts('B001')).toBe(1);
+    expect(Cart.completeCheckout).toHaveBeenCalledWith(cart._id, orderId);
+    expect(Cart.abortCheckout).not.toHaveBeenCalled();
+  });
+
+  it('gives the cart back when no order was recorded', async () => {
+    const cart = staleCart();
+    jest.spyOn(Cart, 'findStaleCheckouts').mockResolvedValue([cart]);
+
+    await cartService.recoverStaleCheckouts('B001');
+
+    expect(Cart.abortCheckout).toHaveBeenCalledWith(cart._id);
+    expect(Cart.completeCheckout).not.toHaveBeenCalled();
+  });
+
+  it('abandons the locked cart when the user already started a new one', async () => {
+    const cart = staleCart();
+    jest.spyOn(Cart, 'findStaleCheckouts').mockResolvedValue([cart]);
+    Cart.abortCheckout.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await cartService.recoverStaleCheckouts('B001');
+
+    expect(Cart.updateOne).toHaveBeenCalledWith(
+      { _id: cart._id, status: 'checkout' },
+      { $set: { status: 'abandoned', checkoutStartedAt: null } }
+    );
+  });
+});
+
+describe('cartService.checkSyncItems', () => {
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          { stkno: 'CR-1001', grupadi: 'VAZO', bakiye: 100 },
+          { stkno: 'CR-1002', grupadi: 'KASE', bakiye: 100 }
+        ]
+      })
+    });
+    jest.spyOn(OrderRule, 'findApplicable').mockResolvedValue([
+      { scope: 'product', key: 'CR-1001', packSize: 6, priceList: null }
+    ]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('skips local lines whose merged quantity breaks an order rule', async () => {
+    const local = [{ stkno: 'CR-1001', adet: 4 }, { stkno: 'CR-1002', adet: 3 }];
+
+    const { items, skipped } = await cartService.checkSyncItems([], local, 1);
+
+    expect(items).toEqual([{ stkno: 'CR-1002', adet: 3 }]);
+    expect(skipped).toEqual([expect.objectContaining({ stkno: 'CR-1001', adet: 4, reason: 'order_rule' })]);
+  });
+
+  it('does not re-check lines that would not raise the server quantity', async () => {
+    const local = [{ stkno: 'CR-1001', adet: 4 }];
+
+    const { items, skipped } = await cartService.checkSyncItems([{ stkno: 'CR-1001', adet: 6 }], local, 1);
+
+    expect(items).toEqual(local);
+    expect(skipped).toEqual([]);
+    expect(Product.find).not.toHaveBeenCalled();
+  });
+});
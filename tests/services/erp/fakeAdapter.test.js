@@ -0,0 +1,78 @@
+const { FakeAdapter, createAdapter, ERP_METHODS } = require('../../../src/services/erp');
+
+describe('FakeAdapter', () => {
+  it('is selected by name and returns fixture bodies in the node-soap Async shape', async () => {
+    const adapter = createAdapter('fake');
+    expect(adapter).toBeInstanceOf(FakeAdapter);
+
+    const [body, rawResponse] = await adapter.call(ERP_METHODS.PRODUCT_GROUPS);
+    expect(body.urungruplari.urungruplariRow.map(row => row.grpkod)).toEqual(['01', '02', '03']);
+    expect(rawResponse).toBeNull();
+  });
+
+  it('matches fixture cases on params and falls back to the default body', async () => {
+    const adapter = new FakeAdapter();
+
+    const [vazo] = await adapter.call(ERP_METHODS.SUB_GROUPS, { vgrup: '01' });
+    const [unknown] = await adapter.call(ERP_METHODS.SUB_GROUPS, { vgrup: '99' });
+
+    expect(vazo.altgrup.altgrupRow[0].altgrpadi).toBe('KRISTAL VAZOLAR');
+    expect(unknown.altgrup.altgrupRow).toEqual([]);
+  });
+
+  it('raises SOAP faults and timeouts declared in fixtures', async () => {
+    const adapter = new FakeAdapter();
+    adapter.setFixture(ERP_METHODS.EXTRACT, {
+      default: null,
+      cases: [
+        { match: { vhesap: 'FAULT' }, fault: 'Hesap bulunamadi' },
+        { match: { vhesap: 'SLOW' }, timeout: true }
+      ]
+    });
+
+    const fault = await adapter.call(ERP_METHODS.EXTRACT, { vhesap: 'FAULT' }).catch(error => error);
+    expect(fault.message).toBe('Hesap bulunamadi');
+    expect(fault.root.Envelope.Body.Fault.faultstring).toBe('Hesap bulunamadi');
+
+    const timeout = await adapter.call(ERP_METHODS.EXTRACT, { vhesap: 'SLOW' }).catch(error => error);
+    expect(timeout.code).toBe('ESOCKETTIMEDOUT');
+  });
+
+  it('hands out a new order number for every sipcrea call', async () => {
+    const adapter = new FakeAdapter();
+
+    const [first] = await adapter.call(ERP_METHODS.CREATE_ORDER, { vhesap: '120.01.001' });
+    const [second] = await adapter.call(ERP_METHODS.CREATE_ORDER, { vhesap: '120.01.001' });
+
+    expect(first.sipno).toBe('900201');
+    expect(second.sipno).toBe('900202');
+  });
+
+  it('prefers handlers over fixtures and rejects unsupported methods', async () => {
+    const adapter = new FakeAdapter({ handlers: { [ERP_METHODS.CUSTOMERS]: async () => ({ ttCust: { ttCustRow: [] } }) } });
+
+    const [body] = await adapter.call(ERP_METHODS.CUSTOMERS);
+    expect(body.ttCust.ttCustRow).toEqual([]);
+    await expect(adapter.call('sipdelete')).rejects.toThrow('Unsupported ERP method: sipdelete');
+  });
+
+  it('records calls only when asked to and keeps the most recent ones', async () => {
+    const silent = new FakeAdapter();
+    await silent.call(ERP_METHODS.PRODUCT_GROUPS);
+    expect(silent.calls).toEqual([]);
+
+    const recording = new FakeAdapter({ recordCalls: true });
+    for (let i = 0; i < 205; i++) {
+      await recording.call(ERP_METHODS.SUB_GROUPS, { vgrup: String(i) });
+    }
+    expect(recording.calls).toHaveLength(200);
+    expect(recording.calls[0].params.vgrup).toBe('5');
+    expect(recording.calls[199].params.vgrup).toBe('204');
+  });
+
+  it('fails the health check when the fixtures directory is missing', async () => {
+    await expect(new FakeAdapter().healthCheck()).resolves.toMatchObject({ adapter: 'fake' });
+    await expect(new FakeAdapter({ fixturesDir: '/nonexistent/fixtures' }).healthCheck())
+      .rejects.toThrow('ERP fixtures directory not found');
+  });
+});
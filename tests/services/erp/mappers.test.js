@@ -0,0 +1,28 @@
+const { parseErpNumber, mapRow } = require('../../../src/services/erp/mappers');
+
+describe('erp mappers', () => {
+  describe('parseErpNumber', () => {
+    it.each([
+      ['1.234,56', 1234.56],
+      ['12,5', 12.5],
+      ['1234.5', 1234.5],
+      ['1.234.567,8', 1234567.8],
+      ['1,234.56', 1234.56],
+      [' 2 500,00 ', 2500],
+      ['-0,75', -0.75],
+      [42, 42]
+    ])('parses %p as %p', (value, expected) => {
+      expect(parseErpNumber(value)).toBe(expected);
+    });
+
+    it.each(['abc', '1,2,3', '12,5x', Number.NaN])('rejects %p', (value) => {
+      expect(parseErpNumber(value)).toBeNull();
+    });
+  });
+
+  it('keeps Turkish formatted amounts in order rows', () => {
+    const row = mapRow('order', { sipno: '700100', stkno: 'CR-1001', sipmik: '10', sipfyt: '1.234,56', siptut: '12,5', sipbak: '0' });
+
+    expect(row).toMatchObject({ sipfyt: 1234.56, siptut: 12.5, sipbak: 0 });
+  });
+});
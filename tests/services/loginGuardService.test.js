@@ -0,0 +1,73 @@
+const LoginThrottle = require('../../src/models/LoginThrottle');
+const LoginAudit = require('../../src/models/LoginAudit');
+const loginGuardService = require('../../src/services/loginGuardService');
+
+const req = { ip: '10.0.0.1', id: 'test-request', get: () => 'jest' };
+const LOCK_THRESHOLD = 10;
+const MINUTE = 60 * 1000;
+
+const lockMinutes = (throttle) => Math.round((throttle.lockedUntil.getTime() - Date.now()) / MINUTE);
+
+describe('loginGuardService lockouts', () => {
+  let throttle;
+
+  beforeEach(() => {
+    throttle = new LoginThrottle({ username: 'bayi' });
+    jest.spyOn(throttle, 'save').mockResolvedValue(throttle);
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+      throttle.failedCount += update.$inc.failedCount;
+      Object.assign(throttle, update.$set);
+      return throttle;
+    });
+    jest.spyOn(LoginThrottle, 'updateOne').mockImplementation(async (query, update) => {
+      Object.assign(throttle, update.$set);
+    });
+    jest.spyOn(LoginAudit, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const failUntilLocked = async () => {
+    for (let i = 0; i < LOCK_THRESHOLD; i++) {
+      await loginGuardService.recordFailure('bayi', req);
+    }
+  };
+
+  // Kilidin süresi dolmuş gibi (bitişi verilen kadar önce)
+  const expireLock = (minutesAgo) => {
+    throttle.lockedUntil = new Date(Date.now() - minutesAgo * MINUTE);
+  };
+
+  it('doubles the lock for back-to-back lockouts', async () => {
+    await failUntilLocked();
+    expect(lockMinutes(throttle)).toBe(15);
+
+    expireLock(1);
+    await failUntilLocked();
+    expect(lockMinutes(throttle)).toBe(30);
+    expect(throttle.lockCount).toBe(2);
+  });
+
+  it('starts again from the base lock after a successful login', async () => {
+    await failUntilLocked();
+    expireLock(1);
+    await failUntilLocked();
+
+    await loginGuardService.recordSuccess('bayi', req);
+    expect(throttle).toMatchObject({ failedCount: 0, lockCount: 0, lockedUntil: null });
+
+    await failUntilLocked();
+    expect(lockMinutes(throttle)).toBe(15);
+  });
+
+  it('starts again from the base lock after a quiet period', async () => {
+    await failUntilLocked();
+    expireLock(1);
+    await failUntilLocked();
+
+    expireLock(25 * 60);
+    await failUntilLocked();
+    expect(lockMinutes(throttle)).toBe(15);
+    expect(throttle.lockCount).toBe(1);
+  });
+});
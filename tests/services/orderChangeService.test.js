@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const OrderChangeRequest = require('../../src/models/OrderChangeRequest');
+const soapService = require('../../src/services/soapService');
+const mailService = require('../../src/services/mailService');
+const orderOutboxService = require('../../src/services/orderOutboxService');
+const orderChangeService = require('../../src/services/orderChangeService');
+
+const req = {
+  id: 'test-request',
+  user: { hesap: '120.01.001', username: '120.01.001', company: 'DEMO AKSESUAR', email: 'bayi@example.com' }
+};
+
+// rsiparisler satırları: CR-1001 kısmen sevk edilmiş, CR-1002 hiç sevk edilmemiş
+const erpRows = [
+  { sipno: '700100', stkno: 'CR-1001', mlzadi: 'Vazo', sipmik: 10, sipbak: 4, sipfyt: 100 },
+  { sipno: '700100', stkno: 'CR-1002', mlzadi: 'Kase', sipmik: 5, sipbak: 5, sipfyt: 50 },
+  { sipno: '700200', stkno: 'CR-1003', mlzadi: 'Tabak', sipmik: 2, sipbak: 0, sipfyt: 30 }
+];
+
+const localOrder = (fields) => new Order({
+  hesap: req.user.hesap,
+  lines: [{ stkno: 'CR-1001', adet: 1, fiyatTL: 100 }],
+  ...fields
+});
+
+describe('orderChangeService', () => {
+  beforeEach(() => {
+    jest.spyOn(Order, 'findForDealer').mockResolvedValue(null);
+    jest.spyOn(soapService, 'getOrders').mockResolvedValue(erpRows);
+    jest.spyOn(soapService, 'getCustomerRepresentative').mockResolvedValue({ email: 'temsilci@example.com' });
+    jest.spyOn(soapService, 'invalidateOrders').mockResolvedValue();
+    jest.spyOn(mailService, 'sendMail').mockResolvedValue({ success: true });
+    jest.spyOn(OrderChangeRequest, 'findOpenForOrder').mockResolvedValue(null);
+    jest.spyOn(OrderChangeRequest, 'create').mockImplementation(async (doc) => new OrderChangeRequest(doc));
+    jest.spyOn(OrderChangeRequest.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('requestCancel', () => {
+    it('cancels a queued portal order right away', async () => {
+      const order = localOrder({ status: 'queued' });
+      Order.findForDealer.mockResolvedValue(order);
+      const cancel = jest.spyOn(orderOutboxService, 'cancelByDealer').mockResolvedValue(order);
+
+      const result = await orderChangeService.requestCancel(req, String(order._id), { reason: 'yanlış ürün' });
+
+      expect(result).toEqual({ cancelledOrder: order });
+      expect(cancel).toHaveBeenCalledWith(order._id, '120.01.001', '120.01.001', 'yanlış ürün');
+      expect(OrderChangeRequest.create).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['pending', /being transferred/],
+      ['sent', /order number is not known yet/],
+      ['unverified', /being verified/],
+      ['failed', /not created in ERP/],
+      ['cancelled', /already cancelled/]
+    ])('refuses to cancel a %s portal order without an ERP number', async (status, message) => {
+      Order.findForDealer.mockResolvedValue(localOrder({ status }));
+
+      await expect(orderChangeService.requestCancel(req, 'x')).rejects.toMatchObject({ statusCode: 409, message: expect.stringMatching(message) });
+    });
+
+    it('only cancels portal orders without an ERP number entirely', async () => {
+      Order.findForDealer.mockResolvedValue(localOrder({ status: 'queued' }));
+
+      await expect(orderChangeService.requestCancel(req, 'x', { stknos: ['CR-1001'] })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('opens a request for the unshipped lines of an ERP order and notifies the representative', async () => {
+      const { request } = await orderChangeService.requestCancel(req, '700100', { reason: 'vazgeçtik' });
+
+      expect(request).toMatchObject({ type: 'cancel', status: 'open', sipno: '700100', hesap: '120.01.001' });
+      expect(request.lines.map(line => [line.stkno, line.remainingQty, line.requestedQty])).toEqual([
+        ['CR-1001', 4, 6],
+        ['CR-1002', 5, 0]
+      ]);
+      expect(mailService.sendMail.mock.calls[0][0].to).toEqual(['temsilci@example.com']);
+      expect(request.notification).toMatchObject({ to: 'temsilci@example.com', error: null });
+    });
+
+    it('rejects lines that are not in the order or already shipped, and closed orders', async () => {
+      await expect(orderChangeService.requestCancel(req, '700100', { stknos: ['XX-1'] })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(orderChangeService.requestCancel(req, '700200')).rejects.toMatchObject({ statusCode: 409 });
+      await expect(orderChangeService.requestCancel(req, '999999')).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('allows only one open request per order', async () => {
+      OrderChangeRequest.findOpenForOrder.mockResolvedValue({ _id: 'open' });
+      await expect(orderChangeService.requestCancel(req, '700100')).rejects.toMatchObject({ statusCode: 409 });
+
+      OrderChangeRequest.findOpenForOrder.mockResolvedValue(null);
+      OrderChangeRequest.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+      await expect(orderChangeService.requestCancel(req, '700100')).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('keeps the request when the notification and its status update both fail', async () => {
+      mailService.sendMail.mockRejectedValue(new Error('smtp down'));
+      OrderChangeRequest.prototype.save.mockRejectedValue(new Error('mongo down'));
+
+      const { request } = await orderChangeService.requestCancel(req, '700100');
+
+      expect(request.status).toBe('open');
+      expect(request.notification).toMatchObject({ sentAt: null, error: 'smtp down' });
+    });
+  });
+
+  describe('requestChange', () => {
+    it('records the new line quantities and delivery date', async () => {
+      const { request } = await orderChangeService.requestChange(req, '700100', {
+        lines: [{ stkno: 'CR-1001', adet: 8 }],
+        deliveryDate: '30-11-2026'
+      });
+
+      expect(request).toMatchObject({ type: 'change', deliveryDate: '30-11-2026' });
+      expect(request.lines[0]).toMatchObject({ stkno: 'CR-1001', orderedQty: 10, requestedQty: 8 });
+    });
+
+    it('validates the requested quantities against the ERP order', async () => {
+      const change = (lines) => orderChangeService.requestChange(req, '700100', { lines });
+
+      await expect(orderChangeService.requestChange(req, '700100', {})).rejects.toMatchObject({ statusCode: 400 });
+      await expect(change([{ stkno: 'CR-1001', adet: 5 }])).rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/shipped quantity \(6\)/) });
+      await expect(change([{ stkno: 'CR-1001', adet: 10 }])).rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/unchanged/) });
+      await expect(change([{ stkno: 'CR-1002', adet: 2 }, { stkno: 'CR-1002', adet: 3 }])).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('sends orders that are not in ERP yet back to cancel and reorder', async () => {
+      Order.findForDealer.mockResolvedValue(localOrder({ status: 'queued' }));
+
+      await expect(orderChangeService.requestChange(req, 'x', { deliveryDate: '30-11-2026' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('withdraw', () => {
+    it('withdraws an open request and tells the representative', async () => {
+      const request = new OrderChangeRequest({ hesap: req.user.hesap, type: 'cancel', sipno: '700100', status: 'withdrawn' });
+      const update = jest.spyOn(OrderChangeRequest, 'findOneAndUpdate').mockResolvedValue(request);
+
+      expect(await orderChangeService.withdraw(req, String(request._id))).toBe(request);
+      expect(update.mock.calls[0][0]).toMatchObject({ hesap: req.user.hesap, status: 'open' });
+      expect(mailService.sendMail.mock.calls[0][0].subject).toMatch(/Geri Çekildi/);
+    });
+
+    it('explains why a request cannot be withdrawn', async () => {
+      jest.spyOn(OrderChangeRequest, 'findOneAndUpdate').mockResolvedValue(null);
+      const findForDealer = jest.spyOn(OrderChangeRequest, 'findForDealer').mockResolvedValue({ status: 'completed' });
+
+      await expect(orderChangeService.withdraw(req, 'id')).rejects.toMatchObject({ statusCode: 409, message: 'Change request is already completed' });
+
+      findForDealer.mockResolvedValue(null);
+      await expect(orderChangeService.withdraw(req, 'id')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('resolve', () => {
+    it('completes an open request and refreshes the dealer order cache', async () => {
+      const request = new OrderChangeRequest({ hesap: req.user.hesap, type: 'change', sipno: '700100', status: 'completed' });
+      jest.spyOn(OrderChangeRequest, 'findOneAndUpdate').mockResolvedValue(request);
+
+      await orderChangeService.resolve(new mongoose.Types.ObjectId(), 'admin', { status: 'completed', resolution: 'ERP güncellendi' });
+
+      expect(OrderChangeRequest.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'completed', resolvedBy: 'admin' });
+      expect(soapService.invalidateOrders).toHaveBeenCalledWith(req.user.hesap);
+    });
+
+    it('rejects without touching the cache and refuses requests that are not open', async () => {
+      const request = new OrderChangeRequest({ hesap: req.user.hesap, type: 'change', sipno: '700100', status: 'rejected' });
+      jest.spyOn(OrderChangeRequest, 'findOneAndUpdate').mockResolvedValueOnce(request).mockResolvedValueOnce(null);
+
+      await orderChangeService.resolve('id', 'admin', { status: 'rejected' });
+      expect(soapService.invalidateOrders).not.toHaveBeenCalled();
+
+      await expect(orderChangeService.resolve('id', 'admin', { status: 'completed' })).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const orderHistoryService = require('../../src/services/orderHistoryService');
+
+const row = (fields) => ({
+  sipno: '700100',
+  tarih: '01-10-2026',
+  tarihDate: new Date(2026, 9, 1),
+  stkno: 'CR-1001',
+  mlzadi: 'Kristal Vazo',
+  sipmik: 10,
+  sipbak: 10,
+  sipfyt: 100,
+  siptut: 1000,
+  ...fields
+});
+
+describe('orderHistoryService', () => {
+  describe('lineState', () => {
+    it.each([
+      ['open', { sipmik: 10, sipbak: 10 }],
+      ['partial', { sipmik: 10, sipbak: 4 }],
+      ['closed', { sipmik: 10, sipbak: 0 }],
+      ['closed', { sipmik: 10, sipbak: -2 }],
+      ['closed', { sipmik: 0, sipbak: 0 }]
+    ])('is %s for %p', (state, fields) => {
+      expect(orderHistoryService.lineState(row(fields))).toBe(state);
+    });
+  });
+
+  describe('groupOrders', () => {
+    it('derives shipped and remaining quantities, treating a rest quantity of 0 as fully shipped', () => {
+      const [order] = orderHistoryService.groupOrders([
+        row({ stkno: 'CR-1001', sipmik: 10, sipbak: 0, sipfyt: 100, siptut: 1000 })
+      ]);
+
+      expect(order).toMatchObject({ status: 'closed', orderedQty: 10, shippedQty: 10, remainingQty: 0, remainingAmount: 0 });
+      expect(order.lines[0]).toMatchObject({ status: 'closed', shippedQty: 10, remainingQty: 0, remainingAmount: 0 });
+    });
+
+    it.each([
+      ['open', [{ sipbak: 10 }, { stkno: 'CR-1002', sipbak: 10 }]],
+      ['partial', [{ sipbak: 10 }, { stkno: 'CR-1002', sipbak: 0 }]],
+      ['partial', [{ sipbak: 4 }, { stkno: 'CR-1002', sipbak: 10 }]],
+      ['closed', [{ sipbak: 0 }, { stkno: 'CR-1002', sipbak: 0 }]]
+    ])('marks an order %s from its lines', (state, lines) => {
+      const [order] = orderHistoryService.groupOrders(lines.map(row));
+
+      expect(order.status).toBe(state);
+    });
+
+    it('groups rows by sipno, keeps line order and sums amounts', () => {
+      const orders = orderHistoryService.groupOrders([
+        row({ sipno: '700100', stkno: 'CR-1001', sipbak: 4 }),
+        row({ sipno: '700200', stkno: 'CR-2001', sipmik: 2, sipbak: 2, sipfyt: 50, siptut: 100 }),
+        row({ sipno: 700100, stkno: 'CR-1002', sipmik: 5, sipbak: 5, sipfyt: 20, siptut: 100 })
+      ]);
+
+      expect(orders.map(o => o.sipno)).toEqual(['700100', '700200']);
+      expect(orders[0].lines.map(line => line.stkno)).toEqual(['CR-1001', 'CR-1002']);
+      expect(orders[0]).toMatchObject({
+        status: 'partial',
+        lineCount: 2,
+        orderedQty: 15,
+        shippedQty: 6,
+        remainingQty: 9,
+        totalAmount: 1100,
+        remainingAmount: 500
+      });
+    });
+
+    it('uses the latest line delivery date as the order delivery date', () => {
+      const [order] = orderHistoryService.groupOrders([
+        row({ termin: '10-10-2026', terminDate: new Date(2026, 9, 10) }),
+        row({ stkno: 'CR-1002', termin: '20-10-2026', terminDate: new Date(2026, 9, 20) })
+      ]);
+
+      expect(order.termin).toBe('20-10-2026');
+    });
+  });
+
+  describe('query and summarize', () => {
+    const rows = [
+      row({ sipno: '700100', sipbak: 10 }),
+      row({ sipno: '700200', sipbak: 4, tarihDate: new Date(2026, 9, 5) }),
+      row({ sipno: '700300', sipbak: 0, tarihDate: new Date(2026, 8, 1) })
+    ];
+
+    it('counts orders per state and filters by state', () => {
+      const result = orderHistoryService.query(rows, { status: ['open', 'partial'] });
+
+      expect(result.counts).toEqual({ open: 1, partial: 1, closed: 1 });
+      expect(result.items.map(o => o.sipno)).toEqual(['700200', '700100']);
+    });
+
+    it('returns lines with their own state in the lines view', () => {
+      const result = orderHistoryService.query(rows, { view: 'lines', status: ['closed'] });
+
+      expect(result.items).toHaveLength(1);
+      expect(result.items[0]).toMatchObject({ sipno: '700300', status: 'closed', remainingQty: 0 });
+    });
+
+    it('sums waiting orders and their remaining amount', () => {
+      const summary = orderHistoryService.summarize(rows, { since: new Date(2026, 9, 1) });
+
+      expect(summary).toEqual({ totalOrders: 3, totalAmount: 3000, waitingOrders: 2, waitingAmount: 1400, recentOrders: 2 });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const Order = require('../../src/models/Order');
+const soapService = require('../../src/services/soapService');
+const orderOutboxService = require('../../src/services/orderOutboxService');
+
+const buildOrder = () => new Order({
+  hesap: '120.01.001',
+  lines: [{ stkno: 'CR-1001', stokadi: 'Kristal Vazo', adet: 6, fiyatTL: 100 }],
+  totalTL: 600
+});
+
+describe('orderOutboxService.deliver', () => {
+  let saves;
+
+  beforeEach(() => {
+    saves = [];
+    // Kaydedilen durumlar sırayla tutulur
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      saves.push(this.status);
+      return this;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('marks the order sent with the ERP number', async () => {
+    jest.spyOn(soapService, 'createOrder').mockResolvedValue({ orderId: 700100 });
+    const order = buildOrder();
+
+    const result = await orderOutboxService.deliver(order);
+
+    expect(result).toEqual({ outcome: 'sent', orderId: 700100 });
+    expect(order).toMatchObject({ status: 'sent', sipno: '700100' });
+    expect(saves).toEqual(['pending', 'sent']);
+  });
+
+  it('queues the order again when sipcrea fails before creating it', async () => {
+    jest.spyOn(soapService, 'createOrder').mockRejectedValue(new Error('ERP error'));
+    const order = buildOrder();
+
+    const result = await orderOutboxService.deliver(order);
+
+    expect(result.outcome).toBe('queued');
+    expect(order.delivery.attempts).toBe(1);
+  });
+
+  it('never requeues an order ERP accepted when saving the sent status fails', async () => {
+    jest.spyOn(soapService, 'createOrder').mockResolvedValue({ orderId: 700100 });
+    Order.prototype.save
+      .mockImplementationOnce(async function() { saves.push(this.status); return this; })
+      .mockImplementationOnce(async () => { throw new Error('mongo down'); });
+    const order = buildOrder();
+
+    const result = await orderOutboxService.deliver(order);
+
+    expect(result).toMatchObject({ outcome: 'unverified', orderId: 700100 });
+    expect(order.status).toBe('unverified');
+    expect(order.sipno).toBe('700100');
+    expect(order.failureReason).toMatch(/as 700100 but status could not be saved: mongo down/);
+    expect(order.delivery.nextAttemptAt).toBeNull();
+    expect(soapService.createOrder).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the order pending for stale recovery when no status can be saved', async () => {
+    jest.spyOn(soapService, 'createOrder').mockResolvedValue({ orderId: 'Generated' });
+    Order.prototype.save
+      .mockImplementationOnce(async function() { saves.push(this.status); return this; })
+      .mockRejectedValue(new Error('mongo down'));
+    const order = buildOrder();
+
+    const result = await orderOutboxService.deliver(order);
+
+    expect(result.outcome).toBe('unverified');
+    expect(saves).toEqual(['pending']);
+  });
+});
@@ -0,0 +1,91 @@
+const moment = require('moment');
+const Order = require('../../src/models/Order');
+const soapService = require('../../src/services/soapService');
+const mailService = require('../../src/services/mailService');
+const orderOutboxService = require('../../src/services/orderOutboxService');
+const orderReconciliationService = require('../../src/services/orderReconciliationService');
+
+const hoursAgo = (hours) => moment().subtract(hours, 'hours').toDate();
+
+const buildOrder = (fields) => new Order({
+  hesap: '120.01.001',
+  lines: [{ stkno: 'CR-1001', stokadi: 'Kristal Vazo', adet: 6, fiyatTL: 100 }],
+  totalTL: 600,
+  ...fields
+});
+
+describe('orderReconciliationService.reconcileDealer', () => {
+  let erpRows;
+
+  beforeEach(() => {
+    erpRows = [];
+    jest.spyOn(soapService, 'getOrders').mockImplementation(async () => erpRows);
+    jest.spyOn(Order, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(mailService, 'sendMail').mockResolvedValue({ success: true });
+    jest.spyOn(orderOutboxService, 'notifyDealer').mockResolvedValue(true);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('marks a timed-out unverified order failed and notifies the dealer', async () => {
+    const order = buildOrder({ status: 'unverified', submittedAt: hoursAgo(7), failureReason: 'SOAP timeout' });
+
+    const summary = await orderReconciliationService.reconcileDealer(order.hesap, [order]);
+
+    expect(summary.failed).toBe(1);
+    expect(order.status).toBe('failed');
+    expect(order.failedAt).toBeInstanceOf(Date);
+    expect(order.failureReason).toMatch(/SOAP timeout/);
+    expect(order.lastReconciledAt).toBeInstanceOf(Date);
+    expect(orderOutboxService.notifyDealer).toHaveBeenCalledWith(order, 'failed');
+    expect(Order.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a recent unverified order waiting', async () => {
+    const order = buildOrder({ status: 'unverified', submittedAt: hoursAgo(1) });
+
+    const summary = await orderReconciliationService.reconcileDealer(order.hesap, [order]);
+
+    expect(summary.failed).toBe(0);
+    expect(order.status).toBe('unverified');
+    expect(orderOutboxService.notifyDealer).not.toHaveBeenCalled();
+  });
+
+  it('escalates an unmatched sent order once without failing it', async () => {
+    const order = buildOrder({ status: 'sent', submittedAt: hoursAgo(30), sentAt: hoursAgo(30) });
+
+    const first = await orderReconciliationService.reconcileDealer(order.hesap, [order]);
+    const second = await orderReconciliationService.reconcileDealer(order.hesap, [order]);
+
+    expect(first.escalated).toBe(1);
+    expect(second.escalated).toBe(0);
+    expect(order.status).toBe('sent');
+    expect(order.escalatedAt).toBeInstanceOf(Date);
+    expect(mailService.sendMail).toHaveBeenCalledTimes(1);
+    expect(mailService.sendMail.mock.calls[0][0].subject).toMatch(/Eşleşmeyen Sipariş/);
+  });
+
+  it('does not escalate a sent order before the alert window', async () => {
+    const order = buildOrder({ status: 'sent', submittedAt: hoursAgo(2), sentAt: hoursAgo(2) });
+
+    const summary = await orderReconciliationService.reconcileDealer(order.hesap, [order]);
+
+    expect(summary.escalated).toBe(0);
+    expect(order.escalatedAt).toBeNull();
+    expect(mailService.sendMail).not.toHaveBeenCalled();
+  });
+
+  it('still confirms an escalated order once its ERP order appears', async () => {
+    const submittedAt = hoursAgo(30);
+    const order = buildOrder({ status: 'sent', submittedAt, sentAt: submittedAt, escalatedAt: hoursAgo(1) });
+    erpRows = [{ sipno: '900301', stkno: 'CR-1001', sipmik: 6, sipbak: 6, tarihDate: submittedAt }];
+
+    const summary = await orderReconciliationService.reconcileDealer(order.hesap, [order]);
+
+    expect(summary.matched).toBe(1);
+    expect(summary.confirmed).toBe(1);
+    expect(order.sipno).toBe('900301');
+    expect(order.status).toBe('confirmed');
+  });
+});
@@ -0,0 +1,80 @@
+const OrderRule = require('../../src/models/OrderRule');
+const orderRuleService = require('../../src/services/orderRuleService');
+
+const products = [
+  { stkno: 'CR-1001', grupadi: 'VAZO', fgrp: 'KRISTAL' },
+  { stkno: 'CR-1002', grupadi: 'KASE', fgrp: 'KRISTAL' }
+];
+
+describe('orderRuleService', () => {
+  let rules;
+
+  beforeEach(() => {
+    rules = [];
+    jest.spyOn(OrderRule, 'findApplicable').mockImplementation(async () => rules);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('checkLines', () => {
+    it('checks duplicate lines of a product against their total quantity', async () => {
+      rules = [
+        { scope: 'product', key: 'CR-1001', packSize: 6, priceList: null },
+        { scope: 'product', key: 'CR-1002', minQty: 4, priceList: null }
+      ];
+
+      const { violations } = await orderRuleService.checkLines([
+        { stkno: 'CR-1001', adet: 3 },
+        { stkno: 'CR-1002', adet: 2 },
+        { stkno: 'CR-1001', adet: 3 },
+        { stkno: 'CR-1002', adet: 2 }
+      ], 1, products);
+
+      expect(violations).toEqual([]);
+    });
+
+    it('reports a total that still breaks the rule once, with the summed quantity', async () => {
+      rules = [{ scope: 'product', key: 'CR-1001', minQty: 4, packSize: 2, priceList: null }];
+
+      const { violations } = await orderRuleService.checkLines([
+        { stkno: 'CR-1001', adet: 1 },
+        { stkno: 'CR-1001', adet: 2 }
+      ], 1, products);
+
+      expect(violations.map(v => [v.code, v.adet, v.suggestedQty])).toEqual([['min_qty', 3, 4], ['pack_size', 3, 4]]);
+    });
+
+    it('prefers product rules over category rules and price-list rules over general ones', async () => {
+      rules = [
+        { scope: 'fgrp', key: 'KRISTAL', minQty: 10, priceList: null },
+        { scope: 'grupadi', key: 'VAZO', minQty: 5, priceList: null },
+        { scope: 'grupadi', key: 'VAZO', minQty: 8, priceList: 1 },
+        { scope: 'product', key: 'CR-1001', packSize: 4, priceList: null }
+      ];
+
+      expect(orderRuleService.resolveLineRule(rules, products[0])).toEqual({ minQty: 8, packSize: 4 });
+      expect(orderRuleService.resolveLineRule(rules, products[1])).toEqual({ minQty: 10, packSize: null });
+    });
+
+    it('ignores lines whose product is unknown', async () => {
+      rules = [{ scope: 'fgrp', key: 'KRISTAL', minQty: 10, priceList: null }];
+
+      const { violations } = await orderRuleService.checkLines([{ stkno: 'XX-1', adet: 1 }], 1, products);
+      expect(violations).toEqual([]);
+    });
+  });
+
+  describe('assertOrder', () => {
+    it('enforces the minimum order total next to the line rules', async () => {
+      rules = [{ scope: 'global', minOrderTotal: 1000, priceList: null }];
+
+      await expect(orderRuleService.assertOrder([{ stkno: 'CR-1001', adet: 1 }], 1, 250, products))
+        .rejects.toMatchObject({
+          statusCode: 400,
+          violations: [{ code: 'min_order_total', remaining: 750 }]
+        });
+      await expect(orderRuleService.assertOrder([{ stkno: 'CR-1001', adet: 1 }], 1, 1000, products))
+        .resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// Politika modül yüklenirken okunur: tüm ürünlerde block
+process.env.STOCK_POLICIES = JSON.stringify({ default: 'block' });
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Product = require('../../src/models/Product');
+const orderRuleService = require('../../src/services/orderRuleService');
+const orderService = require('../../src/services/orderService');
+
+const product = {
+  stkno: 'CR-1001',
+  stokadi: 'Kristal Vazo',
+  bakiye: 5,
+  cinsi: 'TRY',
+  priceList: { fiyat1: 100 },
+  originalPriceList: { fiyat1: 100 }
+};
+
+describe('orderService.priceLines', () => {
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockReturnValue({ lean: async () => [product] });
+    jest.spyOn(orderRuleService, 'assertOrder').mockResolvedValue();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => { delete process.env.STOCK_POLICIES; });
+
+  it('rejects lines of the same product that together exceed stock under block', async () => {
+    const items = [{ stkno: 'CR-1001', adet: 3 }, { stkno: 'CR-1001', adet: 3 }];
+
+    await expect(orderService.priceLines(items, 1)).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Insufficient stock: CR-1001 (requested 6, available 5)'
+    });
+  });
+
+  it('accepts lines of the same product that fit in stock together', async () => {
+    const { lines, totalTL } = await orderService.priceLines([{ stkno: 'CR-1001', adet: 3 }, { stkno: 'CR-1001', adet: 2 }], 1);
+
+    expect(totalTL).toBe(500);
+    expect(lines.map(line => [line.availability.inStockQty, line.availability.backorderQty])).toEqual([[3, 0], [2, 0]]);
+  });
+});
+
+describe('orderService.recoverIdempotentOrder', () => {
+  const keyId = new mongoose.Types.ObjectId();
+  const req = { user: { hesap: '120.01.001', dealerUserId: 'u1', permissions: ['orders:place'] } };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('answers with the order already recorded for the key', async () => {
+    const order = new Order({
+      hesap: '120.01.001',
+      status: 'sent',
+      sipno: '700100',
+      lines: [{ stkno: 'CR-1001', adet: 6, fiyatTL: 100, backorderQty: 1 }],
+      totalTL: 600,
+      idempotencyKeyId: keyId
+    });
+    jest.spyOn(Order, 'findByIdempotencyKey').mockResolvedValue(order);
+
+    const response = await orderService.recoverIdempotentOrder(keyId, req);
+
+    expect(Order.findByIdempotencyKey).toHaveBeenCalledWith(keyId);
+    expect(response.statusCode).toBe(201);
+    expect(response.body.data).toMatchObject({ id: order._id, orderId: '700100', totalAmount: null });
+    expect(response.body.data.products[0]).toMatchObject({ stkno: 'CR-1001', fiyat: null, inStockQty: 5, backorderQty: 1 });
+  });
+
+  it('returns null when the first request never recorded an order', async () => {
+    jest.spyOn(Order, 'findByIdempotencyKey').mockResolvedValue(null);
+
+    expect(await orderService.recoverIdempotentOrder(keyId, req)).toBeNull();
+  });
+});
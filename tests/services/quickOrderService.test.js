@@ -0,0 +1,70 @@
+const Cart = require('../../src/models/Cart');
+const Product = require('../../src/models/Product');
+const orderRuleService = require('../../src/services/orderRuleService');
+const quickOrderService = require('../../src/services/quickOrderService');
+
+const leanQuery = (value) => {
+  const query = { select: () => query, sort: () => query, limit: () => query, lean: async () => value };
+  return query;
+};
+
+describe('quickOrderService.parseText', () => {
+  it('splits every line on the delimiter detected from the first line', () => {
+    expect(quickOrderService.parseText('stkno;adet\nCR-1001;5\nCR-1002; 12\nCR-1003')).toEqual([
+      { row: 2, code: 'CR-1001', qty: '5' },
+      { row: 3, code: 'CR-1002', qty: '12' },
+      { row: 4, code: 'CR-1003', qty: '' }
+    ]);
+    expect(quickOrderService.parseText('CR-1001\t5\nCR-1002\t7')).toEqual([
+      { row: 1, code: 'CR-1001', qty: '5' },
+      { row: 2, code: 'CR-1002', qty: '7' }
+    ]);
+    expect(quickOrderService.parseText('CR-1001 5')).toEqual([{ row: 1, code: 'CR-1001', qty: '5' }]);
+  });
+
+  it('keeps a decimal comma in the quantity instead of splitting on it', () => {
+    expect(quickOrderService.parseText('CR-1001;1,5')).toEqual([{ row: 1, code: 'CR-1001', qty: '1,5' }]);
+    expect(quickOrderService.parseText('"CR-1001","1,5"')).toEqual([{ row: 1, code: 'CR-1001', qty: '1,5' }]);
+  });
+
+  it('rejects lines with extra columns but ignores trailing empty ones', () => {
+    expect(() => quickOrderService.parseText('CR-1001,1,5')).toThrow(/Satır 1/);
+    expect(() => quickOrderService.parseText('CR-1001;5\nCR-1002;3;not')).toThrow(/Satır 2/);
+    expect(quickOrderService.parseText('CR-1001;5;;')).toEqual([{ row: 1, code: 'CR-1001', qty: '5' }]);
+  });
+});
+
+describe('quickOrderService.preview', () => {
+  const product = { stkno: 'CR-1001', stknoKey: 'CR-1001', stokadi: 'Vazo', bakiye: 100, priceList: { fiyat1: 10 } };
+
+  beforeEach(() => {
+    jest.spyOn(Cart, 'getCartByUser').mockResolvedValue(null);
+    jest.spyOn(orderRuleService, 'checkLines').mockResolvedValue({ violations: [], rules: [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('matches codes case-insensitively through the indexed stknoKey field in one query', async () => {
+    const find = jest.spyOn(Product, 'find').mockReturnValue(leanQuery([product]));
+
+    const result = await quickOrderService.preview('B001', 1, [
+      { row: 1, code: 'cr-1001', qty: '2' },
+      { row: 2, code: 'CR-1001', qty: '3' }
+    ]);
+
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(find.mock.calls[0][0]).toEqual({ stknoKey: { $in: ['CR-1001'] } });
+    expect(result.items).toEqual([{ stkno: 'CR-1001', adet: 5 }]);
+  });
+
+  it('looks up suggestions with an anchored range on stknoKey', async () => {
+    const find = jest.spyOn(Product, 'find')
+      .mockReturnValueOnce(leanQuery([]))
+      .mockReturnValueOnce(leanQuery([{ stkno: 'CR-1001', stokadi: 'Vazo' }, { stkno: 'CR-9999', stokadi: 'Kase' }]));
+
+    const result = await quickOrderService.preview('B001', 1, [{ row: 1, code: 'CR-1002', qty: '1' }]);
+
+    expect(find.mock.calls[1][0]).toMatchObject({ stknoKey: { $gte: 'CR-1', $lt: 'CR-1\uffff' } });
+    expect(result.lines[0]).toMatchObject({ status: 'not_found', suggestions: [{ stkno: 'CR-1001', stokadi: 'Vazo' }] });
+  });
+});
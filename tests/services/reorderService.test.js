@@ -0,0 +1,42 @@
+const Cart = require('../../src/models/Cart');
+const Product = require('../../src/models/Product');
+const orderRuleService = require('../../src/services/orderRuleService');
+const reorderService = require('../../src/services/reorderService');
+
+describe('reorderService.addLinesToCart', () => {
+  const products = [
+    { stkno: 'CR-1001', stokadi: 'Vazo', bakiye: 100, priceList: { fiyat1: 10 } },
+    { stkno: 'CR-1002', stokadi: 'Kase', bakiye: 100, priceList: { fiyat1: 20 } },
+    { stkno: 'CR-1003', stokadi: 'Tabak', bakiye: 100, isActive: false, priceList: { fiyat1: 5 } }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockReturnValue({ lean: async () => products });
+    jest.spyOn(Cart, 'getCartByUser').mockResolvedValue(null);
+    jest.spyOn(Cart, 'addItemsToCart').mockResolvedValue({});
+    jest.spyOn(orderRuleService, 'checkLines').mockResolvedValue({ violations: [], rules: [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('adds all accepted lines with a single cart update', async () => {
+    const result = await reorderService.addLinesToCart('B001', 1, [
+      { stkno: 'CR-1001', adet: 2 },
+      { stkno: 'CR-1002', adet: 1 },
+      { stkno: 'CR-1001', adet: 3 },
+      { stkno: 'CR-1003', adet: 1 }
+    ]);
+
+    expect(Cart.addItemsToCart).toHaveBeenCalledTimes(1);
+    const [hesap, items] = Cart.addItemsToCart.mock.calls[0];
+    expect(hesap).toBe('B001');
+    expect(items.map(item => [item.stkno, item.adet, item.fiyat])).toEqual([['CR-1001', 5, 10], ['CR-1002', 1, 20]]);
+    expect(result.skipped).toEqual([{ stkno: 'CR-1003', adet: 1, reason: 'inactive' }]);
+  });
+
+  it('does not touch the cart when nothing can be added', async () => {
+    await reorderService.addLinesToCart('B001', 1, [{ stkno: 'CR-1003', adet: 1 }]);
+
+    expect(Cart.addItemsToCart).not.toHaveBeenCalled();
+  });
+});
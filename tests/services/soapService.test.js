@@ -0,0 +1,75 @@
+const soapService = require('../../src/services/soapService');
+const { FakeAdapter } = require('../../src/services/erp');
+
+// SoapService'in tamamı (devre kesici, önbellek, eşleyiciler) ERP yerine sahte adaptörle çalışır
+describe('soapService with the fake ERP adapter', () => {
+  let adapter;
+
+  beforeEach(async () => {
+    adapter = new FakeAdapter({ recordCalls: true });
+    soapService.setAdapter(adapter);
+    soapService.breakers.clear();
+    await soapService.cache.clear();
+  });
+
+  it('authenticates dealers against the login fixture', async () => {
+    const result = await soapService.authenticateUser('120.01.001', 'demo1234');
+
+    expect(result.user).toMatchObject({ hesap: '120.01.001', company: 'DEMO AKSESUAR LTD. STI.', list: '3' });
+    await expect(soapService.authenticateUser('120.01.001', 'wrong')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('maps order rows and serves repeated reads from the cache', async () => {
+    const first = await soapService.getOrders('120.01.001');
+    const second = await soapService.getOrders('120.01.001');
+
+    expect(first.length).toBeGreaterThan(0);
+    expect(first[0].tarihDate).toBeInstanceOf(Date);
+    expect(typeof first[0].sipmik).toBe('number');
+    expect(second).toEqual(first);
+    expect(adapter.calls.filter(call => call.method === 'rsiparisler')).toHaveLength(1);
+  });
+
+  it('creates orders through sipcrea in TL', async () => {
+    const result = await soapService.createOrder('120.01.001', [
+      { stkno: 'KR-1001', adet: 2, fiyat: 430, cinsi: 'TL' }
+    ]);
+
+    expect(result).toMatchObject({ success: true, orderId: '900201' });
+    const [call] = adapter.calls.filter(c => c.method === 'sipcrea');
+    expect(call.params.TTcreasip.TTcreasipRow[0]).toMatchObject({ wstkno: 'KR-1001', wsipmik: 2, wsipfyt: 430, wcinsi: 'TL' });
+  });
+
+  describe('sipcrea failures', () => {
+    const order = [{ stkno: 'KR-1001', adet: 2, fiyat: 430, cinsi: 'TL' }];
+    const failWith = (error) => {
+      adapter.handlers.sipcrea = async () => { throw error; };
+    };
+
+    it('treats refused or unresolved connections as never sent', async () => {
+      failWith(Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:80'), { code: 'ECONNREFUSED', syscall: 'connect' }));
+      await expect(soapService.createOrder('120.01.001', order)).rejects.toMatchObject({ outcomeUnknown: false });
+
+      failWith(Object.assign(new Error('getaddrinfo ENOTFOUND erp.local'), { code: 'ENOTFOUND', syscall: 'getaddrinfo' }));
+      await expect(soapService.createOrder('120.01.001', order)).rejects.toMatchObject({ outcomeUnknown: false });
+    });
+
+    it('treats client creation failures as never sent', async () => {
+      failWith(Object.assign(new Error('WSDL not reachable'), { requestSent: false, response: { status: 502 } }));
+      await expect(soapService.createOrder('120.01.001', order)).rejects.toMatchObject({ outcomeUnknown: false });
+    });
+
+    it('treats a timeout after the request was written as an unknown outcome', async () => {
+      adapter.setFixture('sipcrea', { cases: [{ match: { vhesap: '120.01.001' }, timeout: true }] });
+      await expect(soapService.createOrder('120.01.001', order)).rejects.toMatchObject({ outcomeUnknown: true });
+
+      failWith(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+      await expect(soapService.createOrder('120.01.001', order)).rejects.toMatchObject({ outcomeUnknown: true });
+    });
+
+    it('treats a SOAP fault as a definite failure', async () => {
+      adapter.setFixture('sipcrea', { cases: [{ match: { vhesap: '120.01.001' }, fault: 'Stok kodu hatalı' }] });
+      await expect(soapService.createOrder('120.01.001', order)).rejects.toMatchObject({ outcomeUnknown: false });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../../src/models/AuthSession');
+const tokenService = require('../../src/services/tokenService');
+
+// AuthSession koleksiyonunun tokenService'in kullandığı sorgular için bellek içi karşılığı
+function useSessionStore() {
+  const sessions = [];
+
+  jest.spyOn(AuthSession, 'create').mockImplementation(async (doc) => {
+    const session = { _id: new mongoose.Types.ObjectId(), rotatedTokenHashes: [], revokedAt: null, ...doc };
+    sessions.push(session);
+    return session;
+  });
+
+  jest.spyOn(AuthSession, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+    const session = sessions.find(s =>
+      s.refreshTokenHash === query.refreshTokenHash && !s.revokedAt && s.expiresAt > query.expiresAt.$gt);
+    if (!session) return null;
+    Object.assign(session, update.$set);
+    session.rotatedTokenHashes.push(update.$push.rotatedTokenHashes);
+    return session;
+  });
+
+  jest.spyOn(AuthSession, 'findOne').mockImplementation(async (query) =>
+    sessions.find(s => s.rotatedTokenHashes.includes(query.rotatedTokenHashes)) || null);
+
+  jest.spyOn(AuthSession, 'updateOne').mockImplementation(async (query, update) => {
+    const session = sessions.find(s => String(s._id) === String(query._id));
+    Object.assign(session, update.$set);
+  });
+
+  jest.spyOn(AuthSession, 'revokeSession').mockImplementation(async (id, reason) => {
+    const session = sessions.find(s => String(s._id) === String(id) && !s.revokedAt);
+    if (session) Object.assign(session, { revokedAt: new Date(), revokedReason: reason });
+    return session || null;
+  });
+
+  jest.spyOn(AuthSession, 'findById').mockImplementation((id) => {
+    const session = sessions.find(s => String(s._id) === String(id)) || null;
+    return { select: () => ({ lean: async () => session }) };
+  });
+
+  return sessions;
+}
+
+const fakeReq = { ip: '10.0.0.1', id: 'test-request', get: () => 'jest' };
+const claims = { hesap: 'B001', type: 'customer', username: 'bayi', iat: 1, exp: 2 };
+
+describe('tokenService refresh sessions', () => {
+  let sessions;
+
+  beforeEach(() => { sessions = useSessionStore(); });
+  afterEach(() => jest.restoreAllMocks());
+
+  it('creates a session family keyed by token hash and signs the session id into the access token', async () => {
+    const tokens = await tokenService.createSession(claims, fakeReq);
+
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].user).toBe('B001');
+    expect(sessions[0].claims).not.toHaveProperty('iat');
+    expect(sessions[0].refreshTokenHash).toBe(tokenService.hashToken(tokens.refreshToken));
+    expect(sessions[0].refreshTokenHash).not.toBe(tokens.refreshToken);
+    expect(jwt.verify(tokens.accessToken, process.env.JWT_SECRET).sid).toBe(tokens.sessionId);
+  });
+
+  it('issues a new refresh token on every rotation within the same session', async () => {
+    const first = await tokenService.createSession(claims, fakeReq);
+    const second = await tokenService.rotateRefreshToken(first.refreshToken, fakeReq);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.sessionId).toBe(first.sessionId);
+
+    const third = await tokenService.rotateRefreshToken(second.refreshToken, fakeReq);
+    expect(third.sessionId).toBe(first.sessionId);
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const first = await tokenService.createSession(claims, fakeReq);
+    const second = await tokenService.rotateRefreshToken(first.refreshToken, fakeReq);
+
+    await expect(tokenService.rotateRefreshToken(first.refreshToken, fakeReq))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    expect(sessions[0].revokedReason).toBe('refresh_token_reuse');
+    // Meşru kullanıcının elindeki son token da artık geçersiz
+    await expect(tokenService.rotateRefreshToken(second.refreshToken, fakeReq))
+      .rejects.toMatchObject({ statusCode: 401 });
+    await expect(tokenService.isSessionActive(first.sessionId)).resolves.toBe(false);
+  });
+
+  it('rejects unknown and expired refresh tokens without revoking anything', async () => {
+    const tokens = await tokenService.createSession(claims, fakeReq);
+
+    await expect(tokenService.rotateRefreshToken('unknown-token', fakeReq)).rejects.toMatchObject({ statusCode: 401 });
+    expect(sessions[0].revokedAt).toBeNull();
+
+    sessions[0].expiresAt = new Date(Date.now() - 1000);
+    await expect(tokenService.rotateRefreshToken(tokens.refreshToken, fakeReq)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(tokenService.isSessionActive(tokens.sessionId)).resolves.toBe(false);
+  });
+
+  it('refreshes the stored claims before signing the new access token', async () => {
+    const tokens = await tokenService.createSession(claims, fakeReq);
+    const rotated = await tokenService.rotateRefreshToken(tokens.refreshToken, fakeReq, {
+      refreshClaims: async (current) => ({ ...current, priceList: 3, exp: 99 })
+    });
+
+    expect(sessions[0].claims).toMatchObject({ priceList: 3 });
+    expect(sessions[0].claims).not.toHaveProperty('exp');
+    expect(jwt.verify(rotated.accessToken, process.env.JWT_SECRET).priceList).toBe(3);
+  });
+});
@@ -0,0 +1,81 @@
+const TwoFactorAuth = require('../../src/models/TwoFactorAuth');
+const totp = require('../../src/utils/totp');
+const twoFactorService = require('../../src/services/twoFactorService');
+
+const claims = { hesap: 'B001', type: 'customer', username: 'bayi' };
+
+// startEnrolment'in yazdığı şifreli secret ile etkin bir kayıt
+async function enrolledRecord() {
+  jest.spyOn(TwoFactorAuth, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+  const upsert = jest.spyOn(TwoFactorAuth, 'findOneAndUpdate').mockResolvedValue(null);
+
+  const { secret } = await twoFactorService.startEnrolment(claims);
+  const record = new TwoFactorAuth({ owner: 'B001', secretEnc: upsert.mock.calls[0][1].$set.secretEnc, enabled: true });
+  jest.spyOn(record, 'save').mockResolvedValue(record);
+  jest.spyOn(TwoFactorAuth, 'findWithSecrets').mockResolvedValue(record);
+
+  return { secret, record };
+}
+
+describe('twoFactorService', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('login codes', () => {
+    it('accepts a valid code once and rejects it when reused', async () => {
+      const { secret, record } = await enrolledRecord();
+      const step = totp.currentStep();
+      const code = totp.codeForStep(secret, step);
+
+      expect(await twoFactorService.verifyLoginCode(claims, code)).toBe(true);
+      expect(record.lastUsedStep).toBe(step);
+      expect(await twoFactorService.verifyLoginCode(claims, code)).toBe(false);
+    });
+
+    it('rejects a code from an earlier step than the last one used', async () => {
+      const { secret } = await enrolledRecord();
+      const step = totp.currentStep();
+
+      expect(await twoFactorService.verifyLoginCode(claims, totp.codeForStep(secret, step))).toBe(true);
+      expect(await twoFactorService.verifyLoginCode(claims, totp.codeForStep(secret, step - 1))).toBe(false);
+    });
+
+    it('rejects codes while two-factor is not enabled', async () => {
+      const { secret, record } = await enrolledRecord();
+      record.enabled = false;
+
+      expect(await twoFactorService.verifyLoginCode(claims, totp.codeForStep(secret, totp.currentStep()))).toBe(false);
+    });
+  });
+
+  describe('pre-auth tokens', () => {
+    const loginResult = { claims, userType: 'customer', user: { hesap: 'B001' } };
+
+    it('carries the login result for the matching purpose', () => {
+      const token = twoFactorService.issuePreAuthToken(loginResult, twoFactorService.PRE_AUTH_PURPOSES.VERIFY);
+
+      expect(twoFactorService.verifyPreAuthToken(token, twoFactorService.PRE_AUTH_PURPOSES.VERIFY)).toEqual(loginResult);
+    });
+
+    it('rejects a token issued for another purpose', () => {
+      const token = twoFactorService.issuePreAuthToken(loginResult, twoFactorService.PRE_AUTH_PURPOSES.SETUP);
+
+      expect(() => twoFactorService.verifyPreAuthToken(token, twoFactorService.PRE_AUTH_PURPOSES.VERIFY))
+        .toThrow(expect.objectContaining({ statusCode: 401, message: 'Invalid login step token' }));
+    });
+
+    it('expires after PRE_AUTH_EXPIRES_IN', () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+      const token = twoFactorService.issuePreAuthToken(loginResult, twoFactorService.PRE_AUTH_PURPOSES.VERIFY);
+
+      jest.setSystemTime(new Date('2026-10-19T10:04:59Z'));
+      expect(twoFactorService.verifyPreAuthToken(token, twoFactorService.PRE_AUTH_PURPOSES.VERIFY)).toEqual(loginResult);
+
+      jest.setSystemTime(new Date('2026-10-19T10:05:01Z'));
+      expect(() => twoFactorService.verifyPreAuthToken(token, twoFactorService.PRE_AUTH_PURPOSES.VERIFY))
+        .toThrow(expect.objectContaining({ statusCode: 401, message: 'Login step expired. Please log in again.' }));
+    });
+  });
+});
@@ -0,0 +1,5 @@
+// Testler gerçek MongoDB/ERP olmadan çalışır: modeller jest.spyOn ile taklit edilir, ERP sahte adaptördür
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.ERP_ADAPTER = process.env.ERP_ADAPTER || 'fake';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
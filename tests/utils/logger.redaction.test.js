@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Logger gerçek dosya transport'larıyla geçici bir dizine yazar; combined.log içeriği doğrulanır
+describe('log redaction through the file transports', () => {
+  const originalCwd = process.cwd();
+  let tmpDir;
+  let logger;
+  let soapService;
+  let FakeAdapter;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bayi-logs-'));
+    process.chdir(tmpDir);
+    jest.isolateModules(() => {
+      logger = require('../../src/utils/logger');
+      soapService = require('../../src/services/soapService');
+      ({ FakeAdapter } = require('../../src/services/erp'));
+    });
+    logger.level = 'info';
+  });
+
+  afterAll(() => {
+    logger.close();
+    process.chdir(originalCwd);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Dosya transport'ları asenkron yazar: son yazılan kayıt görünene kadar beklenir
+  const readLog = async (file, marker) => {
+    const target = path.join(tmpDir, 'logs', file);
+    for (let i = 0; i < 100; i++) {
+      const content = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : '';
+      if (content.includes(marker)) return content;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`${file} does not contain ${marker}`);
+  };
+
+  it('never writes login passwords or ERP credentials to combined.log', async () => {
+    logger.info('Login attempt', { username: '120.01.001', password: 'PlainLoginPass1', body: { password: 'PlainLoginPass1' } });
+    logger.soap('Calling uuselogin', { uulogin: '120.01.001', uucyrpt: 'ErpSecretPass2' });
+
+    // Bağlantı hatası: SOAP zarfı ve fault gövdesi Error üzerinde taşınır
+    const connectError = new Error('WSDL fetch failed for <uucyrpt>ErpSecretPass3</uucyrpt>');
+    connectError.body = '<soap:Envelope><soap:Body><tns:uuselogin><uulogin>120.01.001</uulogin><uucyrpt>ErpSecretPass3</uucyrpt></tns:uuselogin></soap:Body></soap:Envelope>';
+    connectError.root = { Envelope: { Body: { uuselogin: { uucyrpt: 'ErpSecretPass3' } } } };
+    soapService.setAdapter(Object.assign(new FakeAdapter(), { connect: async () => { throw connectError; } }));
+    await expect(soapService.createClient()).rejects.toMatchObject({ statusCode: 503 });
+
+    // Login fault'u: authenticateUser hatayı olduğu gibi loglar
+    const fault = new Error('login failed: {"uulogin":"120.01.001","uucyrpt":"ErpSecretPass4"}');
+    fault.root = { Envelope: { Body: { Fault: { faultstring: 'login failed', detail: { uucyrpt: 'ErpSecretPass4' } } } } };
+    soapService.setAdapter(new FakeAdapter({ handlers: { uuselogin: async () => { throw fault; } } }));
+    await expect(soapService.authenticateUser('120.01.001', 'ErpSecretPass4')).rejects.toMatchObject({ statusCode: 401 });
+
+    logger.error('Wrapped failure', { error: connectError });
+
+    const combined = await readLog('combined.log', 'Wrapped failure');
+    const errors = await readLog('error.log', 'Wrapped failure');
+
+    expect(combined).toContain('SOAP client creation failed');
+    expect(combined).toContain('Authentication failed');
+    expect(combined).toContain('[REDACTED]');
+    for (const secret of ['PlainLoginPass1', 'ErpSecretPass2', 'ErpSecretPass3', 'ErpSecretPass4']) {
+      expect(combined).not.toContain(secret);
+      expect(errors).not.toContain(secret);
+    }
+  });
+});
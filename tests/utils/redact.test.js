@@ -0,0 +1,36 @@
+const { redact, redactString, MASK } = require('../../src/utils/redact');
+
+const options = { enabled: true, maskIp: true, extraKeys: [] };
+
+describe('redact', () => {
+  it('masks secret keys and personal data in plain objects', () => {
+    const output = redact({ username: 'bayi', password: 'p1', email: 'ali@example.com', ip: '85.10.20.30' }, options);
+
+    expect(output).toEqual({ username: 'bayi', password: MASK, email: 'a***@example.com', ip: '85.10.20.0' });
+  });
+
+  it('masks secrets inside SOAP XML and JSON strings', () => {
+    expect(redactString('<tns:uuselogin><uulogin>120</uulogin><uucyrpt>p1</uucyrpt></tns:uuselogin>', options))
+      .toBe(`<tns:uuselogin><uulogin>120</uulogin><uucyrpt>${MASK}</uucyrpt></tns:uuselogin>`);
+    expect(redactString('{"username":"bayi","password":"p\\"2"}', options))
+      .toBe(`{"username":"bayi","password":"${MASK}"}`);
+  });
+
+  it('walks Error instances including their message, stack and extra fields', () => {
+    const error = new Error('fault for <uucyrpt>p3</uucyrpt>');
+    error.body = '<uucyrpt>p3</uucyrpt>';
+    error.root = { Envelope: { uucyrpt: 'p3' } };
+
+    const output = redact({ error }, options);
+
+    expect(output.error.name).toBe('Error');
+    expect(JSON.stringify(output)).not.toContain('p3');
+    expect(output.error.root.Envelope.uucyrpt).toBe(MASK);
+    expect(error.body).toBe('<uucyrpt>p3</uucyrpt>');
+  });
+
+  it('leaves values untouched when redaction is disabled', () => {
+    const value = { password: 'p4' };
+    expect(redact(value, { ...options, enabled: false })).toBe(value);
+  });
+});
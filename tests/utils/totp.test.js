@@ -0,0 +1,47 @@
+const totp = require('../../src/utils/totp');
+
+// RFC 6238 Ek B: SHA1 anahtarı "12345678901234567890" (base32), 8 haneli kodların son 6 hanesi
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('totp', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at T=%p', (seconds, code) => {
+    const time = seconds * 1000;
+
+    expect(totp.codeForStep(RFC_SECRET, totp.currentStep(time))).toBe(code);
+    expect(totp.verifyCode(RFC_SECRET, code, { time })).toBe(totp.currentStep(time));
+  });
+
+  it('accepts codes one step before or after the current step only', () => {
+    const time = 1111111111 * 1000;
+    const step = totp.currentStep(time);
+    const codeAt = (offset) => totp.codeForStep(RFC_SECRET, step + offset);
+
+    expect(totp.verifyCode(RFC_SECRET, codeAt(-1), { time })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, codeAt(1), { time })).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, codeAt(-2), { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, codeAt(2), { time })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, codeAt(1), { time, window: 0 })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(totp.verifyCode(RFC_SECRET, '12345', { time: 59000 })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', { time: 59000 })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, null, { time: 59000 })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '287 082', { time: 59000 })).toBe(1);
+  });
+
+  it('generates base32 secrets that round-trip through code generation', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.verifyCode(secret, totp.codeForStep(secret, totp.currentStep()))).not.toBeNull();
+  });
+});